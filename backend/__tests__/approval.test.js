@@ -0,0 +1,204 @@
+import { jest } from '@jest/globals'
+import express from 'express'
+import request from 'supertest'
+import { getApprovalState, needsApproval } from '../services/approval.js'
+
+describe('approval states', () => {
+  const now = new Date('2026-10-19T10:00:00.000Z')
+
+  it('sends queued posts to approval when an account requires it', () => {
+    expect(getApprovalState('pending', true, now)).toEqual({
+      status: 'awaiting_approval',
+      submitted_at: now.toISOString(),
+      approved_at: null,
+    })
+    expect(getApprovalState('pending', false, now)).toEqual({
+      status: 'pending',
+      submitted_at: null,
+      approved_at: now.toISOString(),
+    })
+  })
+
+  it('keeps drafts and explicit submissions as they are', () => {
+    expect(getApprovalState('draft', true, now)).toEqual({ status: 'draft', submitted_at: null, approved_at: null })
+    expect(getApprovalState('awaiting_approval', false, now).status).toBe('awaiting_approval')
+  })
+
+  it('needs approval when any account requires it', () => {
+    expect(needsApproval([{ requires_approval: false }, { requires_approval: true }])).toBe(true)
+    expect(needsApproval([{ requires_approval: false }, null])).toBe(false)
+    expect(needsApproval(undefined)).toBe(false)
+  })
+})
+
+describe('approval workflow', () => {
+  // Every Supabase query resolves to the next queued result; calls records the builder methods used
+  const results = []
+  const calls = []
+  const next = () => Promise.resolve(results.shift() || { data: null, error: null })
+  const query = (table) => {
+    const builder = new Proxy({}, {
+      get: (target, prop) => {
+        if (prop === 'then') return (resolve, reject) => next().then(resolve, reject)
+        if (prop === 'single' || prop === 'maybeSingle') return next
+        return (...args) => {
+          calls.push([table, prop, ...args])
+          return builder
+        }
+      },
+    })
+    return builder
+  }
+
+  let app
+  const ownerId = '00000000-0000-4000-8000-00000000000a'
+  const reviewerId = '00000000-0000-4000-8000-00000000000b'
+  const postId = '00000000-0000-4000-8000-000000000001'
+  let authUser
+
+  beforeAll(async () => {
+    jest.resetModules()
+    jest.unstable_mockModule('@supabase/supabase-js', () => ({
+      createClient: () => ({
+        from: query,
+        rpc: next,
+        auth: { getUser: async () => ({ data: { user: authUser }, error: null }) },
+      }),
+    }))
+    const { default: postsRouter } = await import('../routes/posts.js')
+    const { default: approvalsRouter } = await import('../routes/approvals.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/posts', postsRouter)
+    app.use('/api/approvals', approvalsRouter)
+  })
+
+  beforeEach(() => {
+    results.length = 0
+    calls.length = 0
+    authUser = { id: reviewerId, email: 'Reviewer@example.com', email_confirmed_at: '2026-01-01T00:00:00.000Z' }
+  })
+
+  const asUser = (req) => req.set('authorization', 'Bearer token')
+  const updates = (table) => calls.filter(([name, method]) => name === table && method === 'update').map(([, , values]) => values)
+  const inserted = (table) => calls.find(([name, method]) => name === table && method === 'insert')?.[2]
+
+  it('approves a post into the queue', async () => {
+    results.push(
+      { data: [{ owner_id: ownerId }], error: null },
+      { data: { id: postId, user_id: ownerId, status: 'awaiting_approval' }, error: null },
+      { data: { id: postId, status: 'pending' }, error: null },
+    )
+    const res = await asUser(request(app).post(`/api/approvals/${postId}/approve`)).send({})
+    expect(res.status).toBe(200)
+    expect(updates('posts')).toEqual([{ status: 'pending', approved_at: expect.any(String), approved_by: reviewerId }])
+    expect(calls).toContainEqual(['posts', 'eq', 'status', 'awaiting_approval'])
+    expect(calls).toContainEqual(['post_reviewers', 'eq', 'reviewer_email', 'reviewer@example.com'])
+    expect(inserted('post_approvals')).toMatchObject({ post_id: postId, decision: 'approved' })
+  })
+
+  it('rejects a post back to drafts, with a comment', async () => {
+    const missing = await asUser(request(app).post(`/api/approvals/${postId}/reject`)).send({})
+    expect(missing.status).toBe(400)
+
+    results.push(
+      { data: [{ owner_id: ownerId }], error: null },
+      { data: { id: postId, user_id: ownerId, status: 'awaiting_approval' }, error: null },
+      { data: { id: postId, status: 'draft' }, error: null },
+    )
+    const res = await asUser(request(app).post(`/api/approvals/${postId}/reject`)).send({ comment: 'Fix the typo' })
+    expect(res.status).toBe(200)
+    expect(updates('posts')).toEqual([{ status: 'draft', approved_at: null, approved_by: null }])
+    expect(inserted('post_approvals')).toMatchObject({ decision: 'rejected', comment: 'Fix the typo' })
+  })
+
+  it('only lets reviewers decide on posts awaiting approval', async () => {
+    results.push(
+      { data: [{ owner_id: ownerId }], error: null },
+      { data: { id: postId, user_id: ownerId, status: 'pending' }, error: null },
+    )
+    const settled = await asUser(request(app).post(`/api/approvals/${postId}/approve`)).send({})
+    expect(settled.status).toBe(409)
+
+    // Someone else's reviewer sees the post as missing
+    results.push(
+      { data: [], error: null },
+      { data: { id: postId, user_id: ownerId, status: 'awaiting_approval' }, error: null },
+    )
+    const stranger = await asUser(request(app).post(`/api/approvals/${postId}/approve`)).send({})
+    expect(stranger.status).toBe(404)
+
+    // Owners never review their own posts
+    authUser = { id: ownerId, email: 'owner@example.com', email_confirmed_at: '2026-01-01T00:00:00.000Z' }
+    results.push(
+      { data: [{ owner_id: ownerId }], error: null },
+      { data: { id: postId, user_id: ownerId, status: 'awaiting_approval' }, error: null },
+    )
+    const own = await asUser(request(app).post(`/api/approvals/${postId}/approve`)).send({})
+    expect(own.status).toBe(403)
+    expect(updates('posts')).toEqual([])
+  })
+
+  it('answers 409 when another reviewer decided first', async () => {
+    results.push(
+      { data: [{ owner_id: ownerId }], error: null },
+      { data: { id: postId, user_id: ownerId, status: 'awaiting_approval' }, error: null },
+      { data: null, error: null },
+    )
+    const res = await asUser(request(app).post(`/api/approvals/${postId}/approve`)).send({})
+    expect(res.status).toBe(409)
+    expect(res.body.message).toBe('This post was already reviewed')
+  })
+
+  it('sends an edited queued post back for approval', async () => {
+    authUser = { id: ownerId, email: 'owner@example.com' }
+    results.push(
+      { data: { id: postId, status: 'pending', caption: 'Old', post_accounts: [{ account: { requires_approval: true } }] }, error: null },
+      { data: { id: postId }, error: null },
+      { data: { id: postId }, error: null },
+    )
+    const res = await asUser(request(app).put(`/api/posts/${postId}`)).send({ caption: 'New' })
+    expect(res.status).toBe(200)
+    expect(updates('posts')).toEqual([{
+      caption: 'New',
+      status: 'awaiting_approval',
+      submitted_at: expect.any(String),
+      approved_at: null,
+      approved_by: null,
+    }])
+  })
+
+  it('holds caption edits of published posts for approval instead of queueing them', async () => {
+    authUser = { id: ownerId, email: 'owner@example.com' }
+    results.push(
+      {
+        data: {
+          id: postId,
+          status: 'completed',
+          post_type: 'feed',
+          caption: 'Old',
+          post_accounts: [{ id: 'pa-1', status: 'completed', instagram_post_url: 'https://www.instagram.com/p/abc/', account: { requires_approval: true } }],
+        },
+        error: null,
+      },
+      { data: { revision: 1 }, error: null },
+      { data: null, error: null },
+    )
+    const res = await asUser(request(app).put(`/api/posts/${postId}`)).send({ caption: 'New' })
+    expect(res.status).toBe(202)
+    expect(res.body.queued).toBe(0)
+    expect(inserted('post_caption_revisions')).toMatchObject({ revision: 2, caption: 'New', status: 'awaiting_approval' })
+    // Neither the caption nor the bot's queue change before a reviewer approves
+    expect(updates('posts')).toEqual([])
+    expect(updates('post_accounts')).toEqual([])
+
+    // One edit at a time waits for a reviewer
+    results.push(
+      { data: { id: postId, status: 'completed', post_type: 'feed', caption: 'Old', post_accounts: [{ account: { requires_approval: true } }] }, error: null },
+      { data: { revision: 2 }, error: null },
+      { data: { id: 'revision-2' }, error: null },
+    )
+    const second = await asUser(request(app).put(`/api/posts/${postId}`)).send({ caption: 'Newer' })
+    expect(second.status).toBe(409)
+  })
+})
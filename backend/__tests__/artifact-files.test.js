@@ -0,0 +1,71 @@
+import { jest } from '@jest/globals'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import express from 'express'
+import request from 'supertest'
+
+// Signed URLs need a configured cloud; local files are served from a temporary directory
+const artifactsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifacts-'))
+Object.assign(process.env, {
+  ARTIFACTS_DIR: artifactsDir,
+  CLOUDINARY_CLOUD_NAME: 'demo',
+  CLOUDINARY_API_KEY: 'key',
+  CLOUDINARY_API_SECRET: 'secret',
+})
+const { resolveLocalPath, sendStoredFile } = await import('../services/artifact-files.js')
+
+describe('artifact files', () => {
+  const app = express()
+  app.get('/file', (req, res) => sendStoredFile(res, app.locals.file, { fileName: 'trace.json.gz', contentType: 'application/gzip' }))
+  const download = (file) => {
+    app.locals.file = file
+    return request(app).get('/file')
+  }
+
+  afterAll(() => {
+    fs.rmSync(artifactsDir, { recursive: true, force: true })
+    jest.restoreAllMocks()
+  })
+
+  it('only resolves paths inside the artifacts directory', () => {
+    expect(resolveLocalPath('diagnostics/log-1/trace.json.gz')).toBe(path.join(artifactsDir, 'diagnostics/log-1/trace.json.gz'))
+    expect(resolveLocalPath(path.join(artifactsDir, 'post/a.jpg'))).toBe(path.join(artifactsDir, 'post/a.jpg'))
+    expect(resolveLocalPath('../.env')).toBeNull()
+    expect(resolveLocalPath('/etc/passwd')).toBeNull()
+    expect(resolveLocalPath(artifactsDir)).toBeNull()
+    expect(resolveLocalPath('')).toBeNull()
+  })
+
+  it('serves local files and hides where missing ones would be', async () => {
+    fs.mkdirSync(path.join(artifactsDir, 'diagnostics'), { recursive: true })
+    fs.writeFileSync(path.join(artifactsDir, 'diagnostics/trace.json.gz'), 'trace')
+    const found = await download({ store: 'local', storage_path: path.join(artifactsDir, 'diagnostics/trace.json.gz') })
+    expect(found.status).toBe(200)
+    expect(found.headers['content-disposition']).toBe('attachment; filename="trace.json.gz"')
+
+    const outside = await download({ store: 'local', storage_path: '/etc/passwd' })
+    expect(outside.status).toBe(404)
+    expect(outside.body.message).not.toMatch(/passwd/)
+  })
+
+  it('fetches Cloudinary files with a signed URL built from the public ID, never the stored url', async () => {
+    const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue(new Response('trace'))
+    const res = await download({
+      store: 'cloudinary',
+      storage_path: 'instagram-automation/artifacts/diagnostics/log-1/trace.json.gz',
+      url: 'http://169.254.169.254/latest/meta-data',
+    })
+    expect(res.status).toBe(200)
+    const [url, options] = fetchMock.mock.calls[0]
+    expect(url).toMatch(/^https:\/\/api\.cloudinary\.com\/v1_1\/demo\/raw\/download\?/)
+    expect(url).toContain('signature=')
+    expect(options.signal).toBeInstanceOf(AbortSignal)
+  })
+
+  it('answers 502 when storage does not answer', async () => {
+    jest.spyOn(global, 'fetch').mockRejectedValue(new DOMException('The operation timed out', 'TimeoutError'))
+    const res = await download({ store: 'cloudinary', storage_path: 'instagram-automation/artifacts/x' })
+    expect(res.status).toBe(502)
+  })
+})
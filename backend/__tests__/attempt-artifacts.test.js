@@ -0,0 +1,94 @@
+import { jest } from '@jest/globals'
+import express from 'express'
+import request from 'supertest'
+
+describe('attempt artifact downloads', () => {
+  // Every Supabase query resolves to the next queued result
+  const results = []
+  const next = () => Promise.resolve(results.shift() || { data: null, error: null })
+  const query = () => {
+    const builder = new Proxy({}, {
+      get: (target, prop) => {
+        if (prop === 'then') return (resolve, reject) => next().then(resolve, reject)
+        if (prop === 'single' || prop === 'maybeSingle') return next
+        return () => builder
+      },
+    })
+    return builder
+  }
+
+  let app
+  const userId = '00000000-0000-4000-8000-00000000000a'
+  const postId = '00000000-0000-4000-8000-000000000001'
+  const artifactId = '00000000-0000-4000-8000-000000000004'
+  const download = `/api/posts/${postId}/artifacts/${artifactId}/download`
+
+  beforeAll(async () => {
+    Object.assign(process.env, {
+      CLOUDINARY_CLOUD_NAME: 'demo',
+      CLOUDINARY_API_KEY: 'key',
+      CLOUDINARY_API_SECRET: 'secret',
+    })
+    jest.resetModules()
+    jest.unstable_mockModule('@supabase/supabase-js', () => ({
+      createClient: () => ({
+        from: query,
+        rpc: next,
+        auth: { getUser: async () => ({ data: { user: { id: userId } }, error: null }) },
+      }),
+    }))
+    const { default: postsRouter } = await import('../routes/posts.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/posts', postsRouter)
+  })
+
+  afterAll(() => {
+    delete process.env.CLOUDINARY_CLOUD_NAME
+    delete process.env.CLOUDINARY_API_KEY
+    delete process.env.CLOUDINARY_API_SECRET
+    jest.restoreAllMocks()
+  })
+
+  beforeEach(() => {
+    results.length = 0
+  })
+
+  const asUser = (req) => req.set('authorization', 'Bearer token')
+
+  it('streams private screenshots through a signed URL', async () => {
+    const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue(new Response('jpeg'))
+    results.push(
+      { data: { id: postId }, error: null },
+      {
+        data: {
+          id: artifactId,
+          attempt: 2,
+          kind: 'screenshot',
+          step: 'error',
+          store: 'cloudinary',
+          url: null,
+          storage_path: `instagram-automation/artifacts/${postId}/x/attempt-2/01-error`,
+        },
+        error: null,
+      },
+    )
+    const res = await asUser(request(app).get(download))
+    expect(res.status).toBe(200)
+    expect(res.headers['content-type']).toMatch(/^image\/jpeg/)
+    expect(res.headers['content-disposition']).toBe('attachment; filename="attempt-2-error.jpg"')
+    expect(fetchMock.mock.calls[0][0]).toMatch(/^https:\/\/api\.cloudinary\.com\/v1_1\/demo\/image\/download\?/)
+  })
+
+  it('answers 404 for posts of other users and unknown artifacts', async () => {
+    results.push({ data: null, error: { code: 'PGRST116', message: 'No rows' } })
+    const foreign = await asUser(request(app).get(download))
+    expect(foreign.status).toBe(404)
+    expect(foreign.body.error).toBe('Post not found')
+
+    results.push({ data: { id: postId }, error: null }, { data: null, error: null })
+    const unknown = await asUser(request(app).get(download))
+    expect(unknown.status).toBe(404)
+    expect(unknown.body.error).toBe('Artifact not found')
+  })
+})
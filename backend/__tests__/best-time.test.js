@@ -0,0 +1,63 @@
+import { computeBestTimes, getShortcode, MIN_SAMPLES } from '../services/best-time.js'
+
+const sample = (accountId, postedAt, likes, comments = 0) => ({ accountId, postedAt, likes, comments })
+
+// A large and a small account; both do best on Tuesdays at 18:00 UTC
+const samples = [
+  sample('big', '2026-10-05T10:00:00.000Z', 100),
+  sample('big', '2026-10-06T18:10:00.000Z', 290, 10),
+  sample('big', '2026-10-07T10:00:00.000Z', 100),
+  sample('big', '2026-10-12T10:30:00.000Z', 100),
+  sample('big', '2026-10-13T18:20:00.000Z', 300),
+  sample('small', '2026-10-05T10:00:00.000Z', 10),
+  sample('small', '2026-10-06T18:00:00.000Z', 30),
+  sample('small', '2026-10-08T12:00:00.000Z', 40),
+  sample('small', '2026-10-09T10:00:00.000Z', 10),
+  sample('small', '2026-10-13T18:00:00.000Z', 28, 2),
+]
+// Tuesday 18:00 UTC, too close to recommend this week's slot
+const now = new Date('2026-10-20T18:00:00.000Z')
+
+describe('best time', () => {
+  it('recommends the slot that beats each account\'s typical post', () => {
+    const result = computeBestTimes({ samples, timezone: 'UTC', now })
+    expect(result.samples).toBe(10)
+    expect(result.accounts).toBe(2)
+    expect(result.recommendation).toMatchObject({
+      weekday: 1,
+      hour: 18,
+      posts: 4,
+      score: 1.66,
+      next_at: '2026-10-27T18:00:00.000Z',
+      next_local: '2026-10-27T18:00',
+    })
+    expect(result.recommendation.alternatives).toHaveLength(3)
+    expect(result.reasoning[1]).toBe('Tuesday 18:00–19:00 (UTC): 4 post(s), 66% more engagement than typical.')
+  })
+
+  it('pulls slots with few posts towards typical', () => {
+    const { slots } = computeBestTimes({ samples, timezone: 'UTC', now })
+    // One post with 41/31 of the small account's typical engagement
+    const single = slots.find(({ weekday, hour }) => weekday === 3 && hour === 12)
+    expect(single.posts).toBe(1)
+    expect(single.score).toBeCloseTo(1.108, 3)
+  })
+
+  it('reads weekdays and hours in the requested timezone', () => {
+    const { recommendation } = computeBestTimes({ samples, timezone: 'Asia/Tokyo', now })
+    expect(recommendation).toMatchObject({ weekday: 2, hour: 3, next_at: '2026-10-27T18:00:00.000Z', next_local: '2026-10-28T03:00' })
+  })
+
+  it('makes no recommendation from too few posts', () => {
+    const result = computeBestTimes({ samples: samples.slice(0, MIN_SAMPLES - 1), timezone: 'UTC', now })
+    expect(result.recommendation).toBeNull()
+    expect(result.slots.length).toBeGreaterThan(0)
+    expect(result.reasoning[0]).toMatch(/at least 5 are needed/)
+  })
+
+  it('matches posts by shortcode whatever the URL form', () => {
+    expect(getShortcode('https://www.instagram.com/p/Cx1_a-B/')).toBe('Cx1_a-B')
+    expect(getShortcode('https://instagram.com/someone/reel/Cx1_a-B?igsh=1')).toBe('Cx1_a-B')
+    expect(getShortcode('https://www.instagram.com/someone/')).toBeNull()
+  })
+})
@@ -0,0 +1,110 @@
+import { validationResult } from 'express-validator'
+
+// Comparison images are Cloudinary crop URLs, built from the configured cloud
+process.env.CLOUDINARY_CLOUD_NAME = 'demo'
+const { buildPostContent, postContentValidators, MAX_CAROUSEL_SLIDES } = await import('../services/post-content.js')
+
+const image = (n) => `https://res.cloudinary.com/demo/image/upload/v1/posts/image-${n}.jpg`
+
+// Paths of the fields postContentValidators rejects, and the sanitized body
+async function validate(body, prefix) {
+  const req = { body }
+  for (const chain of postContentValidators(prefix)) await chain.run(req)
+  return { invalid: [...new Set(validationResult(req).array().map((error) => error.path))], body: req.body }
+}
+
+describe('post content validators', () => {
+  it('accepts a carousel up to the slide limit', async () => {
+    const slides = Array.from({ length: MAX_CAROUSEL_SLIDES }, (_, n) => image(n))
+    expect((await validate({ image_urls: slides, caption: 'Hi' })).invalid).toEqual([])
+    const tooMany = await validate({ image_urls: [...slides, image(10)], caption: 'Hi' })
+    expect(tooMany.invalid).toEqual(['image_urls'])
+    expect((await validate({ image_urls: ['not a url'], caption: 'Hi' })).invalid).toEqual(['image_urls[0]'])
+  })
+
+  it('checks tag positions and usernames and strips the @', async () => {
+    const { invalid, body } = await validate({
+      image_url: image(1),
+      caption: 'Hi',
+      user_tags: [{ username: '@someone', x: '0.5', y: 0 }, { username: 'bad name', x: 1.5, y: 0.2 }],
+    })
+    expect(invalid).toEqual(['user_tags[1].username', 'user_tags[1].x'])
+    expect(body.user_tags[0]).toEqual({ username: 'someone', x: 0.5, y: 0 })
+  })
+
+  it('limits alt texts, first comments, crop modes and priorities', async () => {
+    const { invalid } = await validate({
+      image_url: image(1),
+      caption: 'Hi',
+      alt_texts: ['x'.repeat(1001)],
+      first_comment: 'x'.repeat(2201),
+      crop_mode: '3:2',
+      priority: 'asap',
+    })
+    expect(invalid).toEqual(['first_comment', 'alt_texts[0]', 'crop_mode', 'priority'])
+  })
+
+  it('requires a caption except on stories and checks reel durations', async () => {
+    expect((await validate({ image_url: image(1) })).invalid).toEqual(['caption'])
+    expect((await validate({ image_url: image(1), post_type: 'story', caption: null })).invalid).toEqual([])
+    const reel = { image_url: image(1), media_type: 'reel', video_url: 'https://example.com/reel.mp4', caption: 'Hi' }
+    expect((await validate({ ...reel, video_duration_seconds: 2 })).invalid).toEqual(['video_duration_seconds'])
+    expect((await validate({ ...reel, video_duration_seconds: 901 })).invalid).toEqual(['video_duration_seconds'])
+    expect((await validate({ ...reel, video_duration_seconds: 30 })).invalid).toEqual([])
+  })
+
+  it('validates a post nested in the body', async () => {
+    const { invalid } = await validate({ post: { image_urls: [], caption: 'Hi' } }, 'post.')
+    expect(invalid).toEqual(['post.image_urls'])
+  })
+})
+
+describe('buildPostContent', () => {
+  it('derives media type, comparison image and priority level', () => {
+    const { content } = buildPostContent({
+      image_urls: [image(1), image(2)],
+      caption: ' Hi ',
+      crop_mode: '1:1',
+      priority: 'urgent',
+      user_tags: [{ username: 'someone', x: 0.1, y: 0.2, slide: 1 }],
+      comparison_image_url: 'https://evil.example.com/other.jpg',
+    })
+    expect(content.media_type).toBe('carousel')
+    expect(content.caption).toBe('Hi')
+    expect(content.priority).toBe(2)
+    expect(content.user_tags).toEqual([{ username: 'someone', x: 0.1, y: 0.2, slide: 1 }])
+    expect(content.comparison_image_url).toMatch(/^https:\/\/res\.cloudinary\.com\/demo\/image\/upload\/.+\/posts\/image-1$/)
+    expect(buildPostContent({ image_url: 'https://example.com/a.jpg', caption: 'Hi' }).content.comparison_image_url).toBeNull()
+  })
+
+  it('computes the reel aspect ratio instead of taking it from the client', () => {
+    const { content } = buildPostContent({
+      image_url: image(1),
+      media_type: 'reel',
+      video_url: 'https://example.com/reel.mp4',
+      video_width: 1080,
+      video_height: 1920,
+      video_aspect_ratio: 99,
+      caption: 'Hi',
+    })
+    expect(content.video_aspect_ratio).toBe(0.563)
+    expect(content.image_urls).toBeNull()
+  })
+
+  it('rejects combinations Instagram does not allow', () => {
+    const error = (input) => buildPostContent({ caption: 'Hi', image_url: image(1), ...input }).error
+    expect(error({ image_url: undefined })).toBe('Image URL is required')
+    expect(error({ media_type: 'reel' })).toBe('Video URL is required for reels')
+    expect(error({ post_type: 'story', image_urls: [image(1), image(2)] })).toBe('Stories take a single image')
+    expect(error({ post_type: 'story', first_comment: 'First!' })).toBe('Stories cannot have a first comment')
+    expect(error({ post_type: 'story', crop_mode: '4:5' })).toBe('Crop mode is only supported for image posts')
+    expect(error({ post_type: 'story', location: 'Paris' })).toBe('Stories cannot have a location or tagged people')
+    expect(error({ media_type: 'reel', video_url: 'https://example.com/reel.mp4', user_tags: [{ username: 'a', x: 0, y: 0 }] }))
+      .toBe('Tagging people on reels is not supported')
+    expect(error({ user_tags: [{ username: 'a', x: 0, y: 0, slide: 1 }] })).toBe('Tag for @a points to a slide that does not exist')
+    expect(error({ alt_texts: ['one', 'two'] })).toBe('There are more alt texts than images')
+    expect(error({ disable_comments: true, first_comment: 'First!' })).toBe('A first comment cannot be posted when commenting is turned off')
+    expect(error({ caption: ' ' })).toBe('Caption is required')
+    expect(error({ post_type: 'story', caption: null })).toBeUndefined()
+  })
+})
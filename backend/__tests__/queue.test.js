@@ -0,0 +1,84 @@
+import { jest } from '@jest/globals'
+import express from 'express'
+import request from 'supertest'
+
+describe('queue API', () => {
+  // Every Supabase query resolves to the next queued result; calls records the builder methods used
+  const results = []
+  const calls = []
+  const next = () => Promise.resolve(results.shift() || { data: null, error: null })
+  const query = (table) => {
+    const builder = new Proxy({}, {
+      get: (target, prop) => {
+        if (prop === 'then') return (resolve, reject) => next().then(resolve, reject)
+        if (prop === 'single' || prop === 'maybeSingle') return next
+        return (...args) => {
+          calls.push([table, prop, ...args])
+          return builder
+        }
+      },
+    })
+    return builder
+  }
+
+  let app
+  const userId = '00000000-0000-4000-8000-00000000000a'
+  const first = '00000000-0000-4000-8000-000000000001'
+  const second = '00000000-0000-4000-8000-000000000002'
+
+  beforeAll(async () => {
+    jest.resetModules()
+    jest.unstable_mockModule('@supabase/supabase-js', () => ({
+      createClient: () => ({
+        from: query,
+        rpc: next,
+        auth: { getUser: async () => ({ data: { user: { id: userId } }, error: null }) },
+      }),
+    }))
+    const { default: queueRouter } = await import('../routes/queue.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/queue', queueRouter)
+  })
+
+  beforeEach(() => {
+    results.length = 0
+    calls.length = 0
+  })
+
+  const asUser = (req) => req.set('authorization', 'Bearer token')
+
+  it('orders pending posts by their position in the list', async () => {
+    results.push({ data: [{ id: first, status: 'pending' }, { id: second, status: 'pending' }], error: null })
+    const res = await asUser(request(app).put('/api/queue/order')).send({ post_ids: [second, first, second] })
+    expect(res.status).toBe(200)
+    expect(res.body.count).toBe(2)
+    const positions = calls.filter(([, method]) => method === 'update').map(([, , values]) => values.queue_position)
+    expect(positions).toEqual([0, 1])
+  })
+
+  it('only reorders pending posts of the user', async () => {
+    results.push({ data: [{ id: first, status: 'pending' }, { id: second, status: 'processing' }], error: null })
+    const busy = await asUser(request(app).put('/api/queue/order')).send({ post_ids: [first, second] })
+    expect(busy.status).toBe(400)
+    expect(busy.body.message).toBe('Only pending posts can be reordered')
+
+    results.push({ data: [{ id: first, status: 'pending' }], error: null })
+    const foreign = await asUser(request(app).put('/api/queue/order')).send({ post_ids: [first, second] })
+    expect(foreign.status).toBe(404)
+
+    const invalid = await asUser(request(app).put('/api/queue/order')).send({ post_ids: ['nope'] })
+    expect(invalid.status).toBe(400)
+    expect(calls.filter(([, method]) => method === 'update')).toEqual([])
+  })
+
+  it('stores priority names as their level', async () => {
+    results.push({ data: { id: first, priority: 2, queue_position: null }, error: null })
+    const res = await asUser(request(app).patch(`/api/queue/${first}`)).send({ priority: 'urgent' })
+    expect(res.status).toBe(200)
+    expect(calls).toContainEqual(['posts', 'update', { priority: 2 }])
+
+    const unknown = await asUser(request(app).patch(`/api/queue/${first}`)).send({ priority: 'asap' })
+    expect(unknown.status).toBe(400)
+  })
+})
@@ -0,0 +1,62 @@
+import {
+  buildRRule,
+  describeRRule,
+  expandOccurrences,
+  RecurrenceError,
+} from '../services/recurrence.js'
+
+const iso = ({ occurrences }) => occurrences.map((date) => date.toISOString())
+
+describe('recurrence', () => {
+  it('keeps the local time of weekly occurrences across a DST change', () => {
+    const result = expandOccurrences({
+      rrule: 'FREQ=WEEKLY;BYDAY=MO,TH;COUNT=3',
+      startsAt: '2026-10-20T09:00',
+      timezone: 'Europe/Berlin',
+    })
+    expect(iso(result)).toEqual([
+      '2026-10-22T07:00:00.000Z',
+      '2026-10-26T08:00:00.000Z',
+      '2026-10-29T08:00:00.000Z',
+    ])
+    expect(result.exhausted).toBe(true)
+  })
+
+  it('skips months without the start day and supports ordinal weekdays', () => {
+    expect(iso(expandOccurrences({ rrule: 'FREQ=MONTHLY', startsAt: '2026-01-31T10:00', timezone: 'UTC', limit: 3 })))
+      .toEqual(['2026-01-31T10:00:00.000Z', '2026-03-31T10:00:00.000Z', '2026-05-31T10:00:00.000Z'])
+    expect(iso(expandOccurrences({ rrule: 'FREQ=MONTHLY;BYDAY=-1FR', startsAt: '2026-01-01T10:00', timezone: 'UTC', limit: 2 })))
+      .toEqual(['2026-01-30T10:00:00.000Z', '2026-02-27T10:00:00.000Z'])
+  })
+
+  it('stops at UNTIL and at the expansion bound', () => {
+    const untilResult = expandOccurrences({
+      rrule: buildRRule({ frequency: 'daily', interval: 2, until: '2026-10-25' }),
+      startsAt: '2026-10-19T08:00',
+      timezone: 'UTC',
+    })
+    expect(iso(untilResult)).toHaveLength(4)
+    expect(untilResult.exhausted).toBe(true)
+
+    const bounded = expandOccurrences({
+      rrule: 'FREQ=DAILY',
+      startsAt: '2026-10-19T08:00',
+      timezone: 'UTC',
+      before: new Date('2026-10-22T00:00:00Z'),
+    })
+    expect(iso(bounded)).toHaveLength(3)
+    expect(bounded.exhausted).toBe(false)
+  })
+
+  it('rejects unsupported rules', () => {
+    expect(() => expandOccurrences({ rrule: 'FREQ=YEARLY', startsAt: '2026-10-19T08:00', timezone: 'UTC', limit: 1 }))
+      .toThrow(RecurrenceError)
+    expect(() => expandOccurrences({ rrule: 'FREQ=DAILY;BYSETPOS=1', startsAt: '2026-10-19T08:00', timezone: 'UTC', limit: 1 }))
+      .toThrow('Unsupported RRULE part: BYSETPOS')
+  })
+
+  it('describes rules built from the simple options', () => {
+    expect(describeRRule(buildRRule({ frequency: 'weekly', interval: 2, weekdays: ['TH', 'MO'], count: 5 })))
+      .toBe('Every 2 weeks on Mon, Thu, 5 times')
+  })
+})
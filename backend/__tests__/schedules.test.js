@@ -0,0 +1,115 @@
+import { jest } from '@jest/globals'
+import express from 'express'
+import request from 'supertest'
+
+describe('schedules API', () => {
+  // Every Supabase query resolves to the next queued result; calls records the builder methods used
+  const results = []
+  const calls = []
+  const next = () => Promise.resolve(results.shift() || { data: null, error: null })
+  const query = (table) => {
+    const builder = new Proxy({}, {
+      get: (target, prop) => {
+        if (prop === 'then') return (resolve, reject) => next().then(resolve, reject)
+        if (prop === 'single' || prop === 'maybeSingle') return next
+        return (...args) => {
+          calls.push([table, prop, ...args])
+          return builder
+        }
+      },
+    })
+    return builder
+  }
+
+  let app
+  const userId = '00000000-0000-4000-8000-00000000000a'
+  const accountId = '00000000-0000-4000-8000-000000000002'
+  const scheduleId = '00000000-0000-4000-8000-000000000003'
+  const image = 'https://res.cloudinary.com/demo/image/upload/v1/posts/image-1.jpg'
+  // An hour from now, so the first occurrence is within the materializer's horizon
+  const startsAt = new Date(Date.now() + 60 * 60 * 1000).toISOString().slice(0, 16)
+
+  beforeAll(async () => {
+    process.env.CLOUDINARY_CLOUD_NAME = 'demo'
+    jest.resetModules()
+    jest.unstable_mockModule('@supabase/supabase-js', () => ({
+      createClient: () => ({
+        from: query,
+        rpc: next,
+        auth: { getUser: async () => ({ data: { user: { id: userId } }, error: null }) },
+      }),
+    }))
+    const { default: schedulesRouter } = await import('../routes/schedules.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/schedules', schedulesRouter)
+  })
+
+  afterAll(() => {
+    delete process.env.CLOUDINARY_CLOUD_NAME
+  })
+
+  beforeEach(() => {
+    results.length = 0
+    calls.length = 0
+  })
+
+  const create = (post) => request(app)
+    .post('/api/schedules')
+    .set('authorization', 'Bearer token')
+    .send({
+      post: { image_url: image, caption: 'Hi', ...post },
+      account_ids: [accountId],
+      recurrence: { frequency: 'daily' },
+      starts_at: startsAt,
+      timezone: 'UTC',
+    })
+  const scheduleRow = () => ({
+    id: scheduleId,
+    user_id: userId,
+    account_ids: [accountId],
+    rrule: 'FREQ=DAILY',
+    starts_at_local: startsAt,
+    timezone: 'UTC',
+  })
+  const inserted = (table) => calls.find(([name, method]) => name === table && method === 'insert')?.[2]
+
+  it('checks the template like POST /api/posts before saving anything', async () => {
+    const tooMany = await create({ image_urls: Array(11).fill(image) })
+    expect(tooMany.status).toBe(400)
+    const conflict = await create({ disable_comments: true, first_comment: 'First!' })
+    expect(conflict.status).toBe(400)
+    expect(conflict.body.message).toBe('A first comment cannot be posted when commenting is turned off')
+    expect(calls).toEqual([])
+  })
+
+  it('derives the comparison image instead of taking it from the client', async () => {
+    results.push(
+      { data: [{ id: accountId, is_active: true }], error: null },
+      { data: scheduleRow(), error: null },
+      { data: [{ id: accountId, requires_approval: false }], error: null },
+      { data: [{ id: 'post-1' }], error: null },
+    )
+    const res = await create({ crop_mode: '4:5', comparison_image_url: 'https://evil.example.com/a.jpg' })
+    expect(res.status).toBe(201)
+    expect(inserted('post_schedules').post_template.comparison_image_url)
+      .toMatch(/^https:\/\/res\.cloudinary\.com\/demo\/image\/upload\/.+\/posts\/image-1$/)
+  })
+
+  it('removes the schedule when its first posts cannot be created', async () => {
+    results.push(
+      { data: [{ id: accountId, is_active: true }], error: null },
+      { data: scheduleRow(), error: null },
+      { data: null, error: { message: 'connection reset' } },
+    )
+    const res = await create({})
+    expect(res.status).toBe(500)
+    expect(res.body.error).toBe('Failed to create schedule posts')
+    expect(calls).toEqual(expect.arrayContaining([
+      ['posts', 'delete'],
+      ['posts', 'eq', 'schedule_id', scheduleId],
+      ['post_schedules', 'delete'],
+      ['post_schedules', 'eq', 'id', scheduleId],
+    ]))
+  })
+})
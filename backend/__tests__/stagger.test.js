@@ -0,0 +1,27 @@
+import { computeAccountSchedule, normalizeStagger, StaggerError } from '../services/stagger.js'
+
+const times = (schedule) => schedule.map(({ scheduled_at }) => scheduled_at)
+const accounts = ['a', 'b', 'c']
+
+describe('stagger', () => {
+  it('spreads accounts evenly, a fixed offset apart or at random within the window', () => {
+    const start = '2026-10-20T09:00:00.000Z'
+    expect(times(computeAccountSchedule(start, accounts, { strategy: 'even', hours: 4 })))
+      .toEqual(['2026-10-20T09:00:00.000Z', '2026-10-20T11:00:00.000Z', '2026-10-20T13:00:00.000Z'])
+    expect(times(computeAccountSchedule(start, accounts, { strategy: 'offset', minutes: 45 })))
+      .toEqual(['2026-10-20T09:00:00.000Z', '2026-10-20T09:45:00.000Z', '2026-10-20T10:30:00.000Z'])
+    const random = [0, 0.5, 0.999]
+    expect(times(computeAccountSchedule(start, accounts, { strategy: 'random', hours: 2 }, () => random.shift())))
+      .toEqual(['2026-10-20T09:00:00.000Z', '2026-10-20T10:00:00.000Z', '2026-10-20T10:59:52.000Z'])
+    expect(times(computeAccountSchedule(start, ['a'], { strategy: 'even', hours: 4 }))).toEqual([start])
+    expect(times(computeAccountSchedule(start, accounts, null))).toEqual([start, start, start])
+  })
+
+  it('rejects unknown strategies and out of range windows', () => {
+    expect(normalizeStagger(null)).toBeNull()
+    expect(normalizeStagger({ strategy: 'offset', minutes: '30', hours: 2 })).toEqual({ strategy: 'offset', minutes: 30 })
+    expect(() => normalizeStagger({ strategy: 'burst' })).toThrow(StaggerError)
+    expect(() => normalizeStagger({ strategy: 'even', hours: 0 })).toThrow(/stagger.hours/)
+    expect(() => normalizeStagger({ strategy: 'offset', minutes: 1.5 })).toThrow(/stagger.minutes/)
+  })
+})
@@ -0,0 +1,160 @@
+import { jest } from '@jest/globals'
+import express from 'express'
+import request from 'supertest'
+import app from '../server.js'
+import { parseWorkerTokens } from '../middleware/worker-auth.js'
+
+describe('worker tokens', () => {
+  it('parses names, scopes and tokens that contain colons', () => {
+    const [first, second] = parseWorkerTokens('bot-eu:posts|logs:abc:def, bot-us:logs:xyz')
+    expect(first.name).toBe('bot-eu')
+    expect(first.scopes).toEqual(['posts', 'logs'])
+    expect(second.scopes).toEqual(['logs'])
+    expect(parseWorkerTokens('')).toEqual([])
+  })
+
+  it('rejects entries without a token or with unknown scopes', () => {
+    expect(() => parseWorkerTokens('bot-eu:posts')).toThrow(/expected name:scope\|scope:token/)
+    expect(() => parseWorkerTokens('bot-eu:admin:abc')).toThrow(/Unknown scope admin/)
+  })
+
+  it('answers worker requests without CSRF token when no worker tokens are configured', async () => {
+    const res = await request(app).post('/api/worker/claim').set('x-worker-token', 'abc').send({})
+    expect(res.status).toBe(500)
+    expect(res.body.error).toBe('Worker tokens not configured')
+  })
+
+  it('rate limits worker requests in production, with or without a valid token', async () => {
+    process.env.WORKER_RATE_LIMIT_MAX = '2'
+    jest.resetModules()
+    const { default: limitedApp } = await import('../server.js')
+    process.env.NODE_ENV = 'production'
+    try {
+      const statuses = []
+      for (let i = 0; i < 3; i++) {
+        const res = await request(limitedApp).post('/api/worker/claim').set('x-worker-token', 'wrong').send({})
+        statuses.push(res.status)
+      }
+      expect(statuses).toEqual([500, 500, 429])
+    } finally {
+      process.env.NODE_ENV = 'test'
+      delete process.env.WORKER_RATE_LIMIT_MAX
+    }
+  })
+})
+
+describe('worker API', () => {
+  // Every Supabase query resolves to the next queued result
+  const results = []
+  const next = () => Promise.resolve(results.shift() || { data: null, error: null })
+  const query = () => {
+    const builder = new Proxy({}, {
+      get: (target, prop) => {
+        if (prop === 'then') return (resolve, reject) => next().then(resolve, reject)
+        if (prop === 'single' || prop === 'maybeSingle') return next
+        return () => builder
+      },
+    })
+    return builder
+  }
+
+  let workerApp
+  const postId = '00000000-0000-4000-8000-000000000001'
+  const accountId = '00000000-0000-4000-8000-000000000002'
+  const progress = `/api/worker/posts/${postId}/accounts/${accountId}/progress`
+
+  beforeAll(async () => {
+    process.env.WORKER_TOKENS = 'bot-1:posts|logs:posts-token,log-shipper:logs:logs-token'
+    jest.resetModules()
+    jest.unstable_mockModule('@supabase/supabase-js', () => ({
+      createClient: () => ({ from: query, rpc: next }),
+    }))
+    const { default: workerRouter } = await import('../routes/worker.js')
+    workerApp = express()
+    workerApp.use(express.json())
+    workerApp.use('/api/worker', workerRouter)
+  })
+
+  afterAll(() => {
+    delete process.env.WORKER_TOKENS
+  })
+
+  beforeEach(() => {
+    results.length = 0
+  })
+
+  const asWorker = (req, token = 'posts-token') => req.set('x-worker-token', token).set('x-worker-id', 'host-1')
+
+  it('accepts a valid token with the endpoint\'s scope', async () => {
+    results.push({ data: [{ id: postId }], error: null })
+    const res = await asWorker(request(workerApp).post(`/api/worker/posts/${postId}/complete`)).send({})
+    expect(res.status).toBe(200)
+    expect(res.body.status).toBe('completed')
+  })
+
+  it('rejects a missing or unknown token with 401', async () => {
+    const missing = await request(workerApp).post(`/api/worker/posts/${postId}/complete`).send({})
+    expect(missing.status).toBe(401)
+    const unknown = await asWorker(request(workerApp).post(`/api/worker/posts/${postId}/complete`), 'nope').send({})
+    expect(unknown.status).toBe(401)
+    expect(unknown.body.message).toBe('Invalid worker token')
+  })
+
+  it('rejects a token without the endpoint\'s scope with 403', async () => {
+    const res = await asWorker(request(workerApp).post(`/api/worker/posts/${postId}/fail`), 'logs-token').send({})
+    expect(res.status).toBe(403)
+    expect(res.body.message).toBe('Worker token lacks the "posts" scope')
+  })
+
+  it('answers 409 once the lease on the post is lost', async () => {
+    // No processing post leased to this worker
+    results.push({ data: null, error: null })
+    const progressRes = await asWorker(request(workerApp).post(progress)).send({ updates: { status: 'completed' } })
+    expect(progressRes.status).toBe(409)
+
+    results.push({ data: [], error: null })
+    const completeRes = await asWorker(request(workerApp).post(`/api/worker/posts/${postId}/complete`)).send({})
+    expect(completeRes.status).toBe(409)
+
+    results.push({ data: [], error: null })
+    const failRes = await asWorker(request(workerApp).post(`/api/worker/posts/${postId}/fail`)).send({ error: 'Share button not found' })
+    expect(failRes.status).toBe(409)
+    expect(failRes.body.message).toBe('This worker no longer holds the lease on the post')
+  })
+
+  it('records artifacts only under the key of their attempt and with Cloudinary URLs', async () => {
+    process.env.CLOUDINARY_CLOUD_NAME = 'demo'
+    const artifact = {
+      post_id: postId,
+      post_account_id: accountId,
+      attempt: 2,
+      kind: 'screenshot',
+      step: 'error',
+      store: 'cloudinary',
+      url: null,
+      storage_path: `instagram-automation/artifacts/${postId}/${accountId}/attempt-2/01-error`,
+    }
+    const record = (overrides) => asWorker(request(workerApp).post('/api/worker/artifacts'), 'logs-token')
+      .send({ artifacts: [{ ...artifact, ...overrides }] })
+
+    expect((await record({})).status).toBe(201)
+    expect((await record({ url: 'https://res.cloudinary.com/demo/image/upload/v1/a.jpg' })).status).toBe(201)
+    expect((await record({ store: 'local', storage_path: `/srv/bot/screenshots/artifacts/${postId}/${accountId}/attempt-2/02-final.html` })).status).toBe(201)
+
+    expect((await record({ url: 'http://169.254.169.254/latest/meta-data' })).status).toBe(400)
+    expect((await record({ storage_path: `instagram-automation/artifacts/${postId}/${accountId}/attempt-1/01-error` })).status).toBe(400)
+    expect((await record({ store: 'local', storage_path: '/etc/passwd' })).status).toBe(400)
+    const traversal = await record({ store: 'local', storage_path: `/srv/artifacts/../../${postId}/${accountId}/attempt-2/01-x.jpg` })
+    expect(traversal.status).toBe(400)
+    delete process.env.CLOUDINARY_CLOUD_NAME
+  })
+
+  it('records diagnostics only under the key of their log entry', async () => {
+    const record = (file) => asWorker(request(workerApp).post(`/api/worker/logs/${postId}/diagnostics`), 'logs-token')
+      .send({ files: [{ kind: 'har', file_name: 'post.har.gz', store: 'local', ...file }] })
+
+    expect((await record({ storage_path: `/srv/bot/screenshots/artifacts/diagnostics/${postId}/post.har.gz` })).status).toBe(201)
+    expect((await record({ storage_path: `/srv/bot/screenshots/artifacts/diagnostics/${accountId}/post.har.gz` })).status).toBe(400)
+    expect((await record({ file_name: '../.env', storage_path: '/srv/artifacts/diagnostics/../.env' })).status).toBe(400)
+  })
+})
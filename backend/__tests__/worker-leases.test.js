@@ -0,0 +1,276 @@
+import { jest } from '@jest/globals'
+import express from 'express'
+import request from 'supertest'
+
+describe('worker leases', () => {
+  // Every Supabase query and RPC resolves to the next queued result; calls records what was used
+  const results = []
+  const calls = []
+  const next = () => Promise.resolve(results.shift() || { data: null, error: null })
+  const query = (table) => {
+    const builder = new Proxy({}, {
+      get: (target, prop) => {
+        if (prop === 'then') return (resolve, reject) => next().then(resolve, reject)
+        if (prop === 'single' || prop === 'maybeSingle') return next
+        return (...args) => {
+          calls.push([table, prop, ...args])
+          return builder
+        }
+      },
+    })
+    return builder
+  }
+  const rpc = (name, args) => {
+    calls.push(['rpc', name, args])
+    return next()
+  }
+
+  let app
+  const first = '00000000-0000-4000-8000-000000000001'
+  const second = '00000000-0000-4000-8000-000000000002'
+
+  beforeAll(async () => {
+    process.env.WORKER_TOKENS = 'bot-1:posts|logs:posts-token'
+    jest.resetModules()
+    jest.unstable_mockModule('@supabase/supabase-js', () => ({
+      createClient: () => ({ from: query, rpc }),
+    }))
+    const { default: workerRouter } = await import('../routes/worker.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/worker', workerRouter)
+  })
+
+  afterAll(() => {
+    delete process.env.WORKER_TOKENS
+  })
+
+  beforeEach(() => {
+    results.length = 0
+    calls.length = 0
+  })
+
+  const asWorker = (req) => req.set('x-worker-token', 'posts-token').set('x-worker-id', 'host-1')
+  const rpcCalls = () => calls.filter(([kind]) => kind === 'rpc').map(([, name, args]) => [name, args])
+
+  describe('posts', () => {
+    it('reclaims expired leases, then leases due posts to the worker in queue order', async () => {
+      results.push(
+        { data: null, error: null },
+        { data: [{ id: first }, { id: second }], error: null },
+        // Another worker took the first post between the queue read and the claim
+        { data: [second], error: null },
+        { data: [{ id: second, post_accounts: [] }], error: null },
+      )
+      const res = await asWorker(request(app).post('/api/worker/claim')).send({ limit: 2, lease_seconds: 120 })
+      expect(res.status).toBe(200)
+      expect(res.body).toEqual({ posts: [{ id: second, post_accounts: [] }], lease_seconds: 120 })
+      expect(rpcCalls()).toEqual([
+        ['reclaim_expired_post_leases', undefined],
+        ['claim_post_leases', { p_post_ids: [first, second], p_worker: 'bot-1/host-1', p_lease_seconds: 120 }],
+      ])
+    })
+
+    it('claims nothing when no post is due', async () => {
+      results.push({ data: null, error: null }, { data: [], error: null })
+      const res = await asWorker(request(app).post('/api/worker/claim')).send({})
+      expect(res.status).toBe(200)
+      expect(res.body.posts).toEqual([])
+      expect(rpcCalls().map(([name]) => name)).toEqual(['reclaim_expired_post_leases'])
+    })
+
+    it('still claims when reclaiming expired leases fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+      results.push(
+        { data: null, error: { message: 'timeout' } },
+        { data: [{ id: first }], error: null },
+        { data: [first], error: null },
+        { data: [{ id: first }], error: null },
+      )
+      const res = await asWorker(request(app).post('/api/worker/claim')).send({})
+      expect(res.status).toBe(200)
+      expect(res.body.posts).toEqual([{ id: first }])
+      console.error.mockRestore()
+    })
+
+    it('renews the leases the worker still holds and returns them', async () => {
+      results.push({ data: [first], error: null })
+      const res = await asWorker(request(app).post('/api/worker/heartbeat')).send({ post_ids: [first, second] })
+      expect(res.status).toBe(200)
+      expect(res.body).toEqual({ post_ids: [first], lease_seconds: 300 })
+      expect(rpcCalls()).toEqual([
+        ['renew_post_leases', { p_post_ids: [first, second], p_worker: 'bot-1/host-1', p_lease_seconds: 300 }],
+      ])
+    })
+
+    it('rejects lease lengths out of range', async () => {
+      const res = await asWorker(request(app).post('/api/worker/heartbeat')).send({ post_ids: [first], lease_seconds: 5 })
+      expect(res.status).toBe(400)
+      expect(rpcCalls()).toEqual([])
+    })
+
+    it('only releases posts the worker still holds', async () => {
+      results.push({ data: [{ id: first }], error: null })
+      const res = await asWorker(request(app).post(`/api/worker/posts/${first}/complete`)).send({ requeue: true })
+      expect(res.status).toBe(200)
+      expect(res.body.status).toBe('pending')
+      expect(calls).toEqual(expect.arrayContaining([
+        ['posts', 'update', { status: 'pending', leased_by: null, lease_expires_at: null }],
+        ['posts', 'eq', 'status', 'processing'],
+        ['posts', 'eq', 'leased_by', 'bot-1/host-1'],
+      ]))
+
+      results.push({ data: [], error: null })
+      const lost = await asWorker(request(app).post(`/api/worker/posts/${first}/complete`)).send({ requeue: true })
+      expect(lost.status).toBe(409)
+    })
+  })
+
+  describe('removals', () => {
+    const row = { id: first, post_id: second, removal_action: 'archive' }
+
+    it('leases the oldest removal no other worker took', async () => {
+      results.push(
+        { data: null, error: null },
+        { data: [{ id: second }, { id: first }], error: null },
+        { data: false, error: null },
+        { data: true, error: null },
+        { data: row, error: null },
+      )
+      const res = await asWorker(request(app).post('/api/worker/tasks/claim')).send({ task: 'removal' })
+      expect(res.status).toBe(200)
+      expect(res.body).toEqual({ task: row, lease_seconds: 300 })
+      expect(calls).toContainEqual(['post_accounts', 'eq', 'removal_status', 'pending'])
+      expect(calls).toContainEqual(['post_accounts', 'order', 'removal_requested_at', { ascending: true }])
+      expect(rpcCalls()).toEqual([
+        ['reclaim_expired_post_account_tasks', undefined],
+        ['claim_post_account_task', { p_id: second, p_task: 'removal', p_worker: 'bot-1/host-1', p_lease_seconds: 300 }],
+        ['claim_post_account_task', { p_id: first, p_task: 'removal', p_worker: 'bot-1/host-1', p_lease_seconds: 300 }],
+      ])
+    })
+
+    it('claims nothing when every queued removal is taken', async () => {
+      results.push(
+        { data: null, error: null },
+        { data: [{ id: first }], error: null },
+        { data: false, error: null },
+      )
+      const res = await asWorker(request(app).post('/api/worker/tasks/claim')).send({ task: 'removal' })
+      expect(res.status).toBe(200)
+      expect(res.body.task).toBeNull()
+    })
+
+    it('answers 409 to a worker whose removal lease was reclaimed', async () => {
+      results.push({ data: false, error: null })
+      const heartbeat = await asWorker(request(app).post(`/api/worker/tasks/${first}/heartbeat`)).send({ task: 'removal' })
+      expect(heartbeat.status).toBe(409)
+      expect(heartbeat.body.message).toBe('This worker no longer holds the lease on the task')
+
+      results.push({ data: [], error: null })
+      const finish = await asWorker(request(app).post(`/api/worker/tasks/${first}/finish`)).send({ task: 'removal', success: true })
+      expect(finish.status).toBe(409)
+    })
+
+    it('records the removal and clears its lease', async () => {
+      results.push({ data: [{ id: first }], error: null })
+      const res = await asWorker(request(app).post(`/api/worker/tasks/${first}/finish`))
+        .send({ task: 'removal', success: false, error: 'Post not found on profile' })
+      expect(res.status).toBe(200)
+      expect(calls).toEqual(expect.arrayContaining([
+        ['post_accounts', 'update', {
+          removal_status: 'failed',
+          removal_error: 'Post not found on profile',
+          removal_leased_by: null,
+          removal_lease_expires_at: null,
+        }],
+        ['post_accounts', 'eq', 'removal_status', 'processing'],
+        ['post_accounts', 'eq', 'removal_leased_by', 'bot-1/host-1'],
+      ]))
+    })
+
+    it('rejects unknown tasks', async () => {
+      const res = await asWorker(request(app).post('/api/worker/tasks/claim')).send({ task: 'repost' })
+      expect(res.status).toBe(400)
+      expect(rpcCalls()).toEqual([])
+    })
+  })
+
+  describe('caption edits', () => {
+    it('leases the longest waiting caption edit with the latest caption', async () => {
+      const row = { id: first, caption_edit_revision: 3, post: { id: second, caption: 'Latest' } }
+      results.push(
+        { data: null, error: null },
+        { data: [{ id: first }], error: null },
+        { data: true, error: null },
+        { data: row, error: null },
+      )
+      const res = await asWorker(request(app).post('/api/worker/tasks/claim')).send({ task: 'caption_edit', lease_seconds: 60 })
+      expect(res.status).toBe(200)
+      expect(res.body).toEqual({ task: row, lease_seconds: 60 })
+      expect(calls).toContainEqual(['post_accounts', 'eq', 'caption_edit_status', 'pending'])
+      expect(calls).toContainEqual(['post_accounts', 'order', 'updated_at', { ascending: true }])
+      expect(rpcCalls()).toContainEqual(
+        ['claim_post_account_task', { p_id: first, p_task: 'caption_edit', p_worker: 'bot-1/host-1', p_lease_seconds: 60 }]
+      )
+    })
+
+    it('renews the lease of a caption edit in progress', async () => {
+      results.push({ data: true, error: null })
+      const res = await asWorker(request(app).post(`/api/worker/tasks/${first}/heartbeat`)).send({ task: 'caption_edit', lease_seconds: 60 })
+      expect(res.status).toBe(200)
+      expect(rpcCalls()).toEqual([
+        ['renew_post_account_task', { p_id: first, p_task: 'caption_edit', p_worker: 'bot-1/host-1', p_lease_seconds: 60 }],
+      ])
+    })
+
+    it('records the edit and clears its lease', async () => {
+      results.push({ data: [{ id: first }], error: null })
+      const res = await asWorker(request(app).post(`/api/worker/tasks/${first}/finish`)).send({ task: 'caption_edit', success: true })
+      expect(res.status).toBe(200)
+      expect(calls).toEqual(expect.arrayContaining([
+        ['post_accounts', 'update', {
+          caption_edit_status: 'completed',
+          caption_edited_at: expect.any(String),
+          caption_edit_error: null,
+          caption_edit_leased_by: null,
+          caption_edit_lease_expires_at: null,
+        }],
+        ['post_accounts', 'eq', 'caption_edit_status', 'processing'],
+        ['post_accounts', 'eq', 'caption_edit_leased_by', 'bot-1/host-1'],
+      ]))
+    })
+
+    it('queues a new edit over one in progress, whose result is then ignored', async () => {
+      const { applyCaptionRevision } = await import('../services/caption-edit.js')
+      results.push(
+        {
+          data: {
+            id: second,
+            post_accounts: [
+              { id: first, status: 'completed', instagram_post_url: 'https://www.instagram.com/p/abc/' },
+              { id: second, status: 'completed', instagram_post_url: 'https://www.instagram.com/p/def/', removal_status: 'completed', removal_action: 'delete' },
+            ],
+          },
+          error: null,
+        },
+        { data: null, error: null },
+      )
+      await expect(applyCaptionRevision(second, 'Newer', 4)).resolves.toBe(1)
+      expect(calls).toEqual(expect.arrayContaining([
+        ['post_accounts', 'update', {
+          caption_edit_status: 'pending',
+          caption_edit_revision: 4,
+          caption_edit_error: null,
+          caption_edit_leased_by: null,
+          caption_edit_lease_expires_at: null,
+        }],
+        ['post_accounts', 'in', 'id', [first]],
+      ]))
+
+      // The worker still editing the old caption has lost its lease
+      results.push({ data: [], error: null })
+      const finish = await asWorker(request(app).post(`/api/worker/tasks/${first}/finish`)).send({ task: 'caption_edit', success: true })
+      expect(finish.status).toBe(409)
+    })
+  })
+})
@@ -3,34 +3,67 @@ import multer from 'multer';
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
 
+// Accepted media types - images for feed/carousel posts, videos for Reels
+export const IMAGE_MIME_TYPES = ['image/jpeg', 'image/jpg', 'image/png'];
+export const VIDEO_MIME_TYPES = ['video/mp4', 'video/quicktime'];
+
+export const MAX_IMAGE_SIZE = 8 * 1024 * 1024; // 8MB
+export const MAX_VIDEO_SIZE = 100 * 1024 * 1024; // 100MB
+
 // File filter function
 const fileFilter = (req, file, cb) => {
-  // Accept only image files
+  // Accept image files and MP4/MOV videos
   if (file.mimetype.startsWith('image/')) {
     // Check for specific image types
-    const allowedMimes = ['image/jpeg', 'image/jpg', 'image/png'];
-    if (allowedMimes.includes(file.mimetype)) {
+    if (IMAGE_MIME_TYPES.includes(file.mimetype)) {
       cb(null, true);
     } else {
       cb(new Error('Only JPG and PNG files are allowed'), false);
     }
+  } else if (file.mimetype.startsWith('video/')) {
+    if (VIDEO_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only MP4 and MOV videos are allowed'), false);
+    }
+  } else {
+    cb(new Error('Only image or video files are allowed'), false);
+  }
+};
+
+// Carousel slides are images only
+const imageFileFilter = (req, file, cb) => {
+  if (IMAGE_MIME_TYPES.includes(file.mimetype)) {
+    cb(null, true);
+  } else if (file.mimetype.startsWith('image/')) {
+    cb(new Error('Only JPG and PNG files are allowed'), false);
   } else {
     cb(new Error('Only image files are allowed'), false);
   }
 };
 
 // Configure multer
+// The hard limit is the video ceiling; per-type sizes are checked in validateImageFormat/validateVideoFormat
 const upload = multer({
   storage,
   limits: {
-    fileSize: 8 * 1024 * 1024, // 8MB
+    fileSize: MAX_VIDEO_SIZE,
   },
   fileFilter,
 });
 
+// Up to 10 images, each stopped at the image size instead of the video ceiling
+const imageUpload = multer({
+  storage,
+  limits: {
+    fileSize: MAX_IMAGE_SIZE,
+  },
+  fileFilter: imageFileFilter,
+});
+
 // Export middleware
-export const uploadSingle = upload.single('image');
-export const uploadMultiple = upload.array('images', 10); // Max 10 images
+export const uploadSingle = upload.single('image'); // field name kept as `image`, also carries videos
+export const uploadMultiple = imageUpload.array('images', 10); // Max 10 images
 
 export default upload;
 
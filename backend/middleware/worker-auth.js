@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Scopes a worker token can carry: 'posts' claims and reports posting jobs,
+// 'logs' writes activity log entries
+export const WORKER_SCOPES = ['posts', 'logs'];
+
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+/**
+ * Parse WORKER_TOKENS: comma-separated `name:scope|scope:token` entries, e.g.
+ * `bot-eu:posts|logs:3f9c...`. The name identifies the worker in post leases.
+ * @param {string} value
+ * @returns {Array<{ name: string, scopes: string[], digest: Buffer }>}
+ */
+export function parseWorkerTokens(value) {
+  return (value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, scopes, ...rest] = entry.split(':');
+      const token = rest.join(':');
+      if (!name || !scopes || !token) {
+        throw new Error(`Invalid WORKER_TOKENS entry "${name || entry}": expected name:scope|scope:token`);
+      }
+      const scopeList = scopes.split('|').map((scope) => scope.trim());
+      const unknown = scopeList.filter((scope) => !WORKER_SCOPES.includes(scope));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown scope ${unknown.join(', ')} for worker "${name}"`);
+      }
+      return { name, scopes: scopeList, digest: digest(token) };
+    });
+}
+
+const workerTokens = parseWorkerTokens(process.env.WORKER_TOKENS);
+
+/**
+ * Middleware for the bot's worker API. The token goes in `x-worker-token`;
+ * `x-worker-id` optionally names the bot instance behind a shared token.
+ * @param {string} scope - One of WORKER_SCOPES the token must carry
+ */
+export const authenticateWorker = (scope) => (req, res, next) => {
+  if (workerTokens.length === 0) {
+    return res.status(500).json({
+      error: 'Worker tokens not configured',
+      message: 'Set WORKER_TOKENS in backend environment'
+    });
+  }
+
+  const token = req.headers['x-worker-token'];
+  // Compare digests so the check takes the same time for every token
+  const worker = token && workerTokens.find((entry) => crypto.timingSafeEqual(entry.digest, digest(token)));
+  if (!worker) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid worker token'
+    });
+  }
+  if (!worker.scopes.includes(scope)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `Worker token lacks the "${scope}" scope`
+    });
+  }
+
+  const instance = typeof req.headers['x-worker-id'] === 'string' ? req.headers['x-worker-id'].trim().slice(0, 100) : '';
+  req.worker = {
+    name: worker.name,
+    // Lease owner: the token's worker plus the instance, so instances sharing a token keep separate leases
+    id: instance ? `${worker.name}/${instance}` : worker.name,
+  };
+  next();
+};
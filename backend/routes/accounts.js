@@ -5,6 +5,8 @@ import dotenv from 'dotenv';
 import { authenticateUser } from '../middleware/auth.js';
 import { encryptPassword, decryptPassword } from '../utils/encryption.js';
 import { logActivity } from '../utils/activityLogger.js';
+import { isValidTimezone } from '../services/recurrence.js';
+import { normalizePostingWindows, normalizePostingBlackouts, PostingWindowError } from '../services/posting-window.js';
 
 dotenv.config();
 
@@ -24,7 +26,7 @@ router.get('/', authenticateUser, async (req, res) => {
     // Fetch accounts with stats
     const { data, error } = await supabase
       .from('accounts')
-      .select('id, instagram_username, is_active, posts_today, last_post_at, created_at, updated_at')
+      .select('id, instagram_username, is_active, posts_today, last_post_at, ui_locale, timezone, posting_windows, posting_blackouts, requires_approval, created_at, updated_at')
       .eq('user_id', userId)
       .order('created_at', { ascending: false });
 
@@ -57,7 +59,7 @@ router.get('/:id', authenticateUser, async (req, res) => {
 
     const { data, error } = await supabase
       .from('accounts')
-      .select('id, instagram_username, is_active, posts_today, last_post_at, created_at, updated_at')
+      .select('id, instagram_username, is_active, posts_today, last_post_at, ui_locale, timezone, posting_windows, posting_blackouts, requires_approval, created_at, updated_at')
       .eq('id', id)
       .eq('user_id', userId)
       .single();
@@ -92,6 +94,7 @@ router.post(
   [
     body('instagram_username').isString().trim().isLength({ min: 1, max: 255 }).escape(),
     body('password').isString().isLength({ min: 6, max: 256 }),
+    body('timezone').optional({ nullable: true }).custom(isValidTimezone).withMessage('timezone must be an IANA timezone, e.g. Europe/Berlin'),
   ],
   async (req, res) => {
   try {
@@ -99,7 +102,7 @@ router.post(
     if (!errors.isEmpty()) {
       return res.status(400).json({ error: 'Validation error', details: errors.array() });
     }
-    const { instagram_username, password } = req.body;
+    const { instagram_username, password, timezone } = req.body;
     const userId = req.user.id;
 
     // Validate input
@@ -171,8 +174,9 @@ router.post(
         password_encrypted,
         is_active: true,
         posts_today: 0,
+        timezone: timezone || null,
       })
-      .select('id, instagram_username, is_active, posts_today, last_post_at, created_at, updated_at')
+      .select('id, instagram_username, is_active, posts_today, last_post_at, ui_locale, timezone, posting_windows, posting_blackouts, requires_approval, created_at, updated_at')
       .single();
 
     if (insertError) {
@@ -223,6 +227,10 @@ router.put(
     body('instagram_username').optional().isString().trim().isLength({ min: 1, max: 255 }).escape(),
     body('password').optional().isString().isLength({ min: 6, max: 256 }),
     body('is_active').optional().isBoolean(),
+    body('timezone').optional({ nullable: true }).custom(isValidTimezone).withMessage('timezone must be an IANA timezone, e.g. Europe/Berlin'),
+    body('posting_windows').optional({ nullable: true }).isArray(),
+    body('posting_blackouts').optional({ nullable: true }).isArray(),
+    body('requires_approval').optional().isBoolean().withMessage('requires_approval must be true or false').toBoolean(),
   ],
   async (req, res) => {
   try {
@@ -232,12 +240,12 @@ router.put(
     }
     const { id } = req.params;
     const userId = req.user.id;
-    const { instagram_username, password, is_active } = req.body;
+    const { instagram_username, password, is_active, timezone, posting_windows, posting_blackouts, requires_approval } = req.body;
 
     // Verify account belongs to user
     const { data: existingAccount, error: fetchError } = await supabase
       .from('accounts')
-      .select('id, instagram_username')
+      .select('id, instagram_username, requires_approval')
       .eq('id', id)
       .eq('user_id', userId)
       .single();
@@ -330,6 +338,39 @@ router.put(
       updates.is_active = is_active;
     }
 
+    // Posts created from now on go to a reviewer first; queued ones stay queued.
+    // Only a reviewer can turn it off again (POST /api/approvals/accounts/:id/lift)
+    if (requires_approval === false && existingAccount.requires_approval) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only one of your reviewers can turn off approval for this account'
+      });
+    }
+    if (requires_approval !== undefined) {
+      updates.requires_approval = requires_approval;
+    }
+
+    // Posting windows and blackouts are read in the account's timezone
+    if (timezone !== undefined) {
+      updates.timezone = timezone || null;
+    }
+    try {
+      if (posting_windows !== undefined) {
+        updates.posting_windows = normalizePostingWindows(posting_windows);
+      }
+      if (posting_blackouts !== undefined) {
+        updates.posting_blackouts = normalizePostingBlackouts(posting_blackouts);
+      }
+    } catch (windowError) {
+      if (windowError instanceof PostingWindowError) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: windowError.message
+        });
+      }
+      throw windowError;
+    }
+
     // Check if there are any updates
     if (Object.keys(updates).length === 0) {
       return res.status(400).json({
@@ -344,7 +385,7 @@ router.put(
       .update(updates)
       .eq('id', id)
       .eq('user_id', userId)
-      .select('id, instagram_username, is_active, posts_today, last_post_at, created_at, updated_at')
+      .select('id, instagram_username, is_active, posts_today, last_post_at, ui_locale, timezone, posting_windows, posting_blackouts, requires_approval, created_at, updated_at')
       .single();
 
     if (updateError) {
@@ -355,6 +396,20 @@ router.put(
       });
     }
 
+    // Deferred posts are re-checked against the new windows on the next bot run
+    if (['timezone', 'posting_windows', 'posting_blackouts'].some((field) => field in updates)) {
+      const { error: deferError } = await supabase
+        .from('post_accounts')
+        .update({ deferred_until: null })
+        .eq('account_id', id)
+        .eq('status', 'pending')
+        .not('deferred_until', 'is', null);
+
+      if (deferError) {
+        console.error('Supabase error:', deferError);
+      }
+    }
+
     res.json({
       message: 'Account updated successfully',
       account: data
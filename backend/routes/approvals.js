@@ -0,0 +1,610 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { authenticateUser } from '../middleware/auth.js';
+import { logActivity } from '../utils/activityLogger.js';
+import { getReviewableOwnerIds, normalizeReviewerEmail } from '../services/approval.js';
+import { applyCaptionRevision } from '../services/caption-edit.js';
+
+dotenv.config();
+
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_REVIEWERS = 20;
+
+const router = express.Router();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// GET /api/approvals - Posts waiting for the signed-in user's review
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    const ownerIds = await getReviewableOwnerIds(req.user);
+    if (ownerIds.length === 0) {
+      return res.json({ posts: [], caption_edits: [], accounts: [], reviewer: false });
+    }
+
+    const { data, error } = await supabase
+      .from('posts')
+      .select(`
+        *,
+        post_accounts (
+          id,
+          account_id,
+          status,
+          account:accounts (
+            id,
+            instagram_username,
+            timezone
+          )
+        ),
+        post_approvals (
+          id,
+          decision,
+          comment,
+          reviewer_email,
+          created_at
+        )
+      `)
+      .eq('status', 'awaiting_approval')
+      .in('user_id', ownerIds)
+      .order('submitted_at', { ascending: true });
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to fetch posts awaiting approval',
+        message: error.message
+      });
+    }
+
+    // Caption edits of published posts, applied once approved
+    const { data: captionEdits, error: captionEditsError } = await supabase
+      .from('post_caption_revisions')
+      .select(`
+        id,
+        post_id,
+        revision,
+        previous_caption,
+        caption,
+        created_at,
+        post:posts!inner (
+          id,
+          user_id,
+          post_type,
+          media_type,
+          image_url,
+          post_accounts (
+            id,
+            account:accounts (
+              id,
+              instagram_username
+            )
+          )
+        )
+      `)
+      .eq('status', 'awaiting_approval')
+      .in('post.user_id', ownerIds)
+      .order('created_at', { ascending: true });
+
+    if (captionEditsError) {
+      console.error('Supabase error:', captionEditsError);
+      return res.status(500).json({
+        error: 'Failed to fetch caption edits awaiting approval',
+        message: captionEditsError.message
+      });
+    }
+
+    // Only a reviewer can turn approval off again for these
+    const { data: accounts, error: accountsError } = await supabase
+      .from('accounts')
+      .select('id, instagram_username')
+      .in('user_id', ownerIds)
+      .eq('requires_approval', true)
+      .order('instagram_username', { ascending: true });
+
+    if (accountsError) {
+      console.error('Supabase error:', accountsError);
+      return res.status(500).json({
+        error: 'Failed to fetch accounts that require approval',
+        message: accountsError.message
+      });
+    }
+
+    res.json({ posts: data || [], caption_edits: captionEdits || [], accounts: accounts || [], reviewer: true });
+  } catch (error) {
+    console.error('Error fetching approvals:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Record a reviewer's decision on a post awaiting approval
+async function decide(req, res, decision) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation error', details: errors.array() });
+  }
+  const { id } = req.params;
+  const comment = req.body.comment?.trim() || null;
+
+  const ownerIds = await getReviewableOwnerIds(req.user);
+  const { data: post, error: fetchError } = await supabase
+    .from('posts')
+    .select('id, user_id, status')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (fetchError) {
+    console.error('Supabase error:', fetchError);
+    return res.status(500).json({
+      error: 'Failed to fetch post',
+      message: fetchError.message
+    });
+  }
+  if (post && post.user_id === req.user.id) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You cannot review your own posts'
+    });
+  }
+  // Posts of users the caller doesn't review look the same as missing ones
+  if (!post || !ownerIds.includes(post.user_id)) {
+    return res.status(404).json({ error: 'Post not found' });
+  }
+  if (post.status !== 'awaiting_approval') {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: 'This post is not awaiting approval'
+    });
+  }
+
+  const now = new Date().toISOString();
+  const updates = decision === 'approved'
+    ? { status: 'pending', approved_at: now, approved_by: req.user.id }
+    : { status: 'draft', approved_at: null, approved_by: null };
+
+  // Only the first of two simultaneous decisions goes through
+  const { data: updated, error: updateError } = await supabase
+    .from('posts')
+    .update(updates)
+    .eq('id', id)
+    .eq('status', 'awaiting_approval')
+    .select()
+    .maybeSingle();
+
+  if (updateError) {
+    console.error('Supabase error:', updateError);
+    return res.status(500).json({
+      error: 'Failed to update post',
+      message: updateError.message
+    });
+  }
+  if (!updated) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: 'This post was already reviewed'
+    });
+  }
+
+  const { error: approvalError } = await supabase
+    .from('post_approvals')
+    .insert({
+      post_id: id,
+      reviewer_id: req.user.id,
+      reviewer_email: normalizeReviewerEmail(req.user.email),
+      decision,
+      comment,
+    });
+
+  if (approvalError) {
+    console.error('Supabase error:', approvalError);
+  }
+
+  await logActivity(post.user_id, decision === 'approved' ? 'Post approved' : 'Post rejected', decision === 'approved' ? 'success' : 'warning', {
+    postId: id,
+    reviewer: req.user.email,
+    comment,
+  });
+
+  return res.json({
+    message: decision === 'approved' ? 'Post approved and queued' : 'Post rejected and returned to drafts',
+    post: updated
+  });
+}
+
+// POST /api/approvals/:id/approve - Approve a post into the queue
+router.post(
+  '/:id/approve',
+  authenticateUser,
+  [
+    param('id').isUUID().withMessage('Invalid ID'),
+    body('comment').optional({ values: 'null' }).isString().isLength({ max: MAX_COMMENT_LENGTH })
+      .withMessage(`Comment must be at most ${MAX_COMMENT_LENGTH} characters`),
+  ],
+  async (req, res) => {
+  try {
+    await decide(req, res, 'approved');
+  } catch (error) {
+    console.error('Error approving post:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/approvals/:id/reject - Send a post back to drafts with a comment
+router.post(
+  '/:id/reject',
+  authenticateUser,
+  [
+    param('id').isUUID().withMessage('Invalid ID'),
+    body('comment').isString().trim().isLength({ min: 1, max: MAX_COMMENT_LENGTH })
+      .withMessage(`Say what needs to change (at most ${MAX_COMMENT_LENGTH} characters)`),
+  ],
+  async (req, res) => {
+  try {
+    await decide(req, res, 'rejected');
+  } catch (error) {
+    console.error('Error rejecting post:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Record a reviewer's decision on a caption edit of a published post
+async function decideCaptionEdit(req, res, decision) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation error', details: errors.array() });
+  }
+  const { id } = req.params;
+  const comment = req.body.comment?.trim() || null;
+
+  const ownerIds = await getReviewableOwnerIds(req.user);
+  const { data: captionEdit, error: fetchError } = await supabase
+    .from('post_caption_revisions')
+    .select('id, post_id, revision, caption, status, post:posts (user_id)')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (fetchError) {
+    console.error('Supabase error:', fetchError);
+    return res.status(500).json({
+      error: 'Failed to fetch caption edit',
+      message: fetchError.message
+    });
+  }
+  const ownerId = captionEdit?.post?.user_id;
+  if (ownerId && ownerId === req.user.id) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You cannot review your own posts'
+    });
+  }
+  if (!captionEdit || !ownerIds.includes(ownerId)) {
+    return res.status(404).json({ error: 'Caption edit not found' });
+  }
+
+  // Only the first of two simultaneous decisions goes through
+  const { data: updated, error: updateError } = await supabase
+    .from('post_caption_revisions')
+    .update({ status: decision === 'approved' ? 'applied' : 'rejected' })
+    .eq('id', id)
+    .eq('status', 'awaiting_approval')
+    .select('id')
+    .maybeSingle();
+
+  if (updateError) {
+    console.error('Supabase error:', updateError);
+    return res.status(500).json({
+      error: 'Failed to update caption edit',
+      message: updateError.message
+    });
+  }
+  if (!updated) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: 'This caption edit was already reviewed'
+    });
+  }
+
+  let queued = 0;
+  if (decision === 'approved') {
+    try {
+      queued = await applyCaptionRevision(captionEdit.post_id, captionEdit.caption, captionEdit.revision);
+    } catch (applyError) {
+      console.error('Supabase error:', applyError);
+      // Leave it for another try rather than approved but never published
+      await supabase
+        .from('post_caption_revisions')
+        .update({ status: 'awaiting_approval' })
+        .eq('id', id);
+      return res.status(500).json({
+        error: 'Failed to queue caption edit',
+        message: applyError.message
+      });
+    }
+  }
+
+  const { error: approvalError } = await supabase
+    .from('post_approvals')
+    .insert({
+      post_id: captionEdit.post_id,
+      caption_revision: captionEdit.revision,
+      reviewer_id: req.user.id,
+      reviewer_email: normalizeReviewerEmail(req.user.email),
+      decision,
+      comment,
+    });
+
+  if (approvalError) {
+    console.error('Supabase error:', approvalError);
+  }
+
+  await logActivity(ownerId, decision === 'approved' ? 'Caption edit approved' : 'Caption edit rejected', decision === 'approved' ? 'success' : 'warning', {
+    postId: captionEdit.post_id,
+    revision: captionEdit.revision,
+    reviewer: req.user.email,
+    comment,
+  });
+
+  return res.json({
+    message: decision === 'approved'
+      ? `Caption edit approved; queued for ${queued} published account(s)`
+      : 'Caption edit rejected; the published caption stays as it is',
+    queued
+  });
+}
+
+// POST /api/approvals/caption-edits/:id/approve - Publish a caption edit
+router.post(
+  '/caption-edits/:id/approve',
+  authenticateUser,
+  [
+    param('id').isUUID().withMessage('Invalid ID'),
+    body('comment').optional({ values: 'null' }).isString().isLength({ max: MAX_COMMENT_LENGTH })
+      .withMessage(`Comment must be at most ${MAX_COMMENT_LENGTH} characters`),
+  ],
+  async (req, res) => {
+  try {
+    await decideCaptionEdit(req, res, 'approved');
+  } catch (error) {
+    console.error('Error approving caption edit:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/approvals/caption-edits/:id/reject - Keep the published caption
+router.post(
+  '/caption-edits/:id/reject',
+  authenticateUser,
+  [
+    param('id').isUUID().withMessage('Invalid ID'),
+    body('comment').isString().trim().isLength({ min: 1, max: MAX_COMMENT_LENGTH })
+      .withMessage(`Say what needs to change (at most ${MAX_COMMENT_LENGTH} characters)`),
+  ],
+  async (req, res) => {
+  try {
+    await decideCaptionEdit(req, res, 'rejected');
+  } catch (error) {
+    console.error('Error rejecting caption edit:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/approvals/accounts/:id/lift - Let posts to an account skip approval again
+router.post(
+  '/accounts/:id/lift',
+  authenticateUser,
+  [param('id').isUUID().withMessage('Invalid ID')],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation error', details: errors.array() });
+    }
+
+    const ownerIds = await getReviewableOwnerIds(req.user);
+    if (ownerIds.length === 0) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    // Owners can't turn it off themselves (PUT /api/accounts/:id refuses)
+    const { data, error } = await supabase
+      .from('accounts')
+      .update({ requires_approval: false })
+      .eq('id', req.params.id)
+      .in('user_id', ownerIds)
+      .select('id, user_id, instagram_username, requires_approval')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to update account',
+        message: error.message
+      });
+    }
+    if (!data) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    await logActivity(data.user_id, `Approval no longer required for @${data.instagram_username}`, 'info', {
+      accountId: data.id,
+      reviewer: req.user.email,
+    });
+
+    res.json({
+      message: `Posts to @${data.instagram_username} no longer need approval`,
+      account: { id: data.id, instagram_username: data.instagram_username, requires_approval: data.requires_approval }
+    });
+  } catch (error) {
+    console.error('Error lifting approval requirement:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/approvals/reviewers - Reviewers of the signed-in user's posts
+router.get('/reviewers', authenticateUser, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('post_reviewers')
+      .select('id, reviewer_email, created_at')
+      .eq('owner_id', req.user.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to fetch reviewers',
+        message: error.message
+      });
+    }
+
+    res.json({ reviewers: data || [] });
+  } catch (error) {
+    console.error('Error fetching reviewers:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/approvals/reviewers - Let someone review the signed-in user's posts
+router.post(
+  '/reviewers',
+  authenticateUser,
+  [
+    body('email').isEmail().withMessage('Valid email required'),
+  ],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation error', details: errors.array() });
+    }
+    const userId = req.user.id;
+    const reviewerEmail = normalizeReviewerEmail(req.body.email);
+
+    if (reviewerEmail === normalizeReviewerEmail(req.user.email)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'You cannot review your own posts'
+      });
+    }
+
+    const { count, error: countError } = await supabase
+      .from('post_reviewers')
+      .select('id', { count: 'exact', head: true })
+      .eq('owner_id', userId);
+
+    if (countError) {
+      console.error('Supabase error:', countError);
+      return res.status(500).json({
+        error: 'Failed to fetch reviewers',
+        message: countError.message
+      });
+    }
+    if (count >= MAX_REVIEWERS) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `At most ${MAX_REVIEWERS} reviewers are allowed`
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('post_reviewers')
+      .insert({ owner_id: userId, reviewer_email: reviewerEmail })
+      .select('id, reviewer_email, created_at')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: 'This reviewer has already been added'
+        });
+      }
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to add reviewer',
+        message: error.message
+      });
+    }
+
+    await logActivity(userId, `Reviewer added: ${data.reviewer_email}`, 'info', { reviewerId: data.id });
+
+    res.status(201).json({ message: 'Reviewer added', reviewer: data });
+  } catch (error) {
+    console.error('Error adding reviewer:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/approvals/reviewers/:id - Remove a reviewer
+router.delete(
+  '/reviewers/:id',
+  authenticateUser,
+  [param('id').isUUID().withMessage('Invalid ID')],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation error', details: errors.array() });
+    }
+
+    const { data, error } = await supabase
+      .from('post_reviewers')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('owner_id', req.user.id)
+      .select('reviewer_email')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to remove reviewer',
+        message: error.message
+      });
+    }
+    if (!data) {
+      return res.status(404).json({ error: 'Reviewer not found' });
+    }
+
+    await logActivity(req.user.id, `Reviewer removed: ${data.reviewer_email}`, 'info');
+
+    res.json({ message: 'Reviewer removed' });
+  } catch (error) {
+    console.error('Error removing reviewer:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -2,6 +2,7 @@ import express from 'express';
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 import { authenticateUser } from '../middleware/auth.js';
+import { sendStoredFile } from '../services/artifact-files.js';
 
 dotenv.config();
 
@@ -108,6 +109,53 @@ router.get('/status', authenticateUser, async (req, res) => {
   }
 });
 
+// Trace/HAR files kept for failed runs (BOT_DIAGNOSTICS), grouped by bot_logs id
+async function fetchDiagnosticsByLog(logIds) {
+  const byLog = new Map();
+  if (logIds.length === 0) return byLog;
+
+  const { data, error } = await supabase
+    .from('bot_log_diagnostics')
+    .select('id, bot_log_id, kind, file_name, size_bytes, created_at')
+    .in('bot_log_id', logIds);
+
+  // Logs still load before migration 020 is applied
+  if (error) return byLog;
+
+  for (const file of data || []) {
+    const { bot_log_id: logId, ...rest } = file;
+    byLog.set(logId, [...(byLog.get(logId) || []), rest]);
+  }
+  return byLog;
+}
+
+// Resolve a bot_logs entry the user owns, or send 404
+async function findOwnLog(req, res) {
+  const { data: log, error } = await supabase
+    .from('bot_logs')
+    .select('id, user_id')
+    .eq('id', req.params.id)
+    .eq('user_id', req.user.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Supabase error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch log entry',
+      message: error.message
+    });
+    return null;
+  }
+  if (!log) {
+    res.status(404).json({
+      error: 'Not found',
+      message: 'Log entry not found'
+    });
+    return null;
+  }
+  return log;
+}
+
 // GET /api/bot/logs - Get bot activity logs from bot_logs table
 router.get('/logs', authenticateUser, async (req, res) => {
   try {
@@ -173,6 +221,10 @@ router.get('/logs', authenticateUser, async (req, res) => {
       filteredLogs = logs.filter(log => !log.user_id || log.user_id === userId);
     }
 
+    const diagnosticsByLog = await fetchDiagnosticsByLog(
+      filteredLogs.filter(log => log.status === 'error').map(log => log.id)
+    );
+
     // Transform logs to match frontend format
     const transformedLogs = (filteredLogs || []).map(log => ({
       id: log.id,
@@ -182,6 +234,7 @@ router.get('/logs', authenticateUser, async (req, res) => {
       details: log.details ? (typeof log.details === 'string' ? log.details : JSON.stringify(log.details)) : null,
       error: log.error || null,
       rawDetails: log.details, // Keep original for detailed view
+      diagnostics: diagnosticsByLog.get(log.id) || [],
     }));
 
     res.json({
@@ -197,5 +250,73 @@ router.get('/logs', authenticateUser, async (req, res) => {
   }
 });
 
+// GET /api/bot/logs/:id/diagnostics - List trace/HAR files kept for a failed run
+router.get('/logs/:id/diagnostics', authenticateUser, async (req, res) => {
+  try {
+    const log = await findOwnLog(req, res);
+    if (!log) return;
+
+    const { data: files, error } = await supabase
+      .from('bot_log_diagnostics')
+      .select('id, kind, file_name, store, size_bytes, created_at')
+      .eq('bot_log_id', log.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to fetch diagnostics',
+        message: error.message
+      });
+    }
+
+    res.json({ diagnostics: files || [] });
+  } catch (error) {
+    console.error('Error fetching diagnostics:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/bot/logs/:id/diagnostics/:fileId/download - Download one trace/HAR file
+router.get('/logs/:id/diagnostics/:fileId/download', authenticateUser, async (req, res) => {
+  try {
+    const log = await findOwnLog(req, res);
+    if (!log) return;
+
+    const { data: file, error } = await supabase
+      .from('bot_log_diagnostics')
+      .select('id, kind, file_name, store, url, storage_path')
+      .eq('id', req.params.fileId)
+      .eq('bot_log_id', log.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to fetch diagnostic file',
+        message: error.message
+      });
+    }
+    if (!file) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Diagnostic file not found'
+      });
+    }
+
+    // Streamed through the backend so the file never gets a public link
+    await sendStoredFile(res, file, { fileName: file.file_name, contentType: 'application/gzip' });
+  } catch (error) {
+    console.error('Error downloading diagnostic file:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 export default router;
 
@@ -4,6 +4,21 @@ import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 import { authenticateUser } from '../middleware/auth.js';
 import { logActivity } from '../utils/activityLogger.js';
+import { CREATE_STATUSES, UNQUEUED_STATUSES, getApprovalState, needsApproval } from '../services/approval.js';
+import { computeAccountSchedule, normalizeStagger, StaggerError } from '../services/stagger.js';
+import { applyCaptionRevision } from '../services/caption-edit.js';
+import { sendStoredFile } from '../services/artifact-files.js';
+import { CROP_MODES } from '../utils/cloudinary.js';
+import {
+  MAX_CAROUSEL_SLIDES,
+  MAX_USER_TAGS,
+  INSTAGRAM_USERNAME_PATTERN,
+  MAX_ALT_TEXT_LENGTH,
+  buildPostContent,
+  getComparisonImageUrl,
+  postContentValidators,
+  validateAdvancedSettings,
+} from '../services/post-content.js';
 
 dotenv.config();
 
@@ -20,7 +35,7 @@ router.get(
   '/',
   authenticateUser,
   [
-    query('status').optional().isIn(['pending', 'processing', 'completed', 'failed']),
+    query('status').optional().isIn([...UNQUEUED_STATUSES, 'pending', 'processing', 'completed', 'failed']),
     query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
     query('offset').optional().isInt({ min: 0 }).toInt(),
   ],
@@ -45,6 +60,7 @@ router.get(
           instagram_post_url,
           error_message,
           posted_at,
+          scheduled_at,
           account:accounts (
             id,
             instagram_username,
@@ -58,7 +74,7 @@ router.get(
 
     // Filter by status if provided
     if (status) {
-      const validStatuses = ['pending', 'processing', 'completed', 'failed'];
+      const validStatuses = [...UNQUEUED_STATUSES, 'pending', 'processing', 'completed', 'failed'];
       if (!validStatuses.includes(status)) {
         return res.status(400).json({
           error: 'Validation error',
@@ -150,16 +166,145 @@ router.get(
   }
 });
 
+// Replace the caption of a published post: keep the old one as a revision and
+// queue the bot to apply the new one on every account where the post is live
+async function updatePublishedCaption(req, res, existingPost) {
+  const disallowed = Object.keys(req.body).filter(key => key !== 'caption');
+  if (disallowed.length > 0) {
+    return res.status(400).json({
+      error: 'Validation error',
+      message: 'Only the caption can be changed on published posts'
+    });
+  }
+  if (existingPost.post_type === 'story') {
+    return res.status(400).json({
+      error: 'Validation error',
+      message: 'Stories have no caption to edit'
+    });
+  }
+
+  const caption = (req.body.caption || '').trim();
+  if (!caption) {
+    return res.status(400).json({
+      error: 'Validation error',
+      message: 'Caption cannot be empty'
+    });
+  }
+  if (caption === existingPost.caption) {
+    return res.status(400).json({
+      error: 'Validation error',
+      message: 'Caption is unchanged'
+    });
+  }
+
+  const { data: lastRevision, error: revisionFetchError } = await supabase
+    .from('post_caption_revisions')
+    .select('revision')
+    .eq('post_id', existingPost.id)
+    .order('revision', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (revisionFetchError) {
+    console.error('Supabase error:', revisionFetchError);
+    return res.status(500).json({
+      error: 'Failed to fetch caption history',
+      message: revisionFetchError.message
+    });
+  }
+
+  // Accounts that require approval get the new caption only once a reviewer approves it
+  const awaitingApproval = needsApproval((existingPost.post_accounts || []).map(pa => pa.account));
+  if (awaitingApproval) {
+    const { data: pendingRevision, error: pendingError } = await supabase
+      .from('post_caption_revisions')
+      .select('id')
+      .eq('post_id', existingPost.id)
+      .eq('status', 'awaiting_approval')
+      .limit(1)
+      .maybeSingle();
+
+    if (pendingError) {
+      console.error('Supabase error:', pendingError);
+      return res.status(500).json({
+        error: 'Failed to fetch caption history',
+        message: pendingError.message
+      });
+    }
+    if (pendingRevision) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'An earlier caption edit is still awaiting approval'
+      });
+    }
+  }
+
+  const revision = (lastRevision?.revision || 0) + 1;
+  const { error: revisionError } = await supabase
+    .from('post_caption_revisions')
+    .insert({
+      post_id: existingPost.id,
+      revision,
+      previous_caption: existingPost.caption,
+      caption,
+      edited_by: req.user.id,
+      status: awaitingApproval ? 'awaiting_approval' : 'applied',
+    });
+
+  if (revisionError) {
+    // Unique (post_id, revision): another edit was saved at the same time
+    if (revisionError.code === '23505') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'The caption was edited at the same time, reload and try again'
+      });
+    }
+    console.error('Supabase error:', revisionError);
+    return res.status(500).json({
+      error: 'Failed to save caption revision',
+      message: revisionError.message
+    });
+  }
+
+  if (awaitingApproval) {
+    await logActivity(req.user.id, 'Caption edit submitted for approval', 'info', { postId: existingPost.id, revision });
+    return res.status(202).json({
+      message: 'Caption edit sent to your reviewers; it is published once approved',
+      revision,
+      queued: 0
+    });
+  }
+
+  let queued;
+  try {
+    queued = await applyCaptionRevision(existingPost.id, caption, revision);
+  } catch (applyError) {
+    console.error('Supabase error:', applyError);
+    return res.status(500).json({
+      error: 'Failed to queue caption edit',
+      message: applyError.message
+    });
+  }
+
+  return res.status(202).json({
+    message: `Caption updated; queued for ${queued} published account(s)`,
+    revision,
+    queued
+  });
+}
+
 // POST /api/posts - Create a new post
 router.post(
   '/',
   authenticateUser,
   [
-    body('image_url').isString().trim().isLength({ min: 1 }).isURL().withMessage('Valid image URL required'),
-    body('caption').isString().trim().isLength({ min: 1 }).escape(),
+    ...postContentValidators(),
     body('account_ids').isArray({ min: 1 }),
     body('account_ids.*').isUUID(),
     body('scheduled_at').optional().isISO8601().toDate(),
+    body('stagger').optional({ values: 'null' }).isObject().withMessage('stagger must be an object'),
+    // draft: saved only; awaiting_approval: sent to a reviewer; pending: queued (or sent for approval when an account requires it)
+    body('status').optional().isIn(CREATE_STATUSES).withMessage(`status must be one of ${CREATE_STATUSES.join(', ')}`),
   ],
   async (req, res) => {
   try {
@@ -168,20 +313,13 @@ router.post(
       return res.status(400).json({ error: 'Validation error', details: errors.array() });
     }
     const userId = req.user.id;
-    const { image_url, caption, account_ids, scheduled_at } = req.body;
+    const { account_ids, scheduled_at, stagger, status = 'pending' } = req.body;
 
-    // Validate input
-    if (!image_url || !image_url.trim()) {
+    const { content, error: contentError } = buildPostContent(req.body);
+    if (contentError) {
       return res.status(400).json({
         error: 'Validation error',
-        message: 'Image URL is required'
-      });
-    }
-
-    if (!caption || !caption.trim()) {
-      return res.status(400).json({
-        error: 'Validation error',
-        message: 'Caption is required'
+        message: contentError
       });
     }
 
@@ -195,7 +333,7 @@ router.post(
     // Validate all account_ids belong to user and are active
     const { data: userAccounts, error: accountsError } = await supabase
       .from('accounts')
-      .select('id, is_active')
+      .select('id, is_active, instagram_username, requires_approval')
       .eq('user_id', userId)
       .in('id', account_ids);
 
@@ -234,15 +372,28 @@ router.post(
       });
     }
 
+    let postStagger;
+    try {
+      postStagger = normalizeStagger(stagger);
+    } catch (staggerError) {
+      if (staggerError instanceof StaggerError) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: staggerError.message
+        });
+      }
+      throw staggerError;
+    }
+
     // Create post
     const { data: post, error: postError } = await supabase
       .from('posts')
       .insert({
         user_id: userId,
-        image_url: image_url.trim(),
-        caption: caption.trim(),
-        status: 'pending',
+        ...content,
+        ...getApprovalState(status, needsApproval(userAccounts)),
         scheduled_at: scheduledAt,
+        stagger: postStagger,
       })
       .select()
       .single();
@@ -255,11 +406,13 @@ router.post(
       });
     }
 
-    // Create post_accounts entries
-    const postAccounts = account_ids.map(accountId => ({
+    // Create post_accounts entries, each due at its own time when the post is staggered
+    const postAccounts = computeAccountSchedule(scheduledAt, account_ids, postStagger).map(({ account_id, scheduled_at }) => ({
       post_id: post.id,
-      account_id: accountId,
+      account_id,
+      scheduled_at,
       status: 'pending',
+      first_comment_status: content.first_comment ? 'pending' : null,
     }));
 
     const { error: postAccountsError } = await supabase
@@ -290,6 +443,7 @@ router.post(
           id,
           account_id,
           status,
+          scheduled_at,
           account:accounts (
             id,
             instagram_username
@@ -309,11 +463,16 @@ router.post(
       postId: post.id,
       accountIds: account_ids,
       accountUsernames,
+      mediaType: content.media_type,
+      postType: content.post_type,
+      imageCount: content.image_urls?.length || 1,
       scheduledAt: scheduled_at || new Date().toISOString(),
+      stagger: postStagger,
+      status: post.status,
     });
 
     res.status(201).json({
-      message: 'Post created successfully',
+      message: post.status === 'awaiting_approval' ? 'Post created and submitted for approval' : 'Post created successfully',
       post: completePost || post
     });
   } catch (error) {
@@ -325,7 +484,51 @@ router.post(
   }
 });
 
-// PUT /api/posts/:id - Update a post (only if status is 'pending')
+// POST /api/posts/stagger - Planned time of each account of a staggered post
+router.post(
+  '/stagger',
+  authenticateUser,
+  [
+    body('scheduled_at').optional().isISO8601(),
+    body('account_ids').isArray({ min: 1 }),
+    body('account_ids.*').isUUID(),
+    body('stagger').optional({ values: 'null' }).isObject().withMessage('stagger must be an object'),
+  ],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation error', details: errors.array() });
+    }
+    const { scheduled_at, account_ids, stagger } = req.body;
+
+    let postStagger;
+    try {
+      postStagger = normalizeStagger(stagger);
+    } catch (staggerError) {
+      if (staggerError instanceof StaggerError) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: staggerError.message
+        });
+      }
+      throw staggerError;
+    }
+
+    res.json({
+      stagger: postStagger,
+      accounts: computeAccountSchedule(scheduled_at || new Date().toISOString(), account_ids, postStagger)
+    });
+  } catch (error) {
+    console.error('Error computing stagger:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/posts/:id - Update a post (only if it is not queued yet or 'pending')
 router.put(
   '/:id',
   authenticateUser,
@@ -333,8 +536,21 @@ router.put(
     param('id').isUUID(),
     body('caption').optional().isString().trim().isLength({ min: 1 }).escape(),
     body('scheduled_at').optional().isISO8601(),
+    body('first_comment').optional({ values: 'null' }).isString().trim().isLength({ max: 2200 }).withMessage('First comment must be at most 2200 characters'),
+    body('location').optional({ values: 'null' }).isString().trim().isLength({ max: 100 }).withMessage('Location must be at most 100 characters'),
+    body('user_tags').optional().isArray({ max: MAX_USER_TAGS }).withMessage(`At most ${MAX_USER_TAGS} people can be tagged`),
+    body('user_tags.*.username').isString().trim().customSanitizer(value => value.replace(/^@/, '')).matches(INSTAGRAM_USERNAME_PATTERN).withMessage('Invalid Instagram username'),
+    body('user_tags.*.x').isFloat({ min: 0, max: 1 }).withMessage('Tag x must be between 0 and 1').toFloat(),
+    body('user_tags.*.y').isFloat({ min: 0, max: 1 }).withMessage('Tag y must be between 0 and 1').toFloat(),
+    body('user_tags.*.slide').optional().isInt({ min: 0, max: MAX_CAROUSEL_SLIDES - 1 }).toInt(),
+    body('alt_texts').optional({ values: 'null' }).isArray({ max: MAX_CAROUSEL_SLIDES }).withMessage(`At most ${MAX_CAROUSEL_SLIDES} alt texts allowed`),
+    body('alt_texts.*').isString().trim().isLength({ max: MAX_ALT_TEXT_LENGTH }).withMessage(`Alt text must be at most ${MAX_ALT_TEXT_LENGTH} characters`),
+    body('hide_like_counts').optional().isBoolean().toBoolean(),
+    body('disable_comments').optional().isBoolean().toBoolean(),
+    body('crop_mode').optional().isIn(CROP_MODES).withMessage(`crop_mode must be one of ${CROP_MODES.join(', ')}`),
     body('account_ids').optional().isArray({ min: 1 }),
     body('account_ids.*').optional().isUUID(),
+    body('stagger').optional({ values: 'null' }).isObject().withMessage('stagger must be an object'),
   ],
   async (req, res) => {
   try {
@@ -344,12 +560,12 @@ router.put(
     }
     const { id } = req.params;
     const userId = req.user.id;
-    const { caption, scheduled_at, account_ids } = req.body;
+    const { caption, scheduled_at, account_ids, stagger, first_comment, location, user_tags, alt_texts, hide_like_counts, disable_comments, crop_mode } = req.body;
 
-    // Verify post belongs to user and is pending
+    // Verify post belongs to user and is editable (or completed, for caption edits)
     const { data: existingPost, error: fetchError } = await supabase
       .from('posts')
-      .select('id, status')
+      .select('id, status, post_type, media_type, caption, image_url, image_urls, first_comment, alt_texts, hide_like_counts, disable_comments, scheduled_at, stagger, post_accounts (id, account_id, status, scheduled_at, instagram_post_url, removal_status, removal_action, account:accounts (requires_approval))')
       .eq('id', id)
       .eq('user_id', userId)
       .single();
@@ -367,10 +583,14 @@ router.put(
       });
     }
 
-    if (existingPost.status !== 'pending') {
+    if (existingPost.status === 'completed') {
+      return updatePublishedCaption(req, res, existingPost);
+    }
+
+    if (existingPost.status !== 'pending' && !UNQUEUED_STATUSES.includes(existingPost.status)) {
       return res.status(400).json({
         error: 'Validation error',
-        message: 'Only posts with status "pending" can be updated'
+        message: 'Only draft, awaiting approval and pending posts can be updated; completed posts only their caption'
       });
     }
 
@@ -397,6 +617,108 @@ router.put(
       updates.scheduled_at = scheduled_at;
     }
 
+    if (stagger !== undefined) {
+      try {
+        updates.stagger = normalizeStagger(stagger);
+      } catch (staggerError) {
+        if (staggerError instanceof StaggerError) {
+          return res.status(400).json({
+            error: 'Validation error',
+            message: staggerError.message
+          });
+        }
+        throw staggerError;
+      }
+    }
+    // Per-account times follow the post's time and stagger after this update
+    const scheduledAt = updates.scheduled_at || existingPost.scheduled_at || new Date().toISOString();
+    const postStagger = stagger !== undefined ? updates.stagger : existingPost.stagger;
+
+    if (first_comment !== undefined) {
+      const firstComment = first_comment && first_comment.trim() ? first_comment.trim() : null;
+      if (firstComment && existingPost.post_type === 'story') {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'Stories cannot have a first comment'
+        });
+      }
+      updates.first_comment = firstComment;
+    }
+    const hasFirstComment = first_comment !== undefined ? Boolean(updates.first_comment) : Boolean(existingPost.first_comment);
+
+    if (location !== undefined) {
+      const postLocation = location && location.trim() ? location.trim() : null;
+      if (postLocation && existingPost.post_type === 'story') {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'Stories cannot have a location or tagged people'
+        });
+      }
+      updates.location = postLocation;
+    }
+
+    if (user_tags !== undefined) {
+      if (user_tags.length > 0 && (existingPost.post_type === 'story' || existingPost.media_type === 'reel')) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: existingPost.post_type === 'story'
+            ? 'Stories cannot have a location or tagged people'
+            : 'Tagging people on reels is not supported'
+        });
+      }
+      const slideCount = existingPost.image_urls?.length || 1;
+      const invalidSlideTag = user_tags.find(tag => (tag.slide || 0) >= slideCount);
+      if (invalidSlideTag) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: `Tag for @${invalidSlideTag.username} points to a slide that does not exist`
+        });
+      }
+      updates.user_tags = user_tags.map(tag => ({
+        username: tag.username,
+        x: tag.x,
+        y: tag.y,
+        slide: tag.slide || 0,
+      }));
+    }
+
+    if (alt_texts !== undefined) {
+      updates.alt_texts = alt_texts && alt_texts.some(text => text.trim()) ? alt_texts.map(text => text.trim()) : null;
+    }
+    if (hide_like_counts !== undefined) updates.hide_like_counts = hide_like_counts;
+    if (disable_comments !== undefined) updates.disable_comments = disable_comments;
+
+    if (crop_mode !== undefined) {
+      if (crop_mode !== 'original' && (existingPost.post_type === 'story' || existingPost.media_type === 'reel')) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'Crop mode is only supported for image posts'
+        });
+      }
+      updates.crop_mode = crop_mode;
+      updates.comparison_image_url = getComparisonImageUrl(existingPost.image_url, crop_mode);
+    }
+
+    // Validate the merged result so a partial update cannot create a conflicting combination
+    const settingsError = validateAdvancedSettings({
+      postType: existingPost.post_type,
+      mediaType: existingPost.media_type,
+      slideCount: existingPost.image_urls?.length || 1,
+      altTexts: updates.alt_texts !== undefined ? updates.alt_texts : existingPost.alt_texts,
+      hideLikeCounts: updates.hide_like_counts ?? existingPost.hide_like_counts,
+      disableComments: updates.disable_comments ?? existingPost.disable_comments,
+      firstComment: updates.first_comment !== undefined ? updates.first_comment : existingPost.first_comment,
+    });
+    if (settingsError) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: settingsError
+      });
+    }
+
+    // Accounts the post goes to after this update
+    let targetAccounts = (existingPost.post_accounts || []).map(pa => pa.account);
+
     // Update account selection if provided
     if (account_ids !== undefined) {
       if (!Array.isArray(account_ids) || account_ids.length === 0) {
@@ -409,7 +731,7 @@ router.put(
       // Validate all account_ids belong to user
       const { data: userAccounts, error: accountsError } = await supabase
         .from('accounts')
-        .select('id, is_active')
+        .select('id, is_active, requires_approval')
         .eq('user_id', userId)
         .in('id', account_ids);
 
@@ -436,6 +758,7 @@ router.put(
           message: 'One or more accounts are inactive'
         });
       }
+      targetAccounts = userAccounts;
 
       // Delete existing post_accounts entries
       const { error: deleteError } = await supabase
@@ -452,10 +775,12 @@ router.put(
       }
 
       // Create new post_accounts entries
-      const postAccounts = account_ids.map(accountId => ({
+      const postAccounts = computeAccountSchedule(scheduledAt, account_ids, postStagger).map(({ account_id, scheduled_at }) => ({
         post_id: id,
-        account_id: accountId,
+        account_id,
+        scheduled_at,
         status: 'pending',
+        first_comment_status: hasFirstComment ? 'pending' : null,
       }));
 
       const { error: insertError } = await supabase
@@ -471,6 +796,12 @@ router.put(
       }
     }
 
+    // An edited post that was already queued needs a new sign-off if any account requires one
+    const changed = Object.keys(updates).length > 0 || account_ids !== undefined;
+    if (changed && existingPost.status === 'pending' && needsApproval(targetAccounts)) {
+      Object.assign(updates, getApprovalState('pending', true), { approved_by: null });
+    }
+
     // Update post if there are updates
     if (Object.keys(updates).length > 0) {
       const { data, error: updateError } = await supabase
@@ -490,6 +821,41 @@ router.put(
       }
     }
 
+    // Move the accounts still to post to their new times (new rows above already have them),
+    // keeping the order they were planned in
+    if ((scheduled_at !== undefined || stagger !== undefined) && account_ids === undefined) {
+      const rows = [...(existingPost.post_accounts || [])]
+        .sort((a, b) => new Date(a.scheduled_at) - new Date(b.scheduled_at) || a.id.localeCompare(b.id));
+      const schedule = computeAccountSchedule(scheduledAt, rows.map(row => row.account_id), postStagger);
+      for (const [index, row] of rows.entries()) {
+        if (row.status !== 'pending') continue;
+        const { error: rescheduleError } = await supabase
+          .from('post_accounts')
+          .update({ scheduled_at: schedule[index].scheduled_at })
+          .eq('id', row.id);
+
+        if (rescheduleError) {
+          console.error('Supabase error:', rescheduleError);
+          return res.status(500).json({
+            error: 'Failed to reschedule accounts',
+            message: rescheduleError.message
+          });
+        }
+      }
+    }
+
+    // Keep per-account first comment tracking in sync (new rows above already have it)
+    if (first_comment !== undefined && account_ids === undefined) {
+      const { error: commentStatusError } = await supabase
+        .from('post_accounts')
+        .update({ first_comment_status: hasFirstComment ? 'pending' : null })
+        .eq('post_id', id);
+
+      if (commentStatusError) {
+        console.error('Supabase error:', commentStatusError);
+      }
+    }
+
     // Fetch complete updated post
     const { data: completePost, error: fetchError2 } = await supabase
       .from('posts')
@@ -499,6 +865,7 @@ router.put(
           id,
           account_id,
           status,
+          scheduled_at,
           account:accounts (
             id,
             instagram_username
@@ -525,7 +892,7 @@ router.put(
   }
 });
 
-// DELETE /api/posts/:id - Delete a post (only if status is 'pending')
+// DELETE /api/posts/:id - Delete a post (only if it is not queued yet or 'pending')
 router.delete(
   '/:id',
   authenticateUser,
@@ -560,10 +927,10 @@ router.delete(
       });
     }
 
-    if (existingPost.status !== 'pending') {
+    if (existingPost.status !== 'pending' && !UNQUEUED_STATUSES.includes(existingPost.status)) {
       return res.status(400).json({
         error: 'Validation error',
-        message: 'Only posts with status "pending" can be deleted'
+        message: 'Only draft, awaiting approval and pending posts can be deleted'
       });
     }
 
@@ -606,6 +973,82 @@ router.delete(
   }
 });
 
+// POST /api/posts/:id/submit - Queue a draft, or send it for approval when an account requires it
+router.post(
+  '/:id/submit',
+  authenticateUser,
+  [param('id').isUUID()],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation error', details: errors.array() });
+    }
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const { data: existingPost, error: fetchError } = await supabase
+      .from('posts')
+      .select('id, status, post_accounts (account:accounts (requires_approval))')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .single();
+
+    if (fetchError) {
+      if (fetchError.code === 'PGRST116') {
+        return res.status(404).json({
+          error: 'Post not found'
+        });
+      }
+      console.error('Supabase error:', fetchError);
+      return res.status(500).json({
+        error: 'Failed to fetch post',
+        message: fetchError.message
+      });
+    }
+
+    if (existingPost.status !== 'draft') {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Only posts with status "draft" can be submitted'
+      });
+    }
+
+    const state = getApprovalState('pending', needsApproval(existingPost.post_accounts.map(pa => pa.account)));
+    const { data: updatedPost, error: updateError } = await supabase
+      .from('posts')
+      .update(state)
+      .eq('id', id)
+      .eq('user_id', userId)
+      .eq('status', 'draft')
+      .select()
+      .single();
+
+    if (updateError) {
+      console.error('Supabase error:', updateError);
+      return res.status(500).json({
+        error: 'Failed to submit post',
+        message: updateError.message
+      });
+    }
+
+    await logActivity(userId, state.status === 'pending' ? 'Draft queued' : 'Post submitted for approval', 'info', {
+      postId: id,
+    });
+
+    res.json({
+      message: state.status === 'pending' ? 'Post queued' : 'Post submitted for approval',
+      post: updatedPost
+    });
+  } catch (error) {
+    console.error('Error submitting post:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 // POST /api/posts/:id/retry - Reset failed post to pending
 router.post(
   '/:id/retry',
@@ -623,7 +1066,7 @@ router.post(
     // Verify post belongs to user and is failed
     const { data: existingPost, error: fetchError } = await supabase
       .from('posts')
-      .select('id, status')
+      .select('id, status, first_comment')
       .eq('id', id)
       .eq('user_id', userId)
       .single();
@@ -673,6 +1116,10 @@ router.post(
         error_message: null,
         instagram_post_url: null,
         posted_at: null,
+        first_comment_status: existingPost.first_comment ? 'pending' : null,
+        first_comment_error: null,
+        tagging_results: null,
+        settings_results: null,
       })
       .eq('post_id', id)
       .eq('status', 'failed');
@@ -691,6 +1138,7 @@ router.post(
           id,
           account_id,
           status,
+          scheduled_at,
           account:accounts (
             id,
             instagram_username
@@ -717,4 +1165,250 @@ router.post(
   }
 });
 
+
+// GET /api/posts/:id/revisions - Caption history of a post edited after publishing
+router.get(
+  '/:id/revisions',
+  authenticateUser,
+  [param('id').isUUID()],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation error', details: errors.array() });
+    }
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const { data: post, error: fetchError } = await supabase
+      .from('posts')
+      .select('id')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .single();
+
+    if (fetchError) {
+      if (fetchError.code === 'PGRST116') {
+        return res.status(404).json({
+          error: 'Post not found'
+        });
+      }
+      console.error('Supabase error:', fetchError);
+      return res.status(500).json({
+        error: 'Failed to fetch post',
+        message: fetchError.message
+      });
+    }
+
+    const { data: revisions, error } = await supabase
+      .from('post_caption_revisions')
+      .select('*')
+      .eq('post_id', post.id)
+      .order('revision', { ascending: false });
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to fetch caption history',
+        message: error.message
+      });
+    }
+
+    res.json({ revisions: revisions || [] });
+  } catch (error) {
+    console.error('Error fetching caption revisions:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/posts/:id/artifacts/:artifactId/download - Screenshot or DOM snapshot of a posting attempt
+router.get(
+  '/:id/artifacts/:artifactId/download',
+  authenticateUser,
+  [param('id').isUUID(), param('artifactId').isUUID()],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation error', details: errors.array() });
+    }
+    const { id, artifactId } = req.params;
+    const userId = req.user.id;
+
+    const { data: post, error: fetchError } = await supabase
+      .from('posts')
+      .select('id')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .single();
+
+    if (fetchError) {
+      if (fetchError.code === 'PGRST116') {
+        return res.status(404).json({
+          error: 'Post not found'
+        });
+      }
+      console.error('Supabase error:', fetchError);
+      return res.status(500).json({
+        error: 'Failed to fetch post',
+        message: fetchError.message
+      });
+    }
+
+    const { data: artifact, error } = await supabase
+      .from('post_attempt_artifacts')
+      .select('id, attempt, kind, step, store, url, storage_path')
+      .eq('id', artifactId)
+      .eq('post_id', post.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to fetch artifact',
+        message: error.message
+      });
+    }
+    if (!artifact) {
+      return res.status(404).json({
+        error: 'Artifact not found'
+      });
+    }
+
+    // Artifacts are private uploads, so the dashboard only sees them through here
+    const isScreenshot = artifact.kind === 'screenshot';
+    await sendStoredFile(res, artifact, {
+      fileName: `attempt-${artifact.attempt}-${artifact.step.replace(/[^a-z0-9_-]/gi, '_')}.${isScreenshot ? 'jpg' : 'html'}`,
+      contentType: isScreenshot ? 'image/jpeg' : 'text/html',
+      resourceType: isScreenshot ? 'image' : 'raw',
+    });
+  } catch (error) {
+    console.error('Error downloading artifact:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/posts/:id/published - Queue removal of the published post from Instagram
+router.delete(
+  '/:id/published',
+  authenticateUser,
+  [
+    param('id').isUUID(),
+    body('action').optional().isIn(['delete', 'archive']),
+    body('account_ids').optional().isArray({ min: 1 }),
+    body('account_ids.*').isUUID(),
+  ],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation error', details: errors.array() });
+    }
+    const { id } = req.params;
+    const userId = req.user.id;
+    const action = req.body.action || 'delete';
+    const accountIds = req.body.account_ids || null;
+
+    const { data: existingPost, error: fetchError } = await supabase
+      .from('posts')
+      .select('id, post_type, post_accounts (id, account_id, status, instagram_post_url, removal_status, removal_action)')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .single();
+
+    if (fetchError) {
+      if (fetchError.code === 'PGRST116') {
+        return res.status(404).json({
+          error: 'Post not found'
+        });
+      }
+      console.error('Supabase error:', fetchError);
+      return res.status(500).json({
+        error: 'Failed to fetch post',
+        message: fetchError.message
+      });
+    }
+
+    if (existingPost.post_type === 'story') {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Stories have no permalink and cannot be removed remotely'
+      });
+    }
+
+    const postAccounts = existingPost.post_accounts || [];
+    if (accountIds) {
+      const unknown = accountIds.filter((accountId) => !postAccounts.some((pa) => pa.account_id === accountId));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'account_ids must be accounts this post was scheduled to'
+        });
+      }
+    }
+
+    const queued = [];
+    const skipped = [];
+    for (const pa of postAccounts) {
+      if (accountIds && !accountIds.includes(pa.account_id)) continue;
+      if (pa.status !== 'completed' || !pa.instagram_post_url) {
+        skipped.push({ account_id: pa.account_id, reason: 'Not published' });
+      } else if (pa.removal_status === 'pending' || pa.removal_status === 'processing') {
+        skipped.push({ account_id: pa.account_id, reason: 'Removal already in progress' });
+      } else if (pa.removal_status === 'completed' && (pa.removal_action === 'delete' || pa.removal_action === action)) {
+        skipped.push({ account_id: pa.account_id, reason: pa.removal_action === 'delete' ? 'Already deleted' : 'Already archived' });
+      } else {
+        queued.push(pa.id);
+      }
+    }
+
+    if (queued.length === 0) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'No published accounts to remove this post from',
+        skipped
+      });
+    }
+
+    const { data: updatedRows, error: updateError } = await supabase
+      .from('post_accounts')
+      .update({
+        removal_action: action,
+        removal_status: 'pending',
+        removal_requested_at: new Date().toISOString(),
+        removal_requested_by: userId,
+        removal_completed_at: null,
+        removal_error: null,
+      })
+      .in('id', queued)
+      .select('id, account_id, removal_action, removal_status, removal_requested_at');
+
+    if (updateError) {
+      console.error('Supabase error:', updateError);
+      return res.status(500).json({
+        error: 'Failed to queue removal',
+        message: updateError.message
+      });
+    }
+
+    res.status(202).json({
+      message: `Post queued for ${action === 'delete' ? 'deletion' : 'archiving'} on ${updatedRows.length} account(s)`,
+      queued: updatedRows,
+      skipped
+    });
+  } catch (error) {
+    console.error('Error queuing post removal:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 export default router;
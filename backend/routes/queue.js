@@ -1,10 +1,14 @@
 import express from 'express';
+import { body, param, validationResult } from 'express-validator';
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 import { authenticateUser } from '../middleware/auth.js';
+import { PRIORITIES } from '../utils/priority.js';
 
 dotenv.config();
 
+const MAX_REORDER = 500;
+
 const router = express.Router();
 
 // Initialize Supabase client
@@ -17,12 +21,19 @@ const supabase = createClient(
 router.get('/', authenticateUser, async (req, res) => {
   try {
     const userId = req.user.id;
-    const { limit = 10 } = req.query;
+    const { limit = 10, post_type } = req.query;
+
+    if (post_type && !['feed', 'story'].includes(post_type)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'post_type must be feed or story'
+      });
+    }
 
     // Get pending posts scheduled for now or in the past
     const now = new Date().toISOString();
 
-    const { data, error } = await supabase
+    let query = supabase
       .from('posts')
       .select(`
         *,
@@ -30,21 +41,43 @@ router.get('/', authenticateUser, async (req, res) => {
           id,
           account_id,
           status,
+          deferred_until,
+          scheduled_at,
           account:accounts (
             id,
             instagram_username,
             password_encrypted,
             cookies,
-            is_active
+            is_active,
+            timezone,
+            posting_windows,
+            posting_blackouts
           )
-        )
+        ),
+        due_accounts:post_accounts!inner (id)
       `)
       .eq('user_id', userId)
       .eq('status', 'pending')
+      // Drafts and posts waiting for a reviewer never have approved_at
+      .not('approved_at', 'is', null)
       .lte('scheduled_at', now)
+      // Only posts with an account still to post whose own time has come (staggered posts)
+      // and that isn't waiting for its posting window
+      .eq('due_accounts.status', 'pending')
+      .or(`deferred_until.is.null,deferred_until.lte.${now}`, { referencedTable: 'due_accounts' })
+      .lte('due_accounts.scheduled_at', now)
+      // Urgent posts jump ahead of the backlog, then the manual order, then the oldest due
+      .order('priority', { ascending: false })
+      .order('queue_position', { ascending: true, nullsFirst: false })
       .order('scheduled_at', { ascending: true })
       .limit(parseInt(limit));
 
+    if (post_type) {
+      query = query.eq('post_type', post_type);
+    }
+
+    const { data, error } = await query;
+
     if (error) {
       console.error('Supabase error:', error);
       return res.status(500).json({
@@ -78,5 +111,115 @@ router.get('/', authenticateUser, async (req, res) => {
   }
 });
 
+// PUT /api/queue/order - Set the manual order of pending posts (first = next up)
+router.put(
+  '/order',
+  authenticateUser,
+  [
+    body('post_ids').isArray({ min: 1, max: MAX_REORDER }).withMessage(`post_ids must list 1 to ${MAX_REORDER} posts`),
+    body('post_ids.*').isUUID().withMessage('Invalid post ID'),
+  ],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation error', details: errors.array() });
+    }
+    const userId = req.user.id;
+    const postIds = [...new Set(req.body.post_ids)];
+
+    const { data: posts, error: fetchError } = await supabase
+      .from('posts')
+      .select('id, status')
+      .eq('user_id', userId)
+      .in('id', postIds);
+
+    if (fetchError) {
+      console.error('Supabase error:', fetchError);
+      return res.status(500).json({
+        error: 'Failed to fetch posts',
+        message: fetchError.message
+      });
+    }
+
+    if ((posts || []).length !== postIds.length) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    if (posts.some((post) => post.status !== 'pending')) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Only pending posts can be reordered'
+      });
+    }
+
+    const results = await Promise.all(postIds.map((id, index) => supabase
+      .from('posts')
+      .update({ queue_position: index })
+      .eq('id', id)
+      .eq('user_id', userId)));
+
+    const updateError = results.find((result) => result.error)?.error;
+    if (updateError) {
+      console.error('Supabase error:', updateError);
+      return res.status(500).json({
+        error: 'Failed to reorder queue',
+        message: updateError.message
+      });
+    }
+
+    res.json({ message: 'Queue reordered', count: postIds.length });
+  } catch (error) {
+    console.error('Error reordering queue:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// PATCH /api/queue/:id - Change the priority of a post
+router.patch(
+  '/:id',
+  authenticateUser,
+  [
+    param('id').isUUID().withMessage('Invalid ID'),
+    body('priority').isIn(Object.keys(PRIORITIES)).withMessage(`priority must be one of ${Object.keys(PRIORITIES).join(', ')}`),
+  ],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation error', details: errors.array() });
+    }
+
+    const { data, error } = await supabase
+      .from('posts')
+      .update({ priority: PRIORITIES[req.body.priority] })
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select('id, priority, queue_position')
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to update priority',
+        message: error.message
+      });
+    }
+
+    res.json({ message: 'Priority updated', post: data });
+  } catch (error) {
+    console.error('Error updating priority:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 export default router;
 
@@ -1,8 +1,11 @@
 import express from 'express'
+import { query, validationResult } from 'express-validator'
 import { createClient } from '@supabase/supabase-js'
 import dotenv from 'dotenv'
 import { authenticateUser } from '../middleware/auth.js'
 import { logActivity } from '../utils/activityLogger.js'
+import { computeBestTimes, getShortcode, MIN_POST_AGE_HOURS } from '../services/best-time.js'
+import { isValidTimezone } from '../services/recurrence.js'
 
 dotenv.config()
 
@@ -418,6 +421,159 @@ router.get('/reviews/:reviewId', authenticateUser, async (req, res) => {
   }
 })
 
+/**
+ * GET /api/reviewer/best-times?account_ids=a,b&timezone=Europe/Berlin
+ * Engagement by weekday and hour from reviewed posts we published, and the
+ * recommended slot for the given accounts (all accounts when omitted)
+ */
+router.get(
+  '/best-times',
+  authenticateUser,
+  [
+    query('account_ids').optional().isString()
+      .customSanitizer(value => value.split(',').map(id => id.trim()).filter(Boolean)),
+    query('account_ids.*').isUUID().withMessage('Invalid account ID'),
+  ],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation error', details: errors.array() })
+    }
+    const userId = req.user.id
+    const timezone = req.query.timezone || 'UTC'
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Unknown time zone'
+      })
+    }
+    const requestedIds = req.query.account_ids || []
+
+    let accountsQuery = supabase
+      .from('accounts')
+      .select('id, instagram_username')
+      .eq('user_id', userId)
+    if (requestedIds.length > 0) {
+      accountsQuery = accountsQuery.in('id', requestedIds)
+    }
+    const { data: accounts, error: accountsError } = await accountsQuery
+
+    if (accountsError) {
+      console.error('Supabase error:', accountsError)
+      return res.status(500).json({
+        error: 'Failed to fetch accounts',
+        message: accountsError.message
+      })
+    }
+    const accountIds = (accounts || []).map(account => account.id)
+    if (accountIds.length === 0) {
+      return res.json({ ...computeBestTimes({ samples: [], timezone }), perAccount: [] })
+    }
+
+    // When our posts went out
+    const { data: published, error: publishedError } = await supabase
+      .from('post_accounts')
+      .select('account_id, instagram_post_url, posted_at')
+      .in('account_id', accountIds)
+      .eq('status', 'completed')
+      .not('posted_at', 'is', null)
+      .not('instagram_post_url', 'is', null)
+      .order('posted_at', { ascending: false })
+      .limit(2000)
+
+    if (publishedError) {
+      console.error('Supabase error:', publishedError)
+      return res.status(500).json({
+        error: 'Failed to fetch published posts',
+        message: publishedError.message
+      })
+    }
+
+    // What they got, from the latest review that measured each post
+    const { data: reviews, error: reviewsError } = await supabase
+      .from('account_reviews')
+      .select('id, account_id, review_datetime')
+      .in('account_id', accountIds)
+      .eq('user_id', userId)
+      .order('review_datetime', { ascending: false })
+      .limit(300)
+
+    if (reviewsError) {
+      console.error('Supabase error:', reviewsError)
+      return res.status(500).json({
+        error: 'Failed to fetch reviews',
+        message: reviewsError.message
+      })
+    }
+
+    const reviewsById = new Map((reviews || []).map(review => [review.id, review]))
+    let reviewPosts = []
+    if (reviewsById.size > 0) {
+      const { data, error } = await supabase
+        .from('account_review_posts')
+        .select('review_id, post_url, likes_count, comments_count')
+        .in('review_id', Array.from(reviewsById.keys()))
+
+      if (error) {
+        console.error('Supabase error:', error)
+        return res.status(500).json({
+          error: 'Failed to fetch reviewed posts',
+          message: error.message
+        })
+      }
+      reviewPosts = (data || [])
+        .map(row => ({ ...row, review: reviewsById.get(row.review_id) }))
+        .sort((a, b) => new Date(b.review.review_datetime) - new Date(a.review.review_datetime))
+    }
+
+    const metricsByPost = new Map()
+    for (const row of reviewPosts) {
+      const key = `${row.review.account_id}:${getShortcode(row.post_url)}`
+      if (!metricsByPost.has(key)) metricsByPost.set(key, row)
+    }
+
+    const samples = []
+    for (const post of published || []) {
+      const metrics = metricsByPost.get(`${post.account_id}:${getShortcode(post.instagram_post_url)}`)
+      if (!metrics || metrics.likes_count === null) continue
+      const ageHours = (new Date(metrics.review.review_datetime) - new Date(post.posted_at)) / 3600000
+      if (ageHours < MIN_POST_AGE_HOURS) continue
+      samples.push({
+        accountId: post.account_id,
+        postedAt: post.posted_at,
+        likes: metrics.likes_count || 0,
+        comments: metrics.comments_count || 0,
+      })
+    }
+
+    const perAccount = (accounts || []).map(account => {
+      const accountResult = computeBestTimes({
+        samples: samples.filter(sample => sample.accountId === account.id),
+        timezone,
+      })
+      return {
+        account_id: account.id,
+        instagram_username: account.instagram_username,
+        samples: accountResult.samples,
+        recommendation: accountResult.recommendation,
+        slots: accountResult.slots.slice(0, 5),
+      }
+    })
+
+    res.json({
+      ...computeBestTimes({ samples, timezone }),
+      perAccount,
+    })
+  } catch (error) {
+    console.error('Error computing best times:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
 /**
  * GET /api/reviewer/compare/:accountId
  * Get comparison data for an account across multiple reviews
@@ -0,0 +1,417 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { authenticateUser } from '../middleware/auth.js';
+import { logActivity } from '../utils/activityLogger.js';
+import {
+  WEEKDAYS,
+  MAX_COUNT,
+  RecurrenceError,
+  buildRRule,
+  describeRRule,
+  expandOccurrences,
+  isValidTimezone,
+  parseLocalDateTime,
+} from '../services/recurrence.js';
+import { materializeSchedule } from '../services/schedule-materializer.js';
+import { buildPostContent, postContentValidators } from '../services/post-content.js';
+
+dotenv.config();
+
+const router = express.Router();
+
+// Occurrences returned by the preview and create responses
+const PREVIEW_COUNT = 5;
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const recurrenceValidators = [
+  body('recurrence.frequency').isIn(['daily', 'weekly', 'monthly', 'custom']).withMessage('frequency must be daily, weekly, monthly or custom'),
+  body('recurrence.interval').optional().isInt({ min: 1, max: 365 }).withMessage('interval must be between 1 and 365').toInt(),
+  body('recurrence.weekdays').optional().isArray({ max: 7 }),
+  body('recurrence.weekdays.*').isIn(WEEKDAYS).withMessage(`weekdays must be ${WEEKDAYS.join(', ')}`),
+  body('recurrence.rrule').if(body('recurrence.frequency').equals('custom')).isString().trim().isLength({ min: 1, max: 500 }).withMessage('RRULE is required for a custom recurrence'),
+  body('recurrence.until').optional({ values: 'null' }).isISO8601({ strict: true }).withMessage('until must be a date (YYYY-MM-DD)'),
+  body('recurrence.count').optional({ values: 'null' }).isInt({ min: 1, max: MAX_COUNT }).withMessage(`count must be between 1 and ${MAX_COUNT}`).toInt(),
+  body('starts_at').isString().custom((value) => Boolean(parseLocalDateTime(value))).withMessage('starts_at must be a local date and time (YYYY-MM-DDTHH:mm)'),
+  body('timezone').isString().custom(isValidTimezone).withMessage('Unknown time zone'),
+];
+
+// RRULE for the request's recurrence: custom rules are taken as given, the
+// simple options are turned into one
+function getRRule({ frequency, interval, weekdays, rrule, until, count }) {
+  if (frequency === 'custom') return rrule.trim().replace(/^RRULE:/i, '');
+  return buildRRule({ frequency, interval, weekdays, until: until ? until.slice(0, 10) : null, count });
+}
+
+// Next occurrences of a rule from now on, or a RecurrenceError
+function previewOccurrences(rrule, startsAt, timezone, limit = PREVIEW_COUNT) {
+  const now = new Date();
+  const { occurrences } = expandOccurrences({
+    rrule,
+    startsAt,
+    timezone,
+    before: new Date(now.getTime() + 5 * 366 * 24 * 60 * 60 * 1000),
+  });
+  return occurrences.filter((date) => date > now).slice(0, limit);
+}
+
+// GET /api/schedules - List the user's recurring schedules
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    const { data: schedules, error } = await supabase
+      .from('post_schedules')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to fetch schedules',
+        message: error.message
+      });
+    }
+
+    res.json({
+      schedules: (schedules || []).map(schedule => ({
+        ...schedule,
+        description: describeRRule(schedule.rrule),
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching schedules:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/schedules/preview - Describe a recurrence and list its next occurrences
+router.post('/preview', authenticateUser, recurrenceValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    // The dashboard shows the message next to the form as it is typed
+    return res.status(400).json({ error: 'Validation error', message: errors.array()[0].msg, details: errors.array() });
+  }
+
+  try {
+    const rrule = getRRule(req.body.recurrence);
+    const occurrences = previewOccurrences(rrule, req.body.starts_at, req.body.timezone);
+    res.json({
+      rrule,
+      description: describeRRule(rrule),
+      occurrences: occurrences.map(date => date.toISOString()),
+    });
+  } catch (error) {
+    if (error instanceof RecurrenceError) {
+      return res.status(400).json({ error: 'Validation error', message: error.message });
+    }
+    console.error('Error previewing schedule:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/schedules - Create a recurring schedule and its first occurrences
+router.post(
+  '/',
+  authenticateUser,
+  [
+    body('post').isObject().withMessage('post is required'),
+    // Occurrences are inserted as they are, so the template passes the checks of POST /api/posts
+    ...postContentValidators('post.'),
+    body('account_ids').isArray({ min: 1 }),
+    body('account_ids.*').isUUID(),
+    ...recurrenceValidators,
+  ],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation error', details: errors.array() });
+    }
+    const userId = req.user.id;
+    const { post, account_ids, recurrence, starts_at, timezone } = req.body;
+
+    const { content: template, error: templateError } = buildPostContent(post);
+    if (templateError) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: templateError
+      });
+    }
+
+    let rrule;
+    let upcoming;
+    try {
+      rrule = getRRule(recurrence);
+      upcoming = previewOccurrences(rrule, starts_at, timezone);
+    } catch (error) {
+      if (error instanceof RecurrenceError) {
+        return res.status(400).json({ error: 'Validation error', message: error.message });
+      }
+      throw error;
+    }
+
+    if (upcoming.length === 0) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'This recurrence has no upcoming occurrences'
+      });
+    }
+
+    // Validate all account_ids belong to user and are active
+    const { data: userAccounts, error: accountsError } = await supabase
+      .from('accounts')
+      .select('id, is_active')
+      .eq('user_id', userId)
+      .in('id', account_ids);
+
+    if (accountsError) {
+      console.error('Supabase error:', accountsError);
+      return res.status(500).json({
+        error: 'Failed to validate accounts',
+        message: accountsError.message
+      });
+    }
+
+    if (!userAccounts || userAccounts.length !== account_ids.length) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'One or more account IDs are invalid or do not belong to you'
+      });
+    }
+
+    if (userAccounts.some(acc => !acc.is_active)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'One or more accounts are inactive'
+      });
+    }
+
+    const { data: schedule, error: scheduleError } = await supabase
+      .from('post_schedules')
+      .insert({
+        user_id: userId,
+        post_template: template,
+        account_ids,
+        rrule,
+        starts_at_local: starts_at.slice(0, 16),
+        timezone,
+        next_occurrence_at: upcoming[0].toISOString(),
+      })
+      .select()
+      .single();
+
+    if (scheduleError) {
+      console.error('Supabase error:', scheduleError);
+      return res.status(500).json({
+        error: 'Failed to create schedule',
+        message: scheduleError.message
+      });
+    }
+
+    let created;
+    try {
+      ({ created } = await materializeSchedule(schedule));
+    } catch (materializeError) {
+      console.error('Error creating schedule posts:', materializeError);
+
+      // Rollback: a retry would otherwise leave a second schedule for the same posts
+      await supabase
+        .from('posts')
+        .delete()
+        .eq('schedule_id', schedule.id);
+      await supabase
+        .from('post_schedules')
+        .delete()
+        .eq('id', schedule.id);
+
+      return res.status(500).json({
+        error: 'Failed to create schedule posts',
+        message: materializeError.message
+      });
+    }
+
+    await logActivity(userId, `Recurring schedule created for ${account_ids.length} account(s)`, 'info', {
+      scheduleId: schedule.id,
+      rrule,
+      postsCreated: created,
+    });
+
+    res.status(201).json({
+      schedule: { ...schedule, description: describeRRule(rrule) },
+      created,
+      occurrences: upcoming.map(date => date.toISOString()),
+    });
+  } catch (error) {
+    console.error('Error creating schedule:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Delete the pending posts of a schedule that haven't started yet
+async function deleteUpcomingPosts(scheduleId) {
+  const { data, error } = await supabase
+    .from('posts')
+    .delete()
+    .eq('schedule_id', scheduleId)
+    .eq('status', 'pending')
+    .gt('scheduled_at', new Date().toISOString())
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).length;
+}
+
+// PATCH /api/schedules/:id - Pause or resume a schedule
+router.patch(
+  '/:id',
+  authenticateUser,
+  [
+    param('id').isUUID().withMessage('Invalid ID'),
+    body('active').isBoolean().withMessage('active must be true or false').toBoolean(),
+  ],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation error', details: errors.array() });
+    }
+
+    const { data: schedule, error: fetchError } = await supabase
+      .from('post_schedules')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('Supabase error:', fetchError);
+      return res.status(500).json({
+        error: 'Failed to fetch schedule',
+        message: fetchError.message
+      });
+    }
+    if (!schedule) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Schedule not found'
+      });
+    }
+    if (req.body.active && schedule.ended_at) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'This schedule has no occurrences left'
+      });
+    }
+
+    let removed = 0;
+    let created = 0;
+    if (req.body.active) {
+      const { data: resumed, error } = await supabase
+        .from('post_schedules')
+        .update({ active: true })
+        .eq('id', schedule.id)
+        .select()
+        .single();
+      if (error) throw error;
+      ({ created } = await materializeSchedule(resumed));
+    } else {
+      // Paused occurrences are dropped; resuming starts again from then on
+      removed = await deleteUpcomingPosts(schedule.id);
+      const { error } = await supabase
+        .from('post_schedules')
+        .update({ active: false, materialized_until: new Date().toISOString(), next_occurrence_at: null })
+        .eq('id', schedule.id);
+      if (error) throw error;
+    }
+
+    res.json({
+      message: req.body.active ? 'Schedule resumed' : 'Schedule paused',
+      removed,
+      created,
+    });
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/schedules/:id - Stop a schedule and remove its upcoming posts
+router.delete(
+  '/:id',
+  authenticateUser,
+  [param('id').isUUID().withMessage('Invalid ID')],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation error', details: errors.array() });
+    }
+    const userId = req.user.id;
+
+    const { data: schedule, error: fetchError } = await supabase
+      .from('post_schedules')
+      .select('id')
+      .eq('id', req.params.id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('Supabase error:', fetchError);
+      return res.status(500).json({
+        error: 'Failed to fetch schedule',
+        message: fetchError.message
+      });
+    }
+    if (!schedule) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Schedule not found'
+      });
+    }
+
+    // Posts already published or in progress stay, detached from the schedule
+    const removed = await deleteUpcomingPosts(schedule.id);
+    const { error } = await supabase
+      .from('post_schedules')
+      .delete()
+      .eq('id', schedule.id);
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to delete schedule',
+        message: error.message
+      });
+    }
+
+    await logActivity(userId, 'Recurring schedule deleted', 'info', { scheduleId: schedule.id, postsRemoved: removed });
+
+    res.json({ message: 'Schedule deleted', removed });
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+export default router;
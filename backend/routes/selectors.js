@@ -0,0 +1,352 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { authenticateUser } from '../middleware/auth.js';
+
+dotenv.config();
+
+const router = express.Router();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Registry changes affect every account the bot runs, so only listed users may edit
+const SELECTOR_EDITOR_EMAILS = (process.env.SELECTOR_EDITOR_EMAILS || '')
+  .split(',')
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+
+const KEY_PATTERN = /^[a-z]+\.[A-Za-z0-9]+$/;
+const LOCALE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+const MAX_ENTRY_VALUES = 30;
+const MAX_VALUE_LENGTH = 500;
+
+function requireSelectorEditor(req, res, next) {
+  const email = (req.user?.email || '').toLowerCase();
+  if (!email || !SELECTOR_EDITOR_EMAILS.includes(email)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You are not allowed to edit the selector registry'
+    });
+  }
+  return next();
+}
+
+function isStringList(value) {
+  return Array.isArray(value) &&
+    value.length <= MAX_ENTRY_VALUES &&
+    value.every((item) => typeof item === 'string' && item.trim().length > 0 && item.length <= MAX_VALUE_LENGTH);
+}
+
+const keyParam = param('key').matches(KEY_PATTERN).withMessage('key must look like "post.shareButton"');
+
+async function getEntry(key) {
+  const { data, error } = await supabase
+    .from('selector_registry')
+    .select('*')
+    .eq('key', key)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Write a new version of an entry and record it in the history
+async function saveVersion(entry, changes, userId) {
+  const version = entry.version + 1;
+  const { data, error } = await supabase
+    .from('selector_registry')
+    .update({
+      ...changes,
+      version,
+      updated_by: userId,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('key', entry.key)
+    .eq('version', entry.version)
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  // Another edit landed first
+  if (!data) return null;
+
+  const { error: historyError } = await supabase
+    .from('selector_registry_history')
+    .insert({
+      key: entry.key,
+      version,
+      selectors: data.selectors,
+      texts: data.texts,
+      description: data.description,
+      source: data.source,
+      changed_by: userId,
+    });
+  if (historyError) {
+    console.error('Failed to record selector history:', historyError);
+  }
+  return data;
+}
+
+function conflict(res) {
+  return res.status(409).json({
+    error: 'Conflict',
+    message: 'Entry was changed by someone else, reload and try again'
+  });
+}
+
+// GET /api/selectors - List registry entries
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    const { prefix } = req.query;
+
+    let query = supabase
+      .from('selector_registry')
+      .select('*')
+      .order('key', { ascending: true });
+
+    if (prefix) {
+      query = query.like('key', `${prefix}.%`);
+    }
+
+    const { data: entries, error } = await query;
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to fetch selectors',
+        message: error.message
+      });
+    }
+
+    res.json({
+      entries: entries || [],
+      count: entries?.length || 0,
+      canEdit: SELECTOR_EDITOR_EMAILS.includes((req.user.email || '').toLowerCase()),
+    });
+  } catch (error) {
+    console.error('Error fetching selectors:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/selectors/:key - Get an entry with its version history
+router.get('/:key', authenticateUser, [keyParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation error', details: errors.array() });
+    }
+
+    const entry = await getEntry(req.params.key);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Selector entry not found'
+      });
+    }
+
+    const { data: history, error } = await supabase
+      .from('selector_registry_history')
+      .select('*')
+      .eq('key', entry.key)
+      .order('version', { ascending: false })
+      .limit(50);
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to fetch selector history',
+        message: error.message
+      });
+    }
+
+    res.json({ entry, history: history || [] });
+  } catch (error) {
+    console.error('Error fetching selector entry:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/selectors/:key - Override an entry; the bot picks it up on its next refresh
+router.put(
+  '/:key',
+  authenticateUser,
+  requireSelectorEditor,
+  [
+    keyParam,
+    body('selectors').optional().custom(isStringList).withMessage(`selectors must be an array of up to ${MAX_ENTRY_VALUES} non-empty strings`),
+    body('texts').optional().custom((texts) => {
+      if (!texts || typeof texts !== 'object' || Array.isArray(texts)) return false;
+      return Object.entries(texts).every(([locale, values]) => LOCALE_PATTERN.test(locale) && isStringList(values));
+    }).withMessage('texts must map locale codes (e.g. "en", "id") to arrays of non-empty strings'),
+    body('description').optional({ values: 'null' }).isString().isLength({ max: 500 }),
+    body('version').optional().isInt({ min: 1 }).toInt(),
+  ],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation error', details: errors.array() });
+    }
+
+    const { selectors, texts, description, version } = req.body;
+    if (selectors === undefined && texts === undefined && description === undefined) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Provide selectors, texts or description to update'
+      });
+    }
+
+    const entry = await getEntry(req.params.key);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Selector entry not found'
+      });
+    }
+    if (version !== undefined && version !== entry.version) {
+      return conflict(res);
+    }
+
+    const changes = { source: 'custom' };
+    if (selectors !== undefined) changes.selectors = selectors.map((selector) => selector.trim());
+    if (texts !== undefined) changes.texts = texts;
+    if (description !== undefined) changes.description = description;
+
+    const nextSelectors = changes.selectors ?? entry.selectors ?? [];
+    const nextTexts = changes.texts ?? entry.texts ?? {};
+    if (nextSelectors.length === 0 && Object.values(nextTexts).every((values) => values.length === 0)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'An entry needs at least one selector or text'
+      });
+    }
+
+    const updated = await saveVersion(entry, changes, req.user.id);
+    if (!updated) return conflict(res);
+
+    res.json({ entry: updated });
+  } catch (error) {
+    console.error('Error updating selector entry:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/selectors/:key/rollback - Restore an earlier version as a custom entry
+router.post(
+  '/:key/rollback',
+  authenticateUser,
+  requireSelectorEditor,
+  [keyParam, body('version').isInt({ min: 1 }).toInt()],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation error', details: errors.array() });
+    }
+
+    const entry = await getEntry(req.params.key);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Selector entry not found'
+      });
+    }
+
+    const { data: snapshot, error } = await supabase
+      .from('selector_registry_history')
+      .select('selectors, texts, description')
+      .eq('key', entry.key)
+      .eq('version', req.body.version)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to fetch selector history',
+        message: error.message
+      });
+    }
+    if (!snapshot) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Version ${req.body.version} not found for ${entry.key}`
+      });
+    }
+
+    const updated = await saveVersion(entry, { ...snapshot, source: 'custom' }, req.user.id);
+    if (!updated) return conflict(res);
+
+    res.json({ entry: updated });
+  } catch (error) {
+    console.error('Error rolling back selector entry:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/selectors/:key/reset - Drop the override and go back to the bot's defaults
+router.post('/:key/reset', authenticateUser, requireSelectorEditor, [keyParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation error', details: errors.array() });
+    }
+
+    const entry = await getEntry(req.params.key);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Selector entry not found'
+      });
+    }
+    if (entry.source === 'default') {
+      return res.json({ entry });
+    }
+
+    // registry_version 0 makes the bot copy its shipped defaults back in on its next refresh
+    const { data: updated, error } = await supabase
+      .from('selector_registry')
+      .update({
+        source: 'default',
+        registry_version: 0,
+        updated_by: req.user.id,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('key', entry.key)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to reset selector entry',
+        message: error.message
+      });
+    }
+
+    res.json({ entry: updated });
+  } catch (error) {
+    console.error('Error resetting selector entry:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+export default router;
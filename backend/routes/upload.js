@@ -3,8 +3,17 @@ import multer from 'multer';
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 import { authenticateUser } from '../middleware/auth.js';
-import { uploadSingle } from '../middleware/upload.js';
-import { uploadImage, deleteImage, getTransformUrl, validateImageFormat } from '../utils/cloudinary.js';
+import { uploadSingle, uploadMultiple } from '../middleware/upload.js';
+import {
+  uploadImage,
+  uploadVideo,
+  deleteImage,
+  getTransformUrl,
+  getCropUrls,
+  getVideoCoverUrl,
+  validateImageFormat,
+  validateVideoFormat,
+} from '../utils/cloudinary.js';
 
 dotenv.config();
 
@@ -16,7 +25,40 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// POST /api/upload - Upload image to Cloudinary
+// Map Cloudinary upload failures to API responses
+function sendCloudinaryUploadError(res, cloudinaryError) {
+  if (cloudinaryError.http_code === 400) {
+    return res.status(400).json({
+      success: false,
+      error: 'Upload error',
+      message: 'Invalid image format or corrupted file'
+    });
+  }
+  
+  if (cloudinaryError.http_code === 401) {
+    return res.status(500).json({
+      success: false,
+      error: 'Configuration error',
+      message: 'Cloudinary credentials are invalid. Please check your configuration.'
+    });
+  }
+
+  if (cloudinaryError.http_code === 403 || cloudinaryError.http_code === 429) {
+    return res.status(503).json({
+      success: false,
+      error: 'Service unavailable',
+      message: 'Cloudinary quota exceeded or service unavailable. Please try again later.'
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: 'Upload failed',
+    message: cloudinaryError.message || 'Failed to upload image to Cloudinary'
+  });
+}
+
+// POST /api/upload - Upload image or Reel video to Cloudinary
 router.post('/', authenticateUser, uploadSingle, async (req, res) => {
   try {
     // Validate file exists
@@ -24,12 +66,14 @@ router.post('/', authenticateUser, uploadSingle, async (req, res) => {
       return res.status(400).json({
         success: false,
         error: 'No file uploaded',
-        message: 'Please provide an image file'
+        message: 'Please provide an image or video file'
       });
     }
 
+    const isVideo = req.file.mimetype.startsWith('video/');
+
     // Validate file format
-    const validation = validateImageFormat(req.file);
+    const validation = isVideo ? validateVideoFormat(req.file) : validateImageFormat(req.file);
     if (!validation.valid) {
       return res.status(400).json({
         success: false,
@@ -41,58 +85,139 @@ router.post('/', authenticateUser, uploadSingle, async (req, res) => {
     // Upload to Cloudinary
     let uploadResult;
     try {
-      uploadResult = await uploadImage(req.file.buffer, {
-        folder: 'instagram-automation/posts',
-      });
+      uploadResult = isVideo
+        ? await uploadVideo(req.file.buffer, { folder: 'instagram-automation/reels' })
+        : await uploadImage(req.file.buffer, { folder: 'instagram-automation/posts' });
     } catch (cloudinaryError) {
       console.error('Cloudinary upload error:', cloudinaryError);
-      
-      // Handle specific Cloudinary errors
-      if (cloudinaryError.http_code === 400) {
-        return res.status(400).json({
-          success: false,
-          error: 'Upload error',
-          message: 'Invalid image format or corrupted file'
-        });
+      return sendCloudinaryUploadError(res, cloudinaryError);
+    }
+
+    const data = {
+      url: uploadResult.url,
+      public_id: uploadResult.public_id,
+      resource_type: isVideo ? 'video' : 'image',
+      width: uploadResult.width,
+      height: uploadResult.height,
+      format: uploadResult.format,
+      size: uploadResult.size,
+      aspectRatio: parseFloat(uploadResult.aspectRatio.toFixed(2)),
+    };
+
+    if (isVideo) {
+      data.duration = uploadResult.duration;
+      data.cover_url = uploadResult.cover_url;
+    } else {
+      data.crops = getCropUrls(uploadResult.public_id);
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error uploading file:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
+
+// GET /api/upload/video-cover - Get the cover frame URL for a Reel video at an offset
+router.get('/video-cover', authenticateUser, async (req, res) => {
+  try {
+    const { public_id, offset = 0 } = req.query;
+
+    if (!public_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'public_id is required'
+      });
+    }
+
+    const offsetSeconds = parseFloat(offset);
+    if (isNaN(offsetSeconds) || offsetSeconds < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'offset must be a non-negative number of seconds'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        public_id,
+        offset: offsetSeconds,
+        cover_url: getVideoCoverUrl(public_id, offsetSeconds),
       }
-      
-      if (cloudinaryError.http_code === 401) {
-        return res.status(500).json({
+    });
+  } catch (error) {
+    console.error('Error getting video cover URL:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
+
+// POST /api/upload/multiple - Upload ordered carousel images to Cloudinary
+router.post('/multiple', authenticateUser, uploadMultiple, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files uploaded',
+        message: 'Please provide at least one image file'
+      });
+    }
+
+    for (const file of req.files) {
+      const validation = validateImageFormat(file);
+      if (!validation.valid) {
+        return res.status(400).json({
           success: false,
-          error: 'Configuration error',
-          message: 'Cloudinary credentials are invalid. Please check your configuration.'
+          error: 'Validation error',
+          message: `${file.originalname}: ${validation.error}`
         });
       }
+    }
 
-      if (cloudinaryError.http_code === 403 || cloudinaryError.http_code === 429) {
-        return res.status(503).json({
-          success: false,
-          error: 'Service unavailable',
-          message: 'Cloudinary quota exceeded or service unavailable. Please try again later.'
+    // Upload sequentially so the response keeps the submitted slide order
+    const uploaded = [];
+    try {
+      for (const file of req.files) {
+        const uploadResult = await uploadImage(file.buffer, {
+          folder: 'instagram-automation/posts',
+        });
+        uploaded.push({
+          url: uploadResult.url,
+          public_id: uploadResult.public_id,
+          width: uploadResult.width,
+          height: uploadResult.height,
+          format: uploadResult.format,
+          size: uploadResult.size,
+          aspectRatio: parseFloat(uploadResult.aspectRatio.toFixed(2)),
+          crops: getCropUrls(uploadResult.public_id),
         });
       }
-
-      return res.status(500).json({
-        success: false,
-        error: 'Upload failed',
-        message: cloudinaryError.message || 'Failed to upload image to Cloudinary'
-      });
+    } catch (cloudinaryError) {
+      console.error('Cloudinary upload error:', cloudinaryError);
+      // Don't leave orphaned slides behind when part of the batch fails
+      await Promise.allSettled(uploaded.map(item => deleteImage(item.public_id)));
+      return sendCloudinaryUploadError(res, cloudinaryError);
     }
 
     res.json({
       success: true,
-      data: {
-        url: uploadResult.url,
-        public_id: uploadResult.public_id,
-        width: uploadResult.width,
-        height: uploadResult.height,
-        format: uploadResult.format,
-        size: uploadResult.size,
-        aspectRatio: parseFloat(uploadResult.aspectRatio.toFixed(2)),
-      }
+      data: uploaded
     });
   } catch (error) {
-    console.error('Error uploading image:', error);
+    console.error('Error uploading images:', error);
     res.status(500).json({
       success: false,
       error: 'Internal server error',
@@ -104,7 +229,7 @@ router.post('/', authenticateUser, uploadSingle, async (req, res) => {
 // DELETE /api/upload - Delete image from Cloudinary
 router.delete('/', authenticateUser, async (req, res) => {
   try {
-    const { public_id } = req.body;
+    const { public_id, resource_type = 'image' } = req.body;
 
     if (!public_id) {
       return res.status(400).json({
@@ -114,6 +239,14 @@ router.delete('/', authenticateUser, async (req, res) => {
       });
     }
 
+    if (!['image', 'video'].includes(resource_type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'resource_type must be image or video'
+      });
+    }
+
     // Validate user owns the image (check posts table)
     const userId = req.user.id;
     const { data: posts, error: postsError } = await supabase
@@ -128,7 +261,7 @@ router.delete('/', authenticateUser, async (req, res) => {
     // For now, we'll check if the public_id appears in any of the user's post URLs
     const { data: allPosts, error: allPostsError } = await supabase
       .from('posts')
-      .select('image_url')
+      .select('image_url, image_urls, video_url')
       .eq('user_id', userId);
 
     if (allPostsError) {
@@ -137,7 +270,7 @@ router.delete('/', authenticateUser, async (req, res) => {
 
     // Check if public_id is in any of the user's post URLs
     const ownsImage = allPosts?.some(post => 
-      post.image_url && post.image_url.includes(public_id)
+      [post.image_url, post.video_url, ...(post.image_urls || [])].some(url => url && url.includes(public_id))
     );
 
     if (!ownsImage) {
@@ -151,7 +284,7 @@ router.delete('/', authenticateUser, async (req, res) => {
     // Delete from Cloudinary
     let deleteResult;
     try {
-      deleteResult = await deleteImage(public_id);
+      deleteResult = await deleteImage(public_id, resource_type);
     } catch (cloudinaryError) {
       console.error('Cloudinary delete error:', cloudinaryError);
       
@@ -210,11 +343,11 @@ router.get('/transform', authenticateUser, async (req, res) => {
     const userId = req.user.id;
     const { data: allPosts } = await supabase
       .from('posts')
-      .select('image_url')
+      .select('image_url, image_urls')
       .eq('user_id', userId);
 
     const ownsImage = allPosts?.some(post => 
-      post.image_url && post.image_url.includes(public_id)
+      [post.image_url, ...(post.image_urls || [])].some(url => url && url.includes(public_id))
     );
 
     if (!ownsImage) {
@@ -286,7 +419,14 @@ router.use((error, req, res, next) => {
       return res.status(400).json({
         success: false,
         error: 'File too large',
-        message: 'File size must be less than 8MB'
+        message: 'Images must be less than 8MB and videos less than 100MB'
+      });
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        success: false,
+        error: 'Too many files',
+        message: 'A carousel can contain at most 10 images'
       });
     }
     return res.status(400).json({
@@ -296,7 +436,9 @@ router.use((error, req, res, next) => {
     });
   }
   
-  if (error.message === 'Only JPG and PNG files are allowed' || 
+  if (error.message === 'Only JPG and PNG files are allowed' ||
+      error.message === 'Only MP4 and MOV videos are allowed' ||
+      error.message === 'Only image or video files are allowed' ||
       error.message === 'Only image files are allowed') {
     return res.status(400).json({
       success: false,
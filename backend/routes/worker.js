@@ -0,0 +1,994 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { authenticateWorker } from '../middleware/worker-auth.js';
+import { syncSelectorDefaults } from '../services/selector-registry.js';
+import { getAttemptKeyPattern, getDiagnosticKeyPattern, isArtifactPath, isCloudinaryUrl } from '../services/artifact-files.js';
+
+dotenv.config();
+
+// API of the posting bot: it claims posts (leases, see migration 025), reports
+// each account's progress and completes or fails the post, all authenticated
+// with a worker token instead of the service-role key. Removals and caption
+// edits of published posts, login sessions, the selector registry, attempt
+// artifacts and diagnostics go through here too.
+
+const MAX_CLAIM = 20;
+const DEFAULT_LEASE_SECONDS = 300;
+const MIN_LEASE_SECONDS = 30;
+const MAX_LEASE_SECONDS = 3600;
+const MAX_HEARTBEAT_POSTS = 100;
+
+// post_accounts columns the bot reports while posting to an account
+const PROGRESS_FIELDS = [
+  'status',
+  'error_message',
+  'instagram_post_url',
+  'posted_at',
+  'adopted_at',
+  'first_attempt_at',
+  'last_attempt_at',
+  'attempt_count',
+  'deferred_until',
+  'tagging_results',
+  'settings_results',
+  'first_comment_status',
+  'first_comment_error',
+  'first_comment_posted_at',
+];
+const PROGRESS_STATUSES = ['pending', 'completed', 'failed'];
+
+// Work on published posts, leased per post_accounts row (migration 025)
+const TASKS = ['removal', 'caption_edit'];
+const TASK_CANDIDATES = 5;
+const TASK_SELECT = `
+  id,
+  post_id,
+  account_id,
+  instagram_post_url,
+  removal_action,
+  caption_edit_revision,
+  post:posts (
+    id,
+    user_id,
+    caption
+  ),
+  account:accounts (
+    id,
+    instagram_username,
+    password_encrypted,
+    cookies,
+    is_active
+  )
+`;
+
+const MAX_RETRY_POSTS = 50;
+const MAX_FILES = 100;
+const UI_LOCALE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+const SELECTOR_KEY_PATTERN = /^[a-z]+\.[A-Za-z0-9]+$/;
+
+const router = express.Router();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const leaseSecondsValidator = body('lease_seconds')
+  .optional()
+  .isInt({ min: MIN_LEASE_SECONDS, max: MAX_LEASE_SECONDS })
+  .withMessage(`lease_seconds must be between ${MIN_LEASE_SECONDS} and ${MAX_LEASE_SECONDS}`)
+  .toInt();
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ error: 'Validation error', details: errors.array() });
+  return true;
+}
+
+// Set a leased post's final status and clear the lease; false when the worker no longer holds it
+async function releasePost(postId, workerId, status) {
+  const { data, error } = await supabase
+    .from('posts')
+    .update({ status, leased_by: null, lease_expires_at: null })
+    .eq('id', postId)
+    .eq('status', 'processing')
+    .eq('leased_by', workerId)
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+function leaseLost(res, subject = 'post') {
+  return res.status(409).json({
+    error: 'Conflict',
+    message: `This worker no longer holds the lease on the ${subject}`
+  });
+}
+
+// Columns written when a removal or caption edit finishes
+function taskResult(task, { success, error }) {
+  const now = new Date().toISOString();
+  if (task === 'removal') {
+    return success
+      ? { removal_status: 'completed', removal_completed_at: now, removal_error: null }
+      : { removal_status: 'failed', removal_error: error || 'Unknown error' };
+  }
+  return success
+    ? { caption_edit_status: 'completed', caption_edited_at: now, caption_edit_error: null }
+    : { caption_edit_status: 'failed', caption_edit_error: error || 'Unknown error' };
+}
+
+const taskValidator = body('task').isIn(TASKS).withMessage(`task must be one of ${TASKS.join(', ')}`);
+
+// POST /api/worker/claim - Lease the next due posts to the calling worker
+router.post(
+  '/claim',
+  authenticateWorker('posts'),
+  [
+    body('limit').optional().isInt({ min: 1, max: MAX_CLAIM }).withMessage(`limit must be between 1 and ${MAX_CLAIM}`).toInt(),
+    body('post_type').optional().isIn(['feed', 'story']).withMessage('post_type must be feed or story'),
+    leaseSecondsValidator,
+  ],
+  async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const { limit = 5, post_type, lease_seconds = DEFAULT_LEASE_SECONDS } = req.body;
+
+    // Posts of crashed or restarted workers go back to the queue first
+    const { error: reclaimError } = await supabase.rpc('reclaim_expired_post_leases');
+    if (reclaimError) {
+      console.error('Supabase error:', reclaimError);
+    }
+
+    // Same selection and order as GET /api/queue, across all users
+    const now = new Date().toISOString();
+    let query = supabase
+      .from('posts')
+      .select('id, due_accounts:post_accounts!inner (id)')
+      .eq('status', 'pending')
+      .not('approved_at', 'is', null)
+      .lte('scheduled_at', now)
+      .eq('due_accounts.status', 'pending')
+      .or(`deferred_until.is.null,deferred_until.lte.${now}`, { referencedTable: 'due_accounts' })
+      .lte('due_accounts.scheduled_at', now)
+      .order('priority', { ascending: false })
+      .order('queue_position', { ascending: true, nullsFirst: false })
+      .order('scheduled_at', { ascending: true })
+      .limit(limit);
+
+    if (post_type) {
+      query = query.eq('post_type', post_type);
+    }
+
+    const { data: due, error: queueError } = await query;
+    if (queueError) {
+      console.error('Supabase error:', queueError);
+      return res.status(500).json({
+        error: 'Failed to fetch queue',
+        message: queueError.message
+      });
+    }
+
+    const dueIds = (due || []).map((post) => post.id);
+    if (dueIds.length === 0) {
+      return res.json({ posts: [], lease_seconds });
+    }
+
+    const { data: claimedIds, error: claimError } = await supabase.rpc('claim_post_leases', {
+      p_post_ids: dueIds,
+      p_worker: req.worker.id,
+      p_lease_seconds: lease_seconds,
+    });
+    if (claimError) {
+      console.error('Supabase error:', claimError);
+      return res.status(500).json({
+        error: 'Failed to claim posts',
+        message: claimError.message
+      });
+    }
+    if (!claimedIds || claimedIds.length === 0) {
+      return res.json({ posts: [], lease_seconds });
+    }
+
+    const { data: posts, error: fetchError } = await supabase
+      .from('posts')
+      .select(`
+        *,
+        post_accounts (
+          id,
+          account_id,
+          status,
+          error_message,
+          instagram_post_url,
+          first_attempt_at,
+          attempt_count,
+          first_comment_status,
+          deferred_until,
+          scheduled_at,
+          account:accounts (
+            id,
+            instagram_username,
+            password_encrypted,
+            cookies,
+            is_active,
+            timezone,
+            posting_windows,
+            posting_blackouts
+          )
+        )
+      `)
+      .in('id', claimedIds);
+
+    if (fetchError) {
+      console.error('Supabase error:', fetchError);
+      // The leases run out and the posts are reclaimed
+      return res.status(500).json({
+        error: 'Failed to fetch claimed posts',
+        message: fetchError.message
+      });
+    }
+
+    // Back in queue order
+    const order = new Map(dueIds.map((id, index) => [id, index]));
+    const claimed = (posts || []).sort((a, b) => order.get(a.id) - order.get(b.id));
+
+    res.json({ posts: claimed, lease_seconds });
+  } catch (error) {
+    console.error('Error claiming posts:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/worker/heartbeat - Renew the worker's leases; returns the posts it still holds
+router.post(
+  '/heartbeat',
+  authenticateWorker('posts'),
+  [
+    body('post_ids').isArray({ min: 1, max: MAX_HEARTBEAT_POSTS }).withMessage(`post_ids must list 1 to ${MAX_HEARTBEAT_POSTS} posts`),
+    body('post_ids.*').isUUID().withMessage('Invalid post ID'),
+    leaseSecondsValidator,
+  ],
+  async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const { post_ids, lease_seconds = DEFAULT_LEASE_SECONDS } = req.body;
+
+    const { data, error } = await supabase.rpc('renew_post_leases', {
+      p_post_ids: post_ids,
+      p_worker: req.worker.id,
+      p_lease_seconds: lease_seconds,
+    });
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to renew leases',
+        message: error.message
+      });
+    }
+
+    res.json({ post_ids: data || [], lease_seconds });
+  } catch (error) {
+    console.error('Error renewing leases:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/worker/accounts/:id - Daily post count of an account, read before posting to it
+router.get(
+  '/accounts/:id',
+  authenticateWorker('posts'),
+  [param('id').isUUID().withMessage('Invalid ID')],
+  async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { data, error } = await supabase
+      .from('accounts')
+      .select('id, posts_today, last_post_at, timezone')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to fetch account',
+        message: error.message
+      });
+    }
+    if (!data) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json({ account: data });
+  } catch (error) {
+    console.error('Error fetching account:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/worker/posts/:id/accounts/:accountId/progress - Record an attempt on one account
+router.post(
+  '/posts/:id/accounts/:accountId/progress',
+  authenticateWorker('posts'),
+  [
+    param('id').isUUID().withMessage('Invalid ID'),
+    param('accountId').isUUID().withMessage('Invalid account ID'),
+    body('updates').isObject().withMessage('updates must be an object'),
+    body('updates.status').optional().isIn(PROGRESS_STATUSES).withMessage(`status must be one of ${PROGRESS_STATUSES.join(', ')}`),
+    // The account's new daily count when this attempt published a post
+    body('posts_today').optional().isInt({ min: 0 }).toInt(),
+  ],
+  async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const { id, accountId } = req.params;
+    const { updates, posts_today } = req.body;
+
+    const unknownFields = Object.keys(updates).filter((field) => !PROGRESS_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Unknown fields: ${unknownFields.join(', ')}`
+      });
+    }
+
+    const { data: post, error: postError } = await supabase
+      .from('posts')
+      .select('id')
+      .eq('id', id)
+      .eq('status', 'processing')
+      .eq('leased_by', req.worker.id)
+      .maybeSingle();
+
+    if (postError) {
+      console.error('Supabase error:', postError);
+      return res.status(500).json({
+        error: 'Failed to fetch post',
+        message: postError.message
+      });
+    }
+    if (!post) {
+      return leaseLost(res);
+    }
+
+    const { data: postAccount, error: updateError } = await supabase
+      .from('post_accounts')
+      .update(updates)
+      .eq('post_id', id)
+      .eq('account_id', accountId)
+      .select('id, account_id, status')
+      .maybeSingle();
+
+    if (updateError) {
+      console.error('Supabase error:', updateError);
+      return res.status(500).json({
+        error: 'Failed to update post account',
+        message: updateError.message
+      });
+    }
+    if (!postAccount) {
+      return res.status(404).json({ error: 'Account not found on this post' });
+    }
+
+    if (posts_today !== undefined) {
+      const { error: accountError } = await supabase
+        .from('accounts')
+        .update({ posts_today, last_post_at: new Date().toISOString() })
+        .eq('id', accountId);
+
+      if (accountError) {
+        console.error('Supabase error:', accountError);
+      }
+    }
+
+    res.json({ post_account: postAccount });
+  } catch (error) {
+    console.error('Error recording progress:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/worker/posts/:id/complete - Finish a post, or put it back in the queue for deferred accounts
+router.post(
+  '/posts/:id/complete',
+  authenticateWorker('posts'),
+  [
+    param('id').isUUID().withMessage('Invalid ID'),
+    body('requeue').optional().isBoolean().withMessage('requeue must be a boolean').toBoolean(),
+  ],
+  async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const status = req.body.requeue ? 'pending' : 'completed';
+    if (!(await releasePost(req.params.id, req.worker.id, status))) {
+      return leaseLost(res);
+    }
+
+    res.json({ message: status === 'pending' ? 'Post returned to the queue' : 'Post completed', status });
+  } catch (error) {
+    console.error('Error completing post:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/worker/posts/:id/fail - Mark a post failed
+router.post(
+  '/posts/:id/fail',
+  authenticateWorker('posts'),
+  [
+    param('id').isUUID().withMessage('Invalid ID'),
+    body('error').optional().isString().isLength({ max: 2000 }),
+  ],
+  async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    if (!(await releasePost(req.params.id, req.worker.id, 'failed'))) {
+      return leaseLost(res);
+    }
+    if (req.body.error) {
+      console.error(`Post ${req.params.id} failed on worker ${req.worker.id}:`, req.body.error);
+    }
+
+    res.json({ message: 'Post marked as failed', status: 'failed' });
+  } catch (error) {
+    console.error('Error failing post:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/worker/logs - Write an activity log entry shown in the dashboard
+router.post(
+  '/logs',
+  authenticateWorker('logs'),
+  [
+    body('action').isString().trim().isLength({ min: 1, max: 1000 }).withMessage('action is required'),
+    body('status').isString().isLength({ min: 1, max: 20 }).withMessage('status is required'),
+    body('user_id').optional({ values: 'null' }).isUUID().withMessage('Invalid user ID'),
+    body('details').optional({ values: 'null' }).isObject().withMessage('details must be an object'),
+    body('error').optional({ values: 'null' }).isString(),
+  ],
+  async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const { action, status, user_id, details, error: logError } = req.body;
+
+    const { data, error } = await supabase
+      .from('bot_logs')
+      .insert({
+        action,
+        status,
+        ...(user_id && { user_id }),
+        ...(details && { details }),
+        ...(logError && { error: logError }),
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to write log',
+        message: error.message
+      });
+    }
+
+    res.status(201).json({ id: data.id });
+  } catch (error) {
+    console.error('Error writing log:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/worker/accounts/:id/session - Store an account's login cookies and UI language
+router.put(
+  '/accounts/:id/session',
+  authenticateWorker('posts'),
+  [
+    param('id').isUUID().withMessage('Invalid ID'),
+    body('cookies').optional().isArray().withMessage('cookies must be an array'),
+    body('ui_locale').optional().matches(UI_LOCALE_PATTERN).withMessage('Invalid ui_locale'),
+  ],
+  async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const { cookies, ui_locale } = req.body;
+    if (cookies === undefined && ui_locale === undefined) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Nothing to update'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('accounts')
+      .update({
+        ...(cookies !== undefined && { cookies }),
+        ...(ui_locale !== undefined && { ui_locale }),
+      })
+      .eq('id', req.params.id)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to update account',
+        message: error.message
+      });
+    }
+    if (!data) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json({ message: 'Session saved' });
+  } catch (error) {
+    console.error('Error saving session:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/worker/posts/retry-failed - Put posts that failed a while ago back in the queue
+router.post(
+  '/posts/retry-failed',
+  authenticateWorker('posts'),
+  [
+    body('older_than_hours').isFloat({ min: 0 }).withMessage('older_than_hours must be a positive number').toFloat(),
+    body('limit').optional().isInt({ min: 1, max: MAX_RETRY_POSTS }).withMessage(`limit must be between 1 and ${MAX_RETRY_POSTS}`).toInt(),
+  ],
+  async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const { older_than_hours, limit = 10 } = req.body;
+
+    const retryAfter = new Date(Date.now() - older_than_hours * 60 * 60 * 1000).toISOString();
+    const { data: failedPosts, error: fetchError } = await supabase
+      .from('posts')
+      .select('id')
+      .eq('status', 'failed')
+      .lt('updated_at', retryAfter)
+      .limit(limit);
+
+    if (fetchError) {
+      console.error('Supabase error:', fetchError);
+      return res.status(500).json({
+        error: 'Failed to fetch failed posts',
+        message: fetchError.message
+      });
+    }
+
+    const postIds = (failedPosts || []).map((post) => post.id);
+    if (postIds.length > 0) {
+      const { error: postsError } = await supabase
+        .from('posts')
+        .update({ status: 'pending', updated_at: new Date().toISOString() })
+        .in('id', postIds)
+        .eq('status', 'failed');
+
+      if (postsError) {
+        console.error('Supabase error:', postsError);
+        return res.status(500).json({
+          error: 'Failed to requeue posts',
+          message: postsError.message
+        });
+      }
+
+      // The queue only picks up posts with pending accounts
+      const { error: accountsError } = await supabase
+        .from('post_accounts')
+        .update({ status: 'pending' })
+        .in('post_id', postIds)
+        .eq('status', 'failed');
+
+      if (accountsError) {
+        console.error('Supabase error:', accountsError);
+      }
+    }
+
+    res.json({ post_ids: postIds });
+  } catch (error) {
+    console.error('Error retrying failed posts:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/worker/post-accounts/:id/image-check - Record how closely a published post matches its image
+router.post(
+  '/post-accounts/:id/image-check',
+  authenticateWorker('posts'),
+  [
+    param('id').isUUID().withMessage('Invalid ID'),
+    body('similarity').optional({ values: 'null' }).isFloat({ min: 0, max: 1 }).withMessage('similarity must be between 0 and 1').toFloat(),
+    body('error').optional({ values: 'null' }).isString().isLength({ max: 2000 }),
+  ],
+  async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const { similarity = null, error: checkError = null } = req.body;
+    if (similarity === null && !checkError) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'similarity or error is required'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('post_accounts')
+      .update({
+        image_similarity_checked: true,
+        image_similarity_checked_at: new Date().toISOString(),
+        ...(similarity !== null && { image_similarity_score: similarity }),
+        image_similarity_error: checkError,
+      })
+      .eq('id', req.params.id)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to record image check',
+        message: error.message
+      });
+    }
+    if (!data) {
+      return res.status(404).json({ error: 'Post account not found' });
+    }
+
+    res.json({ message: 'Image check recorded' });
+  } catch (error) {
+    console.error('Error recording image check:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/worker/tasks/claim - Lease the next queued removal or caption edit to the calling worker
+router.post(
+  '/tasks/claim',
+  authenticateWorker('posts'),
+  [taskValidator, leaseSecondsValidator],
+  async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const { task, lease_seconds = DEFAULT_LEASE_SECONDS } = req.body;
+
+    // Tasks of crashed or restarted workers go back to the queue first
+    const { error: reclaimError } = await supabase.rpc('reclaim_expired_post_account_tasks');
+    if (reclaimError) {
+      console.error('Supabase error:', reclaimError);
+    }
+
+    const { data: queued, error: queueError } = await supabase
+      .from('post_accounts')
+      .select('id')
+      .eq(`${task}_status`, 'pending')
+      .order(task === 'removal' ? 'removal_requested_at' : 'updated_at', { ascending: true })
+      .limit(TASK_CANDIDATES);
+
+    if (queueError) {
+      console.error('Supabase error:', queueError);
+      return res.status(500).json({
+        error: 'Failed to fetch queued tasks',
+        message: queueError.message
+      });
+    }
+
+    // Rows another worker takes first are skipped
+    for (const { id } of queued || []) {
+      const { data: claimed, error: claimError } = await supabase.rpc('claim_post_account_task', {
+        p_id: id,
+        p_task: task,
+        p_worker: req.worker.id,
+        p_lease_seconds: lease_seconds,
+      });
+      if (claimError) {
+        console.error('Supabase error:', claimError);
+        return res.status(500).json({
+          error: 'Failed to claim task',
+          message: claimError.message
+        });
+      }
+      if (!claimed) continue;
+
+      // The caption is read now rather than with the queue, so the latest edit wins
+      const { data: row, error: fetchError } = await supabase
+        .from('post_accounts')
+        .select(TASK_SELECT)
+        .eq('id', id)
+        .single();
+
+      if (fetchError) {
+        console.error('Supabase error:', fetchError);
+        // The lease runs out and the task is reclaimed
+        return res.status(500).json({
+          error: 'Failed to fetch claimed task',
+          message: fetchError.message
+        });
+      }
+      return res.json({ task: row, lease_seconds });
+    }
+
+    res.json({ task: null, lease_seconds });
+  } catch (error) {
+    console.error('Error claiming task:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/worker/tasks/:id/heartbeat - Renew the lease on a removal or caption edit
+router.post(
+  '/tasks/:id/heartbeat',
+  authenticateWorker('posts'),
+  [param('id').isUUID().withMessage('Invalid ID'), taskValidator, leaseSecondsValidator],
+  async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const { task, lease_seconds = DEFAULT_LEASE_SECONDS } = req.body;
+
+    const { data: renewed, error } = await supabase.rpc('renew_post_account_task', {
+      p_id: req.params.id,
+      p_task: task,
+      p_worker: req.worker.id,
+      p_lease_seconds: lease_seconds,
+    });
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to renew lease',
+        message: error.message
+      });
+    }
+    if (!renewed) {
+      return leaseLost(res, 'task');
+    }
+
+    res.json({ lease_seconds });
+  } catch (error) {
+    console.error('Error renewing task lease:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/worker/tasks/:id/finish - Record the result of a removal or caption edit and clear its lease
+router.post(
+  '/tasks/:id/finish',
+  authenticateWorker('posts'),
+  [
+    param('id').isUUID().withMessage('Invalid ID'),
+    taskValidator,
+    body('success').isBoolean().withMessage('success must be a boolean').toBoolean(),
+    body('error').optional({ values: 'null' }).isString().isLength({ max: 2000 }),
+  ],
+  async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const { task, success, error: taskError } = req.body;
+
+    // A task reclaimed or queued again meanwhile is left to its new run
+    const { data, error } = await supabase
+      .from('post_accounts')
+      .update({
+        ...taskResult(task, { success, error: taskError }),
+        [`${task}_leased_by`]: null,
+        [`${task}_lease_expires_at`]: null,
+      })
+      .eq('id', req.params.id)
+      .eq(`${task}_status`, 'processing')
+      .eq(`${task}_leased_by`, req.worker.id)
+      .select('id');
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to record task result',
+        message: error.message
+      });
+    }
+    if (!data || data.length === 0) {
+      return leaseLost(res, 'task');
+    }
+
+    res.json({ message: success ? 'Task completed' : 'Task marked as failed' });
+  } catch (error) {
+    console.error('Error finishing task:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/worker/selectors/sync - Mirror the bot's default selectors and return the registry
+router.post(
+  '/selectors/sync',
+  authenticateWorker('posts'),
+  [
+    body('version').isInt({ min: 1 }).withMessage('version must be a positive integer').toInt(),
+    body('entries').isObject().withMessage('entries must be an object'),
+  ],
+  async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const { version, entries } = req.body;
+
+    const invalidKeys = Object.entries(entries)
+      .filter(([key, entry]) => !SELECTOR_KEY_PATTERN.test(key) || !entry || typeof entry !== 'object')
+      .map(([key]) => key);
+    if (invalidKeys.length > 0) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `Invalid entries: ${invalidKeys.join(', ')}`
+      });
+    }
+
+    const rows = await syncSelectorDefaults({ version, entries });
+    res.json({ entries: rows });
+  } catch (error) {
+    console.error('Error syncing selectors:', error);
+    res.status(500).json({
+      error: 'Failed to sync selectors',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/worker/artifacts - Record the stored screenshots and DOM snapshots of a posting attempt
+router.post(
+  '/artifacts',
+  authenticateWorker('logs'),
+  [
+    body('artifacts').isArray({ min: 1, max: MAX_FILES }).withMessage(`artifacts must list 1 to ${MAX_FILES} files`),
+    body('artifacts.*.post_account_id').isUUID().withMessage('Invalid post account ID'),
+    body('artifacts.*.post_id').isUUID().withMessage('Invalid post ID'),
+    body('artifacts.*.attempt').isInt({ min: 1 }).toInt(),
+    body('artifacts.*.kind').isIn(['screenshot', 'dom']).withMessage('kind must be screenshot or dom'),
+    body('artifacts.*.step').isString().isLength({ min: 1, max: 200 }),
+    body('artifacts.*.store').isString().isLength({ min: 1, max: 50 }),
+    body('artifacts.*.url').optional({ values: 'null' }).custom(isCloudinaryUrl).withMessage('url must be on the configured Cloudinary host'),
+    body('artifacts.*.storage_path').isString().isLength({ min: 1 }),
+    body('artifacts.*.content_type').optional({ values: 'null' }).isString(),
+    body('artifacts.*.size_bytes').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+  ],
+  async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const rows = req.body.artifacts.map((artifact) => ({
+      post_account_id: artifact.post_account_id,
+      post_id: artifact.post_id,
+      attempt: artifact.attempt,
+      kind: artifact.kind,
+      step: artifact.step,
+      store: artifact.store,
+      url: artifact.url ?? null,
+      storage_path: artifact.storage_path,
+      content_type: artifact.content_type ?? null,
+      size_bytes: artifact.size_bytes ?? null,
+    }));
+
+    // The backend serves these files later, so they must be where the bot's store puts this attempt's files
+    if (rows.some((row) => !isArtifactPath(row.store, row.storage_path, getAttemptKeyPattern(row)))) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'storage_path does not match the artifact key of its attempt'
+      });
+    }
+
+    const { error } = await supabase.from('post_attempt_artifacts').insert(rows);
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to record artifacts',
+        message: error.message
+      });
+    }
+
+    res.status(201).json({ count: rows.length });
+  } catch (error) {
+    console.error('Error recording artifacts:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/worker/logs/:id/diagnostics - Record the stored trace and HAR of a failed run
+router.post(
+  '/logs/:id/diagnostics',
+  authenticateWorker('logs'),
+  [
+    param('id').isUUID().withMessage('Invalid ID'),
+    body('user_id').optional({ values: 'null' }).isUUID().withMessage('Invalid user ID'),
+    body('files').isArray({ min: 1, max: MAX_FILES }).withMessage(`files must list 1 to ${MAX_FILES} files`),
+    body('files.*.kind').isIn(['trace', 'har']).withMessage('kind must be trace or har'),
+    body('files.*.file_name').isString().isLength({ min: 1, max: 200 }).matches(/^[A-Za-z0-9_-][A-Za-z0-9._-]*$/).withMessage('Invalid file name'),
+    body('files.*.store').isString().isLength({ min: 1, max: 50 }),
+    body('files.*.url').optional({ values: 'null' }).custom(isCloudinaryUrl).withMessage('url must be on the configured Cloudinary host'),
+    body('files.*.storage_path').isString().isLength({ min: 1 }),
+    body('files.*.size_bytes').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+  ],
+  async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const rows = req.body.files.map((file) => ({
+      bot_log_id: req.params.id,
+      user_id: req.body.user_id || null,
+      kind: file.kind,
+      file_name: file.file_name,
+      store: file.store,
+      url: file.url ?? null,
+      storage_path: file.storage_path,
+      size_bytes: file.size_bytes ?? null,
+    }));
+
+    if (rows.some((row) => !isArtifactPath(row.store, row.storage_path, getDiagnosticKeyPattern(row.bot_log_id, row.file_name)))) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'storage_path does not match the diagnostics key of the log entry'
+      });
+    }
+
+    const { error } = await supabase.from('bot_log_diagnostics').insert(rows);
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Failed to record diagnostics',
+        message: error.message
+      });
+    }
+
+    res.status(201).json({ count: rows.length });
+  } catch (error) {
+    console.error('Error recording diagnostics:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+export default router;
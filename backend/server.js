@@ -14,6 +14,11 @@ import queueRouter from './routes/queue.js';
 import uploadRouter from './routes/upload.js';
 import botRouter from './routes/bot.js';
 import reviewerRouter from './routes/reviewer.js';
+import selectorsRouter from './routes/selectors.js';
+import schedulesRouter from './routes/schedules.js';
+import approvalsRouter from './routes/approvals.js';
+import workerRouter from './routes/worker.js';
+import { startScheduleMaterializer } from './services/schedule-materializer.js';
 
 // Load environment variables
 dotenv.config();
@@ -64,11 +69,28 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
-  // In development, skip rate limiting to avoid UX issues while testing
-  skip: (req, res) => process.env.NODE_ENV !== 'production',
+  // In development, skip rate limiting to avoid UX issues while testing.
+  // The worker API has its own limit below.
+  skip: (req, res) => process.env.NODE_ENV !== 'production' || req.path.startsWith('/worker/'),
 });
 app.use('/api/', limiter);
 
+// Bot workers heartbeat and report every account, so they get a higher limit of
+// their own; it applies before the token is checked, like the limit above
+const WORKER_RATE_LIMIT_MAX = parseInt(process.env.WORKER_RATE_LIMIT_MAX || '3000', 10);
+const workerLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: WORKER_RATE_LIMIT_MAX,
+  message: {
+    error: 'Too many requests',
+    message: 'Too many worker requests from this IP, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req, res) => process.env.NODE_ENV !== 'production',
+});
+app.use('/api/worker/', workerLimiter);
+
 // Body parsing + cookies
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -85,6 +107,8 @@ app.get('/api/csrf-token', csrfProtection, (req, res) => {
 app.use((req, res, next) => {
   const method = req.method.toUpperCase();
   if (method === 'GET' || method === 'HEAD' || method === 'OPTIONS') return next();
+  // The worker API authenticates with a token header, never with cookies
+  if (req.path.startsWith('/api/worker/')) return next();
   return csrfProtection(req, res, next);
 });
 
@@ -118,6 +142,16 @@ app.get('/api', (req, res) => {
         reviews: '/api/reviewer/reviews',
         compare: '/api/reviewer/compare/:accountId',
       },
+      selectors: '/api/selectors',
+      schedules: '/api/schedules',
+      approvals: '/api/approvals',
+      worker: {
+        claim: '/api/worker/claim',
+        heartbeat: '/api/worker/heartbeat',
+        progress: '/api/worker/posts/:id/accounts/:accountId/progress',
+        complete: '/api/worker/posts/:id/complete',
+        fail: '/api/worker/posts/:id/fail',
+      },
     },
   });
 });
@@ -129,6 +163,10 @@ app.use('/api/queue', queueRouter);
 app.use('/api/upload', uploadRouter);
 app.use('/api/bot', botRouter);
 app.use('/api/reviewer', reviewerRouter);
+app.use('/api/selectors', selectorsRouter);
+app.use('/api/schedules', schedulesRouter);
+app.use('/api/approvals', approvalsRouter);
+app.use('/api/worker', workerRouter);
 
 // 404 handler
 app.use((req, res) => {
@@ -163,6 +201,9 @@ if (process.env.JEST_WORKER_ID === undefined) {
     logger.info(`Backend server running on http://localhost:${PORT}`);
     logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
   });
+
+  // Turn recurring schedules into posts ahead of time
+  startScheduleMaterializer();
 }
 
 export default app;
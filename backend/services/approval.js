@@ -0,0 +1,66 @@
+// Draft/approval states of posts and who may review them. The bot only picks
+// up posts with approved_at set (see migration 024).
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Statuses a post can be created with; 'pending' means queue it now
+export const CREATE_STATUSES = ['draft', 'awaiting_approval', 'pending'];
+// Not yet in the queue: still editable, deletable and invisible to the bot
+export const UNQUEUED_STATUSES = ['draft', 'awaiting_approval'];
+
+/**
+ * Status and approval columns for a post entering the given state. Posts to
+ * accounts that require approval go to awaiting_approval instead of the queue.
+ * @param {string} requested - One of CREATE_STATUSES
+ * @param {boolean} needsApproval - Whether any target account requires approval
+ * @param {Date} [now]
+ * @returns {{ status: string, submitted_at: string|null, approved_at: string|null }}
+ */
+export function getApprovalState(requested, needsApproval, now = new Date()) {
+  const status = requested === 'pending' && needsApproval ? 'awaiting_approval' : requested;
+  return {
+    status,
+    submitted_at: status === 'awaiting_approval' ? now.toISOString() : null,
+    approved_at: status === 'pending' ? now.toISOString() : null,
+  };
+}
+
+/**
+ * @param {Array<{ requires_approval?: boolean }>} accounts
+ * @returns {boolean}
+ */
+export function needsApproval(accounts) {
+  return (accounts || []).some((account) => account?.requires_approval);
+}
+
+export function normalizeReviewerEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+/**
+ * Users whose posts the signed-in user may review. Reviewers are matched on
+ * their confirmed login email, so an unconfirmed address reviews nothing, and
+ * nobody reviews their own posts.
+ * @param {{ id?: string, email?: string, email_confirmed_at?: string }} user - Supabase auth user
+ * @returns {Promise<string[]>} Owner user IDs
+ */
+export async function getReviewableOwnerIds(user) {
+  const email = normalizeReviewerEmail(user?.email);
+  if (!email || !user.email_confirmed_at) return [];
+
+  const { data, error } = await supabase
+    .from('post_reviewers')
+    .select('owner_id')
+    .eq('reviewer_email', email);
+
+  if (error) throw error;
+  return [...new Set((data || []).map((row) => row.owner_id))].filter((ownerId) => ownerId !== user.id);
+}
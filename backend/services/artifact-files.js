@@ -0,0 +1,163 @@
+// Files the bot keeps in its artifact store (bot/helpers/artifacts.js): private
+// Cloudinary uploads, fetched with short-lived signed URLs built from the
+// stored public ID, or files on the bot host when the backend runs next to it.
+// The stored url is never fetched, so a row cannot point the backend elsewhere.
+
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import cloudinary from '../config/cloudinary.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Where the bot's local artifact store writes; only files below it are served
+export const ARTIFACTS_DIR = path.resolve(
+  process.env.ARTIFACTS_DIR || path.join(__dirname, '..', '..', 'bot', 'screenshots', 'artifacts')
+);
+
+// Cloudinary public IDs of artifacts start with this (the bot's CLOUDINARY_FOLDER)
+const CLOUDINARY_PREFIX = `${process.env.CLOUDINARY_FOLDER || 'instagram-automation'}/artifacts/`;
+
+// Lifetime of the signed URL the backend fetches a private file with
+const SIGNED_URL_SECONDS = 60;
+// Storage that doesn't answer within this gives a 502 instead of a hanging request
+const FETCH_TIMEOUT_MS = 30000;
+
+/**
+ * Absolute path of a local artifact, or null when it lies outside ARTIFACTS_DIR
+ * @param {string} storagePath - storage_path as the bot recorded it (absolute or relative to ARTIFACTS_DIR)
+ * @returns {string|null}
+ */
+export function resolveLocalPath(storagePath) {
+  if (typeof storagePath !== 'string' || !storagePath) return null;
+  const fullPath = path.resolve(ARTIFACTS_DIR, storagePath);
+  return fullPath.startsWith(ARTIFACTS_DIR + path.sep) ? fullPath : null;
+}
+
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Key pattern of a screenshot or DOM snapshot of one posting attempt:
+ * <post>/<post account>/attempt-<n>/<nn>-<step>.<ext>; image public IDs have no extension
+ * @param {{ post_id: string, post_account_id: string, attempt: number }} artifact
+ * @returns {string} RegExp source
+ */
+export function getAttemptKeyPattern({ post_id, post_account_id, attempt }) {
+  return `${escapeRegExp(post_id)}/${escapeRegExp(post_account_id)}/attempt-${escapeRegExp(attempt)}/\\d{2}-[A-Za-z0-9_-]+(?:\\.(?:jpg|html))?`;
+}
+
+/**
+ * Key pattern of a trace or HAR kept for a failed run: diagnostics/<log>/<file name>
+ * @param {string} logId
+ * @param {string} fileName
+ * @returns {string} RegExp source
+ */
+export function getDiagnosticKeyPattern(logId, fileName) {
+  return `diagnostics/${escapeRegExp(logId)}/${escapeRegExp(fileName)}`;
+}
+
+/**
+ * Whether a storage_path reported by a worker is where the bot's store puts
+ * the given key: the Cloudinary folder for cloudinary, an artifacts directory
+ * for local, and never with '..' segments
+ * @param {string} store
+ * @param {string} storagePath
+ * @param {string} keyPattern - From getAttemptKeyPattern or getDiagnosticKeyPattern
+ * @returns {boolean}
+ */
+export function isArtifactPath(store, storagePath, keyPattern) {
+  if (typeof storagePath !== 'string') return false;
+  const normalized = storagePath.replace(/\\/g, '/');
+  if (normalized.split('/').includes('..')) return false;
+  const prefix = store === 'cloudinary'
+    ? escapeRegExp(CLOUDINARY_PREFIX)
+    : (store === 'local' ? '(?:.*/)?artifacts/' : '(?:.*/)?');
+  return new RegExp(`^${prefix}${keyPattern}$`).test(normalized);
+}
+
+/**
+ * Whether a URL is a delivery URL of the configured Cloudinary cloud
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isCloudinaryUrl(url) {
+  const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+  if (!cloudName || typeof url !== 'string') return false;
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' && parsed.host === 'res.cloudinary.com' && parsed.pathname.startsWith(`/${cloudName}/`);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Signed, expiring Cloudinary download URL for a stored public ID. Files
+ * recorded with a url of their own are older public uploads.
+ * @param {{ storage_path: string, url?: string|null }} file
+ * @param {'image'|'raw'} resourceType
+ * @returns {string}
+ */
+export function getSignedDownloadUrl(file, resourceType) {
+  return cloudinary.utils.private_download_url(file.storage_path, '', {
+    resource_type: resourceType,
+    type: file.url ? 'upload' : 'authenticated',
+    expires_at: Math.floor(Date.now() / 1000) + SIGNED_URL_SECONDS,
+  });
+}
+
+/**
+ * Stream a stored file to the response, or answer 404/502
+ * @param {import('express').Response} res
+ * @param {{ store: string, storage_path: string, url?: string|null }} file
+ * @param {Object} options
+ * @param {string} options.fileName - Name the file is sent as
+ * @param {string} options.contentType
+ * @param {'image'|'raw'} [options.resourceType]
+ */
+export async function sendStoredFile(res, file, { fileName, contentType, resourceType = 'raw' }) {
+  if (file.store === 'cloudinary') {
+    let upstream;
+    try {
+      upstream = await fetch(getSignedDownloadUrl(file, resourceType), {
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      });
+    } catch (error) {
+      console.error(`Stored file ${file.storage_path} could not be fetched:`, error.message);
+      return res.status(502).json({
+        error: 'Failed to fetch file',
+        message: 'Storage did not answer'
+      });
+    }
+    if (!upstream.ok || !upstream.body) {
+      console.error(`Stored file ${file.storage_path} could not be fetched: ${upstream.status}`);
+      return res.status(502).json({
+        error: 'Failed to fetch file',
+        message: `Storage answered ${upstream.status}`
+      });
+    }
+    res.attachment(fileName);
+    res.type(contentType);
+    Readable.fromWeb(upstream.body)
+      .on('error', () => res.destroy())
+      .pipe(res);
+    return;
+  }
+
+  // Local store: only reachable when the bot writes to this host's ARTIFACTS_DIR
+  const fullPath = file.store === 'local' ? resolveLocalPath(file.storage_path) : null;
+  if (!fullPath || !fs.existsSync(fullPath)) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'File is not available on this server'
+    });
+  }
+  res.attachment(fileName);
+  res.type(contentType);
+  res.sendFile(fullPath);
+}
@@ -0,0 +1,161 @@
+// Best time to post, from the engagement our own posts got. A post counts
+// when we know when it went out (post_accounts.posted_at) and a review
+// measured its likes and comments (account_review_posts) at least a day later.
+
+import { utcToZonedTime, zonedTimeToUtc } from './recurrence.js';
+
+export const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Reviews taken sooner than this after posting undercount engagement
+export const MIN_POST_AGE_HOURS = 24;
+// Fewer posts than this say more about the posts than about the time
+export const MIN_SAMPLES = 5;
+// Slots are pulled towards "typical" by this many imaginary average posts,
+// so one lucky post doesn't make its hour the recommendation
+const PRIOR_WEIGHT = 2;
+// A recommended slot is at least this far away so it can still be prepared
+const MIN_LEAD_MINUTES = 15;
+
+const HOUR_MS = 60 * 60 * 1000;
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Instagram shortcode of a post URL, so /p/ and /reel/ links and trailing
+ * slashes or query strings of the same post match
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function getShortcode(url) {
+  const match = /instagram\.com\/(?:[^/]+\/)?(?:p|reel|reels|tv)\/([A-Za-z0-9_-]+)/.exec(url || '');
+  return match ? match[1] : null;
+}
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+function localSlot(date, timezone) {
+  const local = utcToZonedTime(date, timezone);
+  const weekday = (new Date(Date.UTC(local.year, local.month - 1, local.day)).getUTCDay() + 6) % 7;
+  return { weekday, hour: local.hour };
+}
+
+function addScore(map, key, score) {
+  const entry = map.get(key) || { sum: 0, count: 0 };
+  entry.sum += score;
+  entry.count += 1;
+  map.set(key, entry);
+}
+
+// Mean relative engagement, shrunk towards 1 (the account's typical post)
+const smoothed = ({ sum, count }) => (sum + PRIOR_WEIGHT) / (count + PRIOR_WEIGHT);
+
+const percentVsTypical = (score) => Math.round((score - 1) * 100);
+
+const formatPercent = (value) => (value >= 0 ? `${value}% more` : `${Math.abs(value)}% less`);
+
+const formatHour = (hour) => `${pad(hour)}:00–${pad((hour + 1) % 24)}:00`;
+
+/**
+ * Next time a weekday/hour slot comes around in a zone
+ * @returns {{ at: Date, local: string }} local is 'YYYY-MM-DDTHH:mm' for a datetime-local input
+ */
+export function nextSlotOccurrence({ weekday, hour }, timezone, now = new Date()) {
+  const earliest = new Date(now.getTime() + MIN_LEAD_MINUTES * 60 * 1000);
+  for (let days = 0; days <= 8; days += 1) {
+    const local = utcToZonedTime(new Date(now.getTime() + days * 24 * HOUR_MS), timezone);
+    const dayIndex = (new Date(Date.UTC(local.year, local.month - 1, local.day)).getUTCDay() + 6) % 7;
+    if (dayIndex !== weekday) continue;
+    const at = zonedTimeToUtc({ year: local.year, month: local.month, day: local.day, hour, minute: 0 }, timezone);
+    if (at >= earliest) {
+      return { at, local: `${local.year}-${pad(local.month)}-${pad(local.day)}T${pad(hour)}:00` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Engagement by weekday and hour, and the slot to recommend
+ * @param {Object} params
+ * @param {Array<{ accountId: string, postedAt: string, likes: number, comments: number }>} params.samples
+ * @param {string} params.timezone - Zone weekdays and hours are read in
+ * @param {Date} [params.now]
+ * @returns {Object} { samples, accounts, slots, byWeekday, byHour, recommendation, reasoning }
+ */
+export function computeBestTimes({ samples, timezone, now = new Date() }) {
+  // Compare each post with its own account, so a large account doesn't drown out a small one
+  const byAccount = new Map();
+  for (const sample of samples) {
+    byAccount.set(sample.accountId, [...(byAccount.get(sample.accountId) || []), sample]);
+  }
+
+  const slots = new Map();
+  const weekdays = new Map();
+  const hours = new Map();
+  for (const accountSamples of byAccount.values()) {
+    const typical = median(accountSamples.map(({ likes, comments }) => likes + comments));
+    for (const sample of accountSamples) {
+      const score = (sample.likes + sample.comments + 1) / (typical + 1);
+      const { weekday, hour } = localSlot(new Date(sample.postedAt), timezone);
+      addScore(slots, `${weekday}-${hour}`, score);
+      addScore(weekdays, weekday, score);
+      addScore(hours, hour, score);
+    }
+  }
+
+  const rankedSlots = Array.from(slots.entries())
+    .map(([key, entry]) => {
+      const [weekday, hour] = key.split('-').map(Number);
+      return { weekday, hour, posts: entry.count, score: Number(smoothed(entry).toFixed(3)) };
+    })
+    .sort((a, b) => b.score - a.score || b.posts - a.posts);
+
+  const summarize = (map) => Array.from(map.entries())
+    .map(([key, entry]) => ({ key: Number(key), posts: entry.count, score: Number(smoothed(entry).toFixed(3)) }))
+    .sort((a, b) => a.key - b.key);
+  const byWeekday = summarize(weekdays).map(({ key, ...rest }) => ({ weekday: key, ...rest }));
+  const byHour = summarize(hours).map(({ key, ...rest }) => ({ hour: key, ...rest }));
+
+  const result = {
+    samples: samples.length,
+    accounts: byAccount.size,
+    timezone,
+    slots: rankedSlots,
+    byWeekday,
+    byHour,
+    recommendation: null,
+    reasoning: [],
+  };
+
+  if (samples.length < MIN_SAMPLES) {
+    result.reasoning.push(
+      `Only ${samples.length} reviewed post(s) with a known posting time; at least ${MIN_SAMPLES} are needed. Run account reviews after posting to build up history.`
+    );
+    return result;
+  }
+
+  const best = rankedSlots[0];
+  const next = nextSlotOccurrence(best, timezone, now);
+  result.recommendation = {
+    weekday: best.weekday,
+    hour: best.hour,
+    score: best.score,
+    posts: best.posts,
+    ...(next && { next_at: next.at.toISOString(), next_local: next.local }),
+    alternatives: rankedSlots.slice(1, 4),
+  };
+
+  const bestDay = [...byWeekday].sort((a, b) => b.score - a.score)[0];
+  const bestHour = [...byHour].sort((a, b) => b.score - a.score)[0];
+  result.reasoning.push(
+    `Based on ${samples.length} post(s) on ${byAccount.size} account(s), comparing each post's likes and comments with its account's typical post.`,
+    `${WEEKDAY_NAMES[best.weekday]} ${formatHour(best.hour)} (${timezone}): ${best.posts} post(s), ${formatPercent(percentVsTypical(best.score))} engagement than typical.`,
+    `Strongest day overall: ${WEEKDAY_NAMES[bestDay.weekday]} (${formatPercent(percentVsTypical(bestDay.score))}); strongest hour: ${formatHour(bestHour.hour)} (${formatPercent(percentVsTypical(bestHour.score))}).`
+  );
+  if (best.posts < 3) {
+    result.reasoning.push('Few posts went out in this slot so far, so treat it as a lead worth testing rather than a sure thing.');
+  }
+  return result;
+}
@@ -0,0 +1,64 @@
+// Caption edits of published posts (migration 017). An applied edit becomes
+// the post's caption and is queued for the bot on every account the post is
+// still live on; edits to accounts that require approval wait for a reviewer
+// first (post_caption_revisions.status, migration 024).
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * post_accounts rows whose caption can still be edited. Deleted posts have
+ * nothing to edit; archived ones can still be edited.
+ * @param {Array<Object>} postAccounts
+ * @returns {string[]} post_accounts IDs
+ */
+function getLiveAccountIds(postAccounts) {
+  return (postAccounts || [])
+    .filter(pa => pa.status === 'completed' && pa.instagram_post_url)
+    .filter(pa => !(pa.removal_status === 'completed' && pa.removal_action === 'delete'))
+    .map(pa => pa.id);
+}
+
+/**
+ * Make a revision the post's caption and queue it for the bot
+ * @param {string} postId
+ * @param {string} caption
+ * @param {number} revision - post_caption_revisions.revision
+ * @returns {Promise<number>} Number of accounts the edit was queued for
+ */
+export async function applyCaptionRevision(postId, caption, revision) {
+  const { data: post, error: updateError } = await supabase
+    .from('posts')
+    .update({ caption })
+    .eq('id', postId)
+    .select('id, post_accounts (id, status, instagram_post_url, removal_status, removal_action)')
+    .single();
+
+  if (updateError) throw updateError;
+
+  const liveAccountIds = getLiveAccountIds(post.post_accounts);
+  if (liveAccountIds.length > 0) {
+    const { error: queueError } = await supabase
+      .from('post_accounts')
+      .update({
+        caption_edit_status: 'pending',
+        caption_edit_revision: revision,
+        caption_edit_error: null,
+        // An edit the bot is applying right now is left to finish; its result
+        // isn't recorded and the row is edited again with the new caption
+        caption_edit_leased_by: null,
+        caption_edit_lease_expires_at: null,
+      })
+      .in('id', liveAccountIds);
+
+    if (queueError) throw queueError;
+  }
+  return liveAccountIds.length;
+}
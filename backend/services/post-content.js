@@ -0,0 +1,205 @@
+// What a post publishes (media, caption, tags and share settings) and the
+// rules it has to follow on Instagram. POST /api/posts and recurring schedule
+// templates both go through these checks before anything is written to posts.
+
+import { body } from 'express-validator';
+import { CROP_MODES, getCropUrl, getPublicIdFromUrl } from '../utils/cloudinary.js';
+import { PRIORITIES } from '../utils/priority.js';
+
+// Instagram caps carousels at 10 slides
+export const MAX_CAROUSEL_SLIDES = 10;
+
+// Instagram allows at most 20 people tags per post
+export const MAX_USER_TAGS = 20;
+export const INSTAGRAM_USERNAME_PATTERN = /^[A-Za-z0-9._]{1,30}$/;
+
+// Upper bound for a single image's accessibility text
+export const MAX_ALT_TEXT_LENGTH = 1000;
+
+// Instagram accepts reels between 3 seconds and 15 minutes
+export const REEL_MIN_DURATION_SECONDS = 3;
+export const REEL_MAX_DURATION_SECONDS = 15 * 60;
+
+/**
+ * express-validator chain for the content fields of a post
+ * @param {string} [prefix] - Path of the post object in the body, e.g. 'post.'
+ * @returns {Array<import('express-validator').ValidationChain>}
+ */
+export function postContentValidators(prefix = '') {
+  const field = (name) => body(`${prefix}${name}`);
+  return [
+    field('image_url').optional().isString().trim().isLength({ min: 1 }).isURL().withMessage('Valid image URL required'),
+    field('image_urls').optional({ values: 'null' }).isArray({ min: 1, max: MAX_CAROUSEL_SLIDES }).withMessage(`Between 1 and ${MAX_CAROUSEL_SLIDES} images allowed`),
+    field('image_urls.*').isString().trim().isURL().withMessage('Valid image URL required'),
+    field('media_type').optional().isIn(['image', 'carousel', 'reel']),
+    field('post_type').optional().isIn(['feed', 'story']),
+    field('first_comment').optional({ values: 'null' }).isString().trim().isLength({ max: 2200 }).withMessage('First comment must be at most 2200 characters'),
+    field('video_url').optional().isString().trim().isURL().withMessage('Valid video URL required'),
+    field('video_duration_seconds').optional({ values: 'null' }).isFloat({ min: REEL_MIN_DURATION_SECONDS, max: REEL_MAX_DURATION_SECONDS })
+      .withMessage(`Reels must be between ${REEL_MIN_DURATION_SECONDS} seconds and ${REEL_MAX_DURATION_SECONDS / 60} minutes`).toFloat(),
+    field('video_width').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    field('video_height').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    field('cover_offset_seconds').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+    field('location').optional({ values: 'null' }).isString().trim().isLength({ max: 100 }).withMessage('Location must be at most 100 characters'),
+    field('user_tags').optional().isArray({ max: MAX_USER_TAGS }).withMessage(`At most ${MAX_USER_TAGS} people can be tagged`),
+    field('user_tags.*.username').isString().trim().customSanitizer(value => value.replace(/^@/, '')).matches(INSTAGRAM_USERNAME_PATTERN).withMessage('Invalid Instagram username'),
+    field('user_tags.*.x').isFloat({ min: 0, max: 1 }).withMessage('Tag x must be between 0 and 1').toFloat(),
+    field('user_tags.*.y').isFloat({ min: 0, max: 1 }).withMessage('Tag y must be between 0 and 1').toFloat(),
+    field('user_tags.*.slide').optional().isInt({ min: 0, max: MAX_CAROUSEL_SLIDES - 1 }).toInt(),
+    field('alt_texts').optional({ values: 'null' }).isArray({ max: MAX_CAROUSEL_SLIDES }).withMessage(`At most ${MAX_CAROUSEL_SLIDES} alt texts allowed`),
+    field('alt_texts.*').isString().trim().isLength({ max: MAX_ALT_TEXT_LENGTH }).withMessage(`Alt text must be at most ${MAX_ALT_TEXT_LENGTH} characters`),
+    field('hide_like_counts').optional().isBoolean().toBoolean(),
+    field('disable_comments').optional().isBoolean().toBoolean(),
+    field('crop_mode').optional().isIn(CROP_MODES).withMessage(`crop_mode must be one of ${CROP_MODES.join(', ')}`),
+    // Stories have no caption; every other post type requires one
+    field('caption').if(field('post_type').not().equals('story')).isString().trim().isLength({ min: 1 }),
+    field('caption').optional({ values: 'null' }).isString().trim().escape(),
+    field('priority').optional().isIn(Object.keys(PRIORITIES)).withMessage(`priority must be one of ${Object.keys(PRIORITIES).join(', ')}`),
+  ];
+}
+
+// Cropped Cloudinary variant the image checker should compare against; null keeps image_url
+export function getComparisonImageUrl(imageUrl, cropMode) {
+  const publicId = getPublicIdFromUrl(imageUrl);
+  return publicId ? getCropUrl(publicId, cropMode) : null;
+}
+
+// Check alt text and share settings against the post's media; returns an error message or null
+export function validateAdvancedSettings({ postType, mediaType, slideCount, altTexts, hideLikeCounts, disableComments, firstComment }) {
+  if (postType === 'story' && (altTexts || hideLikeCounts || disableComments)) {
+    return 'Stories do not support alt text or advanced settings';
+  }
+  if (altTexts && mediaType === 'reel') {
+    return 'Alt text is only supported for image posts';
+  }
+  if (altTexts && altTexts.length > slideCount) {
+    return 'There are more alt texts than images';
+  }
+  if (disableComments && firstComment) {
+    return 'A first comment cannot be posted when commenting is turned off';
+  }
+  return null;
+}
+
+/**
+ * posts columns for content that passed postContentValidators, after the
+ * checks that depend on several fields at once
+ * @param {Object} input - Post fields as sent by the client
+ * @returns {{ content: Object }|{ error: string }}
+ */
+export function buildPostContent(input = {}) {
+  const {
+    image_url,
+    image_urls,
+    caption,
+    media_type,
+    video_url,
+    video_duration_seconds,
+    video_width,
+    video_height,
+    cover_offset_seconds,
+    post_type = 'feed',
+    first_comment,
+    location,
+    user_tags = [],
+    alt_texts,
+    hide_like_counts = false,
+    disable_comments = false,
+    crop_mode = 'original',
+    priority = 'normal',
+  } = input;
+  const isReel = media_type === 'reel';
+  const isStory = post_type === 'story';
+
+  // Either a single image_url or an ordered image_urls list
+  const mediaUrls = Array.isArray(image_urls) && image_urls.length > 0
+    ? image_urls.map(url => url.trim())
+    : (typeof image_url === 'string' && image_url.trim() ? [image_url.trim()] : []);
+
+  if (mediaUrls.length === 0) {
+    return { error: isReel ? 'Cover image URL is required' : 'Image URL is required' };
+  }
+  if (isReel && (typeof video_url !== 'string' || !video_url.trim())) {
+    return { error: 'Video URL is required for reels' };
+  }
+  if (isReel && mediaUrls.length > 1) {
+    return { error: 'Reels take a single video and one cover image' };
+  }
+  if (isStory && (isReel || mediaUrls.length > 1)) {
+    return { error: 'Stories take a single image' };
+  }
+
+  const firstComment = first_comment && first_comment.trim() ? first_comment.trim() : null;
+  if (isStory && firstComment) {
+    return { error: 'Stories cannot have a first comment' };
+  }
+
+  const mediaType = isReel ? 'reel' : (mediaUrls.length > 1 ? 'carousel' : 'image');
+
+  // Reels and stories have their own fixed framing
+  if (crop_mode !== 'original' && (isReel || isStory)) {
+    return { error: 'Crop mode is only supported for image posts' };
+  }
+
+  const postLocation = location && location.trim() ? location.trim() : null;
+  if (isStory && (postLocation || user_tags.length > 0)) {
+    return { error: 'Stories cannot have a location or tagged people' };
+  }
+  if (isReel && user_tags.length > 0) {
+    return { error: 'Tagging people on reels is not supported' };
+  }
+  const invalidSlideTag = user_tags.find(tag => (tag.slide || 0) >= mediaUrls.length);
+  if (invalidSlideTag) {
+    return { error: `Tag for @${invalidSlideTag.username} points to a slide that does not exist` };
+  }
+
+  const altTexts = alt_texts && alt_texts.some(text => text.trim()) ? alt_texts.map(text => text.trim()) : null;
+  const settingsError = validateAdvancedSettings({
+    postType: isStory ? 'story' : 'feed',
+    mediaType,
+    slideCount: mediaUrls.length,
+    altTexts,
+    hideLikeCounts: hide_like_counts,
+    disableComments: disable_comments,
+    firstComment,
+  });
+  if (settingsError) {
+    return { error: settingsError };
+  }
+
+  if (!isStory && (typeof caption !== 'string' || !caption.trim())) {
+    return { error: 'Caption is required' };
+  }
+
+  return {
+    content: {
+      image_url: mediaUrls[0],
+      image_urls: mediaType === 'carousel' ? mediaUrls : null,
+      media_type: mediaType,
+      post_type: isStory ? 'story' : 'feed',
+      caption: caption ? caption.trim() : null,
+      first_comment: firstComment,
+      location: postLocation,
+      user_tags: user_tags.map(tag => ({
+        username: tag.username,
+        x: tag.x,
+        y: tag.y,
+        slide: tag.slide || 0,
+      })),
+      alt_texts: altTexts,
+      hide_like_counts,
+      disable_comments,
+      crop_mode,
+      comparison_image_url: getComparisonImageUrl(mediaUrls[0], crop_mode),
+      ...(isReel && {
+        video_url: video_url.trim(),
+        video_duration_seconds: video_duration_seconds ?? null,
+        video_width: video_width ?? null,
+        video_height: video_height ?? null,
+        video_aspect_ratio: video_width && video_height ? Number((video_width / video_height).toFixed(3)) : null,
+        cover_offset_seconds: cover_offset_seconds ?? 0,
+      }),
+      priority: PRIORITIES[priority],
+    },
+  };
+}
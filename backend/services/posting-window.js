@@ -0,0 +1,69 @@
+// Validation of an account's posting windows and blackouts before they are
+// stored. The bot reads them in bot/helpers/posting-window.js.
+
+import { WEEKDAYS, parseLocalDateTime } from './recurrence.js';
+
+export const MAX_WINDOWS = 20;
+export const MAX_BLACKOUTS = 50;
+
+const TIME_PATTERN = /^(\d{2}):(\d{2})$/;
+
+export class PostingWindowError extends Error {}
+
+function parseMinutes(value, field) {
+  const match = TIME_PATTERN.exec(value || '');
+  const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  if (!match || Number(match[2]) > 59 || minutes > 24 * 60) {
+    throw new PostingWindowError(`${field} must be a time between 00:00 and 24:00`);
+  }
+  return minutes;
+}
+
+/**
+ * @param {Array<{ days: string[], start: string, end: string }>|null} windows
+ * @returns {Array|null} Cleaned windows; null when there are none (post any time)
+ */
+export function normalizePostingWindows(windows) {
+  if (windows === null || windows === undefined) return null;
+  if (!Array.isArray(windows)) throw new PostingWindowError('posting_windows must be an array');
+  if (windows.length > MAX_WINDOWS) throw new PostingWindowError(`At most ${MAX_WINDOWS} posting windows are allowed`);
+
+  const cleaned = windows.map((window, index) => {
+    const days = Array.isArray(window?.days) ? [...new Set(window.days)] : [];
+    if (days.length === 0) throw new PostingWindowError(`Posting window ${index + 1} needs at least one day`);
+    const unknown = days.find((day) => !WEEKDAYS.includes(day));
+    if (unknown) throw new PostingWindowError(`Unknown weekday in posting window ${index + 1}: ${unknown}`);
+    parseMinutes(window.start, `Start of posting window ${index + 1}`);
+    parseMinutes(window.end, `End of posting window ${index + 1}`);
+    return {
+      days: WEEKDAYS.filter((day) => days.includes(day)),
+      start: window.start,
+      end: window.end,
+    };
+  });
+  return cleaned.length > 0 ? cleaned : null;
+}
+
+/**
+ * @param {Array<{ start: string, end: string, label?: string }>|null} blackouts - Local 'YYYY-MM-DDTHH:mm'
+ * @returns {Array|null}
+ */
+export function normalizePostingBlackouts(blackouts) {
+  if (blackouts === null || blackouts === undefined) return null;
+  if (!Array.isArray(blackouts)) throw new PostingWindowError('posting_blackouts must be an array');
+  if (blackouts.length > MAX_BLACKOUTS) throw new PostingWindowError(`At most ${MAX_BLACKOUTS} blackout periods are allowed`);
+
+  const cleaned = blackouts.map((blackout, index) => {
+    const start = parseLocalDateTime(blackout?.start);
+    const end = parseLocalDateTime(blackout?.end);
+    if (!start || !end) {
+      throw new PostingWindowError(`Blackout ${index + 1} needs a start and end as YYYY-MM-DDTHH:mm`);
+    }
+    const startValue = blackout.start.slice(0, 16);
+    const endValue = blackout.end.slice(0, 16);
+    if (endValue <= startValue) throw new PostingWindowError(`Blackout ${index + 1} must end after it starts`);
+    const label = typeof blackout.label === 'string' ? blackout.label.trim().slice(0, 100) : '';
+    return { start: startValue, end: endValue, ...(label && { label }) };
+  });
+  return cleaned.length > 0 ? cleaned : null;
+}
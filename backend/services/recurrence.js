@@ -0,0 +1,327 @@
+// Recurrence rules for repeating posts: an RFC 5545 RRULE subset expanded in
+// the schedule's own time zone, so "every Monday 09:00" stays 09:00 across DST.
+
+export const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+export const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL', 'WKST'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Upper bound on periods walked per expansion (about 27 years of daily posts)
+const MAX_PERIODS = 10000;
+export const MAX_COUNT = 1000;
+
+const LOCAL_DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/;
+
+export class RecurrenceError extends Error {}
+
+/**
+ * @param {string} timezone - IANA name, e.g. 'Europe/Berlin'
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+// Offset of a zone from UTC at an instant, in ms
+function zoneOffset(timestamp, timezone) {
+  const parts = Object.fromEntries(
+    getFormatter(timezone).formatToParts(new Date(timestamp)).map(({ type, value }) => [type, value])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * UTC instant of a wall-clock time in a zone. Times skipped by a DST jump move
+ * forward by the jump, like most calendars do.
+ * @returns {Date}
+ */
+export function zonedTimeToUtc({ year, month, day, hour, minute }, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const first = wallClock - zoneOffset(wallClock, timezone);
+  const second = wallClock - zoneOffset(first, timezone);
+  return new Date(first === second ? first : Math.max(first, second));
+}
+
+/**
+ * Wall-clock parts of an instant in a zone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number }}
+ */
+export function utcToZonedTime(date, timezone) {
+  const local = new Date(date.getTime() + zoneOffset(date.getTime(), timezone));
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth() + 1,
+    day: local.getUTCDate(),
+    hour: local.getUTCHours(),
+    minute: local.getUTCMinutes(),
+  };
+}
+
+/**
+ * @param {string} value - 'YYYY-MM-DDTHH:mm' as sent by a datetime-local input
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number }|null}
+ */
+export function parseLocalDateTime(value) {
+  const match = LOCAL_DATETIME_PATTERN.exec((value || '').toString().slice(0, 16));
+  if (!match) return null;
+  const [year, month, day, hour, minute] = match.slice(1).map(Number);
+  const check = new Date(Date.UTC(year, month - 1, day, hour, minute));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59) return null;
+  return { year, month, day, hour, minute };
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+function parseUntil(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) throw new RecurrenceError(`Invalid UNTIL value: ${value}`);
+  const [year, month, day, hour = 23, minute = 59, second = 59] = match.slice(1, 7).map((part) => (part === undefined ? undefined : Number(part)));
+  return { year, month, day, hour, minute, second, utc: Boolean(match[7]) };
+}
+
+/**
+ * Parse an RRULE string ("RRULE:" prefix optional). Supports FREQ=DAILY,
+ * WEEKLY or MONTHLY with INTERVAL, BYDAY, BYMONTHDAY, COUNT and UNTIL.
+ * @param {string} value
+ * @returns {{ freq: string, interval: number, byDay: Array<{ weekday: string, ordinal: number|null }>, byMonthDay: number[], count: number|null, until: Object|null }}
+ * @throws {RecurrenceError}
+ */
+export function parseRRule(value) {
+  const text = (value || '').toString().trim().replace(/^RRULE:/i, '');
+  if (!text) throw new RecurrenceError('Recurrence rule is empty');
+
+  const parts = {};
+  for (const part of text.split(';').filter(Boolean)) {
+    const [key, partValue] = part.split('=');
+    const name = (key || '').trim().toUpperCase();
+    if (!SUPPORTED_PARTS.includes(name)) {
+      throw new RecurrenceError(`Unsupported RRULE part: ${name || part}`);
+    }
+    if (!partValue) throw new RecurrenceError(`Missing value for ${name}`);
+    parts[name] = partValue.trim().toUpperCase();
+  }
+
+  const freq = parts.FREQ;
+  if (!FREQUENCIES.includes(freq)) {
+    throw new RecurrenceError(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+  }
+
+  const interval = parts.INTERVAL ? Number(parts.INTERVAL) : 1;
+  if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+    throw new RecurrenceError('INTERVAL must be a whole number between 1 and 365');
+  }
+
+  const byDay = (parts.BYDAY ? parts.BYDAY.split(',') : []).map((entry) => {
+    const match = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/.exec(entry);
+    if (!match) throw new RecurrenceError(`Invalid BYDAY value: ${entry}`);
+    const ordinal = match[1] ? Number(match[1]) : null;
+    if (ordinal !== null && (freq !== 'MONTHLY' || ordinal === 0 || Math.abs(ordinal) > 5)) {
+      throw new RecurrenceError(`Invalid BYDAY value: ${entry}`);
+    }
+    return { weekday: match[2], ordinal };
+  });
+
+  const byMonthDay = (parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',') : []).map((entry) => {
+    const day = Number(entry);
+    if (!Number.isInteger(day) || day === 0 || Math.abs(day) > 31) {
+      throw new RecurrenceError(`Invalid BYMONTHDAY value: ${entry}`);
+    }
+    return day;
+  });
+  if (byMonthDay.length > 0 && freq !== 'MONTHLY') {
+    throw new RecurrenceError('BYMONTHDAY is only supported with FREQ=MONTHLY');
+  }
+  if (parts.WKST && parts.WKST !== 'MO') {
+    throw new RecurrenceError('Only WKST=MO is supported');
+  }
+
+  if (parts.COUNT && parts.UNTIL) {
+    throw new RecurrenceError('Use either COUNT or UNTIL, not both');
+  }
+  const count = parts.COUNT ? Number(parts.COUNT) : null;
+  if (count !== null && (!Number.isInteger(count) || count < 1 || count > MAX_COUNT)) {
+    throw new RecurrenceError(`COUNT must be a whole number between 1 and ${MAX_COUNT}`);
+  }
+
+  return {
+    freq,
+    interval,
+    byDay,
+    byMonthDay,
+    count,
+    until: parts.UNTIL ? parseUntil(parts.UNTIL) : null,
+  };
+}
+
+/**
+ * Build an RRULE from the simple options the dashboard offers
+ * @param {Object} options
+ * @param {'daily'|'weekly'|'monthly'} options.frequency
+ * @param {number} [options.interval=1]
+ * @param {string[]} [options.weekdays] - Weekly only, e.g. ['MO', 'TH']
+ * @param {string} [options.until] - Last day, 'YYYY-MM-DD' (inclusive, schedule time zone)
+ * @param {number} [options.count] - Number of occurrences
+ * @returns {string}
+ */
+export function buildRRule({ frequency, interval = 1, weekdays = [], until, count }) {
+  const parts = [`FREQ=${(frequency || '').toUpperCase()}`];
+  if (Number(interval) > 1) parts.push(`INTERVAL=${Number(interval)}`);
+  if ((frequency || '').toLowerCase() === 'weekly' && weekdays.length > 0) {
+    parts.push(`BYDAY=${WEEKDAYS.filter((day) => weekdays.includes(day)).join(',')}`);
+  }
+  if (count) parts.push(`COUNT=${Number(count)}`);
+  else if (until) parts.push(`UNTIL=${until.replace(/-/g, '')}T235959`);
+  return parts.join(';');
+}
+
+// Civil-date helpers; dates are UTC midnights standing for local calendar days
+const civilDate = (year, month, day) => Date.UTC(year, month - 1, day);
+const weekdayIndex = (date) => (new Date(date).getUTCDay() + 6) % 7;
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+function monthDays(year, month, rule, startDay) {
+  const last = daysInMonth(year, month);
+  const days = new Set();
+
+  for (const day of rule.byMonthDay) {
+    const resolved = day > 0 ? day : last + day + 1;
+    if (resolved >= 1 && resolved <= last) days.add(resolved);
+  }
+
+  for (const { weekday, ordinal } of rule.byDay) {
+    const target = WEEKDAYS.indexOf(weekday);
+    const matches = [];
+    for (let day = 1; day <= last; day += 1) {
+      if (weekdayIndex(civilDate(year, month, day)) === target) matches.push(day);
+    }
+    if (ordinal === null) matches.forEach((day) => days.add(day));
+    else {
+      const day = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+      if (day) days.add(day);
+    }
+  }
+
+  // Plain monthly rules repeat on the start's day; months without it are skipped
+  if (rule.byMonthDay.length === 0 && rule.byDay.length === 0 && startDay <= last) days.add(startDay);
+  return Array.from(days).sort((a, b) => a - b);
+}
+
+// Candidate days (civil dates) of the nth period after the start
+function periodDays(rule, start, period) {
+  const startDate = civilDate(start.year, start.month, start.day);
+
+  if (rule.freq === 'DAILY') {
+    const date = startDate + period * rule.interval * DAY_MS;
+    const weekdays = rule.byDay.map(({ weekday }) => weekday);
+    return weekdays.length === 0 || weekdays.includes(WEEKDAYS[weekdayIndex(date)]) ? [date] : [];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const weekStart = startDate - weekdayIndex(startDate) * DAY_MS + period * rule.interval * 7 * DAY_MS;
+    const weekdays = rule.byDay.length > 0
+      ? rule.byDay.map(({ weekday }) => WEEKDAYS.indexOf(weekday))
+      : [weekdayIndex(startDate)];
+    return [...new Set(weekdays)].sort((a, b) => a - b).map((index) => weekStart + index * DAY_MS);
+  }
+
+  const monthIndex = start.month - 1 + period * rule.interval;
+  const year = start.year + Math.floor(monthIndex / 12);
+  const month = (monthIndex % 12) + 1;
+  return monthDays(year, month, rule, start.day).map((day) => civilDate(year, month, day));
+}
+
+/**
+ * Occurrences of a rule, in order, as UTC instants
+ * @param {Object} params
+ * @param {string} params.rrule
+ * @param {string} params.startsAt - Local start 'YYYY-MM-DDTHH:mm'; also the time of day of every occurrence
+ * @param {string} params.timezone - IANA zone the rule is read in
+ * @param {Date} [params.before] - Stop at this instant (exclusive)
+ * @param {number} [params.limit] - Stop after this many occurrences
+ * @returns {{ occurrences: Date[], exhausted: boolean }} exhausted is true when the rule has no occurrences left at all
+ */
+export function expandOccurrences({ rrule, startsAt, timezone, before = null, limit = null }) {
+  const rule = parseRRule(rrule);
+  const start = parseLocalDateTime(startsAt);
+  if (!start) throw new RecurrenceError('Start must be a local date and time (YYYY-MM-DDTHH:mm)');
+  if (!isValidTimezone(timezone)) throw new RecurrenceError(`Unknown time zone: ${timezone}`);
+  if (!before && !limit && !rule.count && !rule.until) {
+    throw new RecurrenceError('An open-ended rule needs a bound to expand');
+  }
+
+  const startInstant = zonedTimeToUtc(start, timezone);
+  const untilInstant = rule.until
+    ? (rule.until.utc
+      ? new Date(Date.UTC(rule.until.year, rule.until.month - 1, rule.until.day, rule.until.hour, rule.until.minute, rule.until.second))
+      : zonedTimeToUtc(rule.until, timezone))
+    : null;
+
+  const occurrences = [];
+  let produced = 0;
+  for (let period = 0; period < MAX_PERIODS; period += 1) {
+    for (const date of periodDays(rule, start, period)) {
+      const day = new Date(date);
+      const instant = zonedTimeToUtc({
+        year: day.getUTCFullYear(),
+        month: day.getUTCMonth() + 1,
+        day: day.getUTCDate(),
+        hour: start.hour,
+        minute: start.minute,
+      }, timezone);
+
+      if (instant < startInstant) continue;
+      if (untilInstant && instant > untilInstant) return { occurrences, exhausted: true };
+      if (before && instant >= before) return { occurrences, exhausted: false };
+
+      produced += 1;
+      occurrences.push(instant);
+      if (rule.count && produced >= rule.count) return { occurrences, exhausted: true };
+      if (limit && occurrences.length >= limit) return { occurrences, exhausted: false };
+    }
+  }
+  return { occurrences, exhausted: true };
+}
+
+/**
+ * Short English description, e.g. "Every 2 weeks on Mon, Thu, 5 times"
+ * @param {string} rrule
+ * @returns {string}
+ */
+export function describeRRule(rrule) {
+  const rule = parseRRule(rrule);
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[rule.freq];
+  const names = { MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat', SU: 'Sun' };
+  let text = rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`;
+  if (rule.byDay.length > 0) {
+    text += ` on ${rule.byDay.map(({ weekday, ordinal }) => (ordinal ? `${ordinal} ` : '') + names[weekday]).join(', ')}`;
+  }
+  if (rule.byMonthDay.length > 0) text += ` on day ${rule.byMonthDay.join(', ')}`;
+  if (rule.count) text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+  if (rule.until) text += `, until ${rule.until.year}-${pad(rule.until.month)}-${pad(rule.until.day)}`;
+  return text;
+}
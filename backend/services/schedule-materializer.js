@@ -0,0 +1,172 @@
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import logger from '../utils/logger.js';
+import { expandOccurrences } from './recurrence.js';
+import { getApprovalState, needsApproval } from './approval.js';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// How far ahead occurrences become posts rows; the queue shows them from then on
+export const HORIZON_DAYS = parseInt(process.env.SCHEDULE_HORIZON_DAYS || '14', 10);
+const INTERVAL_MINUTES = parseInt(process.env.SCHEDULE_MATERIALIZE_INTERVAL_MINUTES || '60', 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Look this far past the horizon for the next occurrence shown in the dashboard
+const NEXT_LOOKAHEAD_DAYS = 400;
+
+/**
+ * Create posts (and their post_accounts rows) for the occurrences of one
+ * schedule that fall between now and the horizon and don't exist yet
+ * @param {Object} schedule - post_schedules row
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{ created: number, nextOccurrenceAt: string|null, ended: boolean }>}
+ */
+export async function materializeSchedule(schedule, { now = new Date() } = {}) {
+  const horizon = new Date(now.getTime() + HORIZON_DAYS * DAY_MS);
+  const { occurrences, exhausted } = expandOccurrences({
+    rrule: schedule.rrule,
+    startsAt: schedule.starts_at_local,
+    timezone: schedule.timezone,
+    before: new Date(now.getTime() + NEXT_LOOKAHEAD_DAYS * DAY_MS),
+  });
+
+  const after = schedule.materialized_until ? new Date(schedule.materialized_until) : null;
+  const upcoming = occurrences.filter((date) => date > now);
+  const due = upcoming.filter((date) => date < horizon && (!after || date > after));
+
+  let created = [];
+  if (due.length > 0) {
+    // Accounts removed or deactivated since the schedule was made are skipped
+    const { data: accounts, error: accountsError } = await supabase
+      .from('accounts')
+      .select('id, requires_approval')
+      .eq('user_id', schedule.user_id)
+      .eq('is_active', true)
+      .in('id', schedule.account_ids);
+
+    if (accountsError) throw accountsError;
+
+    if (!accounts || accounts.length === 0) {
+      logger.warn('Recurring schedule has no active accounts left; pausing it', { scheduleId: schedule.id });
+      await supabase
+        .from('post_schedules')
+        .update({ active: false })
+        .eq('id', schedule.id);
+      return { created: 0, nextOccurrenceAt: null, ended: false };
+    }
+
+    const template = schedule.post_template || {};
+    // Occurrences for accounts that require sign-off wait for a reviewer like any other post
+    const approvalState = getApprovalState('pending', needsApproval(accounts), now);
+    const { data: posts, error: postsError } = await supabase
+      .from('posts')
+      .upsert(
+        due.map((date) => ({
+          ...template,
+          user_id: schedule.user_id,
+          schedule_id: schedule.id,
+          ...approvalState,
+          scheduled_at: date.toISOString(),
+        })),
+        { onConflict: 'schedule_id,scheduled_at', ignoreDuplicates: true }
+      )
+      .select('id');
+
+    if (postsError) throw postsError;
+    created = posts || [];
+
+    if (created.length > 0) {
+      const { error: postAccountsError } = await supabase
+        .from('post_accounts')
+        .insert(created.flatMap((post) => accounts.map((account) => ({
+          post_id: post.id,
+          account_id: account.id,
+          status: 'pending',
+          first_comment_status: template.first_comment ? 'pending' : null,
+        }))));
+
+      if (postAccountsError) {
+        // Posts without accounts would never be retried: the next run's upsert skips
+        // occurrences that already exist, so take them back out before giving up
+        const { error: rollbackError } = await supabase
+          .from('posts')
+          .delete()
+          .in('id', created.map((post) => post.id));
+        if (rollbackError) {
+          logger.error('Failed to remove occurrence posts without accounts', { scheduleId: schedule.id, error: rollbackError.message });
+        }
+        throw postAccountsError;
+      }
+    }
+  }
+
+  // The rule ran out and every remaining occurrence is now a post
+  const ended = exhausted && upcoming.every((date) => date < horizon);
+  const nextOccurrenceAt = upcoming[0]?.toISOString() || null;
+
+  const { error: updateError } = await supabase
+    .from('post_schedules')
+    .update({
+      materialized_until: due.length > 0 ? due[due.length - 1].toISOString() : schedule.materialized_until,
+      occurrences_created: (schedule.occurrences_created || 0) + created.length,
+      next_occurrence_at: nextOccurrenceAt,
+      ...(ended && { ended_at: now.toISOString(), active: false }),
+    })
+    .eq('id', schedule.id);
+
+  if (updateError) throw updateError;
+
+  return { created: created.length, nextOccurrenceAt, ended };
+}
+
+/**
+ * Materialize every active schedule whose posts don't reach the horizon yet
+ * @returns {Promise<number>} Number of posts created
+ */
+export async function materializeDueSchedules({ now = new Date() } = {}) {
+  const horizon = new Date(now.getTime() + HORIZON_DAYS * DAY_MS);
+  const { data: schedules, error } = await supabase
+    .from('post_schedules')
+    .select('*')
+    .eq('active', true)
+    .or(`materialized_until.is.null,materialized_until.lt.${horizon.toISOString()}`)
+    .limit(200);
+
+  if (error) {
+    logger.error('Failed to fetch recurring schedules', { error: error.message });
+    return 0;
+  }
+
+  let total = 0;
+  for (const schedule of schedules || []) {
+    try {
+      const { created } = await materializeSchedule(schedule, { now });
+      total += created;
+    } catch (err) {
+      logger.error('Failed to materialize recurring schedule', { scheduleId: schedule.id, error: err.message });
+    }
+  }
+  if (total > 0) {
+    logger.info(`Materialized ${total} recurring post(s)`);
+  }
+  return total;
+}
+
+/**
+ * Run materializeDueSchedules now and then every SCHEDULE_MATERIALIZE_INTERVAL_MINUTES
+ * @returns {NodeJS.Timeout}
+ */
+export function startScheduleMaterializer() {
+  const run = () => materializeDueSchedules().catch((err) => {
+    logger.error('Recurring schedule materializer failed', { error: err.message });
+  });
+  run();
+  const timer = setInterval(run, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
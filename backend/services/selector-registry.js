@@ -0,0 +1,60 @@
+// Defaults of the selector registry ship with the bot (bot/config/selectors.json)
+// and are mirrored into selector_registry so they can be viewed and edited.
+// The bot syncs them on each refresh, directly or through the worker API.
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Write the file defaults that are missing, come from an older file version or
+ * were reset (registry_version = 0); custom entries are left alone.
+ * @param {{ version: number, entries: Object<string, { selectors?: string[], texts?: Object, description?: string }> }} registry
+ * @returns {Promise<Array<Object>>} Registry rows as they were before the sync
+ */
+export async function syncSelectorDefaults(registry) {
+  const { data, error } = await supabase
+    .from('selector_registry')
+    .select('key, selectors, texts, source, version, registry_version');
+  if (error) throw error;
+
+  const rows = data || [];
+  const existing = new Map(rows.map((row) => [row.key, row]));
+  for (const [key, entry] of Object.entries(registry.entries)) {
+    const row = existing.get(key);
+    if (row && (row.source === 'custom' || row.registry_version >= registry.version)) continue;
+
+    const version = row ? row.version + 1 : 1;
+    const content = {
+      selectors: entry.selectors || [],
+      texts: entry.texts || {},
+      description: entry.description || null,
+    };
+    const { error: upsertError } = await supabase
+      .from('selector_registry')
+      .upsert({
+        key,
+        ...content,
+        source: 'default',
+        version,
+        registry_version: registry.version,
+        updated_by: null,
+        updated_at: new Date().toISOString(),
+      });
+    if (upsertError) throw upsertError;
+
+    const { error: historyError } = await supabase
+      .from('selector_registry_history')
+      .insert({ key, version, ...content, source: 'default' });
+    if (historyError) {
+      console.error('Failed to record selector history:', historyError);
+    }
+  }
+  return rows;
+}
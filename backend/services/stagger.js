@@ -0,0 +1,76 @@
+// Staggering one post over its accounts (posts.stagger, migration 026). Each
+// post_accounts row gets its own scheduled_at, which the queue and the bot
+// go by instead of publishing to every account at the post's time.
+//   even   - spread evenly over `hours`: the first account at the post's time, the last `hours` later
+//   offset - `minutes` apart, in the order the accounts were picked
+//   random - each account at a random time within `hours` of the post's time
+
+export const STAGGER_STRATEGIES = ['even', 'offset', 'random'];
+export const MAX_STAGGER_HOURS = 72;
+export const MAX_STAGGER_OFFSET_MINUTES = 24 * 60;
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+export class StaggerError extends Error {}
+
+/**
+ * @param {{ strategy: string, hours?: number, minutes?: number }|null} stagger
+ * @returns {{ strategy: string, hours: number }|{ strategy: string, minutes: number }|null}
+ *   Cleaned stagger; null when every account posts at the post's time
+ */
+export function normalizeStagger(stagger) {
+  if (stagger === null || stagger === undefined) return null;
+  if (typeof stagger !== 'object' || Array.isArray(stagger)) {
+    throw new StaggerError('stagger must be an object');
+  }
+  const { strategy } = stagger;
+  if (!STAGGER_STRATEGIES.includes(strategy)) {
+    throw new StaggerError(`stagger.strategy must be one of ${STAGGER_STRATEGIES.join(', ')}`);
+  }
+
+  if (strategy === 'offset') {
+    const minutes = Number(stagger.minutes);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_STAGGER_OFFSET_MINUTES) {
+      throw new StaggerError(`stagger.minutes must be a whole number between 1 and ${MAX_STAGGER_OFFSET_MINUTES}`);
+    }
+    return { strategy, minutes };
+  }
+
+  const hours = Number(stagger.hours);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_STAGGER_HOURS) {
+    throw new StaggerError(`stagger.hours must be more than 0 and at most ${MAX_STAGGER_HOURS}`);
+  }
+  return { strategy, hours };
+}
+
+/**
+ * Planned time of each account of a post
+ * @param {string|Date} scheduledAt - The post's scheduled_at, when the first account is due
+ * @param {string[]} accountIds - In the order the accounts were picked
+ * @param {Object|null} stagger - Normalized stagger (see normalizeStagger)
+ * @param {() => number} [random] - For the random strategy
+ * @returns {Array<{ account_id: string, scheduled_at: string }>}
+ */
+export function computeAccountSchedule(scheduledAt, accountIds, stagger, random = Math.random) {
+  const start = new Date(scheduledAt).getTime();
+  const offsetFor = (index) => {
+    if (!stagger) return 0;
+    switch (stagger.strategy) {
+      case 'even':
+        return accountIds.length > 1 ? (index * stagger.hours * HOUR_MS) / (accountIds.length - 1) : 0;
+      case 'offset':
+        return index * stagger.minutes * MINUTE_MS;
+      case 'random':
+        return random() * stagger.hours * HOUR_MS;
+      default:
+        return 0;
+    }
+  };
+
+  return accountIds.map((accountId, index) => ({
+    account_id: accountId,
+    // Whole seconds; the bot checks the queue far less often than that
+    scheduled_at: new Date(Math.floor((start + offsetFor(index)) / 1000) * 1000).toISOString(),
+  }));
+}
@@ -11,15 +11,34 @@ DROP TABLE IF EXISTS account_review_posts CASCADE;
 DROP TABLE IF EXISTS account_reviews CASCADE;
 
 -- Drop posting-related tables
+DROP TABLE IF EXISTS post_attempt_artifacts CASCADE;
+DROP TABLE IF EXISTS post_caption_revisions CASCADE;
+DROP TABLE IF EXISTS post_approvals CASCADE;
+DROP TABLE IF EXISTS post_reviewers CASCADE;
 DROP TABLE IF EXISTS post_accounts CASCADE;
+DROP TABLE IF EXISTS post_schedules CASCADE;
 DROP TABLE IF EXISTS posts CASCADE;
 
+-- Bot configuration
+DROP TABLE IF EXISTS selector_registry_history CASCADE;
+DROP TABLE IF EXISTS selector_registry CASCADE;
+
 -- Core tables
 DROP TABLE IF EXISTS accounts CASCADE;
+DROP TABLE IF EXISTS bot_log_diagnostics CASCADE;
 DROP TABLE IF EXISTS bot_logs CASCADE;
 
 -- Utility functions/triggers
 DROP FUNCTION IF EXISTS update_updated_at_column() CASCADE;
+DROP FUNCTION IF EXISTS enforce_post_approval() CASCADE;
+DROP FUNCTION IF EXISTS enforce_account_approval() CASCADE;
+DROP FUNCTION IF EXISTS claim_post_leases(UUID[], TEXT, INTEGER) CASCADE;
+DROP FUNCTION IF EXISTS renew_post_leases(UUID[], TEXT, INTEGER) CASCADE;
+DROP FUNCTION IF EXISTS reclaim_expired_post_leases() CASCADE;
+DROP FUNCTION IF EXISTS claim_post_account_task(UUID, TEXT, TEXT, INTEGER) CASCADE;
+DROP FUNCTION IF EXISTS renew_post_account_task(UUID, TEXT, TEXT, INTEGER) CASCADE;
+DROP FUNCTION IF EXISTS reclaim_expired_post_account_tasks() CASCADE;
+DROP FUNCTION IF EXISTS set_post_account_scheduled_at() CASCADE;
 
 -- Note:
 -- After running this migration, run:
@@ -28,6 +47,27 @@ DROP FUNCTION IF EXISTS update_updated_at_column() CASCADE;
 --   npm run migrate 003
 --   npm run migrate 004
 --   npm run migrate 005
+--   npm run migrate 006
+--   npm run migrate 007
+--   npm run migrate 008
+--   npm run migrate 009
+--   npm run migrate 010
+--   npm run migrate 011
+--   npm run migrate 012
+--   npm run migrate 013
+--   npm run migrate 014
+--   npm run migrate 015
+--   npm run migrate 016
+--   npm run migrate 017
+--   npm run migrate 018
+--   npm run migrate 019
+--   npm run migrate 020
+--   npm run migrate 021
+--   npm run migrate 022
+--   npm run migrate 023
+--   npm run migrate 024
+--   npm run migrate 025
+--   npm run migrate 026
 -- Or with Supabase CLI:
 --   supabase db push
 
@@ -0,0 +1,20 @@
+-- ============================================
+-- Add carousel (multi-image) support to posts table
+-- ============================================
+
+-- image_url stays the cover (first slide) so single-image readers keep working.
+-- image_urls holds the ordered slides for carousel posts.
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS media_type TEXT NOT NULL DEFAULT 'image' CHECK (media_type IN ('image', 'carousel')),
+ADD COLUMN IF NOT EXISTS image_urls TEXT[];
+
+-- Instagram caps carousels at 10 slides
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_image_urls_length_check;
+ALTER TABLE posts
+ADD CONSTRAINT posts_image_urls_length_check CHECK (
+  image_urls IS NULL OR cardinality(image_urls) BETWEEN 1 AND 10
+);
+
+-- Add comment for documentation
+COMMENT ON COLUMN posts.media_type IS 'Post format: image (single) or carousel (multiple ordered images)';
+COMMENT ON COLUMN posts.image_urls IS 'Ordered image URLs for carousel posts (max 10); image_url mirrors the first slide';
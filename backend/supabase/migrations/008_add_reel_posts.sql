@@ -0,0 +1,30 @@
+-- ============================================
+-- Add Reels (video) support to posts table
+-- ============================================
+
+-- Allow reel as a media type alongside image and carousel
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_media_type_check;
+ALTER TABLE posts
+ADD CONSTRAINT posts_media_type_check CHECK (media_type IN ('image', 'carousel', 'reel'));
+
+-- Video source and metadata. For reels, image_url holds the selected cover frame.
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS video_url TEXT,
+ADD COLUMN IF NOT EXISTS video_duration_seconds DECIMAL(8, 2),
+ADD COLUMN IF NOT EXISTS video_width INTEGER,
+ADD COLUMN IF NOT EXISTS video_height INTEGER,
+ADD COLUMN IF NOT EXISTS video_aspect_ratio DECIMAL(6, 3),
+ADD COLUMN IF NOT EXISTS cover_offset_seconds DECIMAL(8, 2) DEFAULT 0;
+
+-- A reel must reference its video
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_reel_video_check;
+ALTER TABLE posts
+ADD CONSTRAINT posts_reel_video_check CHECK (media_type <> 'reel' OR video_url IS NOT NULL);
+
+-- Add comment for documentation
+COMMENT ON COLUMN posts.video_url IS 'Cloudinary URL of the MP4/MOV video for reel posts';
+COMMENT ON COLUMN posts.video_duration_seconds IS 'Video duration in seconds as reported by Cloudinary';
+COMMENT ON COLUMN posts.video_width IS 'Video width in pixels';
+COMMENT ON COLUMN posts.video_height IS 'Video height in pixels';
+COMMENT ON COLUMN posts.video_aspect_ratio IS 'Video width / height (0.5625 for 9:16)';
+COMMENT ON COLUMN posts.cover_offset_seconds IS 'Offset of the frame used as the reel cover (image_url)';
@@ -0,0 +1,19 @@
+-- ============================================
+-- Add story publishing mode to posts table
+-- ============================================
+
+-- feed = regular post (image, carousel or reel), story = 24h story
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS post_type TEXT NOT NULL DEFAULT 'feed' CHECK (post_type IN ('feed', 'story'));
+
+-- Stories are published from Instagram's mobile web flow, which only takes a single image
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_story_media_check;
+ALTER TABLE posts
+ADD CONSTRAINT posts_story_media_check CHECK (post_type <> 'story' OR media_type = 'image');
+
+-- Stories are picked up ahead of feed posts, so index by type for the queue
+CREATE INDEX IF NOT EXISTS idx_posts_type_status_scheduled
+ON posts(post_type, status, scheduled_at);
+
+-- Add comment for documentation
+COMMENT ON COLUMN posts.post_type IS 'Publishing surface: feed (profile grid) or story (expires after 24h)';
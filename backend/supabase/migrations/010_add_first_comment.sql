@@ -0,0 +1,19 @@
+-- ============================================
+-- Add auto first comment to posts and per-account outcome
+-- ============================================
+
+-- Comment published right after the post goes live (e.g. a hashtag block)
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS first_comment TEXT CHECK (first_comment IS NULL OR char_length(first_comment) <= 2200);
+
+-- Outcome of the first comment per account
+ALTER TABLE post_accounts
+ADD COLUMN IF NOT EXISTS first_comment_status TEXT CHECK (first_comment_status IN ('pending', 'posted', 'failed', 'skipped')),
+ADD COLUMN IF NOT EXISTS first_comment_error TEXT,
+ADD COLUMN IF NOT EXISTS first_comment_posted_at TIMESTAMP WITH TIME ZONE;
+
+-- Add comment for documentation
+COMMENT ON COLUMN posts.first_comment IS 'Optional comment the bot publishes on the new post after a successful share';
+COMMENT ON COLUMN post_accounts.first_comment_status IS 'First comment outcome: pending, posted, failed or skipped (NULL when the post has no first comment)';
+COMMENT ON COLUMN post_accounts.first_comment_error IS 'Error message if publishing the first comment failed';
+COMMENT ON COLUMN post_accounts.first_comment_posted_at IS 'Timestamp when the first comment was published';
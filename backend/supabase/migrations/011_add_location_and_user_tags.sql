@@ -0,0 +1,27 @@
+-- ============================================
+-- Add location and user tags to posts, per-account tagging outcome
+-- ============================================
+
+-- location: place name searched in Instagram's "Add location" picker
+-- user_tags: [{ "username": "someone", "x": 0.5, "y": 0.4, "slide": 0 }]
+--   x/y are fractions (0-1) of the image width/height, slide is the carousel index
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS location TEXT CHECK (location IS NULL OR char_length(location) <= 100),
+ADD COLUMN IF NOT EXISTS user_tags JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_user_tags_check;
+ALTER TABLE posts
+ADD CONSTRAINT posts_user_tags_check CHECK (
+  jsonb_typeof(user_tags) = 'array' AND jsonb_array_length(user_tags) <= 20
+);
+
+-- What the bot managed to apply for each account:
+-- { "location": { "name": "...", "status": "applied|failed", "error": null },
+--   "user_tags": [{ "username": "...", "status": "applied|failed", "error": null }] }
+ALTER TABLE post_accounts
+ADD COLUMN IF NOT EXISTS tagging_results JSONB;
+
+-- Add comment for documentation
+COMMENT ON COLUMN posts.location IS 'Optional location name selected during the caption step';
+COMMENT ON COLUMN posts.user_tags IS 'People to tag: username with x/y position (0-1) and optional carousel slide index';
+COMMENT ON COLUMN post_accounts.tagging_results IS 'Per-account outcome of location and each user tag, including failure reasons';
@@ -0,0 +1,35 @@
+-- ============================================
+-- Add alt text and advanced share settings to posts
+-- ============================================
+
+-- alt_texts: one entry per image in upload order (empty string = let Instagram generate it)
+-- hide_like_counts / disable_comments: toggles under "Advanced settings" in the share dialog
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS alt_texts TEXT[],
+ADD COLUMN IF NOT EXISTS hide_like_counts BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS disable_comments BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_alt_texts_length_check;
+ALTER TABLE posts
+ADD CONSTRAINT posts_alt_texts_length_check CHECK (
+  alt_texts IS NULL OR cardinality(alt_texts) <= 10
+);
+
+-- A first comment cannot be published once commenting is turned off
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_disable_comments_check;
+ALTER TABLE posts
+ADD CONSTRAINT posts_disable_comments_check CHECK (
+  disable_comments = false OR first_comment IS NULL
+);
+
+-- What the bot managed to apply for each account:
+-- { "alt_texts": { "status": "applied|failed", "error": null },
+--   "hide_like_counts": { ... }, "disable_comments": { ... } }
+ALTER TABLE post_accounts
+ADD COLUMN IF NOT EXISTS settings_results JSONB;
+
+-- Add comment for documentation
+COMMENT ON COLUMN posts.alt_texts IS 'Accessibility alt text per image, in the same order as the uploaded images';
+COMMENT ON COLUMN posts.hide_like_counts IS 'Hide like and view counts on the published post';
+COMMENT ON COLUMN posts.disable_comments IS 'Turn off commenting on the published post';
+COMMENT ON COLUMN post_accounts.settings_results IS 'Per-account outcome of alt text and advanced settings, including failure reasons';
@@ -0,0 +1,18 @@
+-- ============================================
+-- Add crop mode to posts and the cropped image used for similarity checks
+-- ============================================
+
+-- crop_mode: option picked in Instagram's crop dialog ('original' keeps the uploaded ratio)
+-- comparison_image_url: Cloudinary transform of the first image matching crop_mode,
+--   so the image checker compares against what Instagram actually shows
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS crop_mode TEXT NOT NULL DEFAULT 'original',
+ADD COLUMN IF NOT EXISTS comparison_image_url TEXT;
+
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_crop_mode_check;
+ALTER TABLE posts
+ADD CONSTRAINT posts_crop_mode_check CHECK (crop_mode IN ('original', '1:1', '4:5', '16:9'));
+
+-- Add comment for documentation
+COMMENT ON COLUMN posts.crop_mode IS 'Crop applied in the Instagram crop dialog: original, 1:1, 4:5 or 16:9';
+COMMENT ON COLUMN posts.comparison_image_url IS 'Cropped variant of the first image for the similarity check (NULL = compare against image_url)';
@@ -0,0 +1,54 @@
+-- ============================================
+-- SELECTOR REGISTRY
+-- DOM selectors and per-locale button texts used by the bot, editable
+-- without redeploying. The bot ships defaults in bot/config/selectors.json
+-- and mirrors them here (source = 'default'); edits made through the API
+-- become source = 'custom' and take precedence in the bot.
+-- ============================================
+CREATE TABLE IF NOT EXISTS selector_registry (
+    key TEXT PRIMARY KEY,
+    selectors TEXT[] NOT NULL DEFAULT '{}',
+    -- { "en": ["Next"], "id": ["Berikutnya"] }
+    texts JSONB NOT NULL DEFAULT '{}'::jsonb,
+    description TEXT,
+    source TEXT NOT NULL DEFAULT 'default' CHECK (source IN ('default', 'custom')),
+    -- Incremented on every change of this entry
+    version INTEGER NOT NULL DEFAULT 1,
+    -- Version of selectors.json a default entry was copied from (0 = resync on the next bot refresh)
+    registry_version INTEGER NOT NULL DEFAULT 0,
+    updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT selector_registry_texts_check CHECK (jsonb_typeof(texts) = 'object')
+);
+
+-- Every version of every entry, for auditing and rollback
+CREATE TABLE IF NOT EXISTS selector_registry_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    key TEXT NOT NULL REFERENCES selector_registry(key) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    selectors TEXT[] NOT NULL DEFAULT '{}',
+    texts JSONB NOT NULL DEFAULT '{}'::jsonb,
+    description TEXT,
+    source TEXT NOT NULL,
+    changed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (key, version)
+);
+
+-- ============================================
+-- INDEXES
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_selector_registry_updated_at ON selector_registry(updated_at);
+CREATE INDEX IF NOT EXISTS idx_selector_registry_history_key ON selector_registry_history(key, version DESC);
+
+-- ============================================
+-- ROW LEVEL SECURITY (RLS) POLICIES
+-- Only the backend and bot (service role) read or write the registry
+-- ============================================
+ALTER TABLE selector_registry ENABLE ROW LEVEL SECURITY;
+ALTER TABLE selector_registry_history ENABLE ROW LEVEL SECURITY;
+
+-- Add comment for documentation
+COMMENT ON TABLE selector_registry IS 'Bot DOM selectors and per-locale texts; custom entries override the defaults shipped with the bot';
+COMMENT ON TABLE selector_registry_history IS 'Snapshot of each selector_registry entry version';
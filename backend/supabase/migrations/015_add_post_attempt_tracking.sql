@@ -0,0 +1,21 @@
+-- ============================================
+-- Track posting attempts per account so retries can detect a post that
+-- was already shared instead of posting it twice
+-- ============================================
+
+-- first_attempt_at: when the bot first tried to share this post on the account;
+--   kept across retries and resets, it bounds how far back the profile is searched
+-- last_attempt_at / attempt_count: most recent attempt and the total number of attempts
+-- adopted_at: set when the URL was taken from an existing post on the profile
+--   instead of sharing again
+ALTER TABLE post_accounts
+ADD COLUMN IF NOT EXISTS first_attempt_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS last_attempt_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS attempt_count INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS adopted_at TIMESTAMP WITH TIME ZONE;
+
+-- Add comment for documentation
+COMMENT ON COLUMN post_accounts.first_attempt_at IS 'Start of the first posting attempt; NULL = never attempted, no duplicate check needed';
+COMMENT ON COLUMN post_accounts.last_attempt_at IS 'Start of the most recent posting attempt';
+COMMENT ON COLUMN post_accounts.attempt_count IS 'Number of posting attempts made for this account';
+COMMENT ON COLUMN post_accounts.adopted_at IS 'When an already published post was matched on the profile and its URL adopted';
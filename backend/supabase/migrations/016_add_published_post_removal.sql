@@ -0,0 +1,31 @@
+-- ============================================
+-- Remote delete/archive of published posts
+-- The API queues a removal on post_accounts; the bot picks up rows with
+-- removal_status = 'pending', opens instagram_post_url and uses the "..." menu.
+-- ============================================
+
+ALTER TABLE post_accounts
+ADD COLUMN IF NOT EXISTS removal_action TEXT,
+ADD COLUMN IF NOT EXISTS removal_status TEXT,
+ADD COLUMN IF NOT EXISTS removal_requested_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS removal_requested_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS removal_completed_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS removal_error TEXT;
+
+ALTER TABLE post_accounts DROP CONSTRAINT IF EXISTS post_accounts_removal_action_check;
+ALTER TABLE post_accounts
+ADD CONSTRAINT post_accounts_removal_action_check CHECK (removal_action IS NULL OR removal_action IN ('delete', 'archive'));
+
+ALTER TABLE post_accounts DROP CONSTRAINT IF EXISTS post_accounts_removal_status_check;
+ALTER TABLE post_accounts
+ADD CONSTRAINT post_accounts_removal_status_check CHECK (removal_status IS NULL OR removal_status IN ('pending', 'processing', 'completed', 'failed'));
+
+-- The bot polls for queued removals
+CREATE INDEX IF NOT EXISTS idx_post_accounts_removal_pending ON post_accounts(removal_requested_at)
+WHERE removal_status = 'pending';
+
+-- Add comment for documentation
+COMMENT ON COLUMN post_accounts.removal_action IS 'Requested removal of the published post: delete or archive';
+COMMENT ON COLUMN post_accounts.removal_status IS 'Removal job state: pending, processing, completed, failed (NULL = no removal requested)';
+COMMENT ON COLUMN post_accounts.removal_completed_at IS 'When the bot finished deleting or archiving the post on Instagram';
+COMMENT ON COLUMN post_accounts.removal_error IS 'Why the last removal attempt failed';
@@ -0,0 +1,57 @@
+-- ============================================
+-- Caption edits on published posts
+-- Editing the caption of a completed post queues a bot task per published
+-- account (caption_edit_status = 'pending'); the bot replaces the caption
+-- through Instagram's "Edit" flow. Every change is kept as a revision.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS post_caption_revisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    -- 1 for the first edit, incremented per edit of the post
+    revision INTEGER NOT NULL,
+    previous_caption TEXT,
+    caption TEXT NOT NULL,
+    edited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (post_id, revision)
+);
+
+ALTER TABLE post_accounts
+ADD COLUMN IF NOT EXISTS caption_edit_status TEXT,
+ADD COLUMN IF NOT EXISTS caption_edit_revision INTEGER,
+ADD COLUMN IF NOT EXISTS caption_edit_error TEXT,
+ADD COLUMN IF NOT EXISTS caption_edited_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE post_accounts DROP CONSTRAINT IF EXISTS post_accounts_caption_edit_status_check;
+ALTER TABLE post_accounts
+ADD CONSTRAINT post_accounts_caption_edit_status_check CHECK (caption_edit_status IS NULL OR caption_edit_status IN ('pending', 'processing', 'completed', 'failed'));
+
+-- ============================================
+-- INDEXES
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_post_caption_revisions_post_id ON post_caption_revisions(post_id, revision DESC);
+CREATE INDEX IF NOT EXISTS idx_post_accounts_caption_edit_pending ON post_accounts(updated_at)
+WHERE caption_edit_status = 'pending';
+
+-- ============================================
+-- ROW LEVEL SECURITY (RLS) POLICIES
+-- ============================================
+ALTER TABLE post_caption_revisions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view revisions of their own posts" ON post_caption_revisions;
+CREATE POLICY "Users can view revisions of their own posts"
+    ON post_caption_revisions FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM posts
+            WHERE posts.id = post_caption_revisions.post_id
+            AND posts.user_id = auth.uid()
+        )
+    );
+
+-- Add comment for documentation
+COMMENT ON TABLE post_caption_revisions IS 'Caption history of posts edited after publishing';
+COMMENT ON COLUMN post_accounts.caption_edit_status IS 'Caption edit task on Instagram: pending, processing, completed, failed (NULL = never edited)';
+COMMENT ON COLUMN post_accounts.caption_edit_revision IS 'post_caption_revisions.revision the task applies';
+COMMENT ON COLUMN post_accounts.caption_edit_error IS 'Why the last caption edit failed';
@@ -0,0 +1,12 @@
+-- ============================================
+-- Remember the Instagram UI language of each account so the bot matches
+-- buttons and counts with the right locale pack (bot/config/locales)
+-- ============================================
+
+-- ui_locale: base language code taken from instagram.com's <html lang> after
+--   login, e.g. 'en', 'id', 'es'; NULL until the bot has logged in once
+ALTER TABLE accounts
+ADD COLUMN IF NOT EXISTS ui_locale TEXT;
+
+-- Add comment for documentation
+COMMENT ON COLUMN accounts.ui_locale IS 'Instagram UI language detected at login (base code such as en or id); NULL = not detected yet';
@@ -0,0 +1,51 @@
+-- ============================================
+-- Debug artifacts of posting attempts
+-- The bot keeps the step screenshots and a final DOM snapshot of every
+-- attempt in an artifact store (Cloudinary by default) and records them
+-- here, linked to the post_accounts row and the attempt number.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS post_attempt_artifacts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    post_account_id UUID NOT NULL REFERENCES post_accounts(id) ON DELETE CASCADE,
+    post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    -- post_accounts.attempt_count at the time of the attempt
+    attempt INTEGER NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('screenshot', 'dom')),
+    -- Step name from the bot flow, e.g. '04-after-upload', 'error', 'final'
+    step TEXT NOT NULL,
+    store TEXT NOT NULL,
+    -- NULL: files are private and only served through the backend
+    -- (public Cloudinary uploads of older bot versions have their URL here)
+    url TEXT,
+    storage_path TEXT NOT NULL,
+    content_type TEXT,
+    size_bytes INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ============================================
+-- INDEXES
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_post_attempt_artifacts_post_id ON post_attempt_artifacts(post_id);
+CREATE INDEX IF NOT EXISTS idx_post_attempt_artifacts_attempt ON post_attempt_artifacts(post_account_id, attempt, created_at);
+
+-- ============================================
+-- ROW LEVEL SECURITY (RLS) POLICIES
+-- ============================================
+ALTER TABLE post_attempt_artifacts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view artifacts of their own posts" ON post_attempt_artifacts;
+CREATE POLICY "Users can view artifacts of their own posts"
+    ON post_attempt_artifacts FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM posts
+            WHERE posts.id = post_attempt_artifacts.post_id
+            AND posts.user_id = auth.uid()
+        )
+    );
+
+-- Add comment for documentation
+COMMENT ON TABLE post_attempt_artifacts IS 'Screenshots and DOM snapshots taken by the bot during each posting attempt';
+COMMENT ON COLUMN post_attempt_artifacts.store IS 'Artifact store that holds the file: cloudinary or local (bot host only)';
@@ -0,0 +1,42 @@
+-- ============================================
+-- Diagnostic files of failed bot runs
+-- With BOT_DIAGNOSTICS=true the posting, reviewer and checker bots record a
+-- Chrome performance trace and a network HAR per attempt. They are only
+-- kept when the attempt fails, and linked here to its bot_logs entry.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS bot_log_diagnostics (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    bot_log_id UUID NOT NULL REFERENCES bot_logs(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL CHECK (kind IN ('trace', 'har')),
+    -- Download name, e.g. 'post-<id>-<username>-attempt-2.har.gz'
+    file_name TEXT NOT NULL,
+    store TEXT NOT NULL,
+    -- Download URL; NULL for stores that only keep files on the bot host
+    url TEXT,
+    storage_path TEXT NOT NULL,
+    size_bytes INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ============================================
+-- INDEXES
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_bot_log_diagnostics_bot_log_id ON bot_log_diagnostics(bot_log_id);
+CREATE INDEX IF NOT EXISTS idx_bot_log_diagnostics_user_id ON bot_log_diagnostics(user_id);
+
+-- ============================================
+-- ROW LEVEL SECURITY (RLS) POLICIES
+-- ============================================
+ALTER TABLE bot_log_diagnostics ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own diagnostic files" ON bot_log_diagnostics;
+CREATE POLICY "Users can view their own diagnostic files"
+    ON bot_log_diagnostics FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Add comment for documentation
+COMMENT ON TABLE bot_log_diagnostics IS 'Gzipped performance traces and network HARs of failed bot attempts, per bot_logs entry';
+COMMENT ON COLUMN bot_log_diagnostics.store IS 'Artifact store that holds the file: cloudinary or local (bot host only)';
+COMMENT ON COLUMN bot_log_diagnostics.url IS 'NULL for private files (authenticated Cloudinary uploads, local files); downloads go through the backend';
@@ -0,0 +1,63 @@
+-- ============================================
+-- Recurring post schedules
+-- A schedule holds a post template, its target accounts and a recurrence
+-- rule (RFC 5545 RRULE subset: FREQ=DAILY/WEEKLY/MONTHLY with INTERVAL,
+-- BYDAY, BYMONTHDAY, COUNT, UNTIL). The backend materializes occurrences a
+-- few days ahead as ordinary posts rows linked through posts.schedule_id.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS post_schedules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    -- posts columns copied into every occurrence (media, caption, settings)
+    post_template JSONB NOT NULL,
+    account_ids UUID[] NOT NULL,
+    rrule TEXT NOT NULL,
+    -- Wall-clock start in the schedule's time zone; sets the time of day of every occurrence
+    starts_at_local TIMESTAMP NOT NULL,
+    timezone TEXT NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT true,
+    -- Latest occurrence already created as a post; later ones are still to come
+    materialized_until TIMESTAMP WITH TIME ZONE,
+    occurrences_created INTEGER NOT NULL DEFAULT 0,
+    next_occurrence_at TIMESTAMP WITH TIME ZONE,
+    -- Set when the rule has no occurrences left (COUNT/UNTIL reached)
+    ended_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS schedule_id UUID REFERENCES post_schedules(id) ON DELETE SET NULL;
+
+-- ============================================
+-- INDEXES
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_post_schedules_user_id ON post_schedules(user_id);
+CREATE INDEX IF NOT EXISTS idx_post_schedules_due ON post_schedules(materialized_until) WHERE active = true;
+-- One post per occurrence, even if two materializer runs overlap
+CREATE UNIQUE INDEX IF NOT EXISTS idx_posts_schedule_occurrence ON posts(schedule_id, scheduled_at);
+
+-- ============================================
+-- TRIGGERS FOR UPDATED_AT
+-- ============================================
+DROP TRIGGER IF EXISTS update_post_schedules_updated_at ON post_schedules;
+CREATE TRIGGER update_post_schedules_updated_at
+    BEFORE UPDATE ON post_schedules
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- ROW LEVEL SECURITY (RLS) POLICIES
+-- ============================================
+ALTER TABLE post_schedules ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own schedules" ON post_schedules;
+CREATE POLICY "Users can view their own schedules"
+    ON post_schedules FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Add comment for documentation
+COMMENT ON TABLE post_schedules IS 'Recurring post templates; occurrences are materialized ahead of time into posts';
+COMMENT ON COLUMN post_schedules.rrule IS 'RRULE without DTSTART, e.g. FREQ=WEEKLY;BYDAY=MO,TH;COUNT=10';
+COMMENT ON COLUMN posts.schedule_id IS 'Recurring schedule this post was materialized from';
@@ -0,0 +1,32 @@
+-- ============================================
+-- Per-account posting windows and blackout periods. The bot only posts to
+-- an account inside its windows; outside them the post_accounts row is
+-- deferred to the next allowed time instead of being attempted or failed.
+-- ============================================
+
+-- timezone: IANA zone the windows and blackouts are read in; NULL = UTC
+-- posting_windows: allowed weekly windows, e.g.
+--   [{"days": ["MO","TU","WE","TH","FR","SA"], "start": "08:00", "end": "22:00"}]
+--   an end before the start runs past midnight; NULL or [] = any time
+-- posting_blackouts: one-off periods without posts, in local time, e.g.
+--   [{"start": "2026-12-24T00:00", "end": "2026-12-27T00:00", "label": "Holidays"}]
+ALTER TABLE accounts
+ADD COLUMN IF NOT EXISTS timezone TEXT,
+ADD COLUMN IF NOT EXISTS posting_windows JSONB,
+ADD COLUMN IF NOT EXISTS posting_blackouts JSONB;
+
+-- deferred_until: set when the account was outside its windows when the post
+--   came due; the bot leaves the row alone until then
+ALTER TABLE post_accounts
+ADD COLUMN IF NOT EXISTS deferred_until TIMESTAMP WITH TIME ZONE;
+
+-- ============================================
+-- INDEXES
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_post_accounts_deferred_until ON post_accounts(deferred_until) WHERE deferred_until IS NOT NULL;
+
+-- Add comment for documentation
+COMMENT ON COLUMN accounts.timezone IS 'IANA timezone of the account (e.g. Europe/Berlin); NULL = UTC';
+COMMENT ON COLUMN accounts.posting_windows IS 'Weekly windows the bot may post in: [{days, start, end}] in the account timezone; NULL or empty = any time';
+COMMENT ON COLUMN accounts.posting_blackouts IS 'Periods without posts: [{start, end, label}] as local date-times in the account timezone';
+COMMENT ON COLUMN post_accounts.deferred_until IS 'Next allowed posting time when the post came due outside the account posting windows';
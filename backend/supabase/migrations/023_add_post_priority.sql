@@ -0,0 +1,20 @@
+-- ============================================
+-- Queue priority and manual order. When several posts are due the bot takes
+-- the highest priority first, then the manual position, then scheduled_at.
+-- ============================================
+
+-- priority: -1 low, 0 normal, 1 high, 2 urgent
+-- queue_position: manual order within the pending queue, set by drag and drop
+--   in the dashboard (PUT /api/queue/order); NULL = after the ordered posts
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS priority SMALLINT NOT NULL DEFAULT 0 CHECK (priority BETWEEN -1 AND 2),
+ADD COLUMN IF NOT EXISTS queue_position INTEGER;
+
+-- ============================================
+-- INDEXES
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_posts_queue_order ON posts(priority DESC, queue_position ASC NULLS LAST, scheduled_at ASC) WHERE status = 'pending';
+
+-- Add comment for documentation
+COMMENT ON COLUMN posts.priority IS 'Queue priority: -1 low, 0 normal, 1 high, 2 urgent; higher goes first when several posts are due';
+COMMENT ON COLUMN posts.queue_position IS 'Manual position in the pending queue; NULL = not ordered by hand';
@@ -0,0 +1,188 @@
+-- ============================================
+-- Draft and approval workflow
+-- Posts can be saved as 'draft' or submitted as 'awaiting_approval'. A
+-- reviewer named by the post's owner (post_reviewers, matched on the
+-- reviewer's login email) approves them into the queue ('pending') or
+-- rejects them back to 'draft' with a comment. The bot only picks up posts
+-- with approved_at set; posts to accounts with requires_approval need a
+-- reviewer's sign-off (approved_by), others are approved when queued.
+-- ============================================
+
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS approved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+-- Everything queued before this migration was queued without sign-off
+UPDATE posts SET approved_at = COALESCE(created_at, NOW())
+WHERE approved_at IS NULL AND status NOT IN ('draft', 'awaiting_approval');
+
+ALTER TABLE accounts
+ADD COLUMN IF NOT EXISTS requires_approval BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS post_reviewers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    owner_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    -- Lowercased login email of the reviewer; they need not have signed up yet
+    reviewer_email TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (owner_id, reviewer_email)
+);
+
+CREATE TABLE IF NOT EXISTS post_approvals (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    reviewer_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    reviewer_email TEXT,
+    decision TEXT NOT NULL CHECK (decision IN ('approved', 'rejected')),
+    comment TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Caption edits of published posts to accounts that require approval wait
+-- for a reviewer too; posts.caption only changes once one is applied
+ALTER TABLE post_caption_revisions
+ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'applied';
+
+ALTER TABLE post_caption_revisions DROP CONSTRAINT IF EXISTS post_caption_revisions_status_check;
+ALTER TABLE post_caption_revisions
+ADD CONSTRAINT post_caption_revisions_status_check CHECK (status IN ('awaiting_approval', 'applied', 'rejected'));
+
+-- Set when the decision was on a caption edit rather than the post itself
+ALTER TABLE post_approvals
+ADD COLUMN IF NOT EXISTS caption_revision INTEGER;
+
+-- ============================================
+-- INDEXES
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_post_caption_revisions_awaiting_approval ON post_caption_revisions(post_id) WHERE status = 'awaiting_approval';
+CREATE INDEX IF NOT EXISTS idx_posts_awaiting_approval ON posts(user_id, submitted_at) WHERE status = 'awaiting_approval';
+CREATE INDEX IF NOT EXISTS idx_post_reviewers_reviewer_email ON post_reviewers(reviewer_email);
+CREATE INDEX IF NOT EXISTS idx_post_approvals_post_id ON post_approvals(post_id, created_at DESC);
+
+-- ============================================
+-- APPROVAL GUARD
+-- The dashboard writes posts and post_accounts directly; only the backend
+-- (service role) may record a sign-off or queue a post for an account that
+-- requires one. Changing what was signed off drops the sign-off: a queued
+-- post goes back to awaiting_approval, one already being published can't be
+-- changed this way at all.
+-- ============================================
+CREATE OR REPLACE FUNCTION enforce_post_approval()
+RETURNS TRIGGER AS $$
+DECLARE
+    post_row posts%ROWTYPE;
+    added_account_id UUID;
+BEGIN
+    IF auth.role() = 'service_role' THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_TABLE_NAME = 'posts' THEN
+        IF NEW.approved_by IS DISTINCT FROM (CASE WHEN TG_OP = 'UPDATE' THEN OLD.approved_by END) THEN
+            RAISE EXCEPTION 'Posts can only be approved by a reviewer';
+        END IF;
+        -- Looked up by name, as some of these columns come with later migrations
+        IF TG_OP = 'UPDATE' AND OLD.approved_by IS NOT NULL AND EXISTS (
+            SELECT 1 FROM unnest(ARRAY[
+                'caption', 'image_url', 'image_urls', 'video_url', 'cover_offset_seconds',
+                'post_type', 'media_type', 'first_comment', 'location', 'user_tags',
+                'alt_texts', 'hide_like_counts', 'disable_comments', 'crop_mode',
+                'scheduled_at', 'stagger'
+            ]) AS content_column
+            WHERE to_jsonb(NEW) -> content_column IS DISTINCT FROM to_jsonb(OLD) -> content_column
+        ) THEN
+            NEW.approved_by := NULL;
+            NEW.approved_at := NULL;
+            IF NEW.status = 'pending' THEN
+                NEW.status := 'awaiting_approval';
+                NEW.submitted_at := NOW();
+            END IF;
+        END IF;
+        post_row := NEW;
+    ELSE
+        SELECT * INTO post_row FROM posts WHERE id = NEW.post_id;
+        added_account_id := NEW.account_id;
+    END IF;
+
+    IF post_row.status NOT IN ('draft', 'awaiting_approval')
+        AND post_row.approved_by IS NULL
+        AND EXISTS (
+            SELECT 1 FROM post_accounts
+            JOIN accounts ON accounts.id = post_accounts.account_id
+            WHERE post_accounts.post_id = post_row.id
+            AND accounts.requires_approval
+            UNION ALL
+            SELECT 1 FROM accounts
+            WHERE accounts.id = added_account_id
+            AND accounts.requires_approval
+        )
+    THEN
+        RAISE EXCEPTION 'Posts to this account need a reviewer''s approval';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS enforce_posts_approval ON posts;
+CREATE TRIGGER enforce_posts_approval
+    BEFORE INSERT OR UPDATE ON posts
+    FOR EACH ROW
+    EXECUTE FUNCTION enforce_post_approval();
+
+DROP TRIGGER IF EXISTS enforce_post_accounts_approval ON post_accounts;
+CREATE TRIGGER enforce_post_accounts_approval
+    BEFORE INSERT OR UPDATE OF account_id ON post_accounts
+    FOR EACH ROW
+    EXECUTE FUNCTION enforce_post_approval();
+
+-- Owners may turn requires_approval on, but only a reviewer (through the
+-- backend) may turn it off again
+CREATE OR REPLACE FUNCTION enforce_account_approval()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF auth.role() <> 'service_role' AND OLD.requires_approval AND NOT NEW.requires_approval THEN
+        RAISE EXCEPTION 'Only a reviewer can turn off approval for this account';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS enforce_accounts_approval ON accounts;
+CREATE TRIGGER enforce_accounts_approval
+    BEFORE UPDATE OF requires_approval ON accounts
+    FOR EACH ROW
+    EXECUTE FUNCTION enforce_account_approval();
+
+-- ============================================
+-- ROW LEVEL SECURITY (RLS) POLICIES
+-- ============================================
+ALTER TABLE post_reviewers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE post_approvals ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own reviewers" ON post_reviewers;
+CREATE POLICY "Users can view their own reviewers"
+    ON post_reviewers FOR SELECT
+    USING (auth.uid() = owner_id);
+
+DROP POLICY IF EXISTS "Users can view approvals of their own posts" ON post_approvals;
+CREATE POLICY "Users can view approvals of their own posts"
+    ON post_approvals FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM posts
+            WHERE posts.id = post_approvals.post_id
+            AND posts.user_id = auth.uid()
+        )
+    );
+
+-- Add comment for documentation
+COMMENT ON TABLE post_reviewers IS 'Reviewers who may approve or reject a user''s posts, by login email';
+COMMENT ON TABLE post_approvals IS 'Approve/reject decisions on posts, newest last';
+COMMENT ON COLUMN posts.submitted_at IS 'When the post was last submitted for approval';
+COMMENT ON COLUMN posts.approved_at IS 'When the post was cleared for publishing; the bot skips posts without it';
+COMMENT ON COLUMN posts.approved_by IS 'Reviewer who approved the post; NULL when no sign-off was required';
+COMMENT ON COLUMN post_caption_revisions.status IS 'awaiting_approval until a reviewer decides on a caption edit to an account that requires approval, then applied or rejected';
+COMMENT ON COLUMN post_approvals.caption_revision IS 'post_caption_revisions.revision decided on; NULL for a decision on the post';
+COMMENT ON COLUMN accounts.requires_approval IS 'Posts to this account need a reviewer''s approval before the bot publishes them';
@@ -0,0 +1,186 @@
+-- ============================================
+-- Post leases for running several bot instances
+-- A bot instance claims a post by taking its lease (leased_by,
+-- lease_expires_at) and keeps renewing it while it works on the post. A post
+-- whose lease ran out, because its instance crashed or was restarted, goes
+-- back to the queue and is taken by whichever instance reclaims it first.
+-- Removals and caption edits of published posts (migrations 016 and 017)
+-- are leased the same way, per post_accounts row and task.
+-- The functions are called by the bot with the service role only.
+-- ============================================
+
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS leased_by TEXT,
+ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE post_accounts
+ADD COLUMN IF NOT EXISTS removal_leased_by TEXT,
+ADD COLUMN IF NOT EXISTS removal_lease_expires_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS caption_edit_leased_by TEXT,
+ADD COLUMN IF NOT EXISTS caption_edit_lease_expires_at TIMESTAMP WITH TIME ZONE;
+
+-- ============================================
+-- INDEXES
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_posts_lease_expires_at ON posts(lease_expires_at) WHERE status = 'processing';
+CREATE INDEX IF NOT EXISTS idx_post_accounts_removal_lease ON post_accounts(removal_lease_expires_at) WHERE removal_status = 'processing';
+CREATE INDEX IF NOT EXISTS idx_post_accounts_caption_edit_lease ON post_accounts(caption_edit_lease_expires_at) WHERE caption_edit_status = 'processing';
+
+-- ============================================
+-- LEASE FUNCTIONS
+-- ============================================
+
+-- Claim the given posts that are still pending and approved. Rows another
+-- instance is claiming at the same moment are skipped, not waited for.
+CREATE OR REPLACE FUNCTION claim_post_leases(p_post_ids UUID[], p_worker TEXT, p_lease_seconds INTEGER)
+RETURNS SETOF UUID AS $$
+    UPDATE posts
+    SET status = 'processing',
+        leased_by = p_worker,
+        lease_expires_at = NOW() + make_interval(secs => p_lease_seconds),
+        updated_at = NOW()
+    WHERE id IN (
+        SELECT id FROM posts
+        WHERE id = ANY(p_post_ids)
+        AND status = 'pending'
+        AND approved_at IS NOT NULL
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id;
+$$ LANGUAGE sql;
+
+-- Heartbeat: extend the leases the worker still holds and return their posts.
+-- Posts missing from the result were reclaimed and belong to someone else now.
+CREATE OR REPLACE FUNCTION renew_post_leases(p_post_ids UUID[], p_worker TEXT, p_lease_seconds INTEGER)
+RETURNS SETOF UUID AS $$
+    UPDATE posts
+    SET lease_expires_at = NOW() + make_interval(secs => p_lease_seconds)
+    WHERE id = ANY(p_post_ids)
+    AND leased_by = p_worker
+    AND status = 'processing'
+    RETURNING id;
+$$ LANGUAGE sql;
+
+-- Put posts with an expired lease back in the queue. Posts claimed without a
+-- lease (before this migration) count as expired after an hour. Their failed
+-- accounts are tried again; accounts with a recorded attempt are checked for
+-- the post on the profile before the bot shares it again.
+CREATE OR REPLACE FUNCTION reclaim_expired_post_leases()
+RETURNS SETOF UUID AS $$
+    WITH expired AS (
+        SELECT id FROM posts
+        WHERE status = 'processing'
+        AND (
+            lease_expires_at < NOW()
+            OR (lease_expires_at IS NULL AND updated_at < NOW() - INTERVAL '1 hour')
+        )
+        FOR UPDATE SKIP LOCKED
+    ), reclaimed AS (
+        UPDATE posts
+        SET status = 'pending', leased_by = NULL, lease_expires_at = NULL, updated_at = NOW()
+        FROM expired
+        WHERE posts.id = expired.id
+        RETURNING posts.id
+    ), retried_accounts AS (
+        UPDATE post_accounts
+        SET status = 'pending'
+        WHERE post_id IN (SELECT id FROM reclaimed)
+        AND status = 'failed'
+    )
+    SELECT id FROM reclaimed;
+$$ LANGUAGE sql;
+
+-- ============================================
+-- REMOVAL AND CAPTION EDIT LEASES
+-- p_task is 'removal' or 'caption_edit'
+-- ============================================
+
+-- Take a pending task of one post_accounts row; false when another instance
+-- took it first or it is no longer pending
+CREATE OR REPLACE FUNCTION claim_post_account_task(p_id UUID, p_task TEXT, p_worker TEXT, p_lease_seconds INTEGER)
+RETURNS BOOLEAN AS $$
+DECLARE
+    expires TIMESTAMP WITH TIME ZONE := NOW() + make_interval(secs => p_lease_seconds);
+BEGIN
+    IF p_task = 'removal' THEN
+        UPDATE post_accounts
+        SET removal_status = 'processing', removal_leased_by = p_worker, removal_lease_expires_at = expires
+        WHERE id = p_id AND removal_status = 'pending';
+    ELSIF p_task = 'caption_edit' THEN
+        UPDATE post_accounts
+        SET caption_edit_status = 'processing', caption_edit_leased_by = p_worker, caption_edit_lease_expires_at = expires
+        WHERE id = p_id AND caption_edit_status = 'pending';
+    ELSE
+        RAISE EXCEPTION 'Unknown task %', p_task;
+    END IF;
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Extend the lease on a task the worker is still working on; false when it was reclaimed
+CREATE OR REPLACE FUNCTION renew_post_account_task(p_id UUID, p_task TEXT, p_worker TEXT, p_lease_seconds INTEGER)
+RETURNS BOOLEAN AS $$
+DECLARE
+    expires TIMESTAMP WITH TIME ZONE := NOW() + make_interval(secs => p_lease_seconds);
+BEGIN
+    IF p_task = 'removal' THEN
+        UPDATE post_accounts
+        SET removal_lease_expires_at = expires
+        WHERE id = p_id AND removal_status = 'processing' AND removal_leased_by = p_worker;
+    ELSIF p_task = 'caption_edit' THEN
+        UPDATE post_accounts
+        SET caption_edit_lease_expires_at = expires
+        WHERE id = p_id AND caption_edit_status = 'processing' AND caption_edit_leased_by = p_worker;
+    ELSE
+        RAISE EXCEPTION 'Unknown task %', p_task;
+    END IF;
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Put tasks with an expired lease back to pending; both are safe to repeat.
+-- Tasks taken without a lease (before this migration) count as expired after an hour.
+CREATE OR REPLACE FUNCTION reclaim_expired_post_account_tasks()
+RETURNS TABLE (task TEXT, id UUID) AS $$
+    WITH removals AS (
+        UPDATE post_accounts
+        SET removal_status = 'pending', removal_leased_by = NULL, removal_lease_expires_at = NULL
+        WHERE removal_status = 'processing'
+        AND (
+            removal_lease_expires_at < NOW()
+            OR (removal_lease_expires_at IS NULL AND updated_at < NOW() - INTERVAL '1 hour')
+        )
+        RETURNING post_accounts.id
+    ), caption_edits AS (
+        UPDATE post_accounts
+        SET caption_edit_status = 'pending', caption_edit_leased_by = NULL, caption_edit_lease_expires_at = NULL
+        WHERE caption_edit_status = 'processing'
+        AND (
+            caption_edit_lease_expires_at < NOW()
+            OR (caption_edit_lease_expires_at IS NULL AND updated_at < NOW() - INTERVAL '1 hour')
+        )
+        RETURNING post_accounts.id
+    )
+    SELECT 'removal', removals.id FROM removals
+    UNION ALL
+    SELECT 'caption_edit', caption_edits.id FROM caption_edits;
+$$ LANGUAGE sql;
+
+REVOKE ALL ON FUNCTION claim_post_leases(UUID[], TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION renew_post_leases(UUID[], TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION reclaim_expired_post_leases() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_post_leases(UUID[], TEXT, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION renew_post_leases(UUID[], TEXT, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION reclaim_expired_post_leases() TO service_role;
+REVOKE ALL ON FUNCTION claim_post_account_task(UUID, TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION renew_post_account_task(UUID, TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION reclaim_expired_post_account_tasks() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_post_account_task(UUID, TEXT, TEXT, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION renew_post_account_task(UUID, TEXT, TEXT, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION reclaim_expired_post_account_tasks() TO service_role;
+
+-- Add comment for documentation
+COMMENT ON COLUMN posts.leased_by IS 'Bot instance working on the post (BOT_WORKER_ID, default host and pid)';
+COMMENT ON COLUMN posts.lease_expires_at IS 'When the lease runs out unless renewed; expired leases are reclaimed into the queue';
+COMMENT ON COLUMN post_accounts.removal_leased_by IS 'Bot instance deleting or archiving the post on this account while removal_status is processing';
+COMMENT ON COLUMN post_accounts.caption_edit_leased_by IS 'Bot instance editing the caption on this account while caption_edit_status is processing';
@@ -0,0 +1,52 @@
+-- ============================================
+-- Staggered posting to several accounts
+-- A post to many accounts can be spread out instead of published to all of
+-- them at once: posts.stagger holds the strategy picked in the dashboard and
+-- every post_accounts row its own scheduled_at, computed by the backend
+-- (services/stagger.js). The queue and the bot take an account only once its
+-- own time has come. Rows inserted without a time get the post's.
+-- ============================================
+
+-- stagger: NULL = every account at the post's time, otherwise one of
+--   {"strategy": "even", "hours": 6}     spread evenly over 6 hours
+--   {"strategy": "offset", "minutes": 30} 30 minutes apart per account
+--   {"strategy": "random", "hours": 4}    at random within 4 hours
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS stagger JSONB;
+
+ALTER TABLE post_accounts
+ADD COLUMN IF NOT EXISTS scheduled_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE post_accounts
+SET scheduled_at = COALESCE(posts.scheduled_at, posts.created_at, NOW())
+FROM posts
+WHERE posts.id = post_accounts.post_id
+AND post_accounts.scheduled_at IS NULL;
+
+-- ============================================
+-- DEFAULT SCHEDULED_AT
+-- ============================================
+CREATE OR REPLACE FUNCTION set_post_account_scheduled_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.scheduled_at IS NULL THEN
+        SELECT COALESCE(scheduled_at, NOW()) INTO NEW.scheduled_at FROM posts WHERE id = NEW.post_id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_post_accounts_scheduled_at ON post_accounts;
+CREATE TRIGGER set_post_accounts_scheduled_at
+    BEFORE INSERT ON post_accounts
+    FOR EACH ROW
+    EXECUTE FUNCTION set_post_account_scheduled_at();
+
+-- ============================================
+-- INDEXES
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_post_accounts_scheduled_at ON post_accounts(scheduled_at) WHERE status = 'pending';
+
+-- Add comment for documentation
+COMMENT ON COLUMN posts.stagger IS 'How the post is spread over its accounts: {strategy: even|offset|random, hours|minutes}; NULL = all at scheduled_at';
+COMMENT ON COLUMN post_accounts.scheduled_at IS 'When this account is due; the post''s scheduled_at unless the post is staggered';
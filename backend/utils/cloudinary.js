@@ -47,14 +47,79 @@ export const uploadImage = async (buffer, options = {}) => {
   });
 };
 
+/**
+ * Upload video buffer to Cloudinary
+ * @param {Buffer} buffer - Video buffer
+ * @param {Object} options - Upload options
+ * @returns {Promise<Object>} Upload result with URL, duration and aspect metadata
+ */
+export const uploadVideo = async (buffer, options = {}) => {
+  return new Promise((resolve, reject) => {
+    // Image quality/format transformations don't apply to video uploads
+    const { transformation, ...baseOptions } = defaultUploadOptions;
+    const uploadOptions = {
+      ...baseOptions,
+      folder: `${defaultUploadOptions.folder}/reels`,
+      public_id: options.public_id || `reel_${Date.now()}_${uuidv4()}`,
+      resource_type: 'video',
+      allowed_formats: ['mp4', 'mov'],
+      ...options,
+    };
+
+    const uploadStream = cloudinary.uploader.upload_stream(
+      uploadOptions,
+      (error, result) => {
+        if (error) {
+          console.error('Cloudinary upload error:', error);
+          reject(error);
+        } else {
+          resolve({
+            url: result.secure_url,
+            public_id: result.public_id,
+            width: result.width,
+            height: result.height,
+            format: result.format,
+            size: result.bytes,
+            duration: result.duration,
+            aspectRatio: result.width / result.height,
+            resource_type: result.resource_type,
+            cover_url: getVideoCoverUrl(result.public_id, 0),
+            created_at: result.created_at,
+          });
+        }
+      }
+    );
+
+    const stream = Readable.from(buffer);
+    stream.pipe(uploadStream);
+  });
+};
+
+/**
+ * Get a JPG frame of a Cloudinary video to use as a Reel cover
+ * @param {string} public_id - Cloudinary public ID of the video
+ * @param {number} offsetSeconds - Position of the frame in seconds
+ * @returns {string} Cover image URL
+ */
+export const getVideoCoverUrl = (public_id, offsetSeconds = 0) => {
+  const offset = Math.max(0, Number(offsetSeconds) || 0);
+  return cloudinary.url(public_id, {
+    secure: true,
+    resource_type: 'video',
+    format: 'jpg',
+    transformation: [{ start_offset: offset.toFixed(1) }],
+  });
+};
+
 /**
  * Delete image from Cloudinary
  * @param {string} public_id - Cloudinary public ID
+ * @param {string} resource_type - 'image' or 'video'
  * @returns {Promise<Object>} Deletion result
  */
-export const deleteImage = async (public_id) => {
+export const deleteImage = async (public_id, resource_type = 'image') => {
   try {
-    const result = await cloudinary.uploader.destroy(public_id);
+    const result = await cloudinary.uploader.destroy(public_id, { resource_type });
     return {
       success: result.result === 'ok',
       result: result.result,
@@ -66,55 +131,64 @@ export const deleteImage = async (public_id) => {
   }
 };
 
+// Default Instagram-friendly transformations
+const DEFAULT_TRANSFORMATIONS = {
+  // Square crop (1:1) - Instagram square posts
+  square: {
+    width: 1080,
+    height: 1080,
+    crop: 'fill',
+    quality: 'auto',
+    format: 'auto',
+  },
+  // Portrait (4:5) - Instagram portrait posts
+  portrait: {
+    width: 1080,
+    height: 1350,
+    crop: 'fill',
+    quality: 'auto',
+    format: 'auto',
+  },
+  // Landscape (16:9) - the widest option in Instagram's web crop dialog
+  landscape: {
+    width: 1080,
+    height: 608,
+    crop: 'fill',
+    quality: 'auto',
+    format: 'auto',
+  },
+};
+
+// Crop modes offered by Instagram's crop dialog and the transformation matching each one
+export const CROP_MODES = ['original', '1:1', '4:5', '16:9'];
+const CROP_MODE_TRANSFORMATIONS = {
+  '1:1': 'square',
+  '4:5': 'portrait',
+  '16:9': 'landscape',
+};
+
 /**
  * Get transformation URL for an image
  * @param {string} public_id - Cloudinary public ID
- * @param {Object|string} transformation - Transformation options or string
+ * @param {Object|string} transformation - Predefined name (square, portrait, landscape),
+ *   transformation options or a Cloudinary transformation string
  * @returns {string} Transformed image URL
  */
 export const getTransformUrl = (public_id, transformation = {}) => {
   try {
-    // If transformation is a string, use it directly
-    if (typeof transformation === 'string') {
+    // Use predefined transformation if provided as string key
+    if (typeof transformation === 'string' && DEFAULT_TRANSFORMATIONS[transformation]) {
       return cloudinary.url(public_id, {
         secure: true,
-        transformation: transformation,
+        transformation: DEFAULT_TRANSFORMATIONS[transformation],
       });
     }
 
-    // Default Instagram-friendly transformations
-    const defaultTransformations = {
-      // Square crop (1:1) - Instagram square posts
-      square: {
-        width: 1080,
-        height: 1080,
-        crop: 'fill',
-        quality: 'auto',
-        format: 'auto',
-      },
-      // Portrait (4:5) - Instagram portrait posts
-      portrait: {
-        width: 1080,
-        height: 1350,
-        crop: 'fill',
-        quality: 'auto',
-        format: 'auto',
-      },
-      // Landscape (1.91:1) - Instagram landscape posts
-      landscape: {
-        width: 1080,
-        height: 608,
-        crop: 'fill',
-        quality: 'auto',
-        format: 'auto',
-      },
-    };
-
-    // Use predefined transformation if provided as string key
-    if (typeof transformation === 'string' && defaultTransformations[transformation]) {
+    // Any other string is passed to Cloudinary as-is
+    if (typeof transformation === 'string') {
       return cloudinary.url(public_id, {
         secure: true,
-        transformation: defaultTransformations[transformation],
+        transformation: transformation,
       });
     }
 
@@ -135,6 +209,40 @@ export const getTransformUrl = (public_id, transformation = {}) => {
   }
 };
 
+/**
+ * Get the URL of an image as Instagram shows it after cropping
+ * @param {string} public_id - Cloudinary public ID
+ * @param {string} cropMode - One of CROP_MODES
+ * @returns {string|null} Cropped image URL, or null for 'original'
+ */
+export const getCropUrl = (public_id, cropMode) => {
+  const preset = CROP_MODE_TRANSFORMATIONS[cropMode];
+  return preset ? getTransformUrl(public_id, preset) : null;
+};
+
+/**
+ * Get the crop URL for every crop mode, keyed by crop mode
+ * @param {string} public_id - Cloudinary public ID
+ * @returns {Object} e.g. { '1:1': url, '4:5': url, '16:9': url }
+ */
+export const getCropUrls = (public_id) => {
+  return Object.fromEntries(
+    Object.keys(CROP_MODE_TRANSFORMATIONS).map(mode => [mode, getCropUrl(public_id, mode)])
+  );
+};
+
+/**
+ * Extract the public ID from a Cloudinary delivery URL
+ * @param {string} url - Cloudinary URL with its version segment (`v123/`), as upload
+ *   results return it; transformations before the version are skipped. Without a
+ *   version, transformations cannot be told apart from folders, so such URLs give null
+ * @returns {string|null} Public ID, or null if the URL is not a versioned Cloudinary upload URL
+ */
+export const getPublicIdFromUrl = (url) => {
+  const match = String(url || '').match(/res\.cloudinary\.com\/[^/]+\/image\/upload\/(?:.*?\/)?(?:v\d+\/)(.+?)(?:\.[a-z0-9]+)?$/i);
+  return match ? match[1] : null;
+};
+
 /**
  * Validate image format
  * @param {Object} file - Multer file object
@@ -179,6 +287,50 @@ export const validateImageFormat = (file) => {
   };
 };
 
+/**
+ * Validate video format
+ * @param {Object} file - Multer file object
+ * @returns {Object} Validation result
+ */
+export const validateVideoFormat = (file) => {
+  if (!file) {
+    return {
+      valid: false,
+      error: 'No file provided',
+    };
+  }
+
+  const allowedMimes = ['video/mp4', 'video/quicktime'];
+  const allowedExtensions = ['mp4', 'mov'];
+
+  if (!allowedMimes.includes(file.mimetype)) {
+    return {
+      valid: false,
+      error: `Invalid file type: ${file.mimetype}. Only MP4 and MOV are allowed.`,
+    };
+  }
+
+  const fileExtension = file.originalname.split('.').pop()?.toLowerCase();
+  if (!allowedExtensions.includes(fileExtension)) {
+    return {
+      valid: false,
+      error: `Invalid file extension: ${fileExtension}. Only MP4 and MOV are allowed.`,
+    };
+  }
+
+  const maxSize = 100 * 1024 * 1024; // 100MB
+  if (file.size > maxSize) {
+    return {
+      valid: false,
+      error: `File size exceeds maximum allowed size of 100MB. Current size: ${(file.size / 1024 / 1024).toFixed(2)}MB`,
+    };
+  }
+
+  return {
+    valid: true,
+  };
+};
+
 /**
  * Get image info from Cloudinary
  * @param {string} public_id - Cloudinary public ID
@@ -0,0 +1,2 @@
+// posts.priority levels; higher goes first when several posts are due
+export const PRIORITIES = { low: -1, normal: 0, high: 1, urgent: 2 };
@@ -0,0 +1,77 @@
+import { jest } from '@jest/globals'
+import { createPostLeases } from '../helpers/leases.js'
+
+// A job store whose claim and renew answers are set per test
+function fakeJobs({ claimed = [], renewed = () => [] } = {}) {
+  return {
+    claim: jest.fn(async () => claimed),
+    renew: jest.fn(async (ids) => renewed(ids)),
+  }
+}
+
+describe('post leases', () => {
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('holds the posts it claimed until they are released', async () => {
+    const jobs = fakeJobs({ claimed: [{ id: 'a' }, { id: 'b' }] })
+    const leases = createPostLeases(jobs, { leaseSeconds: 300, log: () => {} })
+
+    await expect(leases.claim({ limit: 2, postType: 'feed' })).resolves.toEqual([{ id: 'a' }, { id: 'b' }])
+    expect(jobs.claim).toHaveBeenCalledWith({ limit: 2, postType: 'feed', leaseSeconds: 300 })
+    expect(leases.isHeld('a')).toBe(true)
+    expect(leases.isHeld('c')).toBe(false)
+
+    leases.release('a')
+    expect(leases.isHeld('a')).toBe(false)
+    expect(leases.isHeld('b')).toBe(true)
+  })
+
+  test('renews held leases every third of the lease and drops the ones it lost', async () => {
+    jest.useFakeTimers()
+    const log = jest.fn()
+    // Another instance reclaimed 'b' after a stalled heartbeat
+    const jobs = fakeJobs({ claimed: [{ id: 'a' }, { id: 'b' }], renewed: (ids) => ids.filter((id) => id !== 'b') })
+    const leases = createPostLeases(jobs, { leaseSeconds: 30, log })
+    await leases.claim({ limit: 2 })
+
+    leases.startHeartbeat()
+    await jest.advanceTimersByTimeAsync(9999)
+    expect(jobs.renew).not.toHaveBeenCalled()
+    await jest.advanceTimersByTimeAsync(1)
+    leases.stopHeartbeat()
+
+    expect(jobs.renew).toHaveBeenCalledWith(['a', 'b'], 30)
+    expect(leases.isHeld('a')).toBe(true)
+    expect(leases.isHeld('b')).toBe(false)
+    expect(log).toHaveBeenCalledWith('warn', expect.stringMatching(/^Lost the lease on post b/), { postId: 'b' })
+  })
+
+  test('keeps its leases when a renewal fails, to try again on the next beat', async () => {
+    jest.useFakeTimers()
+    const log = jest.fn()
+    const jobs = fakeJobs({ claimed: [{ id: 'a' }] })
+    jobs.renew.mockRejectedValueOnce(new Error('ECONNRESET'))
+    const leases = createPostLeases(jobs, { leaseSeconds: 30, log })
+    await leases.claim({ limit: 1 })
+
+    leases.startHeartbeat()
+    await jest.advanceTimersByTimeAsync(10000)
+    leases.stopHeartbeat()
+
+    expect(leases.isHeld('a')).toBe(true)
+    expect(log).toHaveBeenCalledWith('warn', 'Could not renew post leases', { error: 'ECONNRESET' })
+  })
+
+  test('does not call the store while nothing is held', async () => {
+    jest.useFakeTimers()
+    const jobs = fakeJobs()
+    const leases = createPostLeases(jobs, { leaseSeconds: 3, log: () => {} })
+
+    leases.startHeartbeat()
+    await jest.advanceTimersByTimeAsync(5000)
+    leases.stopHeartbeat()
+    expect(jobs.renew).not.toHaveBeenCalled()
+  })
+})
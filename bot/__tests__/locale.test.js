@@ -0,0 +1,25 @@
+import { parseCount, normalizeLocale } from '../helpers/locale.js'
+
+describe('Locale packs', () => {
+  test('parseCount reads English counts', () => {
+    expect(parseCount('1,234')).toBe(1234)
+    expect(parseCount('1.2K')).toBe(1200)
+    expect(parseCount('3.5M')).toBe(3500000)
+    expect(parseCount('1,234 posts')).toBe(1234)
+    expect(parseCount(42)).toBe(42)
+  })
+
+  test('parseCount reads Indonesian counts', () => {
+    expect(parseCount('1.234', 'id')).toBe(1234)
+    expect(parseCount('12,3 rb', 'id')).toBe(12300)
+    expect(parseCount('1,5 jt', 'id')).toBe(1500000)
+    // Without a known locale the suffix picks the pack
+    expect(parseCount('12,3 rb')).toBe(12300)
+  })
+
+  test('normalizeLocale keeps the base language', () => {
+    expect(normalizeLocale('pt-BR')).toBe('pt')
+    expect(normalizeLocale('ID')).toBe('id')
+    expect(normalizeLocale('')).toBeNull()
+  })
+})
@@ -0,0 +1,54 @@
+import { nextAllowedTime, isWithinPostingWindow } from '../helpers/posting-window.js'
+
+const at = (iso) => new Date(iso)
+const next = (account, from) => nextAllowedTime(account, at(from))?.toISOString() ?? null
+
+describe('nextAllowedTime', () => {
+  test('overnight windows run past midnight into the next day', () => {
+    // Monday 22:00 to Tuesday 02:00 Berlin time; CEST ends on 2026-10-25
+    const account = { timezone: 'Europe/Berlin', posting_windows: [{ days: ['MO'], start: '22:00', end: '02:00' }] }
+    expect(next(account, '2026-10-19T10:00:00.000Z')).toBe('2026-10-19T20:00:00.000Z')
+    expect(next(account, '2026-10-19T20:30:00.000Z')).toBe('2026-10-19T20:30:00.000Z')
+    expect(next(account, '2026-10-19T23:30:00.000Z')).toBe('2026-10-19T23:30:00.000Z')
+    expect(next(account, '2026-10-20T00:00:00.000Z')).toBe('2026-10-26T21:00:00.000Z')
+  })
+
+  test('a window ending at 24:00 stays open until midnight', () => {
+    const account = { timezone: 'UTC', posting_windows: [{ days: ['FR'], start: '18:00', end: '24:00' }] }
+    expect(isWithinPostingWindow(account, at('2026-10-23T23:59:00.000Z'))).toBe(true)
+    expect(next(account, '2026-10-24T00:00:00.000Z')).toBe('2026-10-30T18:00:00.000Z')
+  })
+
+  test('a window starting in a DST gap opens when the clocks jump', () => {
+    // Berlin skips 02:00-03:00 on 2026-03-29
+    const account = { timezone: 'Europe/Berlin', posting_windows: [{ days: ['SU'], start: '02:30', end: '03:30' }] }
+    expect(next(account, '2026-03-28T12:00:00.000Z')).toBe('2026-03-29T01:00:00.000Z')
+    expect(next(account, '2026-03-29T01:15:00.000Z')).toBe('2026-03-29T01:15:00.000Z')
+    expect(next(account, '2026-03-29T01:30:00.000Z')).toBe('2026-04-05T00:30:00.000Z')
+  })
+
+  test('chained blackouts are skipped in one go', () => {
+    const blackouts = [
+      { start: '2026-10-20T10:00', end: '2026-10-20T12:00', label: 'Launch' },
+      { start: '2026-10-20T11:30', end: '2026-10-20T14:00' },
+    ]
+    expect(next({ timezone: 'UTC', posting_blackouts: blackouts }, '2026-10-20T10:30:00.000Z'))
+      .toBe('2026-10-20T14:00:00.000Z')
+    // Blackouts are local times of the account
+    expect(next({ timezone: 'Europe/Berlin', posting_blackouts: blackouts }, '2026-10-20T08:30:00.000Z'))
+      .toBe('2026-10-20T12:00:00.000Z')
+    // Ending after the day's window waits for the next one
+    const account = {
+      timezone: 'UTC',
+      posting_windows: [{ days: ['TU'], start: '09:00', end: '13:00' }],
+      posting_blackouts: blackouts,
+    }
+    expect(next(account, '2026-10-20T10:30:00.000Z')).toBe('2026-10-27T09:00:00.000Z')
+  })
+
+  test('accounts whose windows never open have no next time', () => {
+    expect(next({ posting_windows: [{ days: [], start: '09:00', end: '17:00' }] }, '2026-10-20T10:00:00.000Z')).toBeNull()
+    expect(next({ posting_windows: [{ days: ['MO'], start: '9am', end: '17:00' }] }, '2026-10-20T10:00:00.000Z')).toBeNull()
+    expect(next({}, '2026-10-20T10:00:00.000Z')).toBe('2026-10-20T10:00:00.000Z')
+  })
+})
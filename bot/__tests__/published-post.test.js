@@ -0,0 +1,42 @@
+import { matchPublishedPost } from '../helpers/published-post.js'
+
+const details = {
+  texts: ['someone on Instagram: "Autumn  sale starts\nnow! #shop"'],
+  publishedAt: '2026-10-20T09:58:00.000Z',
+}
+const compared = (similarity) => async () => ({ success: true, similarity })
+const notCompared = async () => ({ success: false })
+
+describe('matchPublishedPost', () => {
+  test('matches on caption and image', async () => {
+    await expect(matchPublishedPost(details, {
+      caption: 'Autumn sale starts now! #shop',
+      since: '2026-10-20T10:00:00.000Z',
+      compareImage: compared(0.93),
+    })).resolves.toEqual({ matchedBy: ['caption', 'image'], similarity: 0.93 })
+  })
+
+  test('skips posts published before the attempt, allowing for clock drift', async () => {
+    const expected = { caption: 'Autumn sale starts now!' }
+    await expect(matchPublishedPost(details, { ...expected, since: '2026-10-20T10:02:00.000Z' })).resolves.not.toBeNull()
+    await expect(matchPublishedPost(details, { ...expected, since: '2026-10-20T10:04:00.000Z' })).resolves.toBeNull()
+    // Without a timestamp on the page only the content decides
+    await expect(matchPublishedPost({ ...details, publishedAt: null }, { ...expected, since: '2026-10-21T00:00:00.000Z' })).resolves.not.toBeNull()
+  })
+
+  test('requires the caption when there is one', async () => {
+    await expect(matchPublishedPost(details, { caption: 'Winter sale', compareImage: compared(1) })).resolves.toBeNull()
+  })
+
+  test('rejects a different image, but lets a caption match stand when the image cannot be compared', async () => {
+    await expect(matchPublishedPost(details, { caption: 'Autumn sale', compareImage: compared(0.5) })).resolves.toBeNull()
+    await expect(matchPublishedPost(details, { caption: 'Autumn sale', compareImage: notCompared }))
+      .resolves.toEqual({ matchedBy: ['caption'], similarity: null })
+  })
+
+  test('needs a compared image when there is no caption', async () => {
+    await expect(matchPublishedPost(details, { compareImage: compared(0.9) }))
+      .resolves.toEqual({ matchedBy: ['image'], similarity: 0.9 })
+    await expect(matchPublishedPost(details, { compareImage: notCompared })).resolves.toBeNull()
+  })
+})
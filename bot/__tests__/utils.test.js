@@ -1,4 +1,4 @@
-import { randomDelay, getBrowserConfig } from '../helpers/utils.js'
+import { randomDelay, getBrowserConfig, getPostsToday } from '../helpers/utils.js'
 
 describe('Bot utils', () => {
   test('randomDelay returns within range', () => {
@@ -14,6 +14,25 @@ describe('Bot utils', () => {
     expect(Array.isArray(cfg.args)).toBe(true)
     expect(cfg).toHaveProperty('defaultViewport')
   })
+
+  test('getPostsToday counts only posts of the current local day', () => {
+    const account = { posts_today: 3, last_post_at: '2026-10-19T23:30:00.000Z' }
+    const now = new Date('2026-10-20T10:00:00.000Z')
+    // 23:30 UTC is the day before, 08:30 in Tokyo the same day
+    expect(getPostsToday({ ...account, timezone: 'UTC' }, now)).toBe(0)
+    expect(getPostsToday({ ...account, timezone: 'Asia/Tokyo' }, now)).toBe(3)
+    // ...until midnight in Tokyo (15:00 UTC)
+    expect(getPostsToday({ ...account, timezone: 'Asia/Tokyo' }, new Date('2026-10-20T15:00:00.000Z'))).toBe(0)
+    // Unknown zones count in UTC
+    expect(getPostsToday({ ...account, timezone: 'Mars/Olympus' }, new Date('2026-10-19T23:59:00.000Z'))).toBe(3)
+  })
+
+  test('getPostsToday is 0 without a counter or a last post', () => {
+    const now = new Date('2026-10-20T10:00:00.000Z')
+    expect(getPostsToday(null, now)).toBe(0)
+    expect(getPostsToday({ posts_today: 2 }, now)).toBe(0)
+    expect(getPostsToday({ posts_today: 0, last_post_at: '2026-10-20T09:00:00.000Z' }, now)).toBe(0)
+  })
 })
 
 
@@ -0,0 +1,115 @@
+import { createWorkerPool } from '../helpers/worker-pool.js'
+
+// A task that runs until the test finishes it
+function deferredTask(events, name) {
+  let finish
+  let fail
+  const done = new Promise((resolve, reject) => {
+    finish = resolve
+    fail = reject
+  })
+  const task = () => {
+    events.push(`start ${name}`)
+    return done.then((value) => {
+      events.push(`end ${name}`)
+      return value
+    })
+  }
+  return { task, finish, fail }
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+describe('worker pool', () => {
+  test('runs at most `concurrency` tasks at once across keys', async () => {
+    const pool = createWorkerPool({ concurrency: 2 })
+    const events = []
+    const a = deferredTask(events, 'a')
+    const b = deferredTask(events, 'b')
+    const c = deferredTask(events, 'c')
+
+    const results = [pool.run('a', a.task), pool.run('b', b.task), pool.run('c', c.task)]
+    await flush()
+    expect(events).toEqual(['start a', 'start b'])
+
+    b.finish('B')
+    await flush()
+    expect(events).toEqual(['start a', 'start b', 'end b', 'start c'])
+
+    a.finish('A')
+    c.finish('C')
+    await expect(Promise.all(results)).resolves.toEqual(['A', 'B', 'C'])
+  })
+
+  test('runs tasks of the same key one after another', async () => {
+    const pool = createWorkerPool({ concurrency: 3 })
+    const events = []
+    const first = deferredTask(events, 'first')
+    const second = deferredTask(events, 'second')
+    const other = deferredTask(events, 'other')
+
+    const results = [pool.run('a', first.task), pool.run('a', second.task), pool.run('b', other.task)]
+    await flush()
+    expect(events).toEqual(['start first', 'start other'])
+
+    first.finish(1)
+    await flush()
+    expect(events).toEqual(['start first', 'start other', 'end first', 'start second'])
+
+    second.finish(2)
+    other.finish(3)
+    await expect(Promise.all(results)).resolves.toEqual([1, 2, 3])
+  })
+
+  test('cools a key down without holding a slot', async () => {
+    const pool = createWorkerPool({ concurrency: 1, cooldownMs: () => 100 })
+    const events = []
+
+    await pool.run('a', async () => events.push('a1'))
+    const finishedAt = Date.now()
+    const again = pool.run('a', async () => {
+      events.push('a2')
+      return Date.now() - finishedAt
+    })
+    // The only slot is free while 'a' cools down, so 'b' goes first
+    await pool.run('b', async () => events.push('b'))
+    expect(events).toEqual(['a1', 'b'])
+
+    expect(await again).toBeGreaterThanOrEqual(90)
+    expect(events).toEqual(['a1', 'b', 'a2'])
+  })
+
+  test('only cools a key down after tasks that need it', async () => {
+    const pool = createWorkerPool({
+      concurrency: 1,
+      cooldownMs: () => 100,
+      needsCooldown: (outcome) => Boolean(outcome?.posted),
+    })
+
+    // Skipped accounts (limits, lost lease, already posted) let the next task start right away
+    await pool.run('a', async () => null)
+    await pool.run('a', async () => ({ posted: false, skipped: true }))
+    const skippedAt = Date.now()
+    await pool.run('a', async () => ({ posted: true }))
+    expect(Date.now() - skippedAt).toBeLessThan(90)
+
+    const postedAt = Date.now()
+    const waited = await pool.run('a', async () => Date.now() - postedAt)
+    expect(waited).toBeGreaterThanOrEqual(90)
+  })
+
+  test('a rejected task frees its key and its slot', async () => {
+    const pool = createWorkerPool({ concurrency: 1 })
+    const events = []
+    const failing = deferredTask(events, 'failing')
+
+    const failed = pool.run('a', failing.task)
+    const next = pool.run('a', async () => 'next')
+    const other = pool.run('b', async () => 'other')
+
+    failing.fail(new Error('login failed'))
+    await expect(failed).rejects.toThrow('login failed')
+    await expect(next).resolves.toBe('next')
+    await expect(other).resolves.toBe('other')
+  })
+})
@@ -0,0 +1,62 @@
+import fs from 'fs'
+import { refreshSelectors, getRegistryInfo } from './helpers/selectors.js'
+import { runSelectorHealthCheck } from './helpers/selector-health.js'
+
+// Usage: npm run check:selectors -- [fixture.html ...] [--locale id] [--with-overrides] [--json report.json]
+function parseArgs(argv) {
+  const args = { files: [], locale: undefined, withOverrides: false, jsonFile: null }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--locale') args.locale = argv[++i]
+    else if (arg === '--with-overrides') args.withOverrides = true
+    else if (arg === '--json') args.jsonFile = argv[++i]
+    else args.files.push(arg)
+  }
+  return args
+}
+
+function printFixture(result) {
+  console.log(`\n${result.file}${result.description ? ` - ${result.description}` : ''}`)
+  for (const entry of result.entries) {
+    if (!entry.expected && !entry.resolved) continue
+    const status = entry.resolved ? 'ok     ' : 'BROKEN '
+    const via = [...entry.matchedSelectors, ...entry.matchedTexts.map((text) => `text "${text}"`)]
+    console.log(`  ${status} ${entry.key}${entry.expected ? '' : ' (unexpected)'}${via.length ? `  <- ${via[0]}` : ''}`)
+  }
+  for (const key of result.unknown) {
+    console.log(`  BROKEN  ${key}  <- not in the selector registry`)
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+
+  // Custom entries from the database are only used when asked for, so the
+  // default run works offline against bot/config/selectors.json
+  if (args.withOverrides) {
+    await refreshSelectors({ force: true })
+  }
+  const registry = getRegistryInfo()
+  console.log(`Selector registry v${registry.fileVersion}${registry.customEntries.length ? ` with ${registry.customEntries.length} custom entries` : ''}`)
+
+  const report = await runSelectorHealthCheck({ files: args.files, locale: args.locale })
+  report.fixtures.forEach(printFixture)
+
+  if (report.invalidSelectors.length > 0) {
+    console.log('\nInvalid CSS selectors (never match in the browser):')
+    report.invalidSelectors.forEach((selector) => console.log(`  ${selector}`))
+  }
+
+  if (args.jsonFile) {
+    fs.writeFileSync(args.jsonFile, JSON.stringify({ registry, ...report }, null, 2))
+    console.log(`\nReport written to ${args.jsonFile}`)
+  }
+
+  console.log(`\n${report.fixtures.length} fixture(s) checked, ${report.broken} broken expected group(s)`)
+  process.exit(report.broken > 0 ? 1 : 0)
+}
+
+main().catch((error) => {
+  console.error('Selector check failed:', error.message)
+  process.exit(2)
+})
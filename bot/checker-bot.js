@@ -4,12 +4,14 @@ import path from 'path'
 import { fileURLToPath } from 'url'
 import puppeteer from 'puppeteer-extra'
 import StealthPlugin from 'puppeteer-extra-plugin-stealth'
-import { createClient } from '@supabase/supabase-js'
 import winston from 'winston'
 import 'winston-daily-rotate-file'
 import { compareImages } from './helpers/image-checker.js'
+import { startDiagnostics } from './helpers/diagnostics.js'
 import { loginToInstagram } from './helpers/login.js'
 import { decryptPassword } from './utils/encryption.js'
+import { getJobStore } from './helpers/jobs.js'
+import { getSupabase } from './helpers/supabase.js'
 
 // Load environment variables
 dotenv.config()
@@ -28,11 +30,9 @@ const CONFIG = {
   similarityThreshold: parseFloat(process.env.IMAGE_SIMILARITY_THRESHOLD || '0.85'), // 85% similarity threshold
 }
 
-// Initialize Supabase client (service role in bot)
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-)
+// Results and logs go through the job store, so the check the posting bot runs
+// after each post works with a worker token. Finding posts to check on its own
+// (runChecker) reads the queue with the service role.
 
 // Logging setup
 const transport = new (winston.transports.DailyRotateFile)({
@@ -71,8 +71,10 @@ async function logActivity(type, message, details = '', userId = null) {
     if (userId) {
       logEntry.user_id = userId
     }
-    await supabase.from('bot_logs').insert(logEntry)
-  } catch {}
+    return await getJobStore().insertLog(logEntry)
+  } catch {
+    return null
+  }
 }
 
 /**
@@ -82,7 +84,7 @@ async function logActivity(type, message, details = '', userId = null) {
  */
 async function fetchPostsToCheck(limit = 10) {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await getSupabase()
       .from('post_accounts')
       .select(`
         *,
@@ -90,7 +92,9 @@ async function fetchPostsToCheck(limit = 10) {
           id,
           user_id,
           image_url,
-          caption
+          comparison_image_url,
+          caption,
+          post_type
         ),
         account:accounts (
           id,
@@ -111,9 +115,9 @@ async function fetchPostsToCheck(limit = 10) {
       throw error
     }
 
-    // Filter out records where account or post is null
+    // Filter out records where account or post is null; stories expire and can't be compared
     return (data || []).filter(
-      (pa) => pa.post && pa.account && pa.account.is_active && pa.instagram_post_url
+      (pa) => pa.post && pa.post.post_type !== 'story' && pa.account && pa.account.is_active && pa.instagram_post_url
     )
   } catch (error) {
     log('error', 'Failed to fetch posts to check', { error: error.message })
@@ -131,6 +135,7 @@ export async function checkPostImage(postAccount, existingPage = null) {
   let browser = null
   let shouldCloseBrowser = false
   let page = existingPage
+  let diagnostics = null
 
   try {
     const { post, account, instagram_post_url, id: postAccountId } = postAccount
@@ -160,6 +165,8 @@ export async function checkPostImage(postAccount, existingPage = null) {
 
       page = await browser.newPage()
       page.setDefaultNavigationTimeout(CONFIG.pageLoadTimeout)
+      // Only pages this check owns are traced; a caller's page may already be traced
+      diagnostics = await startDiagnostics(page, `check-${postAccountId}`)
 
       // Login to Instagram (needed to view posts) - only if we created new browser
       const savedCookies = account.cookies || null
@@ -176,33 +183,22 @@ export async function checkPostImage(postAccount, existingPage = null) {
       }
 
       log('info', `Logging in to Instagram for @${account.instagram_username}`)
-      const loginResult = await loginToInstagram(page, account.instagram_username, password, savedCookies)
+      const loginResult = await loginToInstagram(page, account.instagram_username, password, savedCookies, { accountId: account.id })
 
       if (!loginResult.success) {
         throw new Error(`Login failed: ${loginResult.error || 'Unknown error'}`)
       }
-
-      // Save cookies if login was successful and used password
-      if (!loginResult.usedCookies && password) {
-        try {
-          const cookies = await page.cookies()
-          await supabase.from('accounts').update({ cookies }).eq('id', account.id)
-          log('info', `Saved new cookies for @${account.instagram_username}`)
-        } catch (cookieError) {
-          log('warn', `Failed to save cookies for @${account.instagram_username}`, {
-            error: cookieError.message,
-          })
-        }
-      }
     }
 
-    // Compare images
+    // Compare against the cropped variant when a crop mode was applied
+    const referenceImageUrl = post.comparison_image_url || post.image_url
+
     log('info', 'Comparing images', {
-      originalImageUrl: post.image_url,
+      originalImageUrl: referenceImageUrl,
       postUrl: instagram_post_url,
     })
 
-    const comparisonResult = await compareImages(post.image_url, page, instagram_post_url)
+    const comparisonResult = await compareImages(referenceImageUrl, page, instagram_post_url)
 
     if (!comparisonResult.success) {
       throw new Error(comparisonResult.error || 'Image comparison failed')
@@ -219,17 +215,7 @@ export async function checkPostImage(postAccount, existingPage = null) {
     })
 
     // Update database
-    const updateData = {
-      image_similarity_checked: true,
-      image_similarity_score: similarity,
-      image_similarity_checked_at: new Date().toISOString(),
-      image_similarity_error: null,
-    }
-
-    await supabase
-      .from('post_accounts')
-      .update(updateData)
-      .eq('id', postAccountId)
+    await getJobStore().recordImageCheck(postAccountId, { similarity })
 
     await logActivity(
       isSimilar ? 'success' : 'warn',
@@ -264,19 +250,12 @@ export async function checkPostImage(postAccount, existingPage = null) {
 
     // Update database with error
     try {
-      await supabase
-        .from('post_accounts')
-        .update({
-          image_similarity_checked: true,
-          image_similarity_checked_at: new Date().toISOString(),
-          image_similarity_error: error.message,
-        })
-        .eq('id', postAccount?.id)
+      await getJobStore().recordImageCheck(postAccount?.id, { error: error.message })
     } catch (updateError) {
       log('error', 'Failed to update database with error', { error: updateError.message })
     }
 
-    await logActivity(
+    const logId = await logActivity(
       'error',
       `Image similarity check failed: ${error.message}`,
       {
@@ -285,6 +264,9 @@ export async function checkPostImage(postAccount, existingPage = null) {
       },
       postAccount?.post?.user_id
     )
+    try {
+      await diagnostics?.keep({ logId, userId: postAccount?.post?.user_id })
+    } catch {}
 
     // Only close browser if we created it
     if (shouldCloseBrowser && browser) {
@@ -0,0 +1,182 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import axios from 'axios'
+import dotenv from 'dotenv'
+import { fileURLToPath } from 'url'
+import { log, takeScreenshot } from './utils.js'
+import { getJobStore } from './jobs.js'
+
+dotenv.config()
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const LOCAL_ARTIFACTS_DIR = path.join(__dirname, '..', 'screenshots', 'artifacts')
+// Full-page screenshots add up; a stuck flow shouldn't keep hundreds in memory
+const MAX_SCREENSHOTS = parseInt(process.env.ARTIFACT_MAX_SCREENSHOTS || '30', 10)
+
+const hasCloudinary = Boolean(
+  process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET
+)
+const STORE_NAME = process.env.ARTIFACT_STORE || (hasCloudinary ? 'cloudinary' : 'local')
+
+// Signed upload through Cloudinary's REST API; HTML snapshots go up as raw files.
+// Every file is an authenticated asset that only signed URLs can fetch, so it
+// gets no URL: the backend streams it to the dashboard.
+async function uploadToCloudinary({ key, buffer, contentType }) {
+  const resourceType = contentType.startsWith('image/') ? 'image' : 'raw'
+  const params = {
+    folder: `${process.env.CLOUDINARY_FOLDER || 'instagram-automation'}/artifacts`,
+    public_id: resourceType === 'raw' ? key : key.replace(/\.[a-z]+$/, ''),
+    timestamp: Math.floor(Date.now() / 1000),
+    type: 'authenticated',
+  }
+  const toSign = Object.keys(params).sort().map((name) => `${name}=${params[name]}`).join('&')
+  const signature = crypto.createHash('sha1').update(toSign + process.env.CLOUDINARY_API_SECRET).digest('hex')
+
+  const { data } = await axios.post(
+    `https://api.cloudinary.com/v1_1/${process.env.CLOUDINARY_CLOUD_NAME}/${resourceType}/upload`,
+    {
+      ...params,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      signature,
+      file: `data:${contentType};base64,${buffer.toString('base64')}`,
+    },
+    { maxBodyLength: Infinity, timeout: 60000 }
+  )
+  return { url: null, path: data.public_id }
+}
+
+// Artifact stores: put({ key, buffer, contentType }) -> { url, path }
+const stores = {
+  cloudinary: { put: uploadToCloudinary },
+  // Files stay on the bot host; the backend serves them when it runs there too
+  local: {
+    async put({ key, buffer }) {
+      const fullPath = path.join(LOCAL_ARTIFACTS_DIR, key)
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true })
+      fs.writeFileSync(fullPath, buffer)
+      return { url: null, path: fullPath }
+    },
+  },
+}
+
+/**
+ * Add or replace an artifact store, selected with ARTIFACT_STORE=<name>
+ * @param {string} name
+ * @param {{ put: (file: { key: string, buffer: Buffer, contentType: string }) => Promise<{ url: string|null, path: string }> }} store
+ */
+export function registerArtifactStore(name, store) {
+  stores[name] = store
+}
+
+/**
+ * Put one file into the configured artifact store
+ * @param {{ key: string, buffer: Buffer, contentType: string }} file
+ * @returns {Promise<{ store: string, url: string|null, path: string }|null>} Null when storing is off
+ */
+export async function storeArtifact(file) {
+  const store = stores[STORE_NAME]
+  if (!store) return null
+  const stored = await store.put(file)
+  return { store: STORE_NAME, ...stored }
+}
+
+const recorders = new WeakMap()
+
+/**
+ * Collect the screenshots and DOM snapshot of one posting attempt; nothing is
+ * uploaded until save(), so capturing never slows down or breaks the flow
+ * @param {Object} params
+ * @param {string} params.postId
+ * @param {string} params.postAccountId - post_accounts row the attempt belongs to
+ * @param {number} params.attempt - post_accounts.attempt_count of this attempt
+ */
+export function createArtifactRecorder({ postId, postAccountId, attempt }) {
+  const items = []
+  const prefix = `${postId}/${postAccountId}/attempt-${attempt}`
+
+  return {
+    async screenshot(page, step) {
+      if (items.filter((item) => item.kind === 'screenshot').length >= MAX_SCREENSHOTS) return
+      try {
+        const buffer = await page.screenshot({ type: 'jpeg', quality: 70, fullPage: true })
+        items.push({ kind: 'screenshot', step, buffer, contentType: 'image/jpeg', ext: 'jpg' })
+      } catch (error) {
+        log('warn', 'Could not capture screenshot artifact', { step, error: error.message })
+      }
+    },
+
+    async dom(page, step = 'final') {
+      try {
+        const buffer = Buffer.from(await page.content(), 'utf8')
+        items.push({ kind: 'dom', step, buffer, contentType: 'text/html', ext: 'html' })
+      } catch (error) {
+        log('warn', 'Could not capture DOM artifact', { step, error: error.message })
+      }
+    },
+
+    /**
+     * Upload everything captured and link it to the post_accounts row
+     * @returns {Promise<number>} Number of artifacts saved
+     */
+    async save() {
+      const store = stores[STORE_NAME]
+      if (!store || !postAccountId || items.length === 0) return 0
+
+      const rows = []
+      for (const [index, item] of items.entries()) {
+        const key = `${prefix}/${String(index + 1).padStart(2, '0')}-${item.step.replace(/[^a-z0-9_-]/gi, '_')}.${item.ext}`
+        try {
+          const stored = await store.put({ key, buffer: item.buffer, contentType: item.contentType })
+          rows.push({
+            post_account_id: postAccountId,
+            post_id: postId,
+            attempt,
+            kind: item.kind,
+            step: item.step,
+            store: STORE_NAME,
+            url: stored.url,
+            storage_path: stored.path,
+            content_type: item.contentType,
+            size_bytes: item.buffer.length,
+          })
+        } catch (error) {
+          log('warn', 'Could not store artifact', { key, store: STORE_NAME, error: error.message })
+        }
+      }
+      items.length = 0
+
+      if (rows.length === 0) return 0
+      try {
+        return await getJobStore().recordArtifacts(rows)
+      } catch (error) {
+        log('warn', 'Could not record artifacts', { postAccountId, error: error.message })
+        return 0
+      }
+    },
+  }
+}
+
+export function attachArtifactRecorder(page, recorder) {
+  recorders.set(page, recorder)
+}
+
+export function getArtifactRecorder(page) {
+  return recorders.get(page) || null
+}
+
+/**
+ * Screenshot a step: into the attempt's artifacts when the page has a
+ * recorder, otherwise as a timestamped file in screenshots/
+ * @param {import('puppeteer').Page} page
+ * @param {string} step - e.g. '04-after-upload'
+ * @param {string} [prefix] - File name prefix for the local fallback
+ */
+export async function captureStep(page, step, prefix = 'post') {
+  const recorder = recorders.get(page)
+  if (recorder) return recorder.screenshot(page, step)
+  if (STORE_NAME === 'off') return
+  await takeScreenshot(page, `${prefix}-${step}`)
+}
@@ -0,0 +1,114 @@
+import { randomDelay, sleep, log } from './utils.js'
+import { getPageTexts, getSelectors, refreshSelectors } from './selectors.js'
+
+// The registry's selectors plus one per aria-label/placeholder text of the page's locale
+function getCommentBoxSelectors(page) {
+  const labelSelectors = getPageTexts(page, 'comment.textarea').flatMap((text) => {
+    const label = text.replace(/"/g, '\\"')
+    return [`textarea[aria-label*="${label}" i]`, `textarea[placeholder*="${label}" i]`]
+  })
+  return [...new Set([...labelSelectors, ...getSelectors('comment.textarea')])]
+}
+
+async function findCommentBox(page, selectors, timeout = 15000) {
+  const start = Date.now()
+  while (Date.now() - start < timeout) {
+    for (const sel of selectors) {
+      const el = await page.$(sel)
+      if (el) return el
+    }
+    await sleep(300)
+  }
+  return null
+}
+
+/**
+ * Publish a comment on a post the account just shared
+ * @param {import('puppeteer').Page} page - Logged-in page
+ * @param {string} postUrl - Instagram post URL (/p/ or /reel/)
+ * @param {string} text - Comment text (hashtag block, etc.)
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function postFirstComment(page, postUrl, text) {
+  await refreshSelectors()
+  try {
+    if (!postUrl) throw new Error('No post URL to comment on')
+    if (!text || !text.trim()) throw new Error('Comment text is empty')
+
+    log('info', 'Publishing first comment', { postUrl })
+    await page.goto(postUrl, { waitUntil: 'networkidle2', timeout: 60000 })
+    await sleep(randomDelay(1500, 3000))
+
+    const commentSelectors = getCommentBoxSelectors(page)
+    const commentBox = await findCommentBox(page, commentSelectors)
+    if (!commentBox) {
+      throw new Error('Comment box not found (comments may be turned off)')
+    }
+
+    await commentBox.click({ delay: randomDelay(50, 150) })
+    await sleep(randomDelay(300, 800))
+
+    // Newlines would submit the form early, so type them with Shift+Enter
+    const lines = text.trim().split('\n')
+    for (let i = 0; i < lines.length; i++) {
+      for (const ch of lines[i]) {
+        await page.keyboard.type(ch, { delay: randomDelay(40, 90) })
+      }
+      if (i < lines.length - 1) {
+        await page.keyboard.down('Shift')
+        await page.keyboard.press('Enter')
+        await page.keyboard.up('Shift')
+      }
+    }
+    await sleep(randomDelay(500, 1200))
+
+    // Prefer the explicit Post button, fall back to Enter
+    const postLabels = getPageTexts(page, 'comment.postButton').map((label) => label.toLowerCase())
+    const clicked = await page.evaluate((labels) => {
+      const form = document.querySelector('form textarea')?.closest('form')
+      const scope = form || document
+      const btn = Array.from(scope.querySelectorAll('button, div[role="button"]')).find((node) => {
+        const label = node.textContent?.trim().toLowerCase()
+        return labels.includes(label)
+      })
+      if (btn && !btn.hasAttribute('disabled')) {
+        btn.click()
+        return true
+      }
+      return false
+    }, postLabels)
+    if (!clicked) {
+      await page.keyboard.press('Enter')
+    }
+
+    // The comment box is cleared once Instagram accepts the comment
+    const snippet = text.trim().split('\n')[0].slice(0, 30)
+    const failureTexts = getPageTexts(page, 'comment.failed').map((message) => message.toLowerCase())
+    for (let i = 0; i < 15; i++) {
+      await sleep(1000)
+      const state = await page.evaluate((selectors, expected, failures) => {
+        const box = selectors.map((sel) => document.querySelector(sel)).find(Boolean)
+        const boxEmpty = !box || !box.value
+        const bodyText = document.body.innerText
+        const lowerText = bodyText.toLowerCase()
+        const failed = failures.some((message) => lowerText.includes(message))
+        return { boxEmpty, failed, visible: bodyText.includes(expected) }
+      }, commentSelectors, snippet, failureTexts)
+
+      if (state.failed) {
+        throw new Error('Instagram rejected the comment')
+      }
+      if (state.boxEmpty && state.visible) {
+        log('info', 'First comment published', { postUrl })
+        return { success: true }
+      }
+    }
+
+    throw new Error('Comment not confirmed - box was not cleared')
+  } catch (error) {
+    log('warn', 'First comment failed', { postUrl, error: error.message })
+    return { success: false, error: error.message || 'Unknown error while commenting' }
+  }
+}
+
+export default postFirstComment
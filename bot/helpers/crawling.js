@@ -38,7 +38,8 @@ export async function crawlAccountPosts(page, account, options = {}) {
 			page,
 			account.instagram_username,
 			password,
-			savedCookies
+			savedCookies,
+			{ accountId: account.id }
 		)
 
 		if (!loginResult.success) {
@@ -0,0 +1,262 @@
+import zlib from 'zlib'
+import { promisify } from 'util'
+import dotenv from 'dotenv'
+import { log } from './utils.js'
+import { storeArtifact } from './artifacts.js'
+import { getJobStore } from './jobs.js'
+
+dotenv.config()
+
+const gzip = promisify(zlib.gzip)
+
+const ENABLED = process.env.BOT_DIAGNOSTICS === 'true'
+// Instagram pages fire thousands of requests; the HAR keeps the first ones of the attempt
+const MAX_HAR_ENTRIES = parseInt(process.env.BOT_DIAGNOSTICS_MAX_REQUESTS || '3000', 10)
+const TRACE_SCREENSHOTS = process.env.BOT_DIAGNOSTICS_SCREENSHOTS !== 'false'
+
+export function isDiagnosticsEnabled() {
+  return ENABLED
+}
+
+// Session cookies, auth and Instagram's own request headers would let anyone
+// holding the HAR act as the account
+const isSensitiveHeader = (name) => {
+  const lower = name.toLowerCase()
+  return ['cookie', 'set-cookie', 'authorization', 'x-csrftoken'].includes(lower) || lower.startsWith('x-ig-')
+}
+
+const toHarHeaders = (headers = {}) =>
+  Object.entries(headers)
+    .filter(([name]) => !isSensitiveHeader(name))
+    .map(([name, value]) => ({ name, value: String(value) }))
+
+const toHarQuery = (url) => {
+  try {
+    return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }))
+  } catch {
+    return []
+  }
+}
+
+// CDP ResourceTiming (ms offsets from requestTime) -> HAR timings
+function toHarTimings(timing, totalMs) {
+  if (!timing) return { send: 0, wait: Math.max(totalMs, 0), receive: 0 }
+  const span = (start, end) => (start >= 0 && end >= start ? end - start : -1)
+  const wait = span(timing.sendEnd, timing.receiveHeadersEnd ?? timing.receiveHeadersStart)
+  const headersAt = timing.receiveHeadersEnd ?? timing.sendEnd ?? 0
+  return {
+    blocked: -1,
+    dns: span(timing.dnsStart, timing.dnsEnd),
+    connect: span(timing.connectStart, timing.connectEnd),
+    ssl: span(timing.sslStart, timing.sslEnd),
+    send: Math.max(span(timing.sendStart, timing.sendEnd), 0),
+    wait: Math.max(wait, 0),
+    receive: Math.max(totalMs - headersAt, 0),
+  }
+}
+
+// Network HAR 1.2 built from page events; request and response bodies
+// (login forms, captions) and credential headers are not kept
+function createHarRecorder(page) {
+  const entries = new Map()
+  let dropped = 0
+
+  const onRequest = (request) => {
+    if (entries.size >= MAX_HAR_ENTRIES) {
+      dropped += 1
+      return
+    }
+    const postData = request.postData()
+    entries.set(request, {
+      startedAt: Date.now(),
+      request: {
+        method: request.method(),
+        url: request.url(),
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: toHarHeaders(request.headers()),
+        queryString: toHarQuery(request.url()),
+        headersSize: -1,
+        bodySize: postData ? Buffer.byteLength(postData) : 0,
+      },
+      _resourceType: request.resourceType(),
+    })
+  }
+
+  const onResponse = (response) => {
+    const entry = entries.get(response.request())
+    if (!entry) return
+    const headers = response.headers()
+    entry.response = {
+      status: response.status(),
+      statusText: response.statusText(),
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(headers),
+      content: { size: parseInt(headers['content-length'] || '-1', 10), mimeType: headers['content-type'] || '' },
+      redirectURL: headers.location || '',
+      headersSize: -1,
+      bodySize: parseInt(headers['content-length'] || '-1', 10),
+    }
+    entry.timing = response.timing()
+    entry.serverIPAddress = response.remoteAddress()?.ip
+    entry.fromCache = response.fromCache()
+  }
+
+  const onDone = (request) => {
+    const entry = entries.get(request)
+    if (entry && !entry.endedAt) entry.endedAt = Date.now()
+    if (entry && request.failure()) entry._failure = request.failure().errorText
+  }
+
+  page.on('request', onRequest)
+  page.on('response', onResponse)
+  page.on('requestfinished', onDone)
+  page.on('requestfailed', onDone)
+
+  return {
+    stop() {
+      page.off('request', onRequest)
+      page.off('response', onResponse)
+      page.off('requestfinished', onDone)
+      page.off('requestfailed', onDone)
+    },
+
+    toJSON() {
+      const harEntries = Array.from(entries.values()).map((entry) => {
+        const totalMs = (entry.endedAt || Date.now()) - entry.startedAt
+        return {
+          startedDateTime: new Date(entry.startedAt).toISOString(),
+          time: totalMs,
+          request: entry.request,
+          response: entry.response || {
+            status: 0,
+            statusText: '',
+            httpVersion: '',
+            cookies: [],
+            headers: [],
+            content: { size: 0, mimeType: '' },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: -1,
+          },
+          cache: {},
+          timings: toHarTimings(entry.timing, totalMs),
+          ...(entry.serverIPAddress && { serverIPAddress: entry.serverIPAddress }),
+          _resourceType: entry._resourceType,
+          ...(entry.fromCache && { _fromCache: true }),
+          ...(entry._failure && { _failure: entry._failure }),
+        }
+      })
+
+      return {
+        log: {
+          version: '1.2',
+          creator: { name: 'instagram-automation-bot', version: '1.0' },
+          pages: [],
+          entries: harEntries,
+          ...(dropped > 0 && { comment: `${dropped} request(s) after the first ${MAX_HAR_ENTRIES} were not recorded` }),
+        },
+      }
+    },
+  }
+}
+
+/**
+ * Record a Chrome performance trace and a network HAR of one attempt. Nothing
+ * is written anywhere unless keep() is called, which the bots only do when
+ * the attempt failed.
+ * @param {import('puppeteer').Page} page
+ * @param {string} label - Names the files, e.g. 'post-<postId>-attempt-2'
+ * @returns {Promise<{stop: Function, keep: Function}|null>} Null unless BOT_DIAGNOSTICS=true
+ */
+export async function startDiagnostics(page, label) {
+  if (!ENABLED || !page) return null
+
+  const har = createHarRecorder(page)
+  let tracing = false
+  try {
+    await page.tracing.start({ screenshots: TRACE_SCREENSHOTS })
+    tracing = true
+  } catch (error) {
+    // Only one trace per browser at a time; the HAR is still recorded
+    log('warn', 'Could not start performance trace', { label, error: error.message })
+  }
+
+  let stopped = null
+  const stop = () => {
+    if (!stopped) {
+      stopped = (async () => {
+        har.stop()
+        let trace = null
+        if (tracing) {
+          try {
+            trace = await page.tracing.stop()
+          } catch (error) {
+            log('warn', 'Could not stop performance trace', { label, error: error.message })
+          }
+        }
+        return { trace, har: har.toJSON() }
+      })()
+    }
+    return stopped
+  }
+
+  return {
+    /**
+     * End recording; call before the page closes so the trace can be read
+     */
+    stop,
+
+    /**
+     * Store the trace and HAR and link them to the failure's bot_logs row
+     * @param {Object} params
+     * @param {string} params.logId - bot_logs id of the failure entry
+     * @param {string} [params.userId]
+     * @returns {Promise<number>} Number of files kept
+     */
+    async keep({ logId, userId = null }) {
+      const { trace, har: harJson } = await stop()
+      if (!logId) return 0
+
+      const safeLabel = label.replace(/[^a-z0-9_-]/gi, '_')
+      const files = [
+        { kind: 'har', data: Buffer.from(JSON.stringify(harJson)), name: `${safeLabel}.har.gz` },
+        ...(trace ? [{ kind: 'trace', data: Buffer.from(trace), name: `${safeLabel}-trace.json.gz` }] : []),
+      ]
+
+      const rows = []
+      for (const file of files) {
+        try {
+          const buffer = await gzip(file.data)
+          const stored = await storeArtifact({
+            key: `diagnostics/${logId}/${file.name}`,
+            buffer,
+            contentType: 'application/gzip',
+          })
+          if (!stored) continue
+          rows.push({
+            kind: file.kind,
+            file_name: file.name,
+            store: stored.store,
+            url: stored.url,
+            storage_path: stored.path,
+            size_bytes: buffer.length,
+          })
+        } catch (error) {
+          log('warn', 'Could not store diagnostic file', { logId, kind: file.kind, error: error.message })
+        }
+      }
+
+      if (rows.length === 0) return 0
+      try {
+        await getJobStore().recordDiagnostics(logId, userId, rows)
+      } catch (error) {
+        log('warn', 'Could not record diagnostic files', { logId, error: error.message })
+        return 0
+      }
+      log('info', `Kept ${rows.length} diagnostic file(s) for failed run`, { logId, label })
+      return rows.length
+    },
+  }
+}
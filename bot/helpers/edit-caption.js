@@ -0,0 +1,103 @@
+import { randomDelay, sleep, log } from './utils.js'
+import { getSelectors, getPageTexts, refreshSelectors } from './selectors.js'
+import { pageShowsText, clickDialogButton, openMoreOptions } from './post-menu.js'
+
+// Enough of the first line to recognise the caption after reloading
+const VERIFY_LENGTH = 50
+
+// Focus the caption field of the edit dialog, preferring one inside the dialog
+async function focusCaptionField(page, timeout = 15000) {
+  const start = Date.now()
+  while (Date.now() - start < timeout) {
+    for (const selector of getSelectors('post.captionTextarea')) {
+      const focused = await page.evaluate((sel) => {
+        let field = null
+        try {
+          const dialogs = Array.from(document.querySelectorAll('div[role="dialog"]')).reverse()
+          for (const dialog of dialogs) {
+            field = dialog.querySelector(sel)
+            if (field) break
+          }
+        } catch {
+          return false
+        }
+        if (!field) return false
+        field.focus()
+        field.click()
+        return true
+      }, selector)
+      if (focused) return true
+    }
+    await sleep(300)
+  }
+  return false
+}
+
+/**
+ * Replace the caption of a published post through its "..." > Edit dialog
+ * @param {import('puppeteer').Page} page - Page logged in as the post owner
+ * @param {string} postUrl - Instagram post URL (/p/ or /reel/)
+ * @param {string} caption - New caption
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function editPublishedCaption(page, postUrl, caption) {
+  await refreshSelectors()
+  try {
+    if (!postUrl) throw new Error('No post URL to edit')
+
+    log('info', 'Opening post to edit caption', { postUrl })
+    await page.goto(postUrl, { waitUntil: 'networkidle2', timeout: 60000 })
+    await sleep(randomDelay(1500, 3000))
+
+    if (await pageShowsText(page, getPageTexts(page, 'post.unavailable'))) {
+      throw new Error('Post is no longer available')
+    }
+
+    if (!await openMoreOptions(page)) {
+      throw new Error('Post menu ("...") not found')
+    }
+    await sleep(randomDelay(800, 1500))
+
+    const editTexts = getPageTexts(page, 'post.editMenuItem')
+    if (!await clickDialogButton(page, editTexts)) {
+      throw new Error(`"${editTexts[0]}" option not found in the post menu (is this account the owner?)`)
+    }
+    await sleep(randomDelay(1500, 2500))
+
+    if (!await focusCaptionField(page)) {
+      throw new Error('Caption field not found in the edit dialog')
+    }
+
+    // Clear the old caption, then type the new one like the share step does
+    await page.keyboard.down('Control')
+    await page.keyboard.press('KeyA')
+    await page.keyboard.up('Control')
+    await page.keyboard.press('Backspace')
+    await sleep(randomDelay(300, 700))
+    for (const ch of caption) {
+      await page.keyboard.type(ch, { delay: randomDelay(50, 100) })
+      if (Math.random() < 0.12) await sleep(randomDelay(120, 300))
+    }
+    await sleep(randomDelay(500, 1200))
+
+    if (!await clickDialogButton(page, getPageTexts(page, 'post.done'))) {
+      throw new Error('Done button not found in the edit dialog')
+    }
+    await sleep(randomDelay(3000, 5000))
+
+    const expected = caption.split('\n')[0].trim().slice(0, VERIFY_LENGTH)
+    if (expected) {
+      await page.goto(postUrl, { waitUntil: 'networkidle2', timeout: 60000 })
+      await sleep(randomDelay(1500, 3000))
+      if (!await pageShowsText(page, [expected])) {
+        throw new Error('New caption is not shown after saving')
+      }
+    }
+
+    log('info', 'Caption updated', { postUrl })
+    return { success: true }
+  } catch (error) {
+    log('error', 'Failed to edit caption', { postUrl, error: error.message })
+    return { success: false, error: error.message }
+  }
+}
@@ -0,0 +1,136 @@
+import os from 'os'
+import axios from 'axios'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+// Where the bots get their posts and tasks from and report back to: the
+// backend's worker API (/api/worker), authenticated with WORKER_TOKEN. The
+// lease and status rules live in the backend only, so the bot has no direct
+// Supabase path for any of this.
+
+export const WORKER_ID = process.env.BOT_WORKER_ID || `${os.hostname()}-${process.pid}`
+
+/**
+ * @param {object} options
+ * @param {string} options.apiUrl - Backend base URL
+ * @param {string} options.workerToken - Worker token with the 'posts' and 'logs' scopes
+ */
+export function createJobStore({ apiUrl, workerToken }) {
+  if (!workerToken) {
+    throw new Error('WORKER_TOKEN is not set; the bot reports through the backend worker API (WORKER_TOKENS in the backend)')
+  }
+  return createApiStore(apiUrl, workerToken)
+}
+
+let defaultStore = null
+
+/**
+ * The store of this process, from API_URL and WORKER_TOKEN; created on first
+ * use so that commands which never report anything run without either
+ */
+export function getJobStore() {
+  if (!defaultStore) {
+    defaultStore = createJobStore({
+      apiUrl: process.env.API_URL || 'http://localhost:3001',
+      workerToken: process.env.WORKER_TOKEN,
+    })
+  }
+  return defaultStore
+}
+
+function createApiStore(apiUrl, workerToken) {
+  const client = axios.create({
+    baseURL: `${apiUrl.replace(/\/$/, '')}/api/worker`,
+    headers: { 'x-worker-token': workerToken, 'x-worker-id': WORKER_ID },
+    timeout: 20000,
+  })
+
+  async function call(method, path, data) {
+    try {
+      const res = await client.request({ method, url: path, data })
+      return res.data
+    } catch (err) {
+      const body = err.response?.data
+      const error = new Error(body?.message || body?.error || err.message)
+      error.status = err.response?.status
+      throw error
+    }
+  }
+
+  // 409: the lease was lost and the post belongs to another worker now
+  const ignoreLostLease = (err) => {
+    if (err.status !== 409) throw err
+    return null
+  }
+
+  return {
+    async claim({ limit, postType, leaseSeconds }) {
+      const data = await call('post', '/claim', { limit, post_type: postType, lease_seconds: leaseSeconds })
+      return data.posts || []
+    },
+    async renew(postIds, leaseSeconds) {
+      const data = await call('post', '/heartbeat', { post_ids: postIds, lease_seconds: leaseSeconds })
+      return data.post_ids || []
+    },
+    async getAccount(accountId) {
+      const data = await call('get', `/accounts/${accountId}`)
+      return data.account
+    },
+    async updatePostAccount(postId, accountId, updates, { postsToday } = {}) {
+      await call('post', `/posts/${postId}/accounts/${accountId}/progress`, {
+        updates,
+        ...(postsToday !== undefined && { posts_today: postsToday }),
+      }).catch(ignoreLostLease)
+    },
+    async finish(postId, status) {
+      if (status === 'failed') {
+        await call('post', `/posts/${postId}/fail`, {}).catch(ignoreLostLease)
+      } else {
+        await call('post', `/posts/${postId}/complete`, { requeue: status === 'pending' }).catch(ignoreLostLease)
+      }
+    },
+    async insertLog(entry) {
+      const data = await call('post', '/logs', entry)
+      return data.id
+    },
+    async saveSession(accountId, { cookies, uiLocale } = {}) {
+      await call('put', `/accounts/${accountId}/session`, {
+        ...(cookies !== undefined && { cookies }),
+        ...(uiLocale !== undefined && { ui_locale: uiLocale }),
+      })
+    },
+    async retryFailed({ olderThanHours, limit }) {
+      const data = await call('post', '/posts/retry-failed', { older_than_hours: olderThanHours, limit })
+      return data.post_ids || []
+    },
+    async recordImageCheck(postAccountId, { similarity = null, error = null }) {
+      await call('post', `/post-accounts/${postAccountId}/image-check`, { similarity, error })
+    },
+    async claimTask(task, leaseSeconds) {
+      const data = await call('post', '/tasks/claim', { task, lease_seconds: leaseSeconds })
+      return data.task || null
+    },
+    async renewTask(rowId, task, leaseSeconds) {
+      const data = await call('post', `/tasks/${rowId}/heartbeat`, { task, lease_seconds: leaseSeconds }).catch(ignoreLostLease)
+      return data !== null
+    },
+    async finishTask(rowId, task, result) {
+      const data = await call('post', `/tasks/${rowId}/finish`, { task, success: result.success, error: result.error || null })
+        .catch(ignoreLostLease)
+      return data !== null
+    },
+    async syncSelectors(registry) {
+      const data = await call('post', '/selectors/sync', { version: registry.version, entries: registry.entries })
+      return data.entries || []
+    },
+    async recordArtifacts(rows) {
+      const data = await call('post', '/artifacts', { artifacts: rows })
+      return data.count
+    },
+    async recordDiagnostics(logId, userId, files) {
+      const data = await call('post', `/logs/${logId}/diagnostics`, { user_id: userId, files })
+      return data.count
+    },
+  }
+}
@@ -0,0 +1,55 @@
+import { WORKER_ID } from './jobs.js'
+
+// Leases on posts (migration 025): only the bot instance holding a post's lease
+// works on it. Held leases are renewed on a heartbeat; a lease that could not
+// be renewed in time goes back to the queue on the next claim of any instance.
+
+/**
+ * @param {ReturnType<import('./jobs.js').createJobStore>} jobs
+ * @param {object} options
+ * @param {number} options.leaseSeconds - Lease length; renewed every third of it
+ * @param {(level: string, message: string, meta?: object) => void} options.log
+ */
+export function createPostLeases(jobs, { leaseSeconds, log }) {
+  const held = new Set()
+  let heartbeat = null
+
+  // Lease the next due posts (queue order) to this instance
+  async function claim({ limit, postType }) {
+    const posts = await jobs.claim({ limit, postType, leaseSeconds })
+    for (const post of posts) held.add(post.id)
+    return posts
+  }
+
+  async function renew() {
+    if (held.size === 0) return
+    const ids = [...held]
+    let renewed
+    try {
+      renewed = new Set(await jobs.renew(ids, leaseSeconds))
+    } catch (err) {
+      // Try again on the next beat; the lease outlasts two missed renewals
+      log('warn', 'Could not renew post leases', { error: err.message })
+      return
+    }
+    for (const id of ids) {
+      if (!renewed.has(id) && held.delete(id)) {
+        log('warn', `Lost the lease on post ${id}; it is no longer posted to from ${WORKER_ID}`, { postId: id })
+      }
+    }
+  }
+
+  return {
+    claim,
+    isHeld: (postId) => held.has(postId),
+    release: (postId) => held.delete(postId),
+    startHeartbeat() {
+      if (heartbeat) return
+      heartbeat = setInterval(renew, Math.max(1000, (leaseSeconds * 1000) / 3))
+    },
+    stopHeartbeat() {
+      clearInterval(heartbeat)
+      heartbeat = null
+    },
+  }
+}
@@ -0,0 +1,152 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// One JSON pack per Instagram UI language: button/label texts for registry keys
+// and how that language writes counts. English texts live in selectors.json.
+const LOCALES_DIR = process.env.LOCALE_PACKS_DIR || path.join(__dirname, '..', 'config', 'locales')
+export const DEFAULT_LOCALE = 'en'
+
+let packs = {}
+let packsSignature = null
+// Locale of the account a page is logged in as (or of the page itself before login)
+const pageLocales = new WeakMap()
+
+/**
+ * Re-read the locale packs when a file was added or changed; a broken pack
+ * keeps its last good copy
+ * @returns {boolean} Whether anything was reloaded
+ */
+export function loadLocalePacks() {
+  let files = []
+  try {
+    files = fs.readdirSync(LOCALES_DIR).filter((file) => file.endsWith('.json')).sort()
+  } catch {
+    return false
+  }
+
+  const signature = files
+    .map((file) => `${file}@${fs.statSync(path.join(LOCALES_DIR, file)).mtimeMs}`)
+    .join(',')
+  if (signature === packsSignature) return false
+
+  const next = {}
+  for (const file of files) {
+    const locale = path.basename(file, '.json')
+    try {
+      const pack = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'))
+      next[locale] = { name: pack.name || locale, texts: pack.texts || {}, numbers: pack.numbers || {} }
+    } catch (error) {
+      console.warn(`Could not load locale pack ${file}: ${error.message}`)
+      if (packs[locale]) next[locale] = packs[locale]
+    }
+  }
+  packs = next
+  packsSignature = signature
+  return true
+}
+
+loadLocalePacks()
+
+/**
+ * @returns {string[]} Locales that have a pack, English first
+ */
+export function getAvailableLocales() {
+  return Object.keys(packs).sort((a, b) => (a === DEFAULT_LOCALE ? -1 : b === DEFAULT_LOCALE ? 1 : a.localeCompare(b)))
+}
+
+/**
+ * Texts a locale pack defines for a registry key
+ * @param {string} locale
+ * @param {string} key - e.g. 'post.nextButton'
+ * @returns {string[]}
+ */
+export function getPackTexts(locale, key) {
+  return [...(packs[locale]?.texts?.[key] || [])]
+}
+
+/**
+ * Base language of a lang attribute or stored value ('pt-BR' -> 'pt')
+ * @param {string} value
+ * @returns {string|null}
+ */
+export function normalizeLocale(value) {
+  const base = (value || '').toString().trim().toLowerCase().split(/[-_]/)[0]
+  return /^[a-z]{2,3}$/.test(base) ? base : null
+}
+
+/**
+ * Language Instagram renders the current page in. Once logged in this follows
+ * the account's language setting.
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<string|null>}
+ */
+export async function detectPageLocale(page) {
+  try {
+    return normalizeLocale(await page.evaluate(() => document.documentElement.lang))
+  } catch {
+    return null
+  }
+}
+
+export function setPageLocale(page, locale) {
+  const normalized = normalizeLocale(locale)
+  if (normalized) pageLocales.set(page, normalized)
+  return normalized
+}
+
+/**
+ * @param {import('puppeteer').Page} page
+ * @returns {string|undefined} Undefined when unknown, so texts of every locale are tried
+ */
+export function getPageLocale(page) {
+  return pageLocales.get(page)
+}
+
+// Format of the locale whose suffixes include the one shown; English wins ties
+function getNumberFormat(suffix, locale) {
+  const candidates = locale
+    ? [locale, DEFAULT_LOCALE]
+    : [DEFAULT_LOCALE, ...getAvailableLocales()]
+  if (suffix) {
+    const owner = candidates.find((lang) => packs[lang]?.numbers?.suffixes?.[suffix] !== undefined)
+    if (owner) return packs[owner].numbers
+  }
+  return packs[candidates[0]]?.numbers || packs[DEFAULT_LOCALE]?.numbers || {}
+}
+
+/**
+ * Parse a count as Instagram shows it, e.g. "1,234", "1.2K", "12,3 rb" or "1,5 jt"
+ * @param {string|number} text
+ * @param {string} [locale] - UI language the count was rendered in
+ * @returns {number}
+ */
+export function parseCount(text, locale) {
+  if (typeof text === 'number') return Math.floor(text)
+  if (typeof text !== 'string') return 0
+
+  const match = text.replace(/\s+/g, ' ').trim().match(/^(\d(?:[.,' ]?\d)*)\s?([^\d\s.,]+\.?)?(?:\s|$)/)
+  if (!match) return 0
+
+  const suffix = (match[2] || '').toLowerCase().replace(/\.$/, '')
+  const format = getNumberFormat(suffix, locale)
+  const multiplier = format.suffixes?.[suffix]
+  const digits = match[1].replace(/[ ']/g, '')
+
+  // Without a suffix a count is a whole number, so every separator groups digits
+  if (!multiplier) {
+    const parsed = parseInt(digits.replace(/[.,]/g, ''), 10)
+    return isNaN(parsed) ? 0 : parsed
+  }
+
+  const decimal = format.decimal || '.'
+  const normalized = digits
+    .split(decimal)
+    .map((part) => part.replace(/[.,]/g, ''))
+    .join('.')
+  const parsed = parseFloat(normalized)
+  return isNaN(parsed) ? 0 : Math.round(parsed * multiplier)
+}
@@ -1,18 +1,7 @@
-import dotenv from 'dotenv'
-import { createClient } from '@supabase/supabase-js'
-import path from 'path'
-import fs from 'fs'
-import { fileURLToPath } from 'url'
-
-dotenv.config()
-
-const __filename = fileURLToPath(import.meta.url)
-const __dirname = path.dirname(__filename)
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-)
+import { getSelectors, getPageTexts, refreshSelectors } from './selectors.js'
+import { detectPageLocale, setPageLocale } from './locale.js'
+import { captureStep } from './artifacts.js'
+import { getJobStore } from './jobs.js'
 
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms))
@@ -78,7 +67,15 @@ async function elementExists(page, selector, timeout = 3000) {
   }
 }
 
-async function clickByText(page, text) {
+// Accepts one label or a list of variants (e.g. per-locale texts); the first match is clicked
+async function clickByText(page, texts) {
+  for (const text of Array.isArray(texts) ? texts : [texts]) {
+    if (await clickBySingleText(page, text)) return true
+  }
+  return false
+}
+
+async function clickBySingleText(page, text) {
   try {
     const candidates = [
       `//button[normalize-space(text())='${text}']`,
@@ -121,12 +118,7 @@ async function clickByText(page, text) {
 }
 
 async function clickLoginButton(page) {
-  const selectors = [
-    'button[type="submit"]',
-    'button._acan._acap._acas._acav',
-    'button:has-text("Log in")',
-    'div[role="button"][tabindex="0"]'
-  ]
+  const selectors = getSelectors('login.submitButton')
 
   for (const selector of selectors) {
     try {
@@ -141,38 +133,52 @@ async function clickLoginButton(page) {
     }
   }
 
-  const clicked = await page.evaluate(() => {
+  const clicked = await page.evaluate((labels) => {
+    const wanted = labels.map((label) => label.toLowerCase())
     const nodes = Array.from(document.querySelectorAll('button, div[role="button"], span'))
     const el = nodes.find((node) => {
       const text = node.textContent?.trim().toLowerCase()
-      return text === 'log in' || text === 'log in to instagram' || text === 'login'
+      return wanted.includes(text)
     })
     if (el) {
       el.click()
       return true
     }
     return false
-  })
+  }, getPageTexts(page, 'login.submitButton'))
 
   return clicked
 }
 
 async function isLoggedIn(page) {
-  // Heuristics: presence of home icon or profile nav
-  if (await elementExists(page, 'svg[aria-label="Home"]', 5000)) return true
-  if (await elementExists(page, 'a[href="/accounts/edit/"]', 2000)) return true
+  // Heuristics: presence of home icon or profile nav; give the first indicator time to render
+  const indicators = getSelectors('login.loggedInIndicator')
+  for (let i = 0; i < indicators.length; i++) {
+    if (await elementExists(page, indicators[i], i === 0 ? 5000 : 2000)) return true
+  }
   return false
 }
 
-async function saveCookiesForAccount(instagramUsername, cookies) {
+async function saveCookiesForAccount(accountId, cookies) {
+  if (!accountId) return
+  try {
+    await getJobStore().saveSession(accountId, { cookies })
+  } catch (e) {
+    // Non-fatal
+  }
+}
+
+// Once logged in, Instagram renders pages in the account's UI language; remember it
+// for text matching on this page and store it on the account
+async function rememberAccountLocale(page, accountId) {
+  const locale = setPageLocale(page, await detectPageLocale(page))
+  if (!locale || !accountId) return locale
   try {
-    await supabase
-      .from('accounts')
-      .update({ cookies })
-      .eq('instagram_username', instagramUsername.toLowerCase())
+    await getJobStore().saveSession(accountId, { uiLocale: locale })
   } catch (e) {
     // Non-fatal
   }
+  return locale
 }
 
 async function loadCookies(page, cookies) {
@@ -189,10 +195,9 @@ async function loadCookies(page, cookies) {
   }
 }
 
-export async function loginToInstagram(page, username, password, savedCookies) {
-  const screenshotsDir = path.join(__dirname, '..', 'screenshots')
-  if (!fs.existsSync(screenshotsDir)) fs.mkdirSync(screenshotsDir, { recursive: true })
-
+// New cookies and the detected UI language are stored on options.accountId
+export async function loginToInstagram(page, username, password, savedCookies, { accountId = null } = {}) {
+  await refreshSelectors()
   try {
     const viewport = await page.viewport()
     if (!viewport?.width || !viewport?.height) {
@@ -207,7 +212,8 @@ export async function loginToInstagram(page, username, password, savedCookies) {
       await randomMouseMovements(page)
 
       if (await isLoggedIn(page)) {
-        return { success: true, usedCookies: true }
+        const locale = await rememberAccountLocale(page, accountId)
+        return { success: true, usedCookies: true, locale }
       }
     }
 
@@ -222,13 +228,7 @@ export async function loginToInstagram(page, username, password, savedCookies) {
     await sleep(random(3000, 6000))
     await randomMouseMovements(page)
 
-    const usernameSelectors = [
-      'input[name="username"]',
-      'input[type="text"][aria-label*="username" i]',
-      'input[type="text"][placeholder*="username" i]',
-      'input[autocomplete="username"]',
-      'input[type="text"]'
-    ]
+    const usernameSelectors = getSelectors('login.usernameInput')
 
     let usernameSelector = null
     for (const selector of usernameSelectors) {
@@ -248,12 +248,7 @@ export async function loginToInstagram(page, username, password, savedCookies) {
       throw new Error('Could not find username input field on Instagram login page.')
     }
 
-    const passwordSelectors = [
-      'input[name="password"]',
-      'input[type="password"]',
-      'input[aria-label*="password" i]',
-      'input[autocomplete="current-password"]'
-    ]
+    const passwordSelectors = getSelectors('login.passwordInput')
 
     let passwordSelector = null
     for (const selector of passwordSelectors) {
@@ -272,6 +267,9 @@ export async function loginToInstagram(page, username, password, savedCookies) {
       throw new Error('Could not find password input field on Instagram login page.')
     }
 
+    // The login page itself follows the browser, not the account
+    setPageLocale(page, await detectPageLocale(page))
+
     await typeWithDelays(page, usernameSelector, username)
     await sleep(random(200, 600))
     await typeWithDelays(page, passwordSelector, password)
@@ -286,23 +284,24 @@ export async function loginToInstagram(page, username, password, savedCookies) {
     const loginOutcome = await Promise.race([
       page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 60000 }).then(() => 'navigated'),
       page.waitForSelector('div[role="dialog"]', { timeout: 60000 }).then(() => 'dialog'),
-      page.waitForSelector('#slfErrorAlert', { timeout: 60000 }).then(() => 'error'),
+      page.waitForSelector(getSelectors('login.errorAlert').join(', '), { timeout: 60000 }).then(() => 'error'),
     ]).catch(() => 'timeout')
 
     // Check for 2FA dialog (rudimentary)
-    if (await elementExists(page, 'input[name="verificationCode"]', 2000) || await elementExists(page, 'input[name="verification_code"]', 2000)) {
+    if (await elementExists(page, getSelectors('login.verificationCodeInput').join(', '), 2000)) {
       throw new Error('Two-factor authentication required. Manual intervention needed.')
     }
 
     // Handle post-login modals: Save login info?
     await sleep(1000)
-    const notNowClicked = await clickByText(page, 'Not Now')
+    setPageLocale(page, await detectPageLocale(page))
+    const notNowClicked = await clickByText(page, getPageTexts(page, 'login.notNow'))
     if (notNowClicked) {
       await sleep(1000)
     }
 
     // Turn on notifications?
-    const notifNotNow = await clickByText(page, 'Not Now')
+    const notifNotNow = await clickByText(page, getPageTexts(page, 'login.notNow'))
     if (notifNotNow) {
       await sleep(1000)
     }
@@ -312,27 +311,25 @@ export async function loginToInstagram(page, username, password, savedCookies) {
 
     if (!(await isLoggedIn(page))) {
       // Check for explicit error
-      const errText = await page.evaluate(() => {
-        const el = document.querySelector('#slfErrorAlert')
+      const errText = await page.evaluate((selector) => {
+        const el = document.querySelector(selector)
         return el ? el.textContent : null
-      })
+      }, getSelectors('login.errorAlert').join(', '))
       throw new Error(errText || 'Login failed: could not verify successful login')
     }
 
     // Save cookies to DB
     const cookies = await page.cookies()
-    await saveCookiesForAccount(username, cookies)
+    await saveCookiesForAccount(accountId, cookies)
+    const locale = await rememberAccountLocale(page, accountId)
 
     // Clear sensitive variables from memory
     try { username = null } catch {}
     try { password = null } catch {}
-    return { success: true, usedCookies: false }
+    return { success: true, usedCookies: false, locale }
   } catch (error) {
     // Screenshot on failure
-    try {
-      const filename = `login-error-${new Date().toISOString().replace(/[:.]/g, '-')}.png`
-      await page.screenshot({ path: path.join(screenshotsDir, filename), fullPage: true })
-    } catch {}
+    await captureStep(page, 'login-error', 'login').catch(() => {})
 
     // Advise wait before retry
     return {
@@ -0,0 +1,70 @@
+import { sleep } from './utils.js'
+import { getSelectors } from './selectors.js'
+
+// Shared steps for acting on a published post through its "..." menu
+
+// Whether the page body contains any of texts (case-insensitive)
+export async function pageShowsText(page, texts) {
+  return page.evaluate((targets) => {
+    const body = (document.body?.innerText || '').toLowerCase()
+    return targets.some((text) => body.includes(text.toLowerCase()))
+  }, texts)
+}
+
+// Click a button in the open menu/confirmation dialog whose label is exactly one of texts
+export async function clickDialogButton(page, texts, timeout = 10000) {
+  const start = Date.now()
+  while (Date.now() - start < timeout) {
+    const clicked = await page.evaluate((targets) => {
+      const wanted = targets.map((text) => text.toLowerCase())
+      const dialogs = Array.from(document.querySelectorAll('div[role="dialog"]'))
+      // The most recently opened dialog is last in the DOM
+      for (const dialog of dialogs.reverse()) {
+        const buttons = Array.from(dialog.querySelectorAll('button, div[role="button"]'))
+        const button = buttons.find((node) => wanted.includes(node.textContent?.trim().toLowerCase()))
+        if (button) {
+          button.click()
+          return true
+        }
+      }
+      return false
+    }, texts)
+    if (clicked) return true
+    await sleep(300)
+  }
+  return false
+}
+
+// Whether the open menu/confirmation dialog has a button labelled exactly one of texts
+export async function dialogHasButton(page, texts, timeout = 5000) {
+  const start = Date.now()
+  while (Date.now() - start < timeout) {
+    const found = await page.evaluate((targets) => {
+      const wanted = targets.map((text) => text.toLowerCase())
+      return Array.from(document.querySelectorAll('div[role="dialog"] button, div[role="dialog"] div[role="button"]'))
+        .some((node) => wanted.includes(node.textContent?.trim().toLowerCase()))
+    }, texts)
+    if (found) return true
+    await sleep(300)
+  }
+  return false
+}
+
+// Click the "..." button on an open post page
+export async function openMoreOptions(page) {
+  const start = Date.now()
+  while (Date.now() - start < 15000) {
+    for (const selector of getSelectors('post.moreOptions')) {
+      const clicked = await page.evaluate((sel) => {
+        const icon = document.querySelector(sel)
+        if (!icon) return false
+        const target = icon.closest('button, div[role="button"]') || icon
+        target.click()
+        return true
+      }, selector)
+      if (clicked) return true
+    }
+    await sleep(300)
+  }
+  return false
+}
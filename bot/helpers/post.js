@@ -1,56 +1,22 @@
 import fs from 'fs'
-import path from 'path'
-import { fileURLToPath } from 'url'
+import { KnownDevices } from 'puppeteer'
 import { downloadImage, randomDelay, sleep, log } from './utils.js'
+import { getSelectorGroup, getPageTexts, refreshSelectors } from './selectors.js'
+import { captureStep } from './artifacts.js'
 
-const __filename = fileURLToPath(import.meta.url)
-const __dirname = path.dirname(__filename)
-
-const SCREENSHOTS_DIR = path.join(__dirname, '..', 'screenshots')
-if (!fs.existsSync(SCREENSHOTS_DIR)) fs.mkdirSync(SCREENSHOTS_DIR, { recursive: true })
-
-// Default selectors (configurable via options)
-const DEFAULT_SELECTORS = {
-  createButton: [
-    'svg[aria-label="New post"]',
-    'svg[aria-label="Create"]',
-    '[data-testid="new-post-button"]',
-  ],
-  fileInput: [
-    'input[type="file"]',
-    'form input[type="file"]',
-    'input[type="file"][accept*="image"]',
-    'input[type="file"][accept*="video"]',
-    'input[type="file"][multiple]'
-  ],
-  nextButton: [
-    'button._acan._acap._acas',
-    'div[role="dialog"] button._acan._acap._acas',
-    'button[type="button"][aria-label*="Next"]',
-  ],
-  captionTextarea: [
-    'textarea[aria-label*="Write a caption" i]',
-    'textarea[placeholder*="Write a caption" i]',
-    'div[role="dialog"] textarea',
-    'div[role="textbox"]',
-    '[contenteditable="true"]',
-    'textarea',
-  ],
-  shareButton: [
-    'button._acan._acap._acat',
-    'div[role="dialog"] button._acan._acap._acat',
-    'button[type="button"][aria-label*="Share"]',
-  ],
-  successToast: [
-    'div[role="alert"]:has-text("shared")',
-    'div[role="status"]:has-text("shared")',
-  ],
-}
+// Instagram caps carousels at 10 slides
+export const MAX_CAROUSEL_SLIDES = 10
+
+// Device emulated for the story flow
+const STORY_DEVICE = KnownDevices['iPhone 13']
+
+// Matches feed post and reel permalinks
+const POST_PATH_PATTERN = /\/(p|reel)\//
 
+// Kept with the attempt's artifacts when the bot attached a recorder to the page
 async function screenshotStep(page, name) {
   try {
-    const filename = `post-${new Date().toISOString().replace(/[:.]/g, '-')}-${name}.png`
-    await page.screenshot({ path: path.join(SCREENSHOTS_DIR, filename), fullPage: true })
+    await captureStep(page, name, 'post')
   } catch {}
 }
 
@@ -70,17 +36,31 @@ function xpathLiteral(str) {
   return `concat(${concatParts})`
 }
 
+// XPath 1.0 has no lower-case(); fold A-Z plus the accented letters of the target
+// (e.g. "Configuración", "Avançar") so locale pack texts match case-insensitively
+function caseFoldAlphabets(target) {
+  let upper = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'
+  let lower = 'abcdefghijklmnopqrstuvwxyz'
+  for (const ch of new Set(target.toLowerCase())) {
+    const up = ch.toUpperCase()
+    if (up !== ch && up.length === 1 && !upper.includes(up)) {
+      upper += up
+      lower += ch
+    }
+  }
+  return { upper, lower }
+}
+
 async function findElementByText(page, texts = []) {
   const textArray = Array.isArray(texts) ? texts : [texts]
   const tags = ['button', 'div[@role="button"]', 'span', 'a']
-  const upper = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'
-  const lower = 'abcdefghijklmnopqrstuvwxyz'
 
   for (const rawText of textArray) {
     if (!rawText) continue
     const target = rawText.trim()
     if (!target) continue
     const literal = xpathLiteral(target.toLowerCase())
+    const { upper, lower } = caseFoldAlphabets(target)
 
     for (const tag of tags) {
       const xpath = `//${tag}[contains(translate(normalize-space(.), '${upper}', '${lower}'), ${literal})]`
@@ -141,13 +121,7 @@ async function clickElementByText(page, texts = []) {
 
 async function waitForFileInput(page, selectors, timeout = 20000) {
   const start = Date.now()
-  const selectButtonTexts = [
-    'Select from computer',
-    'Choose from computer',
-    'Select files',
-    'Upload from computer',
-    'Select file',
-  ]
+  const selectButtonTexts = getPageTexts(page, 'post.selectFromComputer')
 
   while (Date.now() - start < timeout) {
     const input = await queryAny(page, selectors)
@@ -195,21 +169,361 @@ async function typeHumanLike(page, selector, text) {
   }
 }
 
-export async function postToInstagram(page, imageUrl, caption, options = {}) {
-  const selectors = { ...DEFAULT_SELECTORS, ...(options.selectors || {}) }
+function cleanupFiles(paths) {
+  for (const filePath of paths) {
+    try { if (filePath && fs.existsSync(filePath)) fs.unlinkSync(filePath) } catch {}
+  }
+}
+
+function videoExtension(videoUrl) {
+  const match = String(videoUrl).split('?')[0].match(/\.(mp4|mov)$/i)
+  return match ? match[1].toLowerCase() : 'mp4'
+}
+
+// Instagram shows an info dialog the first time a video is uploaded from web
+async function dismissReelsNotice(page) {
+  const dismissed = await clickElementByText(page, getPageTexts(page, 'post.reelsNotice'))
+  if (dismissed) {
+    log('info', 'Dismissed "video posts are now shared as reels" notice')
+    await sleep(randomDelay(500, 1000))
+  }
+  return dismissed
+}
+
+// On the reel edit step, upload a custom cover image via the "Cover photo" picker
+async function uploadReelCover(page, selectors, coverPath) {
+  await clickElementByText(page, getPageTexts(page, 'post.coverPhoto'))
+  await sleep(randomDelay(500, 1000))
+
+  const coverInput = await queryAny(page, selectors.reelCoverInput)
+  if (!coverInput) {
+    throw new Error('Reel cover picker not found')
+  }
+  await coverInput.uploadFile(coverPath)
+  await sleep(randomDelay(2000, 4000))
+  // Some layouts ask to confirm the selected cover
+  await clickElementByText(page, getPageTexts(page, 'post.done'))
+  log('info', 'Reel cover uploaded')
+}
+
+// Largest visible image in the create dialog - the slide shown in tag mode
+async function getTagTargetBox(page) {
+  return page.evaluate(() => {
+    const dialog = document.querySelector('div[role="dialog"]') || document.body
+    let best = null
+    for (const img of dialog.querySelectorAll('img')) {
+      const rect = img.getBoundingClientRect()
+      if (rect.width < 100 || rect.height < 100) continue
+      if (!best || rect.width * rect.height > best.width * best.height) {
+        best = { x: rect.x, y: rect.y, width: rect.width, height: rect.height }
+      }
+    }
+    return best
+  })
+}
+
+// Click the search result whose username matches exactly (Instagram also lists lookalikes)
+async function clickExactUsernameResult(page, username) {
+  return page.evaluate((target) => {
+    const wanted = target.toLowerCase()
+    const dialog = document.querySelector('div[role="dialog"]') || document.body
+    const rows = Array.from(dialog.querySelectorAll('div[role="button"], button, a'))
+    const row = rows.find((node) => {
+      const spans = Array.from(node.querySelectorAll('span'))
+      return spans.some((span) => span.textContent?.trim().toLowerCase() === wanted)
+    })
+    if (row) {
+      row.click()
+      return true
+    }
+    return false
+  }, username)
+}
+
+/**
+ * Tag accounts on the media from the caption step. Each tag is
+ * { username, x, y, slide } with x/y as 0-1 fractions of the image.
+ * Failures are recorded per tag so the post can still be shared.
+ * @returns {Promise<Array<{username: string, status: 'applied'|'failed', error?: string}>>}
+ */
+async function applyUserTags(page, selectors, userTags) {
+  const results = []
+  const opened = await clickElementByText(page, getPageTexts(page, 'post.tagPeople'))
+  if (!opened) {
+    return userTags.map((tag) => ({ username: tag.username, status: 'failed', error: 'Tag people option not found' }))
+  }
+  await sleep(randomDelay(800, 1500))
+
+  const ordered = [...userTags].sort((a, b) => (a.slide || 0) - (b.slide || 0))
+  let currentSlide = 0
+
+  for (const tag of ordered) {
+    try {
+      const targetSlide = tag.slide || 0
+      while (currentSlide < targetSlide) {
+        const nextSlide = await queryAny(page, selectors.carouselNextSlide)
+        if (!nextSlide) throw new Error(`Could not reach slide ${targetSlide + 1}`)
+        await nextSlide.click()
+        currentSlide++
+        await sleep(randomDelay(600, 1200))
+      }
+
+      const box = await getTagTargetBox(page)
+      if (!box) throw new Error('Image to tag not found')
+      await page.mouse.click(box.x + tag.x * box.width, box.y + tag.y * box.height, { delay: randomDelay(30, 90) })
+      await sleep(randomDelay(500, 1000))
+
+      const searchInput = await waitForAnySelector(page, selectors.tagSearchInput, 5000)
+      await searchInput.click()
+      for (const ch of tag.username) {
+        await page.keyboard.type(ch, { delay: randomDelay(60, 120) })
+      }
+
+      let picked = false
+      for (let i = 0; i < 10 && !picked; i++) {
+        await sleep(500)
+        picked = await clickExactUsernameResult(page, tag.username)
+      }
+      if (!picked) throw new Error('Account not found in tag search')
+
+      await sleep(randomDelay(500, 1000))
+      results.push({ username: tag.username, status: 'applied' })
+      log('info', 'Tagged account', { username: tag.username, slide: targetSlide + 1 })
+    } catch (err) {
+      log('warn', 'Could not tag account', { username: tag.username, error: err.message })
+      results.push({ username: tag.username, status: 'failed', error: err.message })
+      // Leave the search box without tagging anyone
+      await page.keyboard.press('Escape')
+      await sleep(randomDelay(300, 600))
+    }
+  }
+
+  await clickElementByText(page, getPageTexts(page, 'post.done'))
+  await sleep(randomDelay(500, 1000))
+  return results
+}
+
+/**
+ * Attach a location from the caption step, picking the first suggestion
+ * that contains the requested name.
+ * @returns {Promise<{name: string, status: 'applied'|'failed', error?: string}>}
+ */
+async function applyLocation(page, selectors, location) {
+  try {
+    const input = await waitForAnySelector(page, selectors.locationInput, 5000)
+    await input.click()
+    for (const ch of location) {
+      await page.keyboard.type(ch, { delay: randomDelay(60, 120) })
+    }
+
+    let picked = false
+    for (let i = 0; i < 10 && !picked; i++) {
+      await sleep(500)
+      picked = await page.evaluate((wanted, inputSelectors) => {
+        const input = inputSelectors.map((sel) => document.querySelector(sel)).find(Boolean)
+        const scope = input?.closest('div[role="dialog"]') || document.body
+        const options = Array.from(scope.querySelectorAll('div[role="button"], button, li'))
+        const match = options.find((node) => {
+          const text = node.textContent?.trim().toLowerCase() || ''
+          return text && !node.contains(input) && text.includes(wanted)
+        })
+        if (match) {
+          match.click()
+          return true
+        }
+        return false
+      }, location.toLowerCase(), selectors.locationInput)
+    }
+    if (!picked) throw new Error('No matching location suggestion')
+
+    await sleep(randomDelay(500, 1000))
+    log('info', 'Location added', { location })
+    return { name: location, status: 'applied' }
+  } catch (err) {
+    log('warn', 'Could not add location', { location, error: err.message })
+    return { name: location, status: 'failed', error: err.message }
+  }
+}
+
+/**
+ * Pick an aspect ratio in the crop dialog. Instagram defaults to 1:1, which
+ * cuts portrait images down unless another option is chosen explicitly.
+ */
+async function selectCropMode(page, selectors, cropMode) {
+  if (!['original', '1:1', '4:5', '16:9'].includes(cropMode)) throw new Error(`Unknown crop mode: ${cropMode}`)
+  // Ratio labels are the same in every language, only "Original" is translated
+  const optionTexts = cropMode === 'original' ? getPageTexts(page, 'post.cropOriginal') : [cropMode]
+
+  const cropBtn = await waitForAnySelector(page, selectors.cropButton, 10000)
+  await clickWithRandomOffset(page, cropBtn)
+  await sleep(randomDelay(500, 1000))
+
+  // Match the option label exactly so "1:1" doesn't also hit unrelated text
+  const picked = await page.evaluate((texts) => {
+    const wanted = texts.map((text) => text.toLowerCase())
+    const dialog = document.querySelector('div[role="dialog"]') || document.body
+    const option = Array.from(dialog.querySelectorAll('button, div[role="button"], span')).find((node) =>
+      wanted.includes(node.textContent?.trim().toLowerCase())
+    )
+    if (option) {
+      (option.closest('button, div[role="button"]') || option).click()
+      return true
+    }
+    return false
+  }, optionTexts)
+  if (!picked) throw new Error(`Crop option ${cropMode} not found`)
+
+  await sleep(randomDelay(500, 1000))
+  // Close the menu again so it doesn't cover the image
+  await clickWithRandomOffset(page, cropBtn)
+  await sleep(randomDelay(300, 600))
+  log('info', 'Crop mode selected', { cropMode })
+}
+
+// Expand a collapsed section of the caption step ("Accessibility", "Advanced settings")
+async function expandSection(page, texts) {
+  const expanded = await clickElementByText(page, texts)
+  if (expanded) await sleep(randomDelay(500, 1000))
+  return expanded
+}
+
+/**
+ * Write alt text for each image from the "Accessibility" section.
+ * Empty entries are skipped so Instagram keeps its automatic alt text.
+ * @returns {Promise<{status: 'applied'|'failed', error?: string}>}
+ */
+async function applyAltTexts(page, selectors, altTexts) {
+  try {
+    if (!(await expandSection(page, getPageTexts(page, 'post.accessibility')))) {
+      throw new Error('Accessibility section not found')
+    }
+
+    let inputs = []
+    for (const sel of selectors.altTextInput) {
+      inputs = await page.$$(sel)
+      if (inputs.length > 0) break
+    }
+    if (inputs.length === 0) throw new Error('Alt text inputs not found')
+    if (inputs.length < altTexts.length) {
+      throw new Error(`Expected ${altTexts.length} alt text inputs, found ${inputs.length}`)
+    }
+
+    for (let i = 0; i < altTexts.length; i++) {
+      const text = (altTexts[i] || '').trim()
+      if (!text) continue
+      await inputs[i].click({ delay: randomDelay(50, 150) })
+      for (const ch of text) {
+        await page.keyboard.type(ch, { delay: randomDelay(40, 90) })
+      }
+      await sleep(randomDelay(300, 700))
+    }
+
+    log('info', 'Alt text added', { images: altTexts.filter((text) => text && text.trim()).length })
+    return { status: 'applied' }
+  } catch (err) {
+    log('warn', 'Could not add alt text', { error: err.message })
+    return { status: 'failed', error: err.message }
+  }
+}
+
+/**
+ * Set a switch in the "Advanced settings" section identified by its label.
+ * Only clicks when the current state differs, then re-reads it to confirm.
+ * @returns {Promise<{status: 'applied'|'failed', error?: string}>}
+ */
+async function setAdvancedToggle(page, labels, enabled) {
+  const readOrToggle = (labelTexts, desired, toggle) => {
+    const wanted = labelTexts.map((text) => text.toLowerCase())
+    const nodes = Array.from(document.querySelectorAll('span, div, label'))
+    const labelNode = nodes.find((node) => {
+      const text = node.textContent?.trim().toLowerCase()
+      return text && wanted.some((label) => text === label)
+    })
+    if (!labelNode) return { found: false }
+
+    // Walk up until the row that also holds the switch
+    let row = labelNode
+    let input = null
+    while (row && !input) {
+      input = row.querySelector('input[type="checkbox"], [role="switch"]')
+      row = input ? row : row.parentElement
+    }
+    if (!input) return { found: false }
+
+    const isOn = () => input.type === 'checkbox' ? input.checked : input.getAttribute('aria-checked') === 'true'
+    if (toggle && isOn() !== desired) input.click()
+    return { found: true, on: isOn() }
+  }
+
+  try {
+    const before = await page.evaluate(readOrToggle, labels, enabled, true)
+    if (!before.found) throw new Error(`"${labels[0]}" switch not found`)
+    await sleep(randomDelay(400, 800))
+    const after = await page.evaluate(readOrToggle, labels, enabled, false)
+    if (after.on !== enabled) throw new Error(`"${labels[0]}" did not switch ${enabled ? 'on' : 'off'}`)
+    return { status: 'applied' }
+  } catch (err) {
+    log('warn', 'Could not change advanced setting', { setting: labels[0], error: err.message })
+    return { status: 'failed', error: err.message }
+  }
+}
+
+/**
+ * Publish a feed post. `imageUrls` may be a single URL or an ordered array of
+ * up to 10 URLs; more than one URL is uploaded as a carousel in that order.
+ * With `options.mediaType === 'reel'`, `imageUrls` is the video URL and
+ * `options.coverUrl` an optional cover frame, and the Reels share flow is used.
+ * `options.cropMode` ('original', '1:1', '4:5', '16:9') is picked in the crop
+ * dialog; without it Instagram's default crop is kept.
+ * `options.location` and `options.userTags` are applied on the caption step;
+ * their per-item outcome is returned as `tagging`. `options.altTexts`,
+ * `options.hideLikeCounts` and `options.disableComments` are set from the
+ * Accessibility/Advanced settings sections and reported as `settings`.
+ */
+export async function postToInstagram(page, imageUrls, caption, options = {}) {
+  // Registry entries may have changed since the last post; options.selectors still wins
+  await refreshSelectors()
+  const selectors = { ...getSelectorGroup('post'), ...(options.selectors || {}) }
   const navTimeout = options.navigationTimeoutMs || 60000
-  const processingWaitMs = options.processingWaitMs || 10000
+  const isReel = options.mediaType === 'reel'
+  // Video needs noticeably longer to process before the crop/edit UI is usable
+  const processingWaitMs = options.processingWaitMs || (isReel ? 20000 : 10000)
 
-  // temp file path
-  const uniqueName = `ig-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.jpg`
-  let localPath = ''
+  const mediaUrls = (Array.isArray(imageUrls) ? imageUrls : [imageUrls]).filter(Boolean)
+  const isCarousel = !isReel && mediaUrls.length > 1
+  const localPaths = []
+  let coverPath = ''
+  const tagging = {}
+  const settings = {}
 
   try {
-    log('info', 'Starting Instagram post flow')
+    log('info', 'Starting Instagram post flow', { mediaType: isReel ? 'reel' : (isCarousel ? 'carousel' : 'image'), slides: mediaUrls.length })
 
-    // 1) Download image
-    log('info', 'Downloading image')
-    localPath = await downloadImage(imageUrl, uniqueName)
+    if (mediaUrls.length === 0) {
+      throw new Error(isReel ? 'No video URL provided' : 'No image URL provided')
+    }
+    if (isReel && mediaUrls.length > 1) {
+      throw new Error('Reels take a single video')
+    }
+    if (mediaUrls.length > MAX_CAROUSEL_SLIDES) {
+      throw new Error(`Carousel posts support at most ${MAX_CAROUSEL_SLIDES} images`)
+    }
+
+    // 1) Download media - keep order, it decides the slide order
+    const batchId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+    if (isReel) {
+      log('info', 'Downloading video')
+      localPaths.push(await downloadImage(mediaUrls[0], `ig-${batchId}.${videoExtension(mediaUrls[0])}`))
+      if (options.coverUrl) {
+        coverPath = await downloadImage(options.coverUrl, `ig-${batchId}-cover.jpg`)
+        localPaths.push(coverPath)
+      }
+    } else {
+      log('info', isCarousel ? `Downloading ${mediaUrls.length} carousel images` : 'Downloading image')
+      for (let i = 0; i < mediaUrls.length; i++) {
+        localPaths.push(await downloadImage(mediaUrls[i], `ig-${batchId}-${i + 1}.jpg`))
+      }
+    }
     await screenshotStep(page, '01-downloaded')
 
     // 2) Ensure on instagram.com
@@ -242,17 +556,47 @@ export async function postToInstagram(page, imageUrl, caption, options = {}) {
         throw navErr
       }
     }
-    await fileInput.uploadFile(localPath)
-    log('info', 'Image uploaded to file input')
+    if (isCarousel) {
+      const acceptsMultiple = await fileInput.evaluate((el) => el.hasAttribute('multiple'))
+      if (!acceptsMultiple) {
+        log('warn', 'File input does not advertise multiple selection, uploading carousel anyway')
+      }
+    }
+    if (isReel) {
+      await fileInput.uploadFile(localPaths[0])
+      log('info', 'Video uploaded to file input')
+    } else {
+      await fileInput.uploadFile(...localPaths)
+      log('info', isCarousel ? `${localPaths.length} images uploaded to file input` : 'Image uploaded to file input')
+    }
 
     // Wait for processing UI (crop dialog) – then click Next
-    await sleep(randomDelay(5000, 10000))
+    await sleep(randomDelay(processingWaitMs / 2, processingWaitMs))
+    if (isReel) await dismissReelsNotice(page)
     await screenshotStep(page, '04-after-upload')
 
-    // Some UIs need Next twice (crop -> filters -> caption)
+    if (!isReel && options.cropMode) {
+      try {
+        await selectCropMode(page, selectors, options.cropMode)
+        await screenshotStep(page, '04-crop')
+      } catch (cropErr) {
+        log('warn', 'Could not select crop mode, keeping Instagram default', { cropMode: options.cropMode, error: cropErr.message })
+      }
+    }
+
+    // Some UIs need Next twice (crop -> filters/edit -> caption)
     for (let i = 0; i < 2; i++) {
       try {
-        const nextBtn = await waitForElementBySelectorsOrText(page, selectors.nextButton, ['Next'], 15000)
+        // Reel edit step (after crop) is where the cover is chosen
+        if (isReel && i === 1 && coverPath) {
+          try {
+            await uploadReelCover(page, selectors, coverPath)
+            await screenshotStep(page, '05-reel-cover')
+          } catch (coverErr) {
+            log('warn', 'Could not set reel cover, Instagram will use its default frame', { error: coverErr.message })
+          }
+        }
+        const nextBtn = await waitForElementBySelectorsOrText(page, selectors.nextButton, getPageTexts(page, 'post.nextButton'), 15000)
         if (!nextBtn) break
         await clickWithRandomOffset(page, nextBtn)
         await sleep(randomDelay(2000, 4000))
@@ -267,7 +611,7 @@ export async function postToInstagram(page, imageUrl, caption, options = {}) {
     if (caption && caption.trim().length > 0) {
       log('info', 'Typing caption')
       // Ensure caption field exists (support multiple locales and widget types)
-      const captionTexts = ['Write a caption', 'Tulis keterangan', 'Add a caption']
+      const captionTexts = getPageTexts(page, 'post.captionTextarea')
       const captionHandle = await waitForElementBySelectorsOrText(
         page,
         selectors.captionTextarea,
@@ -284,7 +628,33 @@ export async function postToInstagram(page, imageUrl, caption, options = {}) {
       await screenshotStep(page, '06-caption')
     }
 
-    // 6) Close any modals that might block Share button (e.g., "Tag: Search")
+    // 5b) Tag people and location - failures are reported, not fatal
+    if (!isReel && Array.isArray(options.userTags) && options.userTags.length > 0) {
+      log('info', `Tagging ${options.userTags.length} account(s)`)
+      tagging.user_tags = await applyUserTags(page, selectors, options.userTags)
+      await screenshotStep(page, '06-tags')
+    }
+    if (options.location && options.location.trim()) {
+      tagging.location = await applyLocation(page, selectors, options.location.trim())
+      await screenshotStep(page, '06-location')
+    }
+
+    // 5c) Accessibility and advanced settings - also best-effort
+    if (!isReel && Array.isArray(options.altTexts) && options.altTexts.some((text) => text && text.trim())) {
+      settings.alt_texts = await applyAltTexts(page, selectors, options.altTexts)
+    }
+    if (options.hideLikeCounts || options.disableComments) {
+      await expandSection(page, getPageTexts(page, 'post.advancedSettings'))
+      if (options.hideLikeCounts) {
+        settings.hide_like_counts = await setAdvancedToggle(page, getPageTexts(page, 'post.hideLikeCounts'), true)
+      }
+      if (options.disableComments) {
+        settings.disable_comments = await setAdvancedToggle(page, getPageTexts(page, 'post.disableComments'), true)
+      }
+    }
+    if (Object.keys(settings).length > 0) await screenshotStep(page, '06-settings')
+
+    // 6) Close any modals that might block Share button (e.g., a "Tag: Search" box left open by tagging)
     try {
       const modalClosed = await page.evaluate(() => {
         // First, look for "Tag: Search" or similar modals specifically
@@ -351,7 +721,7 @@ export async function postToInstagram(page, imageUrl, caption, options = {}) {
 
     // 6) Share
     log('info', 'Clicking Share')
-    const shareBtn = await waitForElementBySelectorsOrText(page, selectors.shareButton, ['Share'], 20000)
+    const shareBtn = await waitForElementBySelectorsOrText(page, selectors.shareButton, getPageTexts(page, 'post.shareButton'), 20000)
     await clickWithRandomOffset(page, shareBtn)
     
     // Wait for post to process - check for dialog closing, button disappearing, or success indicators
@@ -468,9 +838,9 @@ export async function postToInstagram(page, imageUrl, caption, options = {}) {
     try {
       // First, check if we're already on a post URL (Instagram sometimes redirects after sharing)
       const currentUrl = page.url()
-      if (currentUrl.includes('/p/')) {
+      if (POST_PATH_PATTERN.test(currentUrl)) {
         // Extract the post URL
-        const match = currentUrl.match(/https?:\/\/www\.instagram\.com\/p\/[^\/]+/)
+        const match = currentUrl.match(/https?:\/\/www\.instagram\.com\/(p|reel)\/[^\/]+/)
         if (match) {
           postUrl = match[0] + '/'
           log('info', 'Found post URL from redirect', { postUrl })
@@ -515,7 +885,7 @@ export async function postToInstagram(page, imageUrl, caption, options = {}) {
       if (!postUrl) {
         log('warn', 'Using fallback method to find post URL - may not be accurate')
         const href = await page.evaluate(() => {
-          const anchors = Array.from(document.querySelectorAll('a[href*="/p/"]'))
+          const anchors = Array.from(document.querySelectorAll('a[href*="/p/"], a[href*="/reel/"]'))
           if (anchors.length > 0) {
             return anchors[0].href
           }
@@ -527,7 +897,7 @@ export async function postToInstagram(page, imageUrl, caption, options = {}) {
       }
       
       // Verify the URL is valid
-      if (postUrl && !postUrl.includes('/p/')) {
+      if (postUrl && !POST_PATH_PATTERN.test(postUrl)) {
         log('warn', 'Invalid post URL format', { postUrl })
         postUrl = null
       }
@@ -574,6 +944,7 @@ export async function postToInstagram(page, imageUrl, caption, options = {}) {
                     match[1] !== 'direct' && 
                     match[1] !== 'stories' &&
                     match[1] !== 'explore' &&
+                    match[1] !== 'reel' &&
                     match[1] !== 'reels') {
                   foundUsername = match[1]
                   break
@@ -595,6 +966,7 @@ export async function postToInstagram(page, imageUrl, caption, options = {}) {
                     match[1] !== 'direct' && 
                     match[1] !== 'stories' &&
                     match[1] !== 'explore' &&
+                    match[1] !== 'reel' &&
                     match[1] !== 'reels' &&
                     !match[1].includes('.')) {
                   // Check if this looks like a username (not a path)
@@ -645,9 +1017,7 @@ export async function postToInstagram(page, imageUrl, caption, options = {}) {
     }
 
     // 7) Cleanup and finish
-    try {
-      if (localPath && fs.existsSync(localPath)) fs.unlinkSync(localPath)
-    } catch {}
+    cleanupFiles(localPaths)
 
     // Determine success based on multiple factors
     // If dialog closed and no errors, consider it successful even without URL verification
@@ -677,12 +1047,12 @@ export async function postToInstagram(page, imageUrl, caption, options = {}) {
     await sleep(randomDelay(2000, 5000))
 
     log('info', 'Post flow completed', { postUrl: postUrl || 'unknown', verified })
-    return { success: true, url: postUrl || null }
+    return { success: true, url: postUrl || null, tagging, settings }
   } catch (error) {
     log('error', 'Post flow failed', { error: error.message })
     await screenshotStep(page, 'error')
 
-    try { if (localPath && fs.existsSync(localPath)) fs.unlinkSync(localPath) } catch {}
+    cleanupFiles(localPaths)
 
     return {
       success: false,
@@ -692,5 +1062,130 @@ export async function postToInstagram(page, imageUrl, caption, options = {}) {
   }
 }
 
+/**
+ * Publish a single image as a story. Instagram only offers story creation on its
+ * mobile web layout, so the page is switched to a mobile device for the flow and
+ * restored afterwards. Returns the story permalink when it can be resolved.
+ */
+export async function postStoryToInstagram(page, imageUrl, options = {}) {
+  // Registry entries may have changed since the last post; options.selectors still wins
+  await refreshSelectors()
+  const selectors = { ...getSelectorGroup('post'), ...(options.selectors || {}) }
+  const navTimeout = options.navigationTimeoutMs || 60000
+  const processingWaitMs = options.processingWaitMs || 8000
+
+  const originalViewport = page.viewport()
+  const originalUserAgent = await page.browser().userAgent()
+  let localPath = ''
+
+  try {
+    log('info', 'Starting Instagram story flow')
+
+    if (!imageUrl) {
+      throw new Error('No image URL provided')
+    }
+
+    // 1) Download image
+    localPath = await downloadImage(imageUrl, `ig-story-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.jpg`)
+    await screenshotStep(page, 'story-01-downloaded')
+
+    // 2) Switch to mobile layout and open the story creator
+    await page.emulate(STORY_DEVICE)
+    await page.goto('https://www.instagram.com/', { waitUntil: 'networkidle2', timeout: navTimeout })
+    await sleep(randomDelay(1500, 3000))
+    // Mobile web nags about the app / notifications before anything else
+    await clickElementByText(page, getPageTexts(page, 'post.notNow'))
+    await screenshotStep(page, 'story-02-home')
+
+    let fileInput = null
+    try {
+      const entry = await waitForElementBySelectorsOrText(page, selectors.storyEntry, getPageTexts(page, 'post.storyEntry'), 15000)
+      await clickWithRandomOffset(page, entry)
+      await sleep(randomDelay(1000, 2000))
+      fileInput = await waitForAnySelector(page, selectors.storyFileInput, 10000)
+    } catch (err) {
+      log('warn', 'Story entry not found on home, navigating to create/story page', { error: err.message })
+      await page.goto('https://www.instagram.com/create/story/', { waitUntil: 'networkidle2', timeout: navTimeout })
+      await sleep(randomDelay(1000, 2000))
+      fileInput = await waitForAnySelector(page, selectors.storyFileInput, 20000)
+    }
+
+    // 3) Upload image
+    await fileInput.uploadFile(localPath)
+    log('info', 'Story image uploaded to file input')
+    await sleep(randomDelay(processingWaitMs / 2, processingWaitMs))
+    await screenshotStep(page, 'story-03-editor')
+
+    // 4) Share to story
+    const shareBtn = await waitForElementBySelectorsOrText(
+      page,
+      [],
+      getPageTexts(page, 'post.storyShare'),
+      20000
+    )
+    await clickWithRandomOffset(page, shareBtn)
+    log('info', 'Clicked add to story')
+
+    // Story editor closes (navigates away from /create/story/) once the upload finishes
+    let shared = false
+    for (let i = 0; i < 30; i++) {
+      await sleep(1000)
+      if (!page.url().includes('/create/story')) {
+        shared = true
+        break
+      }
+    }
+
+    const hasError = await page.evaluate(() => {
+      const errorTexts = ['something went wrong', 'couldn\'t upload', 'try again', 'unable to share']
+      const allText = document.body.innerText.toLowerCase()
+      return errorTexts.some(text => allText.includes(text))
+    }).catch(() => false)
+
+    await screenshotStep(page, 'story-04-shared')
+
+    if (!shared || hasError) {
+      return {
+        success: false,
+        error: hasError ? 'Instagram reported an error while sharing the story' : 'Story share not confirmed - editor did not close',
+        retryAfterMs: 0,
+      }
+    }
+
+    // 5) Resolve the story permalink: /stories/<username>/ redirects to the latest story item
+    let storyUrl = null
+    if (options.username) {
+      const storiesRoot = `https://www.instagram.com/stories/${options.username}/`
+      try {
+        await sleep(randomDelay(3000, 5000))
+        await page.goto(storiesRoot, { waitUntil: 'networkidle2', timeout: navTimeout })
+        await sleep(randomDelay(1500, 2500))
+        const match = page.url().match(/https?:\/\/www\.instagram\.com\/stories\/[^\/]+\/\d+/)
+        storyUrl = match ? `${match[0]}/` : storiesRoot
+      } catch (err) {
+        log('warn', 'Could not resolve story URL', { error: err.message })
+        storyUrl = storiesRoot
+      }
+    }
+
+    log('info', 'Story flow completed', { storyUrl: storyUrl || 'unknown' })
+    return { success: true, url: storyUrl }
+  } catch (error) {
+    log('error', 'Story flow failed', { error: error.message })
+    await screenshotStep(page, 'story-error')
+    return {
+      success: false,
+      error: error.message || 'Unknown error during story posting',
+      retryAfterMs: 0,
+    }
+  } finally {
+    cleanupFiles([localPath])
+    try {
+      await page.setUserAgent(originalUserAgent)
+      if (originalViewport) await page.setViewport(originalViewport)
+    } catch {}
+  }
+}
+
 export default postToInstagram
 
@@ -0,0 +1,149 @@
+import { getAccountTimezone, utcToZonedTime, zonedTimeToUtc } from './timezone.js'
+
+// Posting windows and blackouts of an account (accounts.posting_windows and
+// accounts.posting_blackouts), read in the account's timezone
+
+export const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MINUTE_MS = 60 * 1000
+const TIME_PATTERN = /^(\d{2}):(\d{2})$/
+const LOCAL_DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/
+// Each step jumps to a window start or a blackout end, so this is plenty
+const MAX_STEPS = 500
+
+function parseMinutes(value) {
+  const match = TIME_PATTERN.exec(value || '')
+  if (!match) return null
+  const minutes = Number(match[1]) * 60 + Number(match[2])
+  return minutes <= 24 * 60 ? minutes : null
+}
+
+// Windows with a day and a readable start/end; anything else is ignored
+function parseWindows(windows) {
+  if (!Array.isArray(windows)) return []
+  return windows
+    .map((window) => ({
+      days: (window?.days || []).map((day) => WEEKDAYS.indexOf(day)).filter((day) => day >= 0),
+      start: parseMinutes(window?.start),
+      end: parseMinutes(window?.end),
+    }))
+    .filter(({ days, start, end }) => days.length > 0 && start !== null && end !== null)
+}
+
+function parseBlackouts(blackouts, timezone) {
+  if (!Array.isArray(blackouts)) return []
+  const toUtc = (value) => {
+    const match = LOCAL_DATETIME_PATTERN.exec(value || '')
+    if (!match) return null
+    const [year, month, day, hour, minute] = match.slice(1).map(Number)
+    return zonedTimeToUtc({ year, month, day, hour, minute }, timezone)
+  }
+  return blackouts
+    .map((blackout) => ({ start: toUtc(blackout?.start), end: toUtc(blackout?.end), label: blackout?.label || null }))
+    .filter(({ start, end }) => start && end && start < end)
+}
+
+// An end at or before the start runs past midnight into the next day
+function inWindows(windows, date, timezone) {
+  const local = utcToZonedTime(date, timezone)
+  const minutes = local.hour * 60 + local.minute
+  const previousDay = (local.weekday + 6) % 7
+  return windows.some(({ days, start, end }) => {
+    if (start < end) return days.includes(local.weekday) && minutes >= start && minutes < end
+    return (days.includes(local.weekday) && minutes >= start) || (days.includes(previousDay) && minutes < end)
+  })
+}
+
+// A window starting in a DST gap opens when the clocks jump (03:00 for 02:30
+// on a 02:00 -> 03:00 night), not a gap's length after its start, which
+// zonedTimeToUtc would give and which may already be past the window's end
+function windowStartToUtc(parts, timezone) {
+  const start = zonedTimeToUtc(parts, timezone)
+  const wanted = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute)
+  const wallClock = (date) => {
+    const local = utcToZonedTime(date, timezone)
+    return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute)
+  }
+  const gap = wallClock(start) - wanted
+  if (gap <= 0) return start
+
+  // Before the jump the wall clock reads less than the start, after it at least the start
+  let before = start.getTime() - gap
+  let after = start.getTime()
+  while (after - before > MINUTE_MS) {
+    const middle = before + Math.floor((after - before) / MINUTE_MS / 2) * MINUTE_MS
+    if (wallClock(new Date(middle)) >= wanted) after = middle
+    else before = middle
+  }
+  return new Date(after)
+}
+
+// Earliest window start after a date, looking a week ahead
+function nextWindowStart(windows, after, timezone) {
+  const local = utcToZonedTime(after, timezone)
+  const localMidnight = Date.UTC(local.year, local.month - 1, local.day)
+  for (let offset = 0; offset <= 7; offset += 1) {
+    const date = new Date(localMidnight + offset * DAY_MS)
+    const weekday = (date.getUTCDay() + 6) % 7
+    const starts = windows
+      .filter(({ days }) => days.includes(weekday))
+      .map(({ start }) => windowStartToUtc({
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: Math.floor(start / 60),
+        minute: start % 60,
+      }, timezone))
+      .filter((start) => start > after)
+    if (starts.length > 0) return new Date(Math.min(...starts.map((start) => start.getTime())))
+  }
+  return null
+}
+
+/**
+ * First moment at or after `from` the account may be posted to
+ * @param {{ timezone?: string, posting_windows?: Array, posting_blackouts?: Array }} account
+ * @param {Date} [from]
+ * @returns {Date|null} null when the windows never open (e.g. no usable window)
+ */
+export function nextAllowedTime(account, from = new Date()) {
+  const timezone = getAccountTimezone(account)
+  const windows = parseWindows(account?.posting_windows)
+  const blackouts = parseBlackouts(account?.posting_blackouts, timezone)
+  const hasWindows = Array.isArray(account?.posting_windows) && account.posting_windows.length > 0
+  if (hasWindows && windows.length === 0) return null
+
+  let candidate = from
+  for (let step = 0; step < MAX_STEPS; step += 1) {
+    const blackout = blackouts.find(({ start, end }) => candidate >= start && candidate < end)
+    if (blackout) {
+      candidate = blackout.end
+      continue
+    }
+    if (windows.length === 0 || inWindows(windows, candidate, timezone)) return candidate
+    candidate = nextWindowStart(windows, candidate, timezone)
+    if (!candidate) return null
+  }
+  return null
+}
+
+/**
+ * Whether the account may be posted to at a moment
+ * @returns {boolean}
+ */
+export function isWithinPostingWindow(account, date = new Date()) {
+  return nextAllowedTime(account, date)?.getTime() === date.getTime()
+}
+
+/**
+ * Short reason for logs: which blackout or that the windows are closed
+ * @returns {string}
+ */
+export function describeClosedWindow(account, date = new Date()) {
+  const timezone = getAccountTimezone(account)
+  const blackout = parseBlackouts(account?.posting_blackouts, timezone)
+    .find(({ start, end }) => date >= start && date < end)
+  if (blackout) return `blackout${blackout.label ? ` "${blackout.label}"` : ''}`
+  return `outside posting hours (${timezone})`
+}
@@ -0,0 +1,129 @@
+import { getNewPostUrl, getPostUrls } from './review.js'
+import { compareImages } from './image-checker.js'
+import { randomDelay, sleep, log } from './utils.js'
+
+const CANDIDATE_LIMIT = parseInt(process.env.PUBLISHED_CHECK_POST_LIMIT || '5', 10)
+const SIMILARITY_THRESHOLD = parseFloat(process.env.IMAGE_SIMILARITY_THRESHOLD || '0.85')
+// Instagram's post timestamp and our clock can drift a little
+const TIMESTAMP_SLACK_MS = 5 * 60 * 1000
+const CAPTION_MATCH_LENGTH = 100
+
+function normalizeCaption(text) {
+  return (text || '').replace(/\s+/g, ' ').trim().toLowerCase()
+}
+
+// Caption text and publish time as rendered on the post page
+async function readPostDetails(page, postUrl) {
+  await page.goto(postUrl, { waitUntil: 'networkidle2', timeout: 60000 })
+  await sleep(randomDelay(1500, 3000))
+
+  return page.evaluate(() => {
+    const texts = [
+      document.querySelector('meta[property="og:title"]')?.getAttribute('content'),
+      document.querySelector('meta[property="og:description"]')?.getAttribute('content'),
+      document.querySelector('meta[name="description"]')?.getAttribute('content'),
+      ...Array.from(document.querySelectorAll('article h1, main h1')).map((el) => el.textContent),
+    ].filter(Boolean)
+    const publishedAt = document.querySelector('article time[datetime], main time[datetime]')?.getAttribute('datetime') || null
+    return { texts, publishedAt }
+  })
+}
+
+/**
+ * Whether one of the account's posts is the one we shared. Posts published
+ * before `since` never are; the caption has to match when there is one and
+ * the image when it can be compared.
+ * @param {{ texts: string[], publishedAt: string|null }} details - As read from the post page
+ * @param {Object} expected
+ * @param {string} [expected.caption]
+ * @param {string|Date} [expected.since]
+ * @param {() => Promise<{ success: boolean, similarity?: number }>} [expected.compareImage] - Compares
+ *   the post with our image; left out when there is no image
+ * @returns {Promise<{ matchedBy: string[], similarity: number|null }|null>}
+ */
+export async function matchPublishedPost(details, { caption, since, compareImage }) {
+  // Older posts (including pinned ones at the top of the grid) can't be ours
+  const sinceMs = since ? new Date(since).getTime() - TIMESTAMP_SLACK_MS : null
+  if (sinceMs && details.publishedAt && new Date(details.publishedAt).getTime() < sinceMs) {
+    return null
+  }
+
+  const matchedBy = []
+  const expectedCaption = normalizeCaption(caption).slice(0, CAPTION_MATCH_LENGTH)
+  if (expectedCaption) {
+    const captionMatches = details.texts.some((text) => normalizeCaption(text).includes(expectedCaption))
+    if (!captionMatches) return null
+    matchedBy.push('caption')
+  }
+
+  let similarity = null
+  if (compareImage) {
+    const comparison = await compareImage()
+    if (comparison.success) {
+      similarity = comparison.similarity
+      if (similarity < SIMILARITY_THRESHOLD) return null
+      matchedBy.push('image')
+    }
+  }
+
+  // An image that couldn't be compared only counts next to a caption match
+  return matchedBy.length > 0 ? { matchedBy, similarity } : null
+}
+
+/**
+ * Look through the account's most recent posts for one that matches the
+ * caption and image of a post we may already have shared, so a retry can
+ * adopt its URL instead of posting the same media twice.
+ *
+ * A caption is required to match when there is one; the image must match as
+ * well, except when it cannot be compared (e.g. download failed), in which
+ * case a caption match is enough to stay on the safe side.
+ *
+ * @param {import('puppeteer').Page} page - Logged-in page
+ * @param {Object} params
+ * @param {string} params.username - Instagram username of the account
+ * @param {string} [params.caption]
+ * @param {string} [params.imageUrl] - Image the post should show (cropped variant or cover frame)
+ * @param {string|Date} [params.since] - Ignore posts published before this moment
+ * @returns {Promise<{ url: string, matchedBy: string[], similarity: number|null }|null>}
+ */
+export async function findPublishedPost(page, { username, caption, imageUrl, since }) {
+  const expectedCaption = normalizeCaption(caption).slice(0, CAPTION_MATCH_LENGTH)
+  if (!expectedCaption && !imageUrl) return null
+
+  // Newest grid item first (includes reels), then the rest of the recent posts
+  const candidates = []
+  try {
+    const newest = await getNewPostUrl(page, username)
+    if (newest) candidates.push(newest)
+  } catch (error) {
+    log('warn', 'Could not read newest post from profile', { username, error: error.message })
+  }
+  try {
+    const recent = await getPostUrls(page, username, CANDIDATE_LIMIT)
+    for (const url of recent) {
+      if (!candidates.includes(url)) candidates.push(url)
+    }
+  } catch (error) {
+    log('warn', 'Could not read recent posts from profile', { username, error: error.message })
+  }
+
+  for (const url of candidates.slice(0, CANDIDATE_LIMIT)) {
+    try {
+      const details = await readPostDetails(page, url)
+      const match = await matchPublishedPost(details, {
+        caption,
+        since,
+        compareImage: imageUrl ? () => compareImages(imageUrl, page, url) : undefined,
+      })
+      if (!match) continue
+
+      log('info', 'Found matching post on profile', { username, url, ...match })
+      return { url, ...match }
+    } catch (error) {
+      log('warn', 'Could not inspect post while looking for a match', { username, url, error: error.message })
+    }
+  }
+
+  return null
+}
@@ -0,0 +1,75 @@
+import { randomDelay, sleep, log } from './utils.js'
+import { getPageTexts, refreshSelectors } from './selectors.js'
+import { pageShowsText, clickDialogButton, dialogHasButton, openMoreOptions } from './post-menu.js'
+
+/**
+ * Delete or archive a published post through its "..." menu
+ * @param {import('puppeteer').Page} page - Page logged in as the post owner
+ * @param {string} postUrl - Instagram post URL (/p/ or /reel/)
+ * @param {'delete'|'archive'} action
+ * @returns {Promise<{success: boolean, alreadyRemoved?: boolean, error?: string}>}
+ */
+export async function removePublishedPost(page, postUrl, action = 'delete') {
+  await refreshSelectors()
+  try {
+    if (!postUrl) throw new Error('No post URL to remove')
+
+    log('info', `Opening post to ${action}`, { postUrl })
+    await page.goto(postUrl, { waitUntil: 'networkidle2', timeout: 60000 })
+    await sleep(randomDelay(1500, 3000))
+
+    if (await pageShowsText(page, getPageTexts(page, 'post.unavailable'))) {
+      log('info', 'Post is no longer available, nothing to remove', { postUrl })
+      return { success: true, alreadyRemoved: true }
+    }
+
+    if (!await openMoreOptions(page)) {
+      throw new Error('Post menu ("...") not found')
+    }
+    await sleep(randomDelay(800, 1500))
+
+    const itemTexts = getPageTexts(page, action === 'archive' ? 'post.archiveMenuItem' : 'post.deleteMenuItem')
+    if (!await clickDialogButton(page, itemTexts)) {
+      throw new Error(`"${itemTexts[0]}" option not found in the post menu (is this account the owner?)`)
+    }
+    await sleep(randomDelay(800, 1500))
+
+    if (action === 'delete') {
+      // Instagram asks for confirmation before deleting
+      if (!await clickDialogButton(page, getPageTexts(page, 'post.deleteMenuItem'))) {
+        throw new Error('Delete confirmation not found')
+      }
+      await sleep(randomDelay(3000, 5000))
+
+      await page.goto(postUrl, { waitUntil: 'networkidle2', timeout: 60000 })
+      await sleep(randomDelay(1500, 3000))
+      if (!await pageShowsText(page, getPageTexts(page, 'post.unavailable'))) {
+        throw new Error('Post is still visible after deleting')
+      }
+    } else {
+      await sleep(randomDelay(2000, 4000))
+
+      // The owner still sees an archived post on its permalink; its menu then offers
+      // "Show on profile" where it offered "Archive"
+      await page.goto(postUrl, { waitUntil: 'networkidle2', timeout: 60000 })
+      await sleep(randomDelay(1500, 3000))
+      if (!await pageShowsText(page, getPageTexts(page, 'post.unavailable'))) {
+        if (!await openMoreOptions(page)) {
+          throw new Error('Post menu ("...") not found after archiving')
+        }
+        await sleep(randomDelay(800, 1500))
+        const archived = await dialogHasButton(page, getPageTexts(page, 'post.showOnProfileMenuItem'))
+        await page.keyboard.press('Escape')
+        if (!archived) {
+          throw new Error('Post is still on the profile after archiving')
+        }
+      }
+    }
+
+    log('info', `Post ${action === 'delete' ? 'deleted' : 'archived'}`, { postUrl })
+    return { success: true }
+  } catch (error) {
+    log('error', `Failed to ${action} post`, { postUrl, error: error.message })
+    return { success: false, error: error.message }
+  }
+}
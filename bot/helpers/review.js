@@ -1,5 +1,7 @@
 import { loginToInstagram } from './login.js'
 import { decryptPassword } from '../utils/encryption.js'
+import { getSelectors, refreshSelectors } from './selectors.js'
+import { getPageLocale, parseCount } from './locale.js'
 
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms))
@@ -9,38 +11,16 @@ function random(min, max) {
   return Math.floor(Math.random() * (max - min + 1)) + min
 }
 
-/**
- * Extract number from text (e.g., "1,234" -> 1234, "1.2K" -> 1200)
- */
-function parseCount(text) {
-  if (!text) return 0
-  if (typeof text !== 'string' && typeof text !== 'number') return 0
-  
-  // If it's already a number, return it
-  if (typeof text === 'number') return Math.floor(text)
-  
-  const cleaned = text.toString().trim().replace(/,/g, '')
-  
-  // Handle K, M suffixes
-  const lower = cleaned.toLowerCase()
-  if (lower.endsWith('k')) {
-    const num = parseFloat(cleaned.slice(0, -1))
-    return Math.floor(num * 1000)
-  }
-  if (lower.endsWith('m')) {
-    const num = parseFloat(cleaned.slice(0, -1))
-    return Math.floor(num * 1000000)
-  }
-  
-  const parsed = parseFloat(cleaned)
-  return isNaN(parsed) ? 0 : Math.floor(parsed)
-}
+// A count as shown on the page, with any unit that follows it ("1,234", "1.2K", "12,3 rb");
+// parseCount in locale.js ignores words that are not a unit of the page's language
+const COUNT_PATTERN = '\\d[\\d.,]*(?:\\s?[^\\s\\d.,]+)?'
 
 /**
  * Get account stats from profile page
  * Returns: { postsCount, followersCount, followingCount }
  */
 export async function getAccountStats(page, username) {
+  await refreshSelectors()
   try {
     // Navigate to profile
     await page.goto(`https://www.instagram.com/${username}/`, {
@@ -51,7 +31,7 @@ export async function getAccountStats(page, username) {
     await sleep(random(2000, 4000))
     
     // Extract stats from profile page
-    const stats = await page.evaluate(async (profileUsername) => {
+    const stats = await page.evaluate(async (profileUsername, statSelectors, countPattern) => {
       const result = {
         postsCount: null,
         followersCount: null,
@@ -145,20 +125,12 @@ export async function getAccountStats(page, username) {
 
       const extractNumber = (text) => {
         if (!text) return null
-        const match = text.replace(/\s+/g, ' ').match(/[\d.,KMkm]+/)
+        const match = text.replace(/\s+/g, ' ').match(new RegExp(countPattern))
         return match ? match[0] : null
       }
 
       // 4) Fallback: parse visible DOM elements
       if (result.postsCount === null || result.followersCount === null || result.followingCount === null) {
-        const statSelectors = [
-          'header section ul li span',
-          'header section ul li div span',
-          'header section ul li',
-          'header section div[role="menubar"] li',
-          'header section ul[role="menubar"] li',
-        ]
-
         let statElements = []
         for (const selector of statSelectors) {
           statElements = Array.from(document.querySelectorAll(selector))
@@ -213,13 +185,14 @@ export async function getAccountStats(page, username) {
         followersCount: normalizeValue(result.followersCount),
         followingCount: normalizeValue(result.followingCount),
       }
-    }, username)
+    }, username, getSelectors('review.profileStats'), COUNT_PATTERN)
     
     // Parse the counts
+    const locale = getPageLocale(page)
     return {
-      postsCount: parseCount(stats.postsCount),
-      followersCount: parseCount(stats.followersCount),
-      followingCount: parseCount(stats.followingCount)
+      postsCount: parseCount(stats.postsCount, locale),
+      followersCount: parseCount(stats.followersCount, locale),
+      followingCount: parseCount(stats.followingCount, locale)
     }
   } catch (error) {
     throw new Error(`Failed to get account stats: ${error.message}`)
@@ -370,6 +343,7 @@ export async function getPostUrls(page, username, limit = 12) {
  * Returns: Array of { username, commentText, isReply, parentCommentId }
  */
 export async function getPostComments(page, postUrl) {
+  await refreshSelectors()
   try {
     await page.goto(postUrl, {
       waitUntil: 'networkidle2',
@@ -386,7 +360,7 @@ export async function getPostComments(page, postUrl) {
     
     // Click "View more comments" if exists
     try {
-      const viewMoreButton = await page.$('button:has-text("View more comments"), button:has-text("View replies")')
+      const viewMoreButton = await page.$(getSelectors('review.viewMoreComments').join(', '))
       if (viewMoreButton) {
         await viewMoreButton.click()
         await sleep(random(1000, 2000))
@@ -395,17 +369,10 @@ export async function getPostComments(page, postUrl) {
       // Ignore if button doesn't exist
     }
     
-    const comments = await page.evaluate(() => {
+    const comments = await page.evaluate((commentSelectors) => {
       const result = []
       
       // Find all comment containers
-      const commentSelectors = [
-        'article ul li',
-        'article div[role="button"]',
-        'ul[role="list"] li',
-        'div[data-testid="comment"]'
-      ]
-      
       let commentElements = []
       for (const selector of commentSelectors) {
         commentElements = Array.from(document.querySelectorAll(selector))
@@ -491,7 +458,7 @@ export async function getPostComments(page, postUrl) {
       }
       
       return result
-    })
+    }, getSelectors('review.comments'))
     
     // Process replies - try to match them to parent comments
     const processedComments = []
@@ -537,7 +504,8 @@ export async function getPostStats(page, postUrl) {
     
     await sleep(random(2000, 3000))
     
-    const stats = await page.evaluate(() => {
+    const stats = await page.evaluate((countPattern) => {
+      const countRegex = new RegExp(countPattern)
       const result = {
         viewsCount: 0,
         likesCount: 0,
@@ -595,7 +563,7 @@ export async function getPostStats(page, postUrl) {
         
         // Likes
         if (ariaLabel.toLowerCase().includes('like') && !result.likesCount) {
-          const match = text.match(/[\d,KMkm.]+/) || ariaLabel.match(/[\d,KMkm.]+/)
+          const match = text.match(countRegex) || ariaLabel.match(countRegex)
           if (match) {
             result.likesCount = match[0]
           }
@@ -603,7 +571,7 @@ export async function getPostStats(page, postUrl) {
         
         // Comments
         if (ariaLabel.toLowerCase().includes('comment') && !result.commentsCount) {
-          const match = text.match(/[\d,KMkm.]+/) || ariaLabel.match(/[\d,KMkm.]+/)
+          const match = text.match(countRegex) || ariaLabel.match(countRegex)
           if (match) {
             result.commentsCount = match[0]
           }
@@ -611,7 +579,7 @@ export async function getPostStats(page, postUrl) {
         
         // Views
         if (ariaLabel.toLowerCase().includes('view') && !result.viewsCount) {
-          const match = text.match(/[\d,KMkm.]+/) || ariaLabel.match(/[\d,KMkm.]+/)
+          const match = text.match(countRegex) || ariaLabel.match(countRegex)
           if (match) {
             result.viewsCount = match[0]
           }
@@ -627,7 +595,7 @@ export async function getPostStats(page, postUrl) {
       
       if (likeButtons.length > 0 && !result.likesCount) {
         const likeText = likeButtons[0].textContent || ''
-        const match = likeText.match(/[\d,KMkm.]+/)
+        const match = likeText.match(countRegex)
         if (match) {
           result.likesCount = match[0]
         }
@@ -642,7 +610,7 @@ export async function getPostStats(page, postUrl) {
       
       if (commentButtons.length > 0 && !result.commentsCount) {
         const commentText = commentButtons[0].textContent || ''
-        const match = commentText.match(/[\d,KMkm.]+/)
+        const match = commentText.match(countRegex)
         if (match) {
           result.commentsCount = match[0]
         }
@@ -673,13 +641,14 @@ export async function getPostStats(page, postUrl) {
       }
       
       return result
-    })
+    }, COUNT_PATTERN)
     
     // Parse the counts
+    const locale = getPageLocale(page)
     return {
-      viewsCount: parseCount(stats.viewsCount),
-      likesCount: parseCount(stats.likesCount),
-      commentsCount: parseCount(stats.commentsCount)
+      viewsCount: parseCount(stats.viewsCount, locale),
+      likesCount: parseCount(stats.likesCount, locale),
+      commentsCount: parseCount(stats.commentsCount, locale)
     }
   } catch (error) {
     throw new Error(`Failed to get post stats for ${postUrl}: ${error.message}`)
@@ -692,6 +661,7 @@ export async function getPostStats(page, postUrl) {
  * Returns: post URL or null
  */
 export async function getNewPostUrl(page, username) {
+  await refreshSelectors()
   try {
     // Navigate to profile
     await page.goto(`https://www.instagram.com/${username}/`, {
@@ -701,14 +671,14 @@ export async function getNewPostUrl(page, username) {
     
     await sleep(random(2000, 3000))
     
-    // Get the first post URL (should be the newly created one)
-    const postUrl = await page.evaluate(() => {
-      const postLinks = Array.from(document.querySelectorAll('a[href*="/p/"]'))
+    // Get the first post URL (should be the newly created one); reels use /reel/ permalinks
+    const postUrl = await page.evaluate((linkSelector) => {
+      const postLinks = Array.from(document.querySelectorAll(linkSelector))
       // Filter to only get links that are actual post links
       const gridPosts = postLinks.filter(link => {
         const href = link.getAttribute('href')
         const parent = link.closest('article, div[role="button"]')
-        return parent && href && href.startsWith('/p/')
+        return parent && href && (href.startsWith('/p/') || href.startsWith('/reel/'))
       })
       
       if (gridPosts.length > 0) {
@@ -719,7 +689,7 @@ export async function getNewPostUrl(page, username) {
         return href
       }
       return null
-    })
+    }, getSelectors('review.gridPostLinks').join(', '))
     
     return postUrl
   } catch (error) {
@@ -750,7 +720,8 @@ export async function reviewAccount(page, account) {
       page,
       account.instagram_username,
       password,
-      savedCookies
+      savedCookies,
+      { accountId: account.id }
     )
     
     if (!loginResult.success) {
@@ -0,0 +1,147 @@
+import fs from 'fs'
+import path from 'path'
+import puppeteer from 'puppeteer'
+import { fileURLToPath } from 'url'
+import { getBrowserConfig } from './utils.js'
+import { getRegistryKeys, getSelectors, getTexts } from './selectors.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+export const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'dom')
+const MANIFEST_FILE = path.join(FIXTURES_DIR, 'fixtures.json')
+
+// Groups used by post.js, login.js, review.js and comment.js
+const CHECKED_PREFIXES = ['post', 'login', 'review', 'comment']
+
+/**
+ * Fixtures listed in fixtures.json plus any other .html file in the folder
+ * (those have no expectations and are only reported)
+ * @returns {Array<{ file: string, path: string, description: string|null, locale: string|null, expect: string[] }>}
+ */
+export function loadFixtures() {
+  const manifest = fs.existsSync(MANIFEST_FILE)
+    ? JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'))
+    : {}
+  const files = new Set([
+    ...Object.keys(manifest),
+    ...fs.readdirSync(FIXTURES_DIR).filter((file) => file.endsWith('.html')),
+  ])
+
+  return [...files].sort().map((file) => ({
+    file,
+    path: path.join(FIXTURES_DIR, file),
+    description: manifest[file]?.description || null,
+    locale: manifest[file]?.locale || null,
+    expect: manifest[file]?.expect || [],
+  }))
+}
+
+// Same matching as findElementByText/clickElementByText in post.js
+async function resolveOnPage(page, selectors, texts) {
+  return page.evaluate((selectorList, textList) => {
+    const matchedSelectors = []
+    const invalidSelectors = []
+    for (const selector of selectorList) {
+      try {
+        if (document.querySelector(selector)) matchedSelectors.push(selector)
+      } catch {
+        invalidSelectors.push(selector)
+      }
+    }
+
+    const candidates = Array.from(document.querySelectorAll('button, div[role="button"], span, a'))
+      .map((node) => node.textContent?.replace(/\s+/g, ' ').trim().toLowerCase())
+      .filter(Boolean)
+    const matchedTexts = textList.filter((text) => {
+      const target = text.trim().toLowerCase()
+      return candidates.some((candidate) => candidate.includes(target))
+    })
+
+    return { matchedSelectors, invalidSelectors, matchedTexts }
+  }, selectors, texts)
+}
+
+/**
+ * Resolve every registry entry against a saved HTML snapshot. Scripts and
+ * network requests are blocked so the page renders exactly as saved.
+ * @param {import('puppeteer').Browser} browser
+ * @param {{ file: string, path: string, locale: string|null, expect: string[] }} fixture
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Only check texts of this locale (plus English)
+ * @returns {Promise<{ file: string, entries: Object[], broken: string[] }>}
+ */
+export async function checkFixture(browser, fixture, { locale } = {}) {
+  const page = await browser.newPage()
+  try {
+    await page.setJavaScriptEnabled(false)
+    await page.setRequestInterception(true)
+    page.on('request', (request) => {
+      if (request.url().startsWith('data:')) request.continue()
+      else request.abort()
+    })
+    await page.setContent(fs.readFileSync(fixture.path, 'utf8'), { waitUntil: 'domcontentloaded' })
+
+    const textLocale = locale || fixture.locale || undefined
+    const entries = []
+    for (const prefix of CHECKED_PREFIXES) {
+      for (const key of getRegistryKeys(prefix)) {
+        const selectors = getSelectors(key)
+        const texts = getTexts(key, textLocale)
+        const result = await resolveOnPage(page, selectors, texts)
+        entries.push({
+          key,
+          expected: fixture.expect.includes(key),
+          resolved: result.matchedSelectors.length > 0 || result.matchedTexts.length > 0,
+          ...result,
+        })
+      }
+    }
+
+    const unknown = fixture.expect.filter((key) => !entries.some((entry) => entry.key === key))
+    const broken = [
+      ...entries.filter((entry) => entry.expected && !entry.resolved).map((entry) => entry.key),
+      ...unknown,
+    ]
+    return { file: fixture.file, description: fixture.description, entries, broken, unknown }
+  } finally {
+    await page.close().catch(() => {})
+  }
+}
+
+/**
+ * Check all fixtures (or the given files) in one headless browser
+ * @param {Object} [options]
+ * @param {string[]} [options.files] - Fixture file names or paths
+ * @param {string} [options.locale]
+ * @returns {Promise<{ fixtures: Object[], broken: number, invalidSelectors: string[] }>}
+ */
+export async function runSelectorHealthCheck({ files = [], locale } = {}) {
+  const known = loadFixtures()
+  const fixtures = files.length > 0
+    ? files.map((file) => {
+      const name = path.basename(file)
+      const fixture = known.find((item) => item.file === name) || { file: name, description: null, locale: null, expect: [] }
+      return { ...fixture, path: fs.existsSync(file) ? path.resolve(file) : path.join(FIXTURES_DIR, name) }
+    })
+    : known
+
+  const browser = await puppeteer.launch({ ...getBrowserConfig(), headless: 'new' })
+  try {
+    const results = []
+    for (const fixture of fixtures) {
+      results.push(await checkFixture(browser, fixture, { locale }))
+    }
+
+    const invalidSelectors = [...new Set(results.flatMap((result) =>
+      result.entries.flatMap((entry) => entry.invalidSelectors.map((selector) => `${entry.key}: ${selector}`))
+    ))]
+    return {
+      fixtures: results,
+      broken: results.reduce((sum, result) => sum + result.broken.length, 0),
+      invalidSelectors,
+    }
+  } finally {
+    await browser.close().catch(() => {})
+  }
+}
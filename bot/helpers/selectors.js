@@ -0,0 +1,172 @@
+import fs from 'fs'
+import path from 'path'
+import dotenv from 'dotenv'
+import { fileURLToPath } from 'url'
+import { log } from './utils.js'
+import { getJobStore } from './jobs.js'
+import { DEFAULT_LOCALE, getAvailableLocales, getPackTexts, getPageLocale, loadLocalePacks } from './locale.js'
+
+dotenv.config()
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// Defaults shipped with the bot; `version` is bumped whenever an entry changes
+const REGISTRY_FILE = process.env.SELECTOR_REGISTRY_FILE || path.join(__dirname, '..', 'config', 'selectors.json')
+const REFRESH_INTERVAL_MS = parseInt(process.env.SELECTOR_REFRESH_INTERVAL_MS || '60000', 10)
+
+let fileRegistry = { version: 0, entries: {} }
+let fileMtimeMs = 0
+// Custom entries edited through the API, keyed like the file entries
+let customEntries = {}
+let customSignature = null
+let lastRefreshAt = 0
+let refreshing = null
+
+// Re-read selectors.json when it changed on disk; a broken file keeps the last good copy
+function loadRegistryFile() {
+  try {
+    const { mtimeMs } = fs.statSync(REGISTRY_FILE)
+    if (mtimeMs === fileMtimeMs) return false
+
+    const parsed = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf8'))
+    if (!parsed || typeof parsed.entries !== 'object') {
+      throw new Error('Registry file must contain an "entries" object')
+    }
+    fileRegistry = { version: parseInt(parsed.version, 10) || 0, entries: parsed.entries }
+    fileMtimeMs = mtimeMs
+    return true
+  } catch (error) {
+    log('warn', 'Could not load selector registry file', { file: REGISTRY_FILE, error: error.message })
+    return false
+  }
+}
+
+loadRegistryFile()
+
+function getEntry(key) {
+  return customEntries[key] || fileRegistry.entries[key] || null
+}
+
+/**
+ * CSS selectors for a registry key, in the order they should be tried
+ * @param {string} key - e.g. 'post.shareButton'
+ * @returns {string[]}
+ */
+export function getSelectors(key) {
+  return [...(getEntry(key)?.selectors || [])]
+}
+
+/**
+ * Visible texts for a registry key. Texts of the entry itself come first, then
+ * the locale pack's. With a locale, that locale's variants are returned followed
+ * by English; without one every variant is returned.
+ * @param {string} key - e.g. 'post.nextButton'
+ * @param {string} [locale] - UI language of the account, e.g. 'id'
+ * @returns {string[]}
+ */
+export function getTexts(key, locale) {
+  const texts = getEntry(key)?.texts || {}
+  const locales = locale
+    ? [locale, DEFAULT_LOCALE]
+    : [...new Set([DEFAULT_LOCALE, ...Object.keys(texts), ...getAvailableLocales()])]
+  const result = []
+  for (const lang of locales) {
+    for (const text of [...(texts[lang] || []), ...getPackTexts(lang, key)]) {
+      if (!result.includes(text)) result.push(text)
+    }
+  }
+  return result
+}
+
+/**
+ * Texts for a registry key in the language the page is shown in
+ * (see setPageLocale in locale.js); every locale when it is not known yet
+ * @param {import('puppeteer').Page} page
+ * @param {string} key
+ * @returns {string[]}
+ */
+export function getPageTexts(page, key) {
+  return getTexts(key, getPageLocale(page))
+}
+
+/**
+ * Every registry key, optionally limited to a prefix such as 'login'
+ * @param {string} [prefix]
+ * @returns {string[]}
+ */
+export function getRegistryKeys(prefix) {
+  const keys = new Set([...Object.keys(fileRegistry.entries), ...Object.keys(customEntries)])
+  return [...keys]
+    .filter((key) => !prefix || key.startsWith(`${prefix}.`))
+    .sort()
+}
+
+/**
+ * All selector lists under a prefix, keyed by the rest of the key
+ * (e.g. getSelectorGroup('post').shareButton)
+ * @param {string} prefix
+ * @returns {Object<string, string[]>}
+ */
+export function getSelectorGroup(prefix) {
+  const group = {}
+  for (const key of getRegistryKeys(prefix)) {
+    const selectors = getSelectors(key)
+    if (selectors.length > 0) group[key.slice(prefix.length + 1)] = selectors
+  }
+  return group
+}
+
+/**
+ * Reload the registry if the refresh interval passed: the file is re-read when
+ * it changed and custom entries are pulled from the database. Call this at the
+ * start of each flow; failures keep the previously loaded entries.
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Ignore the refresh interval
+ */
+export async function refreshSelectors({ force = false } = {}) {
+  if (!force && Date.now() - lastRefreshAt < REFRESH_INTERVAL_MS) return
+  if (refreshing) return refreshing
+
+  refreshing = (async () => {
+    lastRefreshAt = Date.now()
+    if (loadRegistryFile()) {
+      log('info', 'Selector registry file loaded', { version: fileRegistry.version })
+    }
+    if (loadLocalePacks()) {
+      log('info', 'Locale packs loaded', { locales: getAvailableLocales() })
+    }
+
+    try {
+      // File defaults are mirrored into the database so they can be viewed and edited
+      const rows = await getJobStore().syncSelectors(fileRegistry)
+
+      const customRows = rows.filter((row) => row.source === 'custom')
+      const signature = customRows.map((row) => `${row.key}@${row.version}`).sort().join(',')
+      if (signature !== customSignature) {
+        customEntries = Object.fromEntries(customRows.map((row) => [row.key, row]))
+        if (customSignature !== null) {
+          log('info', 'Selector registry reloaded from database', { customEntries: Object.keys(customEntries).length })
+        }
+        customSignature = signature
+      }
+    } catch (error) {
+      log('warn', 'Could not refresh selector registry from database, using cached entries', { error: error.message })
+    }
+  })().finally(() => {
+    refreshing = null
+  })
+  return refreshing
+}
+
+/**
+ * Registry state for health checks and logs
+ * @returns {{ fileVersion: number, customEntries: string[], lastRefreshAt: string|null }}
+ */
+export function getRegistryInfo() {
+  return {
+    fileVersion: fileRegistry.version,
+    customEntries: Object.keys(customEntries),
+    lastRefreshAt: lastRefreshAt ? new Date(lastRefreshAt).toISOString() : null,
+  }
+}
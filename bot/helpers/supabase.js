@@ -0,0 +1,18 @@
+import dotenv from 'dotenv'
+import { createClient } from '@supabase/supabase-js'
+
+dotenv.config()
+
+let client = null
+
+/**
+ * Service role client, created on first use so that commands which never
+ * touch the database (e.g. check:selectors) run without SUPABASE_URL
+ * @returns {import('@supabase/supabase-js').SupabaseClient}
+ */
+export function getSupabase() {
+  if (!client) {
+    client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  }
+  return client
+}
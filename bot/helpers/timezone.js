@@ -0,0 +1,80 @@
+// Wall-clock time in an account's zone. Accounts without a (valid) zone use UTC.
+
+export const DEFAULT_TIMEZONE = 'UTC'
+
+const formatters = new Map()
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }))
+  }
+  return formatters.get(timezone)
+}
+
+/**
+ * @param {string} timezone - IANA name, e.g. 'Europe/Berlin'
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false
+  try {
+    getFormatter(timezone)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Zone the account's posting windows and daily counters are read in
+ * @param {{ timezone?: string }} account
+ * @returns {string}
+ */
+export function getAccountTimezone(account) {
+  return isValidTimezone(account?.timezone) ? account.timezone : DEFAULT_TIMEZONE
+}
+
+// Offset of a zone from UTC at an instant, in ms
+function zoneOffset(timestamp, timezone) {
+  const parts = Object.fromEntries(
+    getFormatter(timezone).formatToParts(new Date(timestamp)).map(({ type, value }) => [type, value])
+  )
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  return asUtc - Math.floor(timestamp / 1000) * 1000
+}
+
+/**
+ * UTC instant of a wall-clock time in a zone; times skipped by a DST jump move forward
+ * @returns {Date}
+ */
+export function zonedTimeToUtc({ year, month, day, hour, minute }, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute)
+  const first = wallClock - zoneOffset(wallClock, timezone)
+  const second = wallClock - zoneOffset(first, timezone)
+  return new Date(first === second ? first : Math.max(first, second))
+}
+
+/**
+ * Wall-clock parts of an instant in a zone; weekday is 0 = Monday … 6 = Sunday
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, weekday: number }}
+ */
+export function utcToZonedTime(date, timezone) {
+  const local = new Date(date.getTime() + zoneOffset(date.getTime(), timezone))
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth() + 1,
+    day: local.getUTCDate(),
+    hour: local.getUTCHours(),
+    minute: local.getUTCMinutes(),
+    weekday: (local.getUTCDay() + 6) % 7,
+  }
+}
@@ -6,20 +6,14 @@ import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
 import dotenv from 'dotenv';
-import { createClient } from '@supabase/supabase-js';
 import { fileURLToPath } from 'url';
+import { getAccountTimezone, utcToZonedTime } from './timezone.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 dotenv.config();
 
-// Supabase client (service role key for server-side bot)
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
-
 /**
  * Download image from URL to local file
  * @param {string} imageUrl - URL of the image to download
@@ -147,86 +141,20 @@ export async function randomMouseMove(page) {
 }
 
 /**
- * Check daily post limit for an account (default 25/day). Resets if day changed.
- * @param {string|number} accountId
- * @returns {Promise<boolean>} - true if allowed to post
+ * Posts an account made on its current local day: posts_today counts the day of
+ * last_post_at in the account's timezone and starts over at its midnight
+ * @param {{ posts_today?: number, last_post_at?: string, timezone?: string }} account
+ * @param {Date} [now]
+ * @returns {number}
  */
-export async function checkDailyLimit(accountId) {
-  try {
-    const { data: account, error } = await supabase
-      .from('accounts')
-      .select('id, posts_today, last_post_at')
-      .eq('id', accountId)
-      .single();
-
-    if (error) throw error;
-    const postsToday = account?.posts_today || 0;
-    const lastPostAt = account?.last_post_at ? new Date(account.last_post_at) : null;
-
-    const now = new Date();
-    let currentCount = postsToday;
-
-    // Reset if last post not same UTC date
-    const isSameDay = lastPostAt && lastPostAt.toISOString().slice(0, 10) === now.toISOString().slice(0, 10);
-    if (!isSameDay && postsToday > 0) {
-      await supabase
-        .from('accounts')
-        .update({ posts_today: 0 })
-        .eq('id', accountId);
-      currentCount = 0;
-    }
-
-    return currentCount < 25;
-  } catch (e) {
-    log('warn', 'checkDailyLimit failed, defaulting to allow', { error: e.message, accountId });
-    return true;
-  }
-}
-
-/**
- * Update post status for a given post/account and increment account counter on success
- * @param {string} postId
- * @param {string} accountId
- * @param {'pending'|'processing'|'completed'|'failed'} status
- * @param {{ error_message?: string, instagram_post_url?: string }} data
- */
-export async function updatePostStatus(postId, accountId, status, data = {}) {
-  try {
-    const update = {
-      status,
-      updated_at: new Date().toISOString(),
-    };
-
-    if (status === 'completed') {
-      update.posted_at = new Date().toISOString();
-      if (data.instagram_post_url) update.instagram_post_url = data.instagram_post_url;
-      update.error_message = null;
-    } else if (status === 'failed') {
-      update.error_message = data.error_message || 'Unknown error';
-    }
-
-    await supabase
-      .from('post_accounts')
-      .update(update)
-      .eq('post_id', postId)
-      .eq('account_id', accountId);
-
-    if (status === 'completed') {
-      // Increment posts_today and set last_post_at
-      const { data: accRow } = await supabase
-        .from('accounts')
-        .select('posts_today')
-        .eq('id', accountId)
-        .single();
-      const current = accRow?.posts_today || 0;
-      await supabase
-        .from('accounts')
-        .update({ posts_today: current + 1, last_post_at: new Date().toISOString() })
-        .eq('id', accountId);
-    }
-  } catch (e) {
-    log('warn', 'updatePostStatus failed', { error: e.message, postId, accountId, status });
-  }
+export function getPostsToday(account, now = new Date()) {
+  if (!account?.posts_today || !account.last_post_at) return 0;
+  const timezone = getAccountTimezone(account);
+  const dayKey = (date) => {
+    const { year, month, day } = utcToZonedTime(date, timezone);
+    return `${year}-${month}-${day}`;
+  };
+  return dayKey(new Date(account.last_post_at)) === dayKey(now) ? account.posts_today : 0;
 }
 
 /**
@@ -241,58 +169,6 @@ export function getBrowserConfig() {
   };
 }
 
-/**
- * Save cookies for an account
- * @param {string} accountId
- * @param {Array<object>} cookies
- */
-export async function saveCookies(accountId, cookies) {
-  try {
-    // Optional: compute min expiry across cookies if present
-    let minExpiry = null;
-    for (const c of cookies || []) {
-      if (typeof c.expires === 'number' && c.expires > 0) {
-        const expMs = c.expires * 1000;
-        if (!minExpiry || expMs < minExpiry) minExpiry = expMs;
-      }
-    }
-    const cookiesExpiresAt = minExpiry ? new Date(minExpiry).toISOString() : null;
-
-    await supabase
-      .from('accounts')
-      .update({ cookies, cookies_expires_at: cookiesExpiresAt })
-      .eq('id', accountId);
-  } catch (e) {
-    log('warn', 'saveCookies failed', { error: e.message, accountId });
-  }
-}
-
-/**
- * Load cookies for an account if not expired
- * @param {string} accountId
- * @returns {Promise<Array<object>|null>}
- */
-export async function loadCookies(accountId) {
-  try {
-    const { data: acc, error } = await supabase
-      .from('accounts')
-      .select('cookies, cookies_expires_at')
-      .eq('id', accountId)
-      .single();
-    if (error) throw error;
-    if (!acc?.cookies) return null;
-
-    if (acc.cookies_expires_at) {
-      const exp = new Date(acc.cookies_expires_at);
-      if (Date.now() > exp.getTime()) return null;
-    }
-    return acc.cookies;
-  } catch (e) {
-    log('warn', 'loadCookies failed', { error: e.message, accountId });
-    return null;
-  }
-}
-
 /**
  * Take a timestamped screenshot to screenshots/ folder
  * @param {import('puppeteer').Page} page
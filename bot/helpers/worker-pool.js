@@ -0,0 +1,68 @@
+// Worker pool for posting: tasks of different accounts run side by side up to
+// a global cap, tasks of the same account run one after another with a
+// cooldown in between
+
+/**
+ * @param {object} options
+ * @param {number} options.concurrency - Tasks running at once across all keys
+ * @param {() => number} [options.cooldownMs] - Pause between two tasks of the same key
+ * @param {(result: any) => boolean} [options.needsCooldown] - Whether a task's result starts
+ *   the cooldown of its key (by default every task does); a task that throws always does
+ * @returns {{ run: (key: string, task: () => Promise<any>) => Promise<any> }}
+ */
+export function createWorkerPool({ concurrency, cooldownMs = () => 0, needsCooldown = () => true }) {
+  const limit = Math.max(1, Number.isFinite(concurrency) ? concurrency : 1)
+  let active = 0
+  const slotWaiters = []
+  // key -> promise of the key's last queued task (settled when the key is free again)
+  const keyTails = new Map()
+  // key -> when the key's last task that needed a cooldown finished
+  const lastFinishedAt = new Map()
+
+  function acquireSlot() {
+    if (active < limit) {
+      active += 1
+      return Promise.resolve()
+    }
+    return new Promise((resolve) => slotWaiters.push(resolve))
+  }
+
+  function releaseSlot() {
+    const next = slotWaiters.shift()
+    // Hand the slot straight to the next waiter, so active stays the same
+    if (next) next()
+    else active -= 1
+  }
+
+  async function runExclusive(key, task) {
+    const finishedAt = lastFinishedAt.get(key)
+    if (finishedAt !== undefined) {
+      const wait = finishedAt + cooldownMs() - Date.now()
+      // Cool down without holding a slot, so other accounts keep going
+      if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait))
+    }
+    await acquireSlot()
+    let coolDown = true
+    try {
+      const result = await task()
+      coolDown = needsCooldown(result)
+      return result
+    } finally {
+      releaseSlot()
+      if (coolDown) lastFinishedAt.set(key, Date.now())
+    }
+  }
+
+  function run(key, task) {
+    const previous = keyTails.get(key) || Promise.resolve()
+    const result = previous.then(() => runExclusive(key, task))
+    const tail = result.catch(() => {})
+    keyTails.set(key, tail)
+    tail.then(() => {
+      if (keyTails.get(key) === tail) keyTails.delete(key)
+    })
+    return result
+  }
+
+  return { run }
+}
@@ -60,6 +60,9 @@ async function runBot() {
       .from('posts')
       .select('*')
       .eq('status', 'pending')
+      .not('approved_at', 'is', null)
+      .order('priority', { ascending: false })
+      .order('queue_position', { ascending: true, nullsFirst: false })
       .order('created_at', { ascending: true })
       .limit(1);
 
@@ -5,14 +5,23 @@ import path from 'path'
 import { fileURLToPath } from 'url'
 import puppeteer from 'puppeteer-extra'
 import StealthPlugin from 'puppeteer-extra-plugin-stealth'
-import { createClient } from '@supabase/supabase-js'
-import axios from 'axios'
 import winston from 'winston'
 import 'winston-daily-rotate-file'
-import { postToInstagram as postToInstagramHelper } from './helpers/post.js'
+import { postToInstagram as postToInstagramHelper, postStoryToInstagram } from './helpers/post.js'
+import { postFirstComment } from './helpers/comment.js'
 import { loginToInstagram } from './helpers/login.js'
 import { decryptPassword } from './utils/encryption.js'
 import { checkPostImage } from './checker-bot.js'
+import { findPublishedPost } from './helpers/published-post.js'
+import { removePublishedPost } from './helpers/remove.js'
+import { editPublishedCaption } from './helpers/edit-caption.js'
+import { createArtifactRecorder, attachArtifactRecorder } from './helpers/artifacts.js'
+import { startDiagnostics } from './helpers/diagnostics.js'
+import { nextAllowedTime, describeClosedWindow } from './helpers/posting-window.js'
+import { getPostsToday } from './helpers/utils.js'
+import { createWorkerPool } from './helpers/worker-pool.js'
+import { createPostLeases } from './helpers/leases.js'
+import { getJobStore, WORKER_ID } from './helpers/jobs.js'
 
 // Load environment variables
 dotenv.config()
@@ -25,23 +34,37 @@ puppeteer.use(StealthPlugin())
 
 // Config
 const CONFIG = {
-  apiUrl: process.env.API_URL || 'http://localhost:3001',
   cron: process.env.CRON_SCHEDULE || '*/5 * * * *',
+  // Zone the cron expression is read in; accounts keep their own zones for windows and daily limits
+  cronTimezone: process.env.CRON_TIMEZONE || 'UTC',
   headless: process.env.HEADLESS === 'true',
   maxPostsPerHour: parseInt(process.env.MAX_POSTS_PER_HOUR || '5', 10),
   maxPostsPerDay: parseInt(process.env.MAX_POSTS_PER_DAY || '25', 10),
+  // Accounts posting at the same time, each in its own browser context
+  maxConcurrentAccounts: parseInt(process.env.MAX_CONCURRENT_ACCOUNTS || '3', 10),
+  // Pause between two posts of the same account
   minDelayMs: parseInt(process.env.MIN_DELAY_BETWEEN_POSTS_MS || '120000', 10),
   maxDelayMs: parseInt(process.env.MAX_DELAY_BETWEEN_POSTS_MS || '300000', 10),
   pageLoadTimeout: parseInt(process.env.PAGE_LOAD_TIMEOUT || '30000', 10),
+  // Lease on a claimed post, renewed every third of it while the bot works on the post
+  leaseSeconds: parseInt(process.env.POST_LEASE_SECONDS || '300', 10),
   logLevel: (process.env.LOG_LEVEL || 'info').toLowerCase(),
   logToFile: process.env.LOG_TO_FILE === 'true',
 }
 
-// Initialize Supabase client (service role in bot)
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-)
+// Posts come from the backend's worker API (API_URL, WORKER_TOKEN)
+const jobs = getJobStore()
+// Claims posts across bot instances (see helpers/leases.js)
+const leases = createPostLeases(jobs, { leaseSeconds: CONFIG.leaseSeconds, log })
+
+// Shared by all posts of the process: different accounts post side by side,
+// the posts of one account follow each other with a random pause in between.
+// Only a task that posted starts the pause; one that skipped the account doesn't.
+const accountPool = createWorkerPool({
+  concurrency: CONFIG.maxConcurrentAccounts,
+  cooldownMs: () => randomDelay(CONFIG.minDelayMs, CONFIG.maxDelayMs),
+  needsCooldown: (outcome) => Boolean(outcome?.posted),
+})
 
 // Logging helpers
 function nowIso() {
@@ -82,7 +105,7 @@ async function logActivity(type, message, details = '', userId = null) {
     if (userId) {
       logEntry.user_id = userId
     }
-    await supabase.from('bot_logs').insert(logEntry)
+    await jobs.insertLog(logEntry)
   } catch {}
 }
 
@@ -95,113 +118,140 @@ function randomDelay(min, max) {
   return Math.floor(Math.random() * (max - min + 1)) + min
 }
 
-// Queue fetching
-async function fetchQueue(limit = 5) {
-  try {
-    // Prefer backend queue API if available
-    const { data: { session } } = await supabase.auth.getSession()
-    const headers = session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {}
+// Ordered slide URLs for a post; single-image posts only carry image_url
+function getPostImageUrls(post) {
+  if (Array.isArray(post.image_urls) && post.image_urls.length > 0) {
+    return post.image_urls
+  }
+  return [post.image_url]
+}
 
-    const url = `${CONFIG.apiUrl}/api/queue?limit=${limit}`
-    const { data } = await axios.get(url, { headers, timeout: 20000 })
-    return data.queue || []
-  } catch (err) {
-    log('warn', 'Queue API unavailable, falling back to Supabase query', { error: err.message })
-
-    // Fallback: query Supabase directly
-    const now = new Date().toISOString()
-    const { data, error } = await supabase
-      .from('posts')
-      .select(`
-        *,
-        post_accounts (
-          id,
-          account_id,
-          status,
-          account:accounts (
-            id,
-            instagram_username,
-            password_encrypted,
-            cookies,
-            is_active
-          )
-        )
-      `)
-      .eq('status', 'pending')
-      .lte('scheduled_at', now)
-      .order('scheduled_at', { ascending: true })
-      .limit(limit)
-
-    if (error) throw error
-    return data || []
+// Image Instagram should show for the post: the crop for feed posts, the cover frame for reels
+function getReferenceImageUrl(post) {
+  if (post.media_type === 'reel') return post.image_url || null
+  return post.comparison_image_url || getPostImageUrls(post)[0] || null
+}
+
+// Log the page in as the account (cookies first, then password); throws when login fails
+async function loginAccount(page, account) {
+  const savedCookies = account.cookies || null
+  let password = null
+  
+  // Decrypt password if available (for fallback when cookies fail)
+  if (account.password_encrypted) {
+    try {
+      password = decryptPassword(account.password_encrypted)
+    } catch (decryptError) {
+      log('warn', `Failed to decrypt password for @${account.instagram_username}`, { error: decryptError.message })
+      // Continue without password - will rely on cookies only
+    }
+  }
+  
+  log('info', `Logging in to Instagram for @${account.instagram_username}`)
+  const loginResult = await loginToInstagram(
+    page,
+    account.instagram_username,
+    password,
+    savedCookies,
+    { accountId: account.id }
+  )
+  
+  if (!loginResult.success) {
+    throw new Error(`Login failed: ${loginResult.error || 'Unknown error'}. Please check credentials.`)
   }
+  
+  log('info', `Successfully logged in to @${account.instagram_username}`, { usedCookies: loginResult.usedCookies })
 }
 
-// Perform the posting using puppeteer
-async function postToInstagram(page, post, account) {
+// Perform the posting using puppeteer.
+// With `previousAttemptAt` set, the profile is searched for a post shared by
+// an earlier attempt first, and its URL is adopted instead of posting again.
+async function postToInstagram(page, post, account, { previousAttemptAt = null } = {}) {
+  const attemptStartedAt = nowIso()
   try {
     // 1. Login to Instagram (try cookies first, then password if needed)
-    const savedCookies = account.cookies || null
-    let password = null
-    
-    // Decrypt password if available (for fallback when cookies fail)
-    if (account.password_encrypted) {
-      try {
-        password = decryptPassword(account.password_encrypted)
-      } catch (decryptError) {
-        log('warn', `Failed to decrypt password for @${account.instagram_username}`, { error: decryptError.message })
-        // Continue without password - will rely on cookies only
+    await loginAccount(page, account)
+
+    if (previousAttemptAt) {
+      if (post.post_type === 'story') {
+        // Stories have no permalink on the profile to match against
+        log('warn', `Cannot check @${account.instagram_username} for a story shared by an earlier attempt`, { postId: post.id })
+      } else {
+        log('info', `Checking @${account.instagram_username} for a post shared by an earlier attempt`, { postId: post.id, since: previousAttemptAt })
+        const existing = await findPublishedPost(page, {
+          username: account.instagram_username,
+          caption: post.caption,
+          imageUrl: getReferenceImageUrl(post),
+          since: previousAttemptAt,
+        })
+        if (existing) {
+          return { success: true, url: existing.url, adopted: existing }
+        }
       }
     }
     
-    log('info', `Logging in to Instagram for @${account.instagram_username}`)
-    const loginResult = await loginToInstagram(
-      page,
-      account.instagram_username,
-      password,
-      savedCookies
-    )
-    
-    if (!loginResult.success) {
-      throw new Error(`Login failed: ${loginResult.error || 'Unknown error'}. Please check credentials.`)
-    }
-    
-    // Save cookies if login was successful and used password
-    if (!loginResult.usedCookies && password) {
-      try {
-        const cookies = await page.cookies()
-        await supabase
-          .from('accounts')
-          .update({ cookies })
-          .eq('id', account.id)
-        log('info', `Saved new cookies for @${account.instagram_username}`)
-      } catch (cookieError) {
-        log('warn', `Failed to save cookies for @${account.instagram_username}`, { error: cookieError.message })
+    // 2a. Stories go through the mobile story flow and have no caption
+    if (post.post_type === 'story') {
+      log('info', `Posting story for post ${post.id}`)
+      const storyResult = await postStoryToInstagram(page, post.image_url, {
+        navigationTimeoutMs: CONFIG.pageLoadTimeout,
+        username: account.instagram_username,
+      })
+      if (!storyResult.success) {
+        throw new Error(storyResult.error || 'Story posting failed')
+      }
+      return {
+        success: true,
+        url: storyResult.url || null,
       }
     }
-    
-    log('info', `Successfully logged in to @${account.instagram_username}`, { usedCookies: loginResult.usedCookies })
-    
-    // 2. Post the image and caption
-    log('info', `Posting image and caption for post ${post.id}`)
+
+    // 2. Post the media and caption
+    const isReel = post.media_type === 'reel'
+    const mediaUrls = isReel ? [post.video_url] : getPostImageUrls(post)
+    log('info', `Posting ${isReel ? 'reel' : mediaUrls.length > 1 ? `carousel (${mediaUrls.length} images)` : 'image'} and caption for post ${post.id}`)
     const postResult = await postToInstagramHelper(
       page,
-      post.image_url,
+      mediaUrls,
       post.caption || '',
       {
         navigationTimeoutMs: CONFIG.pageLoadTimeout,
-        processingWaitMs: 10000,
+        processingWaitMs: isReel ? 20000 : 10000,
         username: account.instagram_username,
+        mediaType: isReel ? 'reel' : 'image',
+        // For reels image_url is the cover frame picked in the dashboard
+        coverUrl: isReel ? post.image_url : null,
+        location: post.location || null,
+        userTags: isReel ? [] : (post.user_tags || []),
+        altTexts: isReel ? [] : (post.alt_texts || []),
+        hideLikeCounts: Boolean(post.hide_like_counts),
+        disableComments: Boolean(post.disable_comments),
+        cropMode: isReel ? null : (post.crop_mode || null),
       }
     )
     
     if (!postResult.success) {
       throw new Error(postResult.error || 'Posting failed')
     }
+
+    // The share went through; look the post up on the profile before giving up on its URL
+    let postUrl = postResult.url || null
+    if (!postUrl) {
+      log('warn', `Post URL not detected for @${account.instagram_username}, searching the profile`, { postId: post.id })
+      const found = await findPublishedPost(page, {
+        username: account.instagram_username,
+        caption: post.caption,
+        imageUrl: getReferenceImageUrl(post),
+        since: attemptStartedAt,
+      })
+      postUrl = found?.url || null
+    }
     
     return {
       success: true,
-      url: postResult.url || null,
+      url: postUrl,
+      tagging: postResult.tagging || null,
+      settings: postResult.settings || null,
     }
   } catch (error) {
     log('error', `Error in postToInstagram for @${account.instagram_username}`, { error: error.message })
@@ -212,10 +262,35 @@ async function postToInstagram(page, post, account) {
   }
 }
 
-// Process a single post using one browser and incognito contexts per account
-async function processPost(post, cyclePostCount = { current: 0, max: CONFIG.maxPostsPerDay }) {
-  // Launch a single browser for all accounts in this post
-  const browser = await puppeteer.launch({
+// Publish the post's first comment on a fresh page and record the outcome on post_accounts
+async function publishFirstComment(context, post, account, postUrl) {
+  let commentPage = null
+  let result
+  try {
+    commentPage = await context.newPage()
+    commentPage.setDefaultNavigationTimeout(CONFIG.pageLoadTimeout)
+    await sleep(randomDelay(3000, 8000))
+    result = await postFirstComment(commentPage, postUrl, post.first_comment)
+  } catch (err) {
+    result = { success: false, error: err.message }
+  } finally {
+    try { if (commentPage) await commentPage.close() } catch {}
+  }
+
+  await jobs.updatePostAccount(post.id, account.id, result.success
+    ? { first_comment_status: 'posted', first_comment_error: null, first_comment_posted_at: nowIso() }
+    : { first_comment_status: 'failed', first_comment_error: result.error || 'Unknown error' })
+
+  if (result.success) {
+    await logActivity('success', `First comment posted on @${account.instagram_username}`, { url: postUrl, postId: post.id, accountId: account.id }, post.user_id)
+  } else {
+    await logActivity('warning', `First comment failed on @${account.instagram_username}`, { url: postUrl, postId: post.id, accountId: account.id, error: result.error }, post.user_id)
+  }
+  return result
+}
+
+function launchBrowser() {
+  return puppeteer.launch({
     headless: CONFIG.headless ? 'new' : false,
     args: [
       '--no-sandbox',
@@ -227,236 +302,436 @@ async function processPost(post, cyclePostCount = { current: 0, max: CONFIG.maxP
       '--window-size=1920,1080',
     ],
   })
+}
 
-  // Determine accounts to post to
-  const targetAccounts = (post.post_accounts || [])
-    .map((pa) => pa.account)
-    .filter((acc) => acc && acc.is_active)
-
-  let results = []
+// Removals and caption edits are leased per post_accounts row and task
+// (migration 025), so two instances never work on the same one and only
+// tasks of a crashed instance are put back to pending.
+// Renews the lease every third of it while the task runs; returns the stop function
+function keepTaskLease(rowId, task) {
+  const timer = setInterval(async () => {
+    try {
+      if (!(await jobs.renewTask(rowId, task, CONFIG.leaseSeconds))) {
+        log('warn', `Lost the ${task} lease; the result won't be recorded`, { postAccountId: rowId, worker: WORKER_ID })
+      }
+    } catch (err) {
+      log('warn', `Could not renew the ${task} lease`, { postAccountId: rowId, error: err.message })
+    }
+  }, Math.max(1000, (CONFIG.leaseSeconds * 1000) / 3))
+  return () => clearInterval(timer)
+}
 
+// Work through up to `limit` queued tasks, claimed one at a time so other
+// instances can take the rest, each in its own browser context
+async function processTasks(task, limit, { perform, report }) {
+  let browser = null
   try {
-    for (const account of targetAccounts) {
-    // Check cycle post limit before processing
-    log('info', `Post limit check: ${cyclePostCount.current}/${cyclePostCount.max} posts in this cycle`)
-    if (cyclePostCount.current >= cyclePostCount.max) {
-      log('info', `Post limit reached (${cyclePostCount.current}/${cyclePostCount.max}). Stopping bot cycle.`)
-      return { limitReached: true, results }
+    for (let i = 0; i < limit; i++) {
+      const row = await jobs.claimTask(task, CONFIG.leaseSeconds)
+      if (!row) break
+      if (!browser) {
+        log('info', `Processing queued ${task === 'removal' ? 'post removals' : 'caption edits'}`)
+        browser = await launchBrowser()
+      }
+
+      const context = await browser.createIncognitoBrowserContext()
+      const stopLease = keepTaskLease(row.id, task)
+      let result
+      try {
+        if (!row.account?.is_active) {
+          throw new Error('Account is inactive')
+        }
+        const page = await context.newPage()
+        page.setDefaultNavigationTimeout(CONFIG.pageLoadTimeout)
+        await loginAccount(page, row.account)
+        result = await perform(page, row)
+      } catch (err) {
+        result = { success: false, error: err.message }
+      } finally {
+        stopLease()
+        try { await context.close() } catch {}
+      }
+
+      // Not recorded when the task was reclaimed or queued again meanwhile
+      try {
+        await jobs.finishTask(row.id, task, result)
+      } catch (err) {
+        log('warn', `Could not record the ${task} result`, { postAccountId: row.id, error: err.message })
+      }
+      await report(row, result)
+
+      await sleep(randomDelay(5000, 15000))
+    }
+  } finally {
+    if (browser) {
+      try { await browser.close() } catch {}
     }
-    // Check daily limit for the account
-    const { data: accountRow } = await supabase
-      .from('accounts')
-      .select('id, posts_today')
-      .eq('id', account.id)
-      .single()
-
-    const postsToday = accountRow?.posts_today || 0
-    if (postsToday >= CONFIG.maxPostsPerDay) {
-      log('warn', `Daily limit reached for @${account.instagram_username}`, { accountId: account.id })
+  }
+}
+
+// Delete or archive published posts queued through DELETE /api/posts/:id/published
+async function processRemovals(limit = 5) {
+  const actionOf = (row) => (row.removal_action === 'archive' ? 'archive' : 'delete')
+  await processTasks('removal', limit, {
+    perform: (page, row) => removePublishedPost(page, row.instagram_post_url, actionOf(row)),
+    async report(row, result) {
+      const action = actionOf(row)
+      const username = row.account?.instagram_username || row.account_id
+      const details = { url: row.instagram_post_url, postId: row.post_id, accountId: row.account_id, action }
+      if (result.success) {
+        await logActivity('success', `${action === 'archive' ? 'Archived' : 'Deleted'} post on @${username}`, { ...details, alreadyRemoved: Boolean(result.alreadyRemoved) }, row.post?.user_id)
+      } else {
+        await logActivity('error', `Could not ${action} post on @${username}`, { ...details, error: result.error }, row.post?.user_id)
+      }
+    },
+  })
+}
+
+// Apply caption edits queued through PUT /api/posts/:id on completed posts.
+// The caption is read when the edit is claimed, so the latest edit wins; a newer
+// edit saved meanwhile puts the row back to pending for the next cycle.
+async function processCaptionEdits(limit = 5) {
+  await processTasks('caption_edit', limit, {
+    perform: (page, row) => editPublishedCaption(page, row.instagram_post_url, row.post?.caption || ''),
+    async report(row, result) {
+      const username = row.account?.instagram_username || row.account_id
+      const details = { url: row.instagram_post_url, postId: row.post_id, accountId: row.account_id, revision: row.caption_edit_revision }
+      if (result.success) {
+        await logActivity('success', `Updated caption on @${username}`, details, row.post?.user_id)
+      } else {
+        await logActivity('error', `Could not update caption on @${username}`, { ...details, error: result.error }, row.post?.user_id)
+      }
+    },
+  })
+}
+
+// Defer the post_accounts rows of accounts outside their posting windows to the
+// account's next allowed time; returns accountId -> time the row waits for,
+// including accounts of a staggered post whose own turn hasn't come yet
+async function deferClosedAccounts(post, accounts, attemptsByAccount) {
+  const now = new Date()
+  const deferred = new Map()
+  for (const account of accounts) {
+    const attemptRow = attemptsByAccount.get(account.id)
+    if (attemptRow?.status === 'completed') continue
+    // Staggered post: each account is due at its own scheduled_at
+    if (attemptRow?.scheduled_at && new Date(attemptRow.scheduled_at) > now) {
+      deferred.set(account.id, new Date(attemptRow.scheduled_at))
+      continue
+    }
+    // Deferred by an earlier cycle and still waiting
+    if (attemptRow?.deferred_until && new Date(attemptRow.deferred_until) > now) {
+      deferred.set(account.id, new Date(attemptRow.deferred_until))
       continue
     }
 
-      // Create isolated incognito context per account (prevents UI state carryover)
-      const context = await browser.createIncognitoBrowserContext()
+    const allowedAt = nextAllowedTime(account, now)
+    if (allowedAt && allowedAt <= now) continue
+
+    // No window in sight (e.g. one long chain of blackouts): look again tomorrow
+    const deferredUntil = allowedAt || new Date(now.getTime() + 24 * 60 * 60 * 1000)
+    deferred.set(account.id, deferredUntil)
+    await jobs.updatePostAccount(post.id, account.id, { deferred_until: deferredUntil.toISOString() })
+    await logActivity('info', `Deferred post for @${account.instagram_username} until ${deferredUntil.toISOString()}: ${describeClosedWindow(account, now)}`, { postId: post.id, accountId: account.id, deferredUntil: deferredUntil.toISOString() }, post.user_id)
+  }
+  return deferred
+}
+
+// Post to one account in its own incognito context of the cycle's browser.
+// Runs under the account's lock in accountPool, so one account never posts twice at once.
+// posted tells whether Instagram was posted to (successfully or not) this time;
+// null means the account was left for the next cycle.
+async function postToAccount(post, account, attemptRow, cyclePostCount, getBrowser) {
+  if (attemptRow?.status === 'completed' && attemptRow.instagram_post_url) {
+    log('info', `Post ${post.id} already published on @${account.instagram_username}, skipping`, { url: attemptRow.instagram_post_url })
+    return { accountId: account.id, posted: false, success: true, postedUrl: attemptRow.instagram_post_url }
+  }
+  if (attemptRow?.status === 'failed') {
+    // Failed in an earlier run; the post only came back for an account that was deferred then
+    return { accountId: account.id, posted: false, success: false, error: attemptRow.error_message }
+  }
+
+  // Accounts run side by side, so the cycle limit is taken up before posting
+  // rather than counted after it
+  if (cyclePostCount.current >= cyclePostCount.max) {
+    log('info', `Post limit reached (${cyclePostCount.current}/${cyclePostCount.max}), leaving @${account.instagram_username} for the next cycle`, { postId: post.id })
+    return null
+  }
+  // The account may have waited in the pool for minutes; a stalled heartbeat
+  // lets another instance reclaim the post meanwhile
+  if (!leases.isHeld(post.id)) {
+    log('warn', `Lease on post ${post.id} was lost, not posting to @${account.instagram_username}`, { postId: post.id, worker: WORKER_ID })
+    return null
+  }
+  // Check daily limit for the account; the day runs midnight to midnight in its timezone
+  const accountRow = await jobs.getAccount(account.id)
+
+  const postsToday = getPostsToday(accountRow)
+  if (postsToday >= CONFIG.maxPostsPerDay) {
+    log('warn', `Daily limit reached for @${account.instagram_username}`, { accountId: account.id })
+    return { accountId: account.id, posted: false, skipped: true }
+  }
+  cyclePostCount.current += 1
+  log('info', `Post count updated: ${cyclePostCount.current}/${cyclePostCount.max} posts in this cycle`)
+
+  // Create isolated incognito context per account (prevents UI state carryover)
+  const browser = await getBrowser()
+  const context = await browser.createIncognitoBrowserContext()
+
+  // Retry loop up to 3 attempts (new page per attempt)
+  let attempt = 0
+  let success = false
+  let lastError = null
+  let postedUrl = null
+  // Set once any attempt (this run or an earlier one) may have shared the post
+  let firstAttemptAt = attemptRow?.first_attempt_at || null
+  let attemptCount = attemptRow?.attempt_count || 0
+
+  while (attempt < 3 && !success) {
+    attempt += 1
+    let diagnostics = null
+    try {
+      const attemptAt = nowIso()
+      const previousAttemptAt = firstAttemptAt
+      firstAttemptAt = firstAttemptAt || attemptAt
+      attemptCount += 1
+      await jobs.updatePostAccount(post.id, account.id, { first_attempt_at: firstAttemptAt, last_attempt_at: attemptAt, attempt_count: attemptCount, deferred_until: null })
+
+      const page = await context.newPage()
+      page.setDefaultNavigationTimeout(CONFIG.pageLoadTimeout)
+      // Step screenshots and the final DOM, viewable per attempt in the dashboard
+      const artifacts = createArtifactRecorder({ postId: post.id, postAccountId: attemptRow?.id, attempt: attemptCount })
+      attachArtifactRecorder(page, artifacts)
+      // Trace + HAR with BOT_DIAGNOSTICS=true, kept only if this attempt fails
+      diagnostics = await startDiagnostics(page, `post-${post.id}-${account.instagram_username}-attempt-${attemptCount}`)
+      log('info', `Posting to @${account.instagram_username} (attempt ${attempt})`, { postId: post.id })
+      const res = await postToInstagram(page, post, account, { previousAttemptAt })
+      await diagnostics?.stop()
+      await artifacts.dom(page, 'final')
+      const savedArtifacts = await artifacts.save()
+      if (savedArtifacts > 0) {
+        log('info', `Saved ${savedArtifacts} artifact(s) for attempt ${attemptCount}`, { postId: post.id, accountId: account.id })
+      }
+      try { await page.close() } catch {}
+      if (res.success) {
+        // If post succeeded but no URL, mark as failed
+        if (!res.url) {
+          throw new Error('Post succeeded but could not retrieve post URL. Marking as failed.')
+        }
+        
+        success = true
+        postedUrl = res.url
+        const adopted = Boolean(res.adopted)
+
+        // update post_accounts row; an adopted post was counted when it was shared
+        await jobs.updatePostAccount(post.id, account.id, {
+          status: 'completed',
+          instagram_post_url: postedUrl,
+          posted_at: nowIso(),
+          ...(adopted && { adopted_at: nowIso(), error_message: null }),
+          ...(res.tagging && Object.keys(res.tagging).length > 0 && { tagging_results: res.tagging }),
+          ...(res.settings && Object.keys(res.settings).length > 0 && { settings_results: res.settings }),
+        }, adopted ? {} : { postsToday: postsToday + 1 })
+
+        if (adopted) {
+          await logActivity('success', `Found existing post on @${account.instagram_username}, adopted its URL instead of posting again`, { url: postedUrl, postId: post.id, accountId: account.id, matchedBy: res.adopted.matchedBy, similarity: res.adopted.similarity }, post.user_id)
+        } else {
+          await logActivity('success', `Posted to @${account.instagram_username}`, { url: postedUrl || 'N/A', postId: post.id, accountId: account.id }, post.user_id)
+        }
 
-      // Retry loop up to 3 attempts (new page per attempt)
-      let attempt = 0
-      let success = false
-      let lastError = null
-      let postedUrl = null
-
-      while (attempt < 3 && !success) {
-        attempt += 1
-        try {
-          const page = await context.newPage()
-          page.setDefaultNavigationTimeout(CONFIG.pageLoadTimeout)
-          log('info', `Posting to @${account.instagram_username} (attempt ${attempt})`, { postId: post.id })
-          const res = await postToInstagram(page, post, account)
-          try { await page.close() } catch {}
-          if (res.success) {
-            // If post succeeded but no URL, mark as failed
-            if (!res.url) {
-              throw new Error('Post succeeded but could not retrieve post URL. Marking as failed.')
+        // Tags and location are best-effort; surface partial failures without failing the post
+        const failedTagging = [
+          ...(res.tagging?.location?.status === 'failed' ? [`location "${res.tagging.location.name}"`] : []),
+          ...(res.tagging?.user_tags || []).filter((t) => t.status === 'failed').map((t) => `@${t.username}`),
+        ]
+        if (failedTagging.length > 0) {
+          await logActivity('warning', `Could not apply ${failedTagging.join(', ')} on @${account.instagram_username}`, { url: postedUrl, postId: post.id, accountId: account.id, tagging: res.tagging }, post.user_id)
+        }
+        const failedSettings = Object.entries(res.settings || {})
+          .filter(([, result]) => result.status === 'failed')
+          .map(([setting]) => setting.replace(/_/g, ' '))
+        if (failedSettings.length > 0) {
+          await logActivity('warning', `Could not apply ${failedSettings.join(', ')} on @${account.instagram_username}`, { url: postedUrl, postId: post.id, accountId: account.id, settings: res.settings }, post.user_id)
+        }
+
+        // Publish the first comment; its outcome never changes the post status
+        if (post.first_comment && post.post_type !== 'story' && attemptRow?.first_comment_status !== 'posted') {
+          await publishFirstComment(context, post, account, postedUrl)
+        }
+
+        // Run image similarity check after successful post (async, non-blocking)
+        // Stories expire after 24h and have no permalink page to compare against
+        if (post.post_type !== 'story') {
+          try {
+            log('info', 'Starting image similarity check', { postId: post.id, accountId: account.id, postUrl: postedUrl })
+          
+            // Prepare post_account data for checker
+            const postAccountData = {
+              id: attemptRow?.id || null, // post_accounts id, part of the claimed post
+              post: {
+                id: post.id,
+                user_id: post.user_id,
+                image_url: post.image_url,
+                comparison_image_url: post.comparison_image_url,
+                caption: post.caption,
+              },
+              account: {
+                id: account.id,
+                instagram_username: account.instagram_username,
+                password_encrypted: account.password_encrypted,
+                cookies: account.cookies,
+                is_active: account.is_active,
+              },
+              instagram_post_url: postedUrl,
             }
-            
-            success = true
-            postedUrl = res.url
-
-            // update post_accounts row
-            await supabase
-              .from('post_accounts')
-              .update({ status: 'completed', instagram_post_url: postedUrl, posted_at: nowIso() })
-              .eq('post_id', post.id)
-              .eq('account_id', account.id)
-
-            // increment posts_today
-            await supabase
-              .from('accounts')
-              .update({ posts_today: postsToday + 1 })
-              .eq('id', account.id)
-
-            await logActivity('success', `Posted to @${account.instagram_username}`, { url: postedUrl || 'N/A', postId: post.id, accountId: account.id }, post.user_id)
-
-            // Run image similarity check after successful post (async, non-blocking)
-            try {
-              log('info', 'Starting image similarity check', { postId: post.id, accountId: account.id, postUrl: postedUrl })
-              
-              // Prepare post_account data for checker
-              const postAccountData = {
-                id: null, // We'll need to fetch the post_accounts id
-                post: {
-                  id: post.id,
-                  user_id: post.user_id,
-                  image_url: post.image_url,
-                  caption: post.caption,
-                },
-                account: {
-                  id: account.id,
-                  instagram_username: account.instagram_username,
-                  password_encrypted: account.password_encrypted,
-                  cookies: account.cookies,
-                  is_active: account.is_active,
-                },
-                instagram_post_url: postedUrl,
-              }
-
-              // Fetch the post_accounts id
-              const { data: postAccountRow } = await supabase
-                .from('post_accounts')
-                .select('id')
-                .eq('post_id', post.id)
-                .eq('account_id', account.id)
-                .single()
-
-              if (postAccountRow) {
-                postAccountData.id = postAccountRow.id
-                
-                // Run checker asynchronously (don't await - let it run in background)
-                // Let checker manage its own session
-                checkPostImage(postAccountData, null)
-                  .then((checkResult) => {
-                    if (checkResult.success) {
-                      log('info', 'Image similarity check completed', {
-                        postId: post.id,
-                        accountId: account.id,
-                        similarity: checkResult.similarity?.toFixed(4),
-                        isSimilar: checkResult.isSimilar,
-                      })
-                    } else {
-                      log('warn', 'Image similarity check failed', {
-                        postId: post.id,
-                        accountId: account.id,
-                        error: checkResult.error,
-                      })
-                    }
-                  })
-                  .catch((checkError) => {
-                    log('error', 'Image similarity check error', {
+
+            if (postAccountData.id) {
+              // Run checker asynchronously (don't await - let it run in background)
+              // Let checker manage its own session
+              checkPostImage(postAccountData, null)
+                .then((checkResult) => {
+                  if (checkResult.success) {
+                    log('info', 'Image similarity check completed', {
+                      postId: post.id,
+                      accountId: account.id,
+                      similarity: checkResult.similarity?.toFixed(4),
+                      isSimilar: checkResult.isSimilar,
+                    })
+                  } else {
+                    log('warn', 'Image similarity check failed', {
                       postId: post.id,
                       accountId: account.id,
-                      error: checkError.message,
+                      error: checkResult.error,
                     })
+                  }
+                })
+                .catch((checkError) => {
+                  log('error', 'Image similarity check error', {
+                    postId: post.id,
+                    accountId: account.id,
+                    error: checkError.message,
                   })
-              } else {
-                log('warn', 'Could not find post_accounts record for similarity check', {
-                  postId: post.id,
-                  accountId: account.id,
                 })
-              }
-            } catch (checkErr) {
-              // Don't fail the post if checker fails
-              log('warn', 'Failed to start image similarity check', {
+            } else {
+              log('warn', 'Could not find post_accounts record for similarity check', {
                 postId: post.id,
                 accountId: account.id,
-                error: checkErr.message,
               })
             }
-          } else {
-            throw new Error(res.error || 'Unknown failure while posting')
-          }
-        } catch (err) {
-          lastError = err
-          // Categorize errors
-          const msg = err.message || ''
-          let category = 'system'
-          if (/net::|ECONN|ETIMEDOUT|network/i.test(msg)) category = 'network'
-          else if (/instagram|csrf|login|2fa/i.test(msg)) category = 'instagram'
-          log('error', `Error posting to @${account.instagram_username}`, { error: msg, category })
-          try { 
-            await supabase.from('bot_logs').insert({ 
-              user_id: post.user_id,
-              action: 'post', 
-              status: 'error', 
-              details: { postId: post.id, accountId: account.id, category }, 
-              error: msg 
-            }) 
-          } catch {}
-
-          // update post_accounts row to failed for this attempt
-          await supabase
-            .from('post_accounts')
-            .update({ status: 'failed', error_message: err.message })
-            .eq('post_id', post.id)
-            .eq('account_id', account.id)
-
-          if (attempt < 3 && category === 'network') {
-            const delay = randomDelay(10000, 30000)
-            await sleep(delay)
-          } else {
-            break
+          } catch (checkErr) {
+            // Don't fail the post if checker fails
+            log('warn', 'Failed to start image similarity check', {
+              postId: post.id,
+              accountId: account.id,
+              error: checkErr.message,
+            })
           }
         }
+      } else {
+        throw new Error(res.error || 'Unknown failure while posting')
+      }
+    } catch (err) {
+      lastError = err
+      // Categorize errors
+      const msg = err.message || ''
+      let category = 'system'
+      if (/net::|ECONN|ETIMEDOUT|network/i.test(msg)) category = 'network'
+      else if (/instagram|csrf|login|2fa/i.test(msg)) category = 'instagram'
+      log('error', `Error posting to @${account.instagram_username}`, { error: msg, category })
+      try { 
+        const logId = await jobs.insertLog({ 
+          user_id: post.user_id,
+          action: 'post', 
+          status: 'error', 
+          details: { postId: post.id, accountId: account.id, category }, 
+          error: msg 
+        })
+        await diagnostics?.keep({ logId, userId: post.user_id })
+      } catch {}
+
+      // update post_accounts row to failed for this attempt
+      try {
+        await jobs.updatePostAccount(post.id, account.id, {
+          status: 'failed',
+          error_message: err.message,
+          ...(post.first_comment && { first_comment_status: 'skipped' }),
+        })
+      } catch (updateErr) {
+        log('error', `Could not record the failed attempt on @${account.instagram_username}`, { postId: post.id, error: updateErr.message })
       }
 
-      // Close the incognito context for this account
-      try { await context.close() } catch {}
+      if (attempt < 3 && category === 'network') {
+        const delay = randomDelay(10000, 30000)
+        await sleep(delay)
+      } else {
+        break
+      }
+    }
+  }
 
-    results.push({ accountId: account.id, success, postedUrl, error: lastError?.message })
+  // Close the incognito context for this account
+  try { await context.close() } catch {}
 
-    // Increment post count after each attempt (success or failed)
-    cyclePostCount.current += 1
-    log('info', `Post count updated: ${cyclePostCount.current}/${cyclePostCount.max} posts in this cycle`)
+  return { accountId: account.id, posted: true, success, postedUrl, error: lastError?.message }
+}
 
-    // Check if we've reached the limit
-    if (cyclePostCount.current >= cyclePostCount.max) {
-      log('info', `Post limit reached (${cyclePostCount.current}/${cyclePostCount.max}). Stopping bot cycle.`)
-      break // Stop processing more accounts
-    }
+// Set the final status of a claimed post and give up its lease. A post whose
+// lease was reclaimed belongs to another instance by now and is left alone.
+async function releasePost(post, status) {
+  leases.release(post.id)
+  await jobs.finish(post.id, status)
+}
 
-    // Delay between accounts to avoid detection (only if not at limit)
-    if (cyclePostCount.current < cyclePostCount.max) {
-      const delayMs = randomDelay(CONFIG.minDelayMs, CONFIG.maxDelayMs)
-      log('info', `Waiting ${Math.round(delayMs / 1000)}s before next account`)    
-      await sleep(delayMs)
-    }
+// Process a single post: every due account gets its own task in accountPool, so
+// different accounts post concurrently (up to MAX_CONCURRENT_ACCOUNTS)
+async function processPost(post, cyclePostCount, getBrowser) {
+  // Determine accounts to post to
+  const targetAccounts = (post.post_accounts || [])
+    .map((pa) => pa.account)
+    .filter((acc) => acc && acc.is_active)
+
+  // Attempt history per account, as of the claim; accounts that already have the post are never posted to again
+  const attemptsByAccount = new Map((post.post_accounts || []).map((row) => [row.account_id, row]))
+
+  // Accounts outside their posting windows wait for the next allowed slot instead of posting now,
+  // and accounts of a staggered post for their own time
+  const deferred = await deferClosedAccounts(post, targetAccounts, attemptsByAccount)
+  const dueAccounts = targetAccounts.filter((account) => !deferred.has(account.id))
+  const isSettled = (account) => ['completed', 'failed'].includes(attemptsByAccount.get(account.id)?.status)
+  if (deferred.size > 0 && dueAccounts.every(isSettled)) {
+    // Nothing to post yet; back to the queue, which skips it until a deferral or an account's time runs out
+    await releasePost(post, 'pending')
+    return { limitReached: false, results: [] }
+  }
+
+  const outcomes = await Promise.all(dueAccounts.map((account) => accountPool.run(account.id, async () => {
+    try {
+      return await postToAccount(post, account, attemptsByAccount.get(account.id), cyclePostCount, getBrowser)
+    } catch (err) {
+      // Failed attempts are reported by postToAccount, so this was thrown
+      // before posting began (account lookup, browser start)
+      log('error', `Error posting to @${account.instagram_username}`, { postId: post.id, error: err.message })
+      return { accountId: account.id, posted: false, success: false, error: err.message }
     }
+  })))
+  // null: left for the next cycle (cycle limit reached or lease lost)
+  const limitReached = outcomes.some((outcome) => outcome === null)
+  const results = outcomes.filter((outcome) => outcome && !outcome.skipped)
 
   // Determine final post status
   const anySuccess = results.some((r) => r.success)
   const allFailed = results.every((r) => !r.success)
 
-  if (anySuccess && !allFailed) {
-    await supabase
-      .from('posts')
-      .update({ status: 'completed', updated_at: nowIso() })
-      .eq('id', post.id)
-  } else if (allFailed) {
-    await supabase
-      .from('posts')
-      .update({ status: 'failed', updated_at: nowIso() })
-      .eq('id', post.id)
+  if (deferred.size > 0 || limitReached) {
+    // Deferred or left-over accounts still have to post; the ones done now are skipped next time
+    await releasePost(post, 'pending')
+  } else if (anySuccess && !allFailed) {
+    await releasePost(post, 'completed')
   } else {
-    // mixed results – keep as processing/pending (optional)
-    await supabase
-      .from('posts')
-      .update({ status: 'processing', updated_at: nowIso() })
-      .eq('id', post.id)
+    await releasePost(post, 'failed')
   }
 
-    return { limitReached: cyclePostCount.current >= cyclePostCount.max, results }
-  } finally {
-    try { await browser.close() } catch {}
-  }
+  return { limitReached: limitReached || cyclePostCount.current >= cyclePostCount.max, results }
 }
 
 // Main bot run function
@@ -464,8 +739,30 @@ export async function runBot() {
   log('info', '🤖 Bot cycle started')
 
   try {
-    // Fetch queue
-    const queue = await fetchQueue(5)
+    // Removals first: pulled posts should come down before anything new goes up.
+    // Work a crashed instance still held is reclaimed by the worker API on these claims
+    try {
+      await processRemovals()
+    } catch (err) {
+      log('error', 'Error while processing post removals', { error: err.message })
+    }
+    try {
+      await processCaptionEdits()
+    } catch (err) {
+      log('error', 'Error while processing caption edits', { error: err.message })
+    }
+
+    // Lease the due posts to this instance - stories get their own slice so a
+    // backlog of feed posts can't push time-sensitive daily stories out of the cycle
+    const claimSlice = (postType) => leases.claim({ limit: 5, postType }).catch((err) => {
+      log('error', `Could not claim ${postType} posts`, { error: err.message })
+      return []
+    })
+    const storyQueue = await claimSlice('story')
+    const feedQueue = await claimSlice('feed')
+    // Higher priority goes first across both slices; the sort is stable, so
+    // equal priorities keep stories ahead and each slice in queue order
+    const queue = [...storyQueue, ...feedQueue].sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0))
     if (!queue || queue.length === 0) {
       log('info', 'No pending posts in queue')
       // Log queue check for all users (we don't know which user to log for)
@@ -473,6 +770,9 @@ export async function runBot() {
       return
     }
 
+    // Claimed posts stay leased to this instance while the cycle runs
+    leases.startHeartbeat()
+
     // Log queue check - group by user_id
     const usersInQueue = [...new Set(queue.map(p => p.user_id).filter(Boolean))]
     for (const userId of usersInQueue) {
@@ -489,43 +789,42 @@ export async function runBot() {
       max: CONFIG.maxPostsPerDay
     }
 
-    // Process posts sequentially
-    for (const post of queue) {
-      try {
-        log('info', `Processing post ${post.id}`)
-
-        // Check cycle limit before processing post
+    // One browser for the whole cycle, launched once the first account is
+    // about to post; each account gets its own incognito context in it
+    let browserPromise = null
+    const getBrowser = () => (browserPromise ||= launchBrowser())
+
+    // Posts are handed to the pool in queue order and run side by side; the
+    // pool keeps each account to one post at a time
+    const runs = []
+    try {
+      for (const post of queue) {
+        // Check cycle limit before processing post; claimed posts past it go back to the queue
         if (cyclePostCount.current >= cyclePostCount.max) {
-          log('info', `Post limit reached (${cyclePostCount.current}/${cyclePostCount.max}). Stopping bot cycle.`)
-          break
+          log('info', `Post limit reached (${cyclePostCount.current}/${cyclePostCount.max}), returning post ${post.id} to the queue`)
+          runs.push(releasePost(post, 'pending').catch((err) => {
+            log('error', `Could not return post ${post.id} to the queue`, { error: err.message })
+          }))
+          continue
         }
 
-        // Mark as processing
-        await supabase
-          .from('posts')
-          .update({ status: 'processing', updated_at: nowIso() })
-          .eq('id', post.id)
+        log('info', `Processing post ${post.id}`)
+        runs.push(processPost(post, cyclePostCount, getBrowser).catch(async (err) => {
+          log('error', `Post ${post.id} failed`, { error: err.message })
+          await releasePost(post, 'failed')
+        }))
+      }
 
-        const result = await processPost(post, cyclePostCount)
-        
-        // If limit reached, stop processing more posts
-        if (result && result.limitReached) {
-          log('info', `Post limit reached during post processing. Stopping bot cycle.`)
-          break
-        }
-      } catch (err) {
-        log('error', `Post ${post.id} failed`, { error: err.message })
-        await supabase
-          .from('posts')
-          .update({ status: 'failed', updated_at: nowIso() })
-          .eq('id', post.id)
-        
-        // Increment count even on error
-        cyclePostCount.current += 1
-        if (cyclePostCount.current >= cyclePostCount.max) {
-          log('info', `Post limit reached after error (${cyclePostCount.current}/${cyclePostCount.max}). Stopping bot cycle.`)
-          break
-        }
+      const results = await Promise.all(runs)
+      if (results.some((result) => result?.limitReached)) {
+        log('info', `Post limit reached (${cyclePostCount.current}/${cyclePostCount.max}). Remaining accounts wait for the next cycle.`)
+      }
+    } finally {
+      // Every run has settled (each catches its own errors), so no context is still in use
+      await Promise.allSettled(runs)
+      leases.stopHeartbeat()
+      if (browserPromise) {
+        try { await (await browserPromise).close() } catch {}
       }
     }
 
@@ -544,10 +843,10 @@ const isMainModule = process.argv[1] && (
 if (isMainModule) {
   // Schedule bot
   if (CONFIG.cron && CONFIG.cron !== 'disabled') {
-    log('info', `⏰ Scheduling bot with cron: ${CONFIG.cron}`)
+    log('info', `⏰ Scheduling bot with cron: ${CONFIG.cron} (${CONFIG.cronTimezone})`)
     cron.schedule(CONFIG.cron, () => {
       runBot()
-    })
+    }, { timezone: CONFIG.cronTimezone })
   } else {
     log('warn', 'Cron scheduling disabled. Set CRON_SCHEDULE to enable periodic runs.')
   }
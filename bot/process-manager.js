@@ -4,24 +4,23 @@ import express from 'express';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { createClient } from '@supabase/supabase-js';
 import { runBot } from './instagram-bot.js';
+import { getJobStore } from './helpers/jobs.js';
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+// Backend worker API (helpers/jobs.js); WORKER_TOKEN is required
+const jobs = getJobStore();
 
 // Configuration
 const CONFIG = {
   cronSchedule: process.env.CRON_SCHEDULE || '*/5 * * * *', // Every 5 minutes
-  maxConcurrentAccounts: parseInt(process.env.MAX_CONCURRENT_ACCOUNTS || '1', 10),
+  // Zone of the cron expression only; daily limits and posting windows follow each account's timezone
+  cronTimezone: process.env.CRON_TIMEZONE || 'UTC',
+  maxConcurrentAccounts: parseInt(process.env.MAX_CONCURRENT_ACCOUNTS || '3', 10),
   retryFailedAfterHours: parseInt(process.env.RETRY_FAILED_AFTER_HOURS || '2', 10),
   healthCheckPort: parseInt(process.env.HEALTH_CHECK_PORT || '3002', 10),
   logRetentionDays: parseInt(process.env.LOG_RETENTION_DAYS || '7', 10),
@@ -90,7 +89,8 @@ function log(level, message, meta = {}) {
   }
 }
 
-// Lock mechanism to prevent overlapping runs
+// Lock mechanism to prevent overlapping runs of this process; separate
+// instances share the queue through post leases (helpers/leases.js)
 let isLocked = false;
 let lockAcquiredAt = null;
 const LOCK_TIMEOUT_MS = 30 * 60 * 1000; // 30 minutes max lock time
@@ -256,6 +256,7 @@ app.get('/health', (req, res) => {
     uptime: process.uptime(),
     config: {
       cronSchedule: CONFIG.cronSchedule,
+      cronTimezone: CONFIG.cronTimezone,
       maxConcurrentAccounts: CONFIG.maxConcurrentAccounts,
       retryFailedAfterHours: CONFIG.retryFailedAfterHours,
     },
@@ -304,13 +305,13 @@ function setupCron() {
     cronJob.stop();
   }
 
-  log('info', `⏰ Scheduling bot with cron: ${CONFIG.cronSchedule}`);
+  log('info', `⏰ Scheduling bot with cron: ${CONFIG.cronSchedule} (${CONFIG.cronTimezone})`);
 
   cronJob = cron.schedule(CONFIG.cronSchedule, () => {
     executeBot();
   }, {
     scheduled: true,
-    timezone: 'UTC',
+    timezone: CONFIG.cronTimezone,
   });
 
   // Calculate initial next run time
@@ -361,53 +362,13 @@ process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 // Resume from checkpoint on startup
 async function resumeFromCheckpoint() {
   try {
-    // Check for posts stuck in 'processing' status (likely from previous crash)
-    const { data: stuckPosts, error } = await supabase
-      .from('posts')
-      .select('id, updated_at')
-      .eq('status', 'processing');
-
-    if (error) {
-      log('warn', 'Failed to check for stuck posts', { error: error.message });
-      return;
-    }
-
-    if (stuckPosts && stuckPosts.length > 0) {
-      log('info', `Found ${stuckPosts.length} posts stuck in processing status`);
-
-      // Reset posts that have been processing for more than 1 hour
-      const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
-      const toReset = stuckPosts.filter(post => 
-        new Date(post.updated_at) < new Date(oneHourAgo)
-      );
-
-      if (toReset.length > 0) {
-        const ids = toReset.map(p => p.id);
-        await supabase
-          .from('posts')
-          .update({ status: 'pending', updated_at: new Date().toISOString() })
-          .in('id', ids);
-
-        log('info', `Reset ${toReset.length} stuck posts back to pending`);
-      }
-    }
-
-    // Check for failed posts that should be retried
-    const retryAfter = new Date(Date.now() - CONFIG.retryFailedAfterHours * 60 * 60 * 1000).toISOString();
-    const { data: failedPosts } = await supabase
-      .from('posts')
-      .select('id')
-      .eq('status', 'failed')
-      .lt('updated_at', retryAfter)
-      .limit(10);
-
-    if (failedPosts && failedPosts.length > 0) {
-      await supabase
-        .from('posts')
-        .update({ status: 'pending', updated_at: new Date().toISOString() })
-        .in('id', failedPosts.map(p => p.id));
-
-      log('info', `Reset ${failedPosts.length} failed posts back to pending for retry`);
+    // Failed posts are retried after a while; completed accounts are skipped
+    // and attempted ones verified on the profile first. Posts, removals and
+    // caption edits whose lease ran out (likely from a previous crash) need
+    // nothing here: the worker API puts them back in the queue on the next claim.
+    const retried = await jobs.retryFailed({ olderThanHours: CONFIG.retryFailedAfterHours, limit: 10 });
+    if (retried.length > 0) {
+      log('info', `Reset ${retried.length} failed posts back to pending for retry`);
     }
   } catch (error) {
     log('error', 'Error during checkpoint resume', { error: error.message });
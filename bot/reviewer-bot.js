@@ -9,6 +9,7 @@ import winston from 'winston'
 import 'winston-daily-rotate-file'
 import { getAccountStats, getPostComments } from './helpers/review.js'
 import { crawlAccountPosts } from './helpers/crawling.js'
+import { startDiagnostics } from './helpers/diagnostics.js'
 import axios from 'axios'
 
 // Load environment variables
@@ -72,8 +73,11 @@ async function logActivity(type, message, details = '', userId = null) {
     if (userId) {
       logEntry.user_id = userId
     }
-    await supabase.from('bot_logs').insert(logEntry)
-  } catch {}
+    const { data } = await supabase.from('bot_logs').insert(logEntry).select('id').single()
+    return data?.id || null
+  } catch {
+    return null
+  }
 }
 
 async function notifyBackend(userId, payload) {
@@ -107,6 +111,7 @@ async function notifyBackend(userId, payload) {
 export async function reviewAccountById(accountId, userId) {
   let browser = null
   let reviewId = null
+  let diagnostics = null
 
   try {
     log('info', `Starting review for account ${accountId}`, { accountId, userId })
@@ -145,6 +150,7 @@ export async function reviewAccountById(accountId, userId) {
 
     const page = await browser.newPage()
     page.setDefaultNavigationTimeout(CONFIG.pageLoadTimeout)
+    diagnostics = await startDiagnostics(page, `review-${account.instagram_username}`)
 
     // Perform review (now uses crawling for per-post analytics)
     log('info', `Reviewing account @${account.instagram_username}`)
@@ -419,10 +425,13 @@ export async function reviewAccountById(accountId, userId) {
       userId,
     })
 
-    await logActivity('error', `Review failed: ${error.message}`, {
+    const logId = await logActivity('error', `Review failed: ${error.message}`, {
       accountId,
       error: error.message,
     }, userId)
+    try {
+      await diagnostics?.keep({ logId, userId })
+    } catch {}
 
     await notifyBackend(userId, {
       accountId,
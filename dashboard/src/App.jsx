@@ -11,6 +11,7 @@ import CreatePost from './pages/CreatePost'
 import PostQueue from './pages/PostQueue'
 import BotStatus from './pages/BotStatus'
 import Reviews from './pages/Reviews'
+import Approvals from './pages/Approvals'
 import Settings from './pages/Settings'
 
 function App() {
@@ -91,6 +92,16 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/approvals"
+            element={
+              <ProtectedRoute>
+                <Layout>
+                  <Approvals />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
       </Router>
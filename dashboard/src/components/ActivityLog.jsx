@@ -1,13 +1,17 @@
 import { useEffect, useRef, useState, useMemo } from 'react'
-import { CheckCircle, XCircle, Info, AlertCircle, Clock, Filter, Search, X } from 'lucide-react'
+import { CheckCircle, XCircle, Info, AlertCircle, Clock, Filter, Search, X, Download } from 'lucide-react'
 import { Card, CardContent } from './ui/Card'
 import { formatDistanceToNow } from 'date-fns'
 import { Input } from './ui/Input'
+import { api } from '../lib/api'
+import { useToast } from '../contexts/ToastContext'
 
 const ActivityLog = ({ activities, onClear }) => {
   const logEndRef = useRef(null)
   const [filter, setFilter] = useState('all') // 'all', 'success', 'error', 'warning', 'info'
   const [searchQuery, setSearchQuery] = useState('')
+  const [downloading, setDownloading] = useState(null)
+  const toast = useToast()
 
   const scrollToBottom = () => {
     logEndRef.current?.scrollIntoView({ behavior: 'smooth' })
@@ -87,6 +91,14 @@ const ActivityLog = ({ activities, onClear }) => {
     }
   }
 
+  // Trace/HAR of a failed run, kept by the bot in diagnostic mode
+  const handleDownload = async (activity, file) => {
+    setDownloading(file.id)
+    const { error } = await api.download(`/bot/logs/${activity.id}/diagnostics/${file.id}/download`, file.file_name)
+    setDownloading(null)
+    if (error) toast.error('Download failed', error)
+  }
+
   const filterButtons = [
     { id: 'all', label: 'All', count: activities.length },
     { id: 'success', label: 'Success', count: activities.filter(a => a.type === 'success').length },
@@ -213,6 +225,22 @@ const ActivityLog = ({ activities, onClear }) => {
                           Error: {activity.error}
                         </p>
                       )}
+                      {activity.diagnostics?.length > 0 && (
+                        <div className="flex flex-wrap gap-2 mt-1 ml-6">
+                          {activity.diagnostics.map((file) => (
+                            <button
+                              key={file.id}
+                              onClick={() => handleDownload(activity, file)}
+                              disabled={downloading === file.id}
+                              className="flex items-center space-x-1 text-xs text-purple-400 hover:text-purple-300 disabled:opacity-50"
+                              title={file.file_name}
+                            >
+                              <Download className="w-3 h-3" />
+                              <span>{file.kind === 'trace' ? 'Performance trace' : 'Network HAR'}</span>
+                            </button>
+                          ))}
+                        </div>
+                      )}
                     </div>
                   </div>
                 )
@@ -0,0 +1,142 @@
+import { useState, useEffect } from 'react'
+import { Camera, FileCode, Download } from 'lucide-react'
+import { api } from '../lib/api'
+import { useToast } from '../contexts/ToastContext'
+
+const artifactEndpoint = (artifact) => `/posts/${artifact.post_id}/artifacts/${artifact.id}/download`
+
+/**
+ * One step screenshot; artifacts are private, so the image is loaded through
+ * the backend into an object URL
+ */
+const ArtifactScreenshot = ({ artifact }) => {
+  const [src, setSrc] = useState(null)
+  const [failed, setFailed] = useState(false)
+
+  useEffect(() => {
+    let objectUrl = null
+    let cancelled = false
+    api.fetchFile(artifactEndpoint(artifact)).then(({ data, error }) => {
+      if (cancelled) return
+      if (error) {
+        setFailed(true)
+        return
+      }
+      objectUrl = URL.createObjectURL(data)
+      setSrc(objectUrl)
+    })
+    return () => {
+      cancelled = true
+      if (objectUrl) URL.revokeObjectURL(objectUrl)
+    }
+  }, [artifact.id])
+
+  if (failed) {
+    return (
+      <div className="p-2 rounded border border-dashed border-gray-300 text-[10px] text-gray-500 break-all">
+        <p className="font-medium text-gray-700">{artifact.step}</p>
+        <p>{artifact.store === 'local' ? `On bot host: ${artifact.storage_path}` : 'Could not load screenshot'}</p>
+      </div>
+    )
+  }
+
+  return (
+    <a
+      href={src || undefined}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="group block"
+      title={artifact.step}
+    >
+      <div className="aspect-video overflow-hidden rounded border border-gray-200 bg-gray-100">
+        {src && (
+          <img
+            src={src}
+            alt={artifact.step}
+            className="w-full h-full object-cover object-top group-hover:opacity-80"
+          />
+        )}
+      </div>
+      <p className="mt-0.5 text-[10px] text-gray-500 truncate">{artifact.step}</p>
+    </a>
+  )
+}
+
+/**
+ * Screenshots and DOM snapshot the bot kept for each posting attempt of one
+ * account, newest attempt first
+ */
+const AttemptArtifacts = ({ artifacts }) => {
+  const toast = useToast()
+  const [downloading, setDownloading] = useState(null)
+  const attempts = [...new Set(artifacts.map((artifact) => artifact.attempt))].sort((a, b) => b - a)
+  const [attempt, setAttempt] = useState(attempts[0])
+
+  useEffect(() => {
+    if (!attempts.includes(attempt)) setAttempt(attempts[0])
+  }, [artifacts])
+
+  if (attempts.length === 0) return null
+
+  const handleDownload = async (artifact) => {
+    setDownloading(artifact.id)
+    const { error } = await api.download(artifactEndpoint(artifact), `attempt-${artifact.attempt}-${artifact.step}.html`)
+    setDownloading(null)
+    if (error) toast.error('Download failed', error)
+  }
+
+  const current = artifacts.filter((artifact) => artifact.attempt === attempt)
+  const screenshots = current.filter((artifact) => artifact.kind === 'screenshot')
+  const snapshots = current.filter((artifact) => artifact.kind === 'dom')
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <p className="flex items-center space-x-1 text-xs font-medium text-gray-700">
+          <Camera className="w-3.5 h-3.5" />
+          <span>Attempt artifacts</span>
+        </p>
+        {attempts.length > 1 && (
+          <div className="flex items-center space-x-1">
+            {attempts.map((value) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => setAttempt(value)}
+                className={`px-2 py-0.5 text-xs rounded ${
+                  value === attempt ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                }`}
+              >
+                #{value}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {screenshots.length > 0 && (
+        <div className="grid grid-cols-3 gap-2 md:grid-cols-4">
+          {screenshots.map((artifact) => (
+            <ArtifactScreenshot key={artifact.id} artifact={artifact} />
+          ))}
+        </div>
+      )}
+
+      {snapshots.map((artifact) => (
+        <button
+          key={artifact.id}
+          type="button"
+          onClick={() => handleDownload(artifact)}
+          disabled={downloading === artifact.id}
+          className="flex items-center space-x-1 text-xs text-purple-600 hover:text-purple-700 disabled:opacity-50"
+        >
+          <FileCode className="w-3.5 h-3.5" />
+          <span>DOM snapshot ({artifact.step})</span>
+          <Download className="w-3 h-3" />
+        </button>
+      ))}
+    </div>
+  )
+}
+
+export default AttemptArtifacts
@@ -0,0 +1,53 @@
+import { Crop } from 'lucide-react'
+
+// Options of Instagram's crop dialog; ratio is width / height
+export const CROP_MODES = [
+  { value: 'original', label: 'Original', ratio: null },
+  { value: '1:1', label: '1:1', ratio: 1 },
+  { value: '4:5', label: '4:5', ratio: 4 / 5 },
+  { value: '16:9', label: '16:9', ratio: 16 / 9 },
+]
+
+/**
+ * Crop mode picker with a preview of how the cover image will be framed.
+ * Instagram applies the same crop to every carousel slide.
+ */
+const CropModeSelector = ({ value, onChange, image }) => {
+  const selected = CROP_MODES.find((mode) => mode.value === value) || CROP_MODES[0]
+  const previewRatio = selected.ratio || (image?.width && image?.height ? image.width / image.height : 1)
+
+  return (
+    <div className="space-y-3">
+      <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+        <Crop className="w-4 h-4 text-gray-500" />
+        <span>Crop</span>
+      </label>
+      <div className="flex flex-wrap gap-2">
+        {CROP_MODES.map((mode) => (
+          <button
+            key={mode.value}
+            type="button"
+            onClick={() => onChange(mode.value)}
+            className={`px-3 py-1.5 text-sm rounded-lg border ${
+              value === mode.value
+                ? 'border-purple-600 bg-purple-50 text-purple-700'
+                : 'border-gray-300 text-gray-600 hover:border-purple-300'
+            }`}
+          >
+            {mode.label}
+          </button>
+        ))}
+      </div>
+      {image && (
+        <div
+          className="w-48 overflow-hidden rounded-lg bg-gray-100"
+          style={{ aspectRatio: previewRatio }}
+        >
+          <img src={image.url} alt="Crop preview" className="w-full h-full object-cover" />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CropModeSelector
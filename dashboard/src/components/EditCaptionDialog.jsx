@@ -0,0 +1,64 @@
+import { useState, useEffect } from 'react'
+import { Dialog } from './ui/Dialog'
+import { Button } from './ui/Button'
+import CaptionEditor from './CaptionEditor'
+
+// Accounts where the post is live and its caption can still be edited
+export const getCaptionEditableAccounts = (post) =>
+  (post?.post_accounts || []).filter((pa) =>
+    pa.status === 'completed' &&
+    pa.instagram_post_url &&
+    !(pa.removal_status === 'completed' && pa.removal_action === 'delete')
+  )
+
+/**
+ * Change the caption of a published post. The old caption is kept in the
+ * post's revision history and the bot applies the new one on its next cycle.
+ */
+const EditCaptionDialog = ({ post, open, onOpenChange, onConfirm }) => {
+  const [caption, setCaption] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  useEffect(() => {
+    if (open) setCaption(post?.caption || '')
+  }, [open, post])
+
+  const unchanged = caption.trim() === (post?.caption || '').trim()
+
+  const handleConfirm = async () => {
+    setSubmitting(true)
+    try {
+      await onConfirm(caption.trim())
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={onOpenChange}
+      title="Edit caption"
+      description={`The bot updates the caption on ${getCaptionEditableAccounts(post).length} published account(s)`}
+    >
+      <div className="space-y-5">
+        <CaptionEditor value={caption} onChange={setCaption} />
+
+        <div className="flex justify-end space-x-2">
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleConfirm}
+            loading={submitting}
+            disabled={submitting || unchanged || !caption.trim()}
+          >
+            Save caption
+          </Button>
+        </div>
+      </div>
+    </Dialog>
+  )
+}
+
+export default EditCaptionDialog
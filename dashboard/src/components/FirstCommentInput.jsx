@@ -0,0 +1,64 @@
+import { MessageCircle, Hash } from 'lucide-react'
+
+const MAX_LENGTH = 2200
+const HASHTAG_PATTERN = /#[\p{L}\p{N}_]+/gu
+
+const FirstCommentInput = ({ enabled, onEnabledChange, value, onChange, caption = '', onCaptionChange }) => {
+  const captionHashtags = caption.match(HASHTAG_PATTERN) || []
+
+  // Move hashtags out of the caption into the comment to keep the caption clean
+  const handleMoveHashtags = () => {
+    if (captionHashtags.length === 0) return
+    const cleanedCaption = caption
+      .replace(HASHTAG_PATTERN, '')
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim()
+    const block = captionHashtags.join(' ')
+    onCaptionChange(cleanedCaption)
+    onChange(value.trim() ? `${value.trim()}\n${block}` : block)
+  }
+
+  return (
+    <div className="space-y-3">
+      <label className="flex items-center space-x-3 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => onEnabledChange(e.target.checked)}
+          className="w-4 h-4 text-purple-600 border-gray-300 rounded focus:ring-purple-600"
+        />
+        <div className="flex items-center space-x-2">
+          <MessageCircle className="w-4 h-4 text-gray-500" />
+          <span className="text-sm font-medium text-gray-700">Post a first comment</span>
+        </div>
+      </label>
+
+      {enabled && (
+        <div className="space-y-2">
+          <textarea
+            value={value}
+            onChange={(e) => onChange(e.target.value.slice(0, MAX_LENGTH))}
+            rows={3}
+            placeholder="#hashtag #block published as the first comment"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600 text-sm"
+          />
+          <div className="flex items-center justify-between text-xs text-gray-500">
+            <button
+              type="button"
+              onClick={handleMoveHashtags}
+              disabled={captionHashtags.length === 0}
+              className="flex items-center space-x-1 text-purple-600 hover:text-purple-700 disabled:text-gray-400 disabled:cursor-not-allowed"
+            >
+              <Hash className="w-3 h-3" />
+              <span>Move {captionHashtags.length || ''} hashtag{captionHashtags.length === 1 ? '' : 's'} from caption</span>
+            </button>
+            <span>{MAX_LENGTH - value.length} characters remaining</span>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FirstCommentInput
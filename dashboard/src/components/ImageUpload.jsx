@@ -1,17 +1,22 @@
 import { useState, useRef } from 'react'
-import { Upload, X, Image as ImageIcon, Loader2 } from 'lucide-react'
+import { Upload, X, Loader2, ChevronLeft, ChevronRight } from 'lucide-react'
 import { supabase } from '../lib/supabase'
-import { useAuth } from '../contexts/AuthContext'
 
-const ImageUpload = ({ onImageUploaded, onImageRemoved, initialUrl = null }) => {
+// Instagram caps carousels at 10 slides
+export const MAX_IMAGES = 10
+
+/**
+ * Ordered image uploader. `images` is a list of { url, publicId, width, height, crops, name }
+ * where the first entry is the cover; more than one image makes a carousel post.
+ */
+const ImageUpload = ({ images = [], onImagesChange, maxImages = MAX_IMAGES }) => {
   const [dragging, setDragging] = useState(false)
   const [uploading, setUploading] = useState(false)
   const [uploadProgress, setUploadProgress] = useState(0)
-  const [preview, setPreview] = useState(initialUrl)
   const [error, setError] = useState('')
-  const [fileInfo, setFileInfo] = useState(null)
   const fileInputRef = useRef(null)
-  const { user } = useAuth()
+
+  const remainingSlots = maxImages - images.length
 
   const validateFile = (file) => {
     const validTypes = ['image/jpeg', 'image/jpg', 'image/png']
@@ -28,42 +33,32 @@ const ImageUpload = ({ onImageUploaded, onImageRemoved, initialUrl = null }) =>
     return { valid: true }
   }
 
-  const handleFile = async (file) => {
+  const handleFiles = async (fileList) => {
     setError('')
-    const validation = validateFile(file)
-    
-    if (!validation.valid) {
-      setError(validation.error)
+    const files = Array.from(fileList || [])
+    if (files.length === 0) return
+
+    if (files.length > remainingSlots) {
+      setError(`You can add ${remainingSlots} more image${remainingSlots === 1 ? '' : 's'} (max ${maxImages} per post)`)
       return
     }
 
-    // Create preview
-    const reader = new FileReader()
-    reader.onload = (e) => {
-      setPreview(e.target.result)
-    }
-    reader.readAsDataURL(file)
-
-    // Get image dimensions
-    const img = new Image()
-    img.onload = () => {
-      setFileInfo({
-        name: file.name,
-        size: (file.size / 1024 / 1024).toFixed(2) + ' MB',
-        dimensions: `${img.width} × ${img.height}`,
-        aspectRatio: (img.width / img.height).toFixed(2),
-      })
+    for (const file of files) {
+      const validation = validateFile(file)
+      if (!validation.valid) {
+        setError(`${file.name}: ${validation.error}`)
+        return
+      }
     }
-    img.src = URL.createObjectURL(file)
 
     // Upload to Cloudinary via backend API
     setUploading(true)
     setUploadProgress(0)
 
     try {
-      // Create FormData for file upload
+      // Create FormData for file upload, keeping the selected order
       const formData = new FormData()
-      formData.append('image', file)
+      files.forEach((file) => formData.append('images', file))
 
       // Get session token for authentication
       const { data: { session } } = await supabase.auth.getSession()
@@ -81,7 +76,7 @@ const ImageUpload = ({ onImageUploaded, onImageRemoved, initialUrl = null }) =>
 
       // Upload to backend Cloudinary endpoint
       setUploadProgress(30)
-      const response = await fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:3001/api'}/upload`, {
+      const response = await fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:3001/api'}/upload/multiple`, {
         method: 'POST',
         credentials: 'include',
         headers: {
@@ -99,33 +94,38 @@ const ImageUpload = ({ onImageUploaded, onImageRemoved, initialUrl = null }) =>
       }
 
       const result = await response.json()
-      
-      if (!result.success || !result.data?.url) {
+
+      if (!result.success || !Array.isArray(result.data) || result.data.length === 0) {
         throw new Error(result.message || 'Upload failed - no URL returned')
       }
 
       setUploadProgress(100)
-      // Use Cloudinary URL and public_id as path
-      onImageUploaded(result.data.url, result.data.public_id)
+      const uploaded = result.data.map((item, index) => ({
+        url: item.url,
+        publicId: item.public_id,
+        width: item.width,
+        height: item.height,
+        crops: item.crops,
+        name: files[index]?.name || item.public_id,
+      }))
+      onImagesChange([...images, ...uploaded])
     } catch (err) {
       console.error('Upload error:', err)
       setError(err.message || 'Failed to upload image')
-      setPreview(null)
-      setFileInfo(null)
     } finally {
       setUploading(false)
       setUploadProgress(0)
+      if (fileInputRef.current) {
+        fileInputRef.current.value = ''
+      }
     }
   }
 
   const handleDrop = (e) => {
     e.preventDefault()
     setDragging(false)
-
-    const file = e.dataTransfer.files[0]
-    if (file) {
-      handleFile(file)
-    }
+    if (uploading) return
+    handleFiles(e.dataTransfer.files)
   }
 
   const handleDragOver = (e) => {
@@ -139,37 +139,99 @@ const ImageUpload = ({ onImageUploaded, onImageRemoved, initialUrl = null }) =>
   }
 
   const handleFileInput = (e) => {
-    const file = e.target.files[0]
-    if (file) {
-      handleFile(file)
-    }
+    handleFiles(e.target.files)
   }
 
-  const handleRemove = () => {
-    setPreview(null)
-    setFileInfo(null)
+  const handleRemove = (index) => {
     setError('')
-    if (fileInputRef.current) {
-      fileInputRef.current.value = ''
-    }
-    onImageRemoved()
+    onImagesChange(images.filter((_, i) => i !== index))
+  }
+
+  const handleMove = (index, direction) => {
+    const target = index + direction
+    if (target < 0 || target >= images.length) return
+    const reordered = [...images]
+    const [moved] = reordered.splice(index, 1)
+    reordered.splice(target, 0, moved)
+    onImagesChange(reordered)
   }
 
   return (
     <div className="space-y-4">
-      <label className="block text-sm font-medium text-gray-700">
-        Image
-      </label>
+      <div className="flex items-center justify-between">
+        <label className="block text-sm font-medium text-gray-700">
+          {images.length > 1 ? 'Images (carousel)' : 'Image'}
+        </label>
+        {images.length > 0 && (
+          <span className="text-xs text-gray-500">
+            {images.length}/{maxImages} images
+          </span>
+        )}
+      </div>
 
-      {!preview ? (
+      {images.length > 0 && (
+        <div className="grid grid-cols-2 gap-3 sm:grid-cols-3 lg:grid-cols-5">
+          {images.map((image, index) => (
+            <div
+              key={image.publicId || image.url}
+              className="relative border border-gray-200 rounded-lg overflow-hidden bg-gray-50"
+            >
+              <div className="relative aspect-square">
+                <img
+                  src={image.url}
+                  alt={`Slide ${index + 1}`}
+                  className="w-full h-full object-cover"
+                />
+                <span className="absolute top-2 left-2 px-2 py-0.5 text-xs font-medium bg-white/90 text-gray-700 rounded-full shadow">
+                  {index === 0 ? 'Cover' : index + 1}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(index)}
+                  className="absolute top-2 right-2 p-1.5 bg-white rounded-full shadow-lg hover:bg-gray-100 transition-colors"
+                  title="Remove image"
+                >
+                  <X className="w-3.5 h-3.5 text-gray-600" />
+                </button>
+              </div>
+              <div className="flex items-center justify-between px-2 py-1.5 bg-white border-t border-gray-200">
+                <button
+                  type="button"
+                  onClick={() => handleMove(index, -1)}
+                  disabled={index === 0}
+                  className="p-1 rounded hover:bg-gray-100 disabled:opacity-30 disabled:cursor-not-allowed"
+                  title="Move earlier"
+                >
+                  <ChevronLeft className="w-4 h-4 text-gray-600" />
+                </button>
+                <span className="text-xs text-gray-500 truncate px-1">
+                  {image.width && image.height ? `${image.width} × ${image.height}` : image.name}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleMove(index, 1)}
+                  disabled={index === images.length - 1}
+                  className="p-1 rounded hover:bg-gray-100 disabled:opacity-30 disabled:cursor-not-allowed"
+                  title="Move later"
+                >
+                  <ChevronRight className="w-4 h-4 text-gray-600" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {remainingSlots > 0 && (
         <div
           onDrop={handleDrop}
           onDragOver={handleDragOver}
           onDragLeave={handleDragLeave}
-          onClick={() => fileInputRef.current?.click()}
+          onClick={() => !uploading && fileInputRef.current?.click()}
           className={`
-            border-2 border-dashed rounded-lg p-12 text-center cursor-pointer
+            border-2 border-dashed rounded-lg text-center cursor-pointer
             transition-all duration-200
+            ${images.length > 0 ? 'p-6' : 'p-12'}
             ${
               dragging
                 ? 'border-purple-500 bg-purple-50'
@@ -182,6 +244,7 @@ const ImageUpload = ({ onImageUploaded, onImageRemoved, initialUrl = null }) =>
             ref={fileInputRef}
             type="file"
             accept="image/jpeg,image/jpg,image/png"
+            multiple
             onChange={handleFileInput}
             className="hidden"
             disabled={uploading}
@@ -203,54 +266,18 @@ const ImageUpload = ({ onImageUploaded, onImageRemoved, initialUrl = null }) =>
             </div>
           ) : (
             <>
-              <Upload className="w-12 h-12 mx-auto text-gray-400 mb-4" />
+              <Upload className={`mx-auto text-gray-400 ${images.length > 0 ? 'w-8 h-8 mb-2' : 'w-12 h-12 mb-4'}`} />
               <p className="text-sm text-gray-600">
-                Click to upload or drag and drop
+                {images.length > 0
+                  ? 'Add more images to make a carousel'
+                  : 'Click to upload or drag and drop'}
               </p>
               <p className="text-xs text-gray-500 mt-1">
-                PNG, JPG up to 8MB
+                PNG, JPG up to 8MB · up to {maxImages} images, ordered as shown
               </p>
             </>
           )}
         </div>
-      ) : (
-        <div className="relative border border-gray-200 rounded-lg overflow-hidden bg-gray-50">
-          <div className="relative aspect-square max-h-96">
-            <img
-              src={preview}
-              alt="Preview"
-              className="w-full h-full object-contain"
-            />
-            <button
-              onClick={handleRemove}
-              className="absolute top-2 right-2 p-2 bg-white rounded-full shadow-lg hover:bg-gray-100 transition-colors"
-            >
-              <X className="w-4 h-4 text-gray-600" />
-            </button>
-          </div>
-          {fileInfo && (
-            <div className="px-4 py-3 bg-white border-t border-gray-200">
-              <div className="grid grid-cols-2 gap-4 text-sm">
-                <div>
-                  <p className="text-gray-500">Dimensions</p>
-                  <p className="font-medium text-gray-900">{fileInfo.dimensions}</p>
-                </div>
-                <div>
-                  <p className="text-gray-500">Aspect Ratio</p>
-                  <p className="font-medium text-gray-900">{fileInfo.aspectRatio}</p>
-                </div>
-                <div>
-                  <p className="text-gray-500">Size</p>
-                  <p className="font-medium text-gray-900">{fileInfo.size}</p>
-                </div>
-                <div>
-                  <p className="text-gray-500">File</p>
-                  <p className="font-medium text-gray-900 truncate">{fileInfo.name}</p>
-                </div>
-              </div>
-            </div>
-          )}
-        </div>
       )}
 
       {error && (
@@ -263,4 +290,3 @@ const ImageUpload = ({ onImageUploaded, onImageRemoved, initialUrl = null }) =>
 }
 
 export default ImageUpload
-
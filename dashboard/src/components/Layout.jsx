@@ -8,6 +8,7 @@ import {
   Settings, 
   Activity,
   BarChart3,
+  ClipboardCheck,
   Menu, 
   X,
   LogOut,
@@ -27,6 +28,7 @@ const Layout = ({ children }) => {
     { name: 'Accounts', href: '/accounts', icon: User },
     { name: 'Create', href: '/create', icon: PlusCircle },
     { name: 'Queue', href: '/queue', icon: List },
+    { name: 'Approvals', href: '/approvals', icon: ClipboardCheck },
     { name: 'Bot Status', href: '/bot-status', icon: Activity },
     { name: 'Reviews', href: '/reviews', icon: BarChart3 },
     { name: 'Settings', href: '/settings', icon: Settings },
@@ -1,13 +1,49 @@
 import { useState } from 'react'
-import { Instagram, Calendar, Edit, Trash2, RotateCw, Eye } from 'lucide-react'
+import { Instagram, Calendar, Edit, Trash2, RotateCw, Eye, Layers, Film, Smartphone, Archive, PenLine, Repeat, Send } from 'lucide-react'
 import { Badge } from './ui/Badge'
 import { Button } from './ui/Button'
+import { getRemovableAccounts } from './RemovePublishedDialog'
+import { getCaptionEditableAccounts } from './EditCaptionDialog'
 import { formatDistanceToNow } from 'date-fns'
+import { formatInTimezone, getAccountTimezone } from '../lib/timezone'
+import PrioritySelect, { getPriorityLevel } from './PrioritySelect'
 
-const PostCard = ({ post, accounts, onEdit, onDelete, onRetry, onViewDetails }) => {
+// Label and color of a post_accounts removal, e.g. "Deleting..." or "Archive failed"
+const getRemovalLabel = (postAccount) => {
+  if (!postAccount?.removal_status) return null
+  const isArchive = postAccount.removal_action === 'archive'
+  switch (postAccount.removal_status) {
+    case 'pending':
+    case 'processing':
+      return { text: isArchive ? 'Archiving...' : 'Deleting...', className: 'text-blue-600' }
+    case 'completed':
+      return { text: isArchive ? 'Archived' : 'Deleted', className: 'text-gray-500' }
+    case 'failed':
+      return { text: isArchive ? 'Archive failed' : 'Delete failed', className: 'text-red-600' }
+    default:
+      return null
+  }
+}
+
+// Label and color of a caption edit on a published post
+const getCaptionEditLabel = (postAccount) => {
+  switch (postAccount?.caption_edit_status) {
+    case 'pending':
+    case 'processing':
+      return { text: 'Updating caption...', className: 'text-blue-600' }
+    case 'failed':
+      return { text: 'Caption update failed', className: 'text-red-600' }
+    default:
+      return null
+  }
+}
+
+const PostCard = ({ post, accounts, onEdit, onDelete, onRetry, onRemovePublished, onEditCaption, onViewDetails, onPriorityChange, onSubmit }) => {
   const [showFullCaption, setShowFullCaption] = useState(false)
 
   const statusColors = {
+    draft: 'default',
+    awaiting_approval: 'purple',
     pending: 'warning',
     processing: 'info',
     completed: 'success',
@@ -34,6 +70,21 @@ const PostCard = ({ post, accounts, onEdit, onDelete, onRetry, onViewDetails })
     post.post_accounts?.some(pa => pa.account_id === acc.id)
   )
 
+  // Scheduled time in each account's own timezone
+  const scheduledTitle = post.scheduled_at
+    ? [...new Set(postAccounts.map(getAccountTimezone))]
+      .map((timezone) => `${formatInTimezone(post.scheduled_at, timezone)} (${timezone})`)
+      .join('\n') || undefined
+    : undefined
+
+  const priority = getPriorityLevel(post.priority)
+  const statusLabel = post.status ? (post.status.charAt(0).toUpperCase() + post.status.slice(1)).replace('_', ' ') : 'Unknown'
+
+  // A rejected post is back in drafts; show the reviewer's comment until it is resubmitted
+  const lastDecision = [...(post.post_approvals || [])]
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0]
+  const rejection = post.status === 'draft' && lastDecision?.decision === 'rejected' ? lastDecision : null
+
   return (
     <div className="bg-white rounded-lg shadow-sm border border-gray-200 hover:shadow-md transition-shadow duration-200">
       <div className="p-6">
@@ -41,7 +92,7 @@ const PostCard = ({ post, accounts, onEdit, onDelete, onRetry, onViewDetails })
         <div className="flex items-start justify-between mb-4">
           <div className="flex items-center space-x-3 flex-1">
             {/* Image Thumbnail */}
-            <div className="w-20 h-20 rounded-lg overflow-hidden bg-gray-100 flex-shrink-0">
+            <div className="relative w-20 h-20 rounded-lg overflow-hidden bg-gray-100 flex-shrink-0">
               {post.image_url ? (
                 <img
                   src={post.image_url}
@@ -53,6 +104,31 @@ const PostCard = ({ post, accounts, onEdit, onDelete, onRetry, onViewDetails })
                   <Instagram className="w-8 h-8 text-gray-400" />
                 </div>
               )}
+              {post.post_type === 'story' && (
+                <span
+                  className="absolute top-1 right-1 flex items-center px-1.5 py-0.5 text-white bg-black/60 rounded"
+                  title="Story"
+                >
+                  <Smartphone className="w-3 h-3" />
+                </span>
+              )}
+              {post.media_type === 'reel' && (
+                <span
+                  className="absolute top-1 right-1 flex items-center px-1.5 py-0.5 text-white bg-black/60 rounded"
+                  title="Reel"
+                >
+                  <Film className="w-3 h-3" />
+                </span>
+              )}
+              {post.image_urls?.length > 1 && (
+                <span
+                  className="absolute top-1 right-1 flex items-center space-x-0.5 px-1.5 py-0.5 text-[10px] font-medium text-white bg-black/60 rounded"
+                  title={`Carousel with ${post.image_urls.length} images`}
+                >
+                  <Layers className="w-3 h-3" />
+                  <span>{post.image_urls.length}</span>
+                </span>
+              )}
             </div>
 
             {/* Caption */}
@@ -72,29 +148,75 @@ const PostCard = ({ post, accounts, onEdit, onDelete, onRetry, onViewDetails })
           </div>
 
           {/* Status Badge */}
-          <div className="flex-shrink-0 ml-4">
+          <div className="flex-shrink-0 ml-4 flex items-center space-x-2">
+            {priority.value !== 0 && (
+              <Badge variant={priority.variant}>{priority.label} priority</Badge>
+            )}
             <Badge variant={statusColors[post.status] || 'default'}>
-              {post.status?.charAt(0).toUpperCase() + post.status?.slice(1) || 'Unknown'}
+              {statusLabel}
             </Badge>
           </div>
         </div>
 
+        {rejection && (
+          <div className="mb-4 p-3 text-sm bg-red-50 border border-red-200 rounded-lg">
+            <p className="font-medium text-red-800">Rejected by {rejection.reviewer_email}</p>
+            {rejection.comment && <p className="mt-1 text-red-700 whitespace-pre-wrap">{rejection.comment}</p>}
+          </div>
+        )}
+
         {/* Accounts */}
         {postAccounts.length > 0 && (
           <div className="mb-4">
             <p className="text-xs text-gray-500 mb-2">Posting to:</p>
             <div className="flex flex-wrap gap-2">
-              {postAccounts.map((account) => (
-                <div
-                  key={account.id}
-                  className="flex items-center space-x-1 px-2 py-1 bg-gray-100 rounded-full"
-                >
-                  <div className="w-4 h-4 bg-gradient-to-br from-purple-600 to-pink-600 rounded-full flex items-center justify-center">
-                    <Instagram className="w-2.5 h-2.5 text-white" />
+              {postAccounts.map((account) => {
+                const postAccount = post.post_accounts.find((pa) => pa.account_id === account.id)
+                const removal = getRemovalLabel(postAccount)
+                const captionEdit = getCaptionEditLabel(postAccount)
+                const deferredUntil = postAccount?.status === 'pending' && postAccount.deferred_until
+                  && new Date(postAccount.deferred_until) > new Date()
+                  ? postAccount.deferred_until
+                  : null
+                // A staggered post goes out on each account at its own time
+                const plannedAt = !deferredUntil && post.stagger && postAccount?.status === 'pending'
+                  ? postAccount.scheduled_at
+                  : null
+                return (
+                  <div
+                    key={account.id}
+                    className="flex items-center space-x-1 px-2 py-1 bg-gray-100 rounded-full"
+                    title={postAccount?.removal_error || postAccount?.caption_edit_error || undefined}
+                  >
+                    <div className="w-4 h-4 bg-gradient-to-br from-purple-600 to-pink-600 rounded-full flex items-center justify-center">
+                      <Instagram className="w-2.5 h-2.5 text-white" />
+                    </div>
+                    <span className="text-xs text-gray-700">@{account.instagram_username}</span>
+                    {removal && (
+                      <span className={`text-xs ${removal.className}`}>· {removal.text}</span>
+                    )}
+                    {!removal && captionEdit && (
+                      <span className={`text-xs ${captionEdit.className}`}>· {captionEdit.text}</span>
+                    )}
+                    {deferredUntil && (
+                      <span
+                        className="text-xs text-yellow-700"
+                        title={`Came due outside the account's posting hours; goes out ${formatInTimezone(deferredUntil, getAccountTimezone(account))} (${getAccountTimezone(account)})`}
+                      >
+                        · Posts {formatDate(deferredUntil)}
+                      </span>
+                    )}
+                    {plannedAt && (
+                      <span
+                        className="text-xs text-gray-500"
+                        title={`Planned for ${formatInTimezone(plannedAt, getAccountTimezone(account))} (${getAccountTimezone(account)})`}
+                      >
+                        · {formatDate(plannedAt)}
+                      </span>
+                    )}
                   </div>
-                  <span className="text-xs text-gray-700">@{account.instagram_username}</span>
-                </div>
-              ))}
+                )
+              })}
             </div>
           </div>
         )}
@@ -102,14 +224,29 @@ const PostCard = ({ post, accounts, onEdit, onDelete, onRetry, onViewDetails })
         {/* Footer */}
         <div className="flex items-center justify-between pt-4 border-t border-gray-200">
           <div className="flex items-center space-x-4 text-xs text-gray-500">
-            <div className="flex items-center space-x-1">
+            <div className="flex items-center space-x-1" title={scheduledTitle}>
               <Calendar className="w-3 h-3" />
               <span>{formatDate(post.scheduled_at)}</span>
             </div>
+            {post.schedule_id && (
+              <div className="flex items-center space-x-1" title="Created by a recurring schedule">
+                <Repeat className="w-3 h-3" />
+                <span>Repeats</span>
+              </div>
+            )}
           </div>
 
           {/* Actions */}
           <div className="flex items-center space-x-2">
+            {onPriorityChange && post.status === 'pending' && (
+              <PrioritySelect
+                value={post.priority}
+                onChange={(level) => onPriorityChange(post, level)}
+                className="px-2 py-1 text-xs"
+                title="Priority"
+              />
+            )}
+
             <Button
               variant="ghost"
               size="sm"
@@ -119,7 +256,18 @@ const PostCard = ({ post, accounts, onEdit, onDelete, onRetry, onViewDetails })
               <Eye className="w-4 h-4" />
             </Button>
             
-            {post.status === 'pending' && (
+            {onSubmit && post.status === 'draft' && (
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => onSubmit(post)}
+                title="Submit"
+              >
+                <Send className="w-4 h-4" />
+              </Button>
+            )}
+
+            {['draft', 'awaiting_approval', 'pending'].includes(post.status) && (
               <Button
                 variant="ghost"
                 size="sm"
@@ -141,6 +289,28 @@ const PostCard = ({ post, accounts, onEdit, onDelete, onRetry, onViewDetails })
               </Button>
             )}
             
+            {onEditCaption && post.status === 'completed' && post.post_type !== 'story' && getCaptionEditableAccounts(post).length > 0 && (
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => onEditCaption(post)}
+                title="Edit caption"
+              >
+                <PenLine className="w-4 h-4" />
+              </Button>
+            )}
+
+            {onRemovePublished && post.post_type !== 'story' && getRemovableAccounts(post).length > 0 && (
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => onRemovePublished(post)}
+                title="Remove from Instagram"
+              >
+                <Archive className="w-4 h-4" />
+              </Button>
+            )}
+
             <Button
               variant="ghost"
               size="sm"
@@ -1,12 +1,16 @@
 import { useState, useEffect } from 'react'
-import { X, Instagram, CheckCircle, XCircle, Clock, Calendar, ExternalLink } from 'lucide-react'
+import { X, Instagram, CheckCircle, XCircle, Clock, Calendar, ExternalLink, MessageCircle, MapPin, AlertCircle } from 'lucide-react'
 import { Dialog } from './ui/Dialog'
 import { Badge } from './ui/Badge'
 import { supabase } from '../lib/supabase'
+import AttemptArtifacts from './AttemptArtifacts'
 import { formatDistanceToNow } from 'date-fns'
+import { formatInTimezone, getAccountTimezone } from '../lib/timezone'
 
 const PostDetailModal = ({ post, isOpen, onClose }) => {
   const [postAccounts, setPostAccounts] = useState([])
+  const [captionRevisions, setCaptionRevisions] = useState([])
+  const [artifacts, setArtifacts] = useState([])
   const [loading, setLoading] = useState(true)
 
   useEffect(() => {
@@ -22,7 +26,8 @@ const PostDetailModal = ({ post, isOpen, onClose }) => {
             account:accounts (
               id,
               instagram_username,
-              is_active
+              is_active,
+              timezone
             )
           `)
           .eq('post_id', post.id)
@@ -37,7 +42,38 @@ const PostDetailModal = ({ post, isOpen, onClose }) => {
       }
     }
 
+    // Only posts edited after publishing have a caption history
+    const fetchCaptionRevisions = async () => {
+      const { data, error } = await supabase
+        .from('post_caption_revisions')
+        .select('id, revision, previous_caption, caption, status, created_at')
+        .eq('post_id', post.id)
+        .order('revision', { ascending: false })
+
+      if (error) {
+        console.error('Error fetching caption history:', error)
+        return
+      }
+      setCaptionRevisions(data || [])
+    }
+
+    const fetchArtifacts = async () => {
+      const { data, error } = await supabase
+        .from('post_attempt_artifacts')
+        .select('id, post_id, post_account_id, attempt, kind, step, store, storage_path, created_at')
+        .eq('post_id', post.id)
+        .order('created_at', { ascending: true })
+
+      if (error) {
+        console.error('Error fetching attempt artifacts:', error)
+        return
+      }
+      setArtifacts(data || [])
+    }
+
     fetchPostAccounts()
+    fetchCaptionRevisions()
+    fetchArtifacts()
   }, [post, isOpen])
 
   const getStatusColor = (status) => {
@@ -48,11 +84,45 @@ const PostDetailModal = ({ post, isOpen, onClose }) => {
         return 'error'
       case 'processing':
         return 'info'
+      case 'draft':
+        return 'default'
+      case 'awaiting_approval':
+        return 'purple'
       default:
         return 'warning'
     }
   }
 
+  const firstCommentColors = {
+    pending: 'warning',
+    posted: 'success',
+    failed: 'error',
+    skipped: 'default',
+  }
+
+  const settingLabels = {
+    alt_texts: 'Alt text',
+    hide_like_counts: 'Hide like and view counts',
+    disable_comments: 'Turn off commenting',
+  }
+
+  // Location, tags and settings the bot could not apply for one account
+  const getApplyFailures = (postAccount) => {
+    const tagging = postAccount.tagging_results || {}
+    const settings = postAccount.settings_results || {}
+    return [
+      ...(tagging.location?.status === 'failed'
+        ? [{ label: `Location "${tagging.location.name}"`, error: tagging.location.error }]
+        : []),
+      ...(tagging.user_tags || [])
+        .filter((tag) => tag.status === 'failed')
+        .map((tag) => ({ label: `@${tag.username}`, error: tag.error })),
+      ...Object.entries(settings)
+        .filter(([, result]) => result?.status === 'failed')
+        .map(([setting, result]) => ({ label: settingLabels[setting] || setting, error: result.error })),
+    ]
+  }
+
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A'
     try {
@@ -80,7 +150,46 @@ const PostDetailModal = ({ post, isOpen, onClose }) => {
     >
       <div className="space-y-6 max-h-[80vh] overflow-y-auto">
         {/* Image */}
-        {post.image_url && (
+        {post.media_type === 'reel' && post.video_url ? (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Reel
+              {post.video_duration_seconds && (
+                <span className="ml-2 text-xs font-normal text-gray-500">
+                  {Math.round(post.video_duration_seconds)}s · {post.video_width} × {post.video_height}
+                </span>
+              )}
+            </label>
+            <div className="rounded-lg overflow-hidden bg-black">
+              <video
+                src={post.video_url}
+                poster={post.image_url}
+                controls
+                className="w-full max-h-96 object-contain"
+              />
+            </div>
+          </div>
+        ) : post.image_urls?.length > 1 ? (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Carousel ({post.image_urls.length} images)
+            </label>
+            <div className="flex space-x-2 overflow-x-auto pb-2">
+              {post.image_urls.map((url, index) => (
+                <div key={`${url}-${index}`} className="relative flex-shrink-0 w-40 h-40 rounded-lg overflow-hidden bg-gray-100">
+                  <img
+                    src={url}
+                    alt={`Slide ${index + 1}`}
+                    className="w-full h-full object-cover"
+                  />
+                  <span className="absolute top-2 left-2 px-2 py-0.5 text-xs font-medium bg-white/90 text-gray-700 rounded-full shadow">
+                    {index + 1}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        ) : post.image_url && (
           <div className="rounded-lg overflow-hidden bg-gray-100">
             <img
               src={post.image_url}
@@ -100,8 +209,97 @@ const PostDetailModal = ({ post, isOpen, onClose }) => {
               {post.caption || <span className="text-gray-400 italic">No caption</span>}
             </p>
           </div>
+          {captionRevisions.length > 0 && (
+            <details className="mt-2">
+              <summary className="text-xs text-purple-600 cursor-pointer">
+                Edited {captionRevisions.length} time(s) after publishing
+              </summary>
+              <ul className="mt-2 space-y-2">
+                {captionRevisions.map((revision) => (
+                  <li key={revision.id} className="text-xs border-l-2 border-gray-200 pl-3">
+                    <p className="text-gray-500">
+                      Revision {revision.revision} · {formatDistanceToNow(new Date(revision.created_at), { addSuffix: true })}
+                      {revision.status === 'awaiting_approval' && ' · awaiting approval'}
+                      {revision.status === 'rejected' && ' · rejected by a reviewer'}
+                    </p>
+                    <p className="mt-1 text-gray-700 whitespace-pre-wrap">
+                      <span className="text-gray-500">Before: </span>
+                      {revision.previous_caption || <span className="italic">No caption</span>}
+                    </p>
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
         </div>
 
+        {/* First Comment */}
+        {post.first_comment && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              First Comment
+            </label>
+            <div className="bg-gray-50 rounded-lg p-4 border border-gray-200">
+              <p className="text-sm text-gray-900 whitespace-pre-wrap">{post.first_comment}</p>
+            </div>
+          </div>
+        )}
+
+        {/* Location and Tags */}
+        {(post.location || post.user_tags?.length > 0) && (
+          <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+            {post.location && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Location
+                </label>
+                <div className="flex items-center space-x-2 text-sm text-gray-900">
+                  <MapPin className="w-4 h-4 text-gray-500" />
+                  <span>{post.location}</span>
+                </div>
+              </div>
+            )}
+            {post.user_tags?.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Tagged Accounts
+                </label>
+                <div className="flex flex-wrap gap-2">
+                  {post.user_tags.map((tag) => (
+                    <span
+                      key={`${tag.slide}-${tag.username}-${tag.x}-${tag.y}`}
+                      className="inline-flex items-center px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded-full"
+                    >
+                      @{tag.username}
+                      {post.media_type === 'carousel' && <span className="ml-1 text-gray-400">· slide {tag.slide + 1}</span>}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Alt text and advanced settings */}
+        {(post.alt_texts?.some(Boolean) || post.hide_like_counts || post.disable_comments || (post.crop_mode && post.crop_mode !== 'original')) && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Accessibility & Settings
+            </label>
+            <div className="bg-gray-50 rounded-lg p-4 border border-gray-200 space-y-2 text-sm text-gray-900">
+              {post.alt_texts?.map((text, index) => text && (
+                <p key={index}>
+                  <span className="text-gray-500">Alt text{post.alt_texts.length > 1 ? ` (slide ${index + 1})` : ''}: </span>
+                  {text}
+                </p>
+              ))}
+              {post.crop_mode && post.crop_mode !== 'original' && <p>Cropped to {post.crop_mode}</p>}
+              {post.hide_like_counts && <p>Like and view counts hidden</p>}
+              {post.disable_comments && <p>Commenting turned off</p>}
+            </div>
+          </div>
+        )}
+
         {/* Status and Schedule */}
         <div className="grid grid-cols-2 gap-4">
           <div>
@@ -109,8 +307,17 @@ const PostDetailModal = ({ post, isOpen, onClose }) => {
               Status
             </label>
             <Badge variant={getStatusColor(post.status)}>
-              {post.status?.charAt(0).toUpperCase() + post.status?.slice(1) || 'Unknown'}
+              {post.status ? (post.status.charAt(0).toUpperCase() + post.status.slice(1)).replace('_', ' ') : 'Unknown'}
             </Badge>
+            {/* Reviewer decisions, oldest first */}
+            {[...(post.post_approvals || [])]
+              .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+              .map((approval) => (
+                <p key={approval.id} className={`mt-1 text-xs ${approval.decision === 'rejected' ? 'text-red-600' : 'text-green-700'}`}>
+                  {approval.decision === 'rejected' ? 'Rejected' : 'Approved'} by {approval.reviewer_email} on {formatDate(approval.created_at)}
+                  {approval.comment && `: ${approval.comment}`}
+                </p>
+              ))}
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -119,6 +326,12 @@ const PostDetailModal = ({ post, isOpen, onClose }) => {
             <p className="text-sm text-gray-900">
               {formatDate(post.scheduled_at)}
             </p>
+            {/* The same moment in each account's own timezone */}
+            {post.scheduled_at && [...new Set(postAccounts.map((pa) => pa.account?.timezone).filter(Boolean))].map((timezone) => (
+              <p key={timezone} className="text-xs text-gray-500">
+                {formatInTimezone(post.scheduled_at, timezone)} in {timezone}
+              </p>
+            ))}
           </div>
         </div>
 
@@ -172,9 +385,46 @@ const PostDetailModal = ({ post, isOpen, onClose }) => {
                           <span>
                             Posted {formatDistanceToNow(new Date(postAccount.posted_at), { addSuffix: true })}
                           </span>
+                          {postAccount.attempt_count > 1 && (
+                            <span className="text-xs text-gray-500">· {postAccount.attempt_count} attempts</span>
+                          )}
+                        </div>
+                      )}
+
+                      {post.stagger && postAccount.status === 'pending' && postAccount.scheduled_at && (
+                        <div className="flex items-center space-x-2 text-sm text-gray-600">
+                          <Clock className="w-4 h-4" />
+                          <span>
+                            Planned for {formatInTimezone(postAccount.scheduled_at, getAccountTimezone(account))} ({getAccountTimezone(account)})
+                          </span>
+                        </div>
+                      )}
+
+                      {postAccount.status === 'pending' && postAccount.deferred_until && new Date(postAccount.deferred_until) > new Date() && (
+                        <div className="flex items-center space-x-2 text-sm text-yellow-700">
+                          <Clock className="w-4 h-4" />
+                          <span>
+                            Outside posting hours, goes out {formatInTimezone(postAccount.deferred_until, getAccountTimezone(account))} ({getAccountTimezone(account)})
+                          </span>
                         </div>
                       )}
 
+                      {postAccount.adopted_at && (
+                        <p className="text-xs text-gray-500">
+                          Found already published on the profile during a retry, so it was not posted again
+                        </p>
+                      )}
+
+                      {postAccount.caption_edit_status && (
+                        <p className={`text-xs ${postAccount.caption_edit_status === 'failed' ? 'text-red-600' : 'text-gray-500'}`}>
+                          {postAccount.caption_edit_status === 'completed'
+                            ? `Caption updated ${postAccount.caption_edited_at ? formatDistanceToNow(new Date(postAccount.caption_edited_at), { addSuffix: true }) : ''}`
+                            : postAccount.caption_edit_status === 'failed'
+                              ? `Caption update failed: ${postAccount.caption_edit_error || 'Unknown error'}`
+                              : 'Caption update queued'}
+                        </p>
+                      )}
+
                       {postAccount.instagram_post_url && (
                         <div className="flex items-center space-x-2">
                           <a
@@ -189,6 +439,42 @@ const PostDetailModal = ({ post, isOpen, onClose }) => {
                         </div>
                       )}
 
+                      {postAccount.first_comment_status && (
+                        <div className="flex items-start space-x-2 text-sm text-gray-600">
+                          <MessageCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                          <div>
+                            <span>First comment: </span>
+                            <Badge variant={firstCommentColors[postAccount.first_comment_status] || 'default'}>
+                              {postAccount.first_comment_status.charAt(0).toUpperCase() + postAccount.first_comment_status.slice(1)}
+                            </Badge>
+                            {postAccount.first_comment_posted_at && (
+                              <span className="ml-2 text-xs text-gray-500">
+                                {formatDistanceToNow(new Date(postAccount.first_comment_posted_at), { addSuffix: true })}
+                              </span>
+                            )}
+                            {postAccount.first_comment_error && (
+                              <p className="mt-1 text-xs text-red-600">{postAccount.first_comment_error}</p>
+                            )}
+                          </div>
+                        </div>
+                      )}
+
+                      {getApplyFailures(postAccount).length > 0 && (
+                        <div className="bg-yellow-50 border border-yellow-200 rounded p-2 text-sm text-yellow-800">
+                          <div className="flex items-start space-x-2">
+                            <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                            <div>
+                              <p>Not applied on Instagram:</p>
+                              <ul className="mt-1 text-xs space-y-0.5">
+                                {getApplyFailures(postAccount).map(({ label, error }) => (
+                                  <li key={label}>{label}{error && ` - ${error}`}</li>
+                                ))}
+                              </ul>
+                            </div>
+                          </div>
+                        </div>
+                      )}
+
                       {postAccount.error_message && (
                         <div className="bg-red-50 border border-red-200 rounded p-2 text-sm text-red-700">
                           <div className="flex items-start space-x-2">
@@ -198,6 +484,10 @@ const PostDetailModal = ({ post, isOpen, onClose }) => {
                         </div>
                       )}
 
+                      <AttemptArtifacts
+                        artifacts={artifacts.filter((artifact) => artifact.post_account_id === postAccount.id)}
+                      />
+
                       {!postAccount.posted_at && !postAccount.error_message && (
                         <p className="text-sm text-gray-500 italic">
                           Waiting to be processed...
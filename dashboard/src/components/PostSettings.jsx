@@ -0,0 +1,103 @@
+import { useState } from 'react'
+import { ChevronDown, ChevronUp, Accessibility, Settings2 } from 'lucide-react'
+
+const MAX_ALT_TEXT_LENGTH = 1000
+
+/**
+ * Alt text per image plus the share dialog's advanced settings.
+ * `altTexts` is keyed by image URL so reordering slides keeps each text
+ * with its image.
+ */
+const PostSettings = ({
+  images = [],
+  altTexts,
+  onAltTextsChange,
+  hideLikeCounts,
+  onHideLikeCountsChange,
+  disableComments,
+  onDisableCommentsChange,
+  allowAltText = true,
+}) => {
+  const configuredCount = Object.values(altTexts).filter((text) => text.trim()).length + (hideLikeCounts ? 1 : 0) + (disableComments ? 1 : 0)
+  const [open, setOpen] = useState(configuredCount > 0)
+
+  return (
+    <div className="border border-gray-200 rounded-lg">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between px-4 py-3 text-sm font-medium text-gray-700 hover:bg-gray-50"
+      >
+        <span className="flex items-center space-x-2">
+          <Settings2 className="w-4 h-4 text-gray-500" />
+          <span>Accessibility & advanced settings</span>
+          {configuredCount > 0 && (
+            <span className="px-2 py-0.5 text-xs bg-purple-100 text-purple-700 rounded-full">{configuredCount}</span>
+          )}
+        </span>
+        {open ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+      </button>
+
+      {open && (
+        <div className="px-4 pb-4 space-y-5 border-t border-gray-200">
+          {allowAltText && (
+            <div className="pt-4 space-y-3">
+              <div>
+                <p className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+                  <Accessibility className="w-4 h-4 text-gray-500" />
+                  <span>Alt text</span>
+                </p>
+                <p className="text-xs text-gray-500">Describes each image for people with visual impairments. Leave empty to let Instagram generate it.</p>
+              </div>
+              {images.length === 0 ? (
+                <p className="text-sm text-gray-500">Upload images to add alt text</p>
+              ) : (
+                images.map((image, index) => (
+                  <div key={image.url} className="flex items-start space-x-3">
+                    <img src={image.url} alt="" className="w-12 h-12 object-cover rounded" />
+                    <input
+                      type="text"
+                      value={altTexts[image.url] || ''}
+                      onChange={(e) => onAltTextsChange({ ...altTexts, [image.url]: e.target.value.slice(0, MAX_ALT_TEXT_LENGTH) })}
+                      placeholder={images.length > 1 ? `Alt text for slide ${index + 1}` : 'Write alt text...'}
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600 text-sm"
+                    />
+                  </div>
+                ))
+              )}
+            </div>
+          )}
+
+          <div className={`space-y-3 ${allowAltText ? '' : 'pt-4'}`}>
+            <label className="flex items-start space-x-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={hideLikeCounts}
+                onChange={(e) => onHideLikeCountsChange(e.target.checked)}
+                className="mt-0.5 w-4 h-4 text-purple-600 border-gray-300 rounded focus:ring-purple-600"
+              />
+              <div>
+                <p className="text-sm font-medium text-gray-700">Hide like and view counts</p>
+                <p className="text-xs text-gray-500">Only the account owner will see the totals</p>
+              </div>
+            </label>
+            <label className="flex items-start space-x-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={disableComments}
+                onChange={(e) => onDisableCommentsChange(e.target.checked)}
+                className="mt-0.5 w-4 h-4 text-purple-600 border-gray-300 rounded focus:ring-purple-600"
+              />
+              <div>
+                <p className="text-sm font-medium text-gray-700">Turn off commenting</p>
+                <p className="text-xs text-gray-500">Can be turned back on from the post on Instagram</p>
+              </div>
+            </label>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PostSettings
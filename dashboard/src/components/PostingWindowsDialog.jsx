@@ -0,0 +1,241 @@
+import { useState, useEffect } from 'react'
+import { Plus, Trash2 } from 'lucide-react'
+import { Dialog } from './ui/Dialog'
+import { Button } from './ui/Button'
+import { WEEKDAYS } from './SchedulingOptions'
+import { api } from '../lib/api'
+import { useToast } from '../contexts/ToastContext'
+
+const inputClassName = 'px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600 focus:border-transparent'
+
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []
+
+const NEW_WINDOW = { days: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA'], start: '08:00', end: '22:00' }
+
+/**
+ * Short summary of an account's posting windows, e.g. "Mon, Tue 08:00–22:00"
+ * @param {{ posting_windows?: Array }} account
+ * @returns {string}
+ */
+export const describePostingWindows = (account) => {
+  const windows = account?.posting_windows || []
+  if (windows.length === 0) return 'Any time'
+  return windows
+    .map((postingWindow) => {
+      const days = postingWindow.days.length === 7
+        ? 'Every day'
+        : WEEKDAYS.filter((day) => postingWindow.days.includes(day.value)).map((day) => day.label).join(', ')
+      return `${days} ${postingWindow.start}–${postingWindow.end}`
+    })
+    .join('; ')
+}
+
+/**
+ * Posting windows, blackout periods and timezone of one account. The bot only
+ * posts inside the windows; posts due outside them wait for the next one.
+ */
+const PostingWindowsDialog = ({ account, open, onOpenChange, onSaved }) => {
+  const [timezone, setTimezone] = useState('')
+  const [windows, setWindows] = useState([])
+  const [blackouts, setBlackouts] = useState([])
+  const [isSaving, setIsSaving] = useState(false)
+  const toast = useToast()
+
+  useEffect(() => {
+    if (!open || !account) return
+    setTimezone(account.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone)
+    setWindows(account.posting_windows || [])
+    setBlackouts(account.posting_blackouts || [])
+  }, [open, account])
+
+  const updateWindow = (index, changes) => {
+    setWindows(windows.map((postingWindow, i) => (i === index ? { ...postingWindow, ...changes } : postingWindow)))
+  }
+
+  const toggleDay = (index, day) => {
+    const { days } = windows[index]
+    updateWindow(index, { days: days.includes(day) ? days.filter((value) => value !== day) : [...days, day] })
+  }
+
+  const updateBlackout = (index, changes) => {
+    setBlackouts(blackouts.map((blackout, i) => (i === index ? { ...blackout, ...changes } : blackout)))
+  }
+
+  const handleSave = async () => {
+    if (windows.some((postingWindow) => postingWindow.days.length === 0)) {
+      toast.error('Validation Error', 'Every posting window needs at least one day')
+      return
+    }
+    if (blackouts.some((blackout) => !blackout.start || !blackout.end)) {
+      toast.error('Validation Error', 'Every blackout needs a start and an end')
+      return
+    }
+
+    setIsSaving(true)
+    const { error } = await api.put(`/accounts/${account.id}`, {
+      timezone: timezone.trim() || null,
+      posting_windows: windows,
+      posting_blackouts: blackouts,
+    })
+    setIsSaving(false)
+
+    if (error) {
+      toast.error('Error', error)
+      return
+    }
+    toast.success('Success', `Settings saved for @${account.instagram_username}`)
+    onOpenChange(false)
+    onSaved?.()
+  }
+
+  if (!account) return null
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={onOpenChange}
+      title={`Timezone and posting hours for @${account.instagram_username}`}
+      description="The daily limit resets at midnight in this timezone. Posts that come due outside the posting hours wait for the next allowed time."
+    >
+      <div className="space-y-5 max-h-[70vh] overflow-y-auto">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Timezone</label>
+          <input
+            type="text"
+            list="posting-window-timezones"
+            value={timezone}
+            onChange={(e) => setTimezone(e.target.value)}
+            placeholder="Europe/Berlin"
+            className={`w-full ${inputClassName}`}
+          />
+          <datalist id="posting-window-timezones">
+            {TIMEZONES.map((zone) => (
+              <option key={zone} value={zone} />
+            ))}
+          </datalist>
+        </div>
+
+        <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <p className="text-sm font-medium text-gray-700">Posting windows</p>
+            <Button type="button" variant="ghost" size="sm" onClick={() => setWindows([...windows, NEW_WINDOW])}>
+              <Plus className="w-4 h-4 mr-1" />
+              Add window
+            </Button>
+          </div>
+          {windows.length === 0 && (
+            <p className="text-xs text-gray-500">No windows: the bot may post at any time.</p>
+          )}
+          {windows.map((postingWindow, index) => (
+            <div key={index} className="p-3 border border-gray-200 rounded-lg space-y-2">
+              <div className="flex flex-wrap gap-1">
+                {WEEKDAYS.map((day) => (
+                  <button
+                    key={day.value}
+                    type="button"
+                    onClick={() => toggleDay(index, day.value)}
+                    className={`px-2 py-1 text-xs font-medium rounded-lg transition-colors ${
+                      postingWindow.days.includes(day.value)
+                        ? 'bg-purple-600 text-white'
+                        : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                    }`}
+                  >
+                    {day.label}
+                  </button>
+                ))}
+              </div>
+              <div className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="time"
+                  value={postingWindow.start}
+                  onChange={(e) => updateWindow(index, { start: e.target.value })}
+                  className={inputClassName}
+                />
+                <span>to</span>
+                <input
+                  type="time"
+                  value={postingWindow.end}
+                  onChange={(e) => updateWindow(index, { end: e.target.value })}
+                  className={inputClassName}
+                />
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => setWindows(windows.filter((_, i) => i !== index))}
+                  title="Remove window"
+                >
+                  <Trash2 className="w-4 h-4 text-red-600" />
+                </Button>
+              </div>
+              {postingWindow.end <= postingWindow.start && (
+                <p className="text-xs text-gray-500">Ends the next day</p>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <p className="text-sm font-medium text-gray-700">Blackout periods</p>
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              onClick={() => setBlackouts([...blackouts, { start: '', end: '', label: '' }])}
+            >
+              <Plus className="w-4 h-4 mr-1" />
+              Add blackout
+            </Button>
+          </div>
+          {blackouts.map((blackout, index) => (
+            <div key={index} className="p-3 border border-gray-200 rounded-lg space-y-2">
+              <input
+                type="text"
+                value={blackout.label || ''}
+                onChange={(e) => updateBlackout(index, { label: e.target.value })}
+                placeholder="Label, e.g. Holidays"
+                className={`w-full text-sm ${inputClassName}`}
+              />
+              <div className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="datetime-local"
+                  value={blackout.start}
+                  onChange={(e) => updateBlackout(index, { start: e.target.value })}
+                  className={`min-w-0 flex-1 ${inputClassName}`}
+                />
+                <span>to</span>
+                <input
+                  type="datetime-local"
+                  value={blackout.end}
+                  onChange={(e) => updateBlackout(index, { end: e.target.value })}
+                  className={`min-w-0 flex-1 ${inputClassName}`}
+                />
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => setBlackouts(blackouts.filter((_, i) => i !== index))}
+                  title="Remove blackout"
+                >
+                  <Trash2 className="w-4 h-4 text-red-600" />
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex items-center justify-end space-x-3 pt-4">
+        <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={isSaving}>
+          Cancel
+        </Button>
+        <Button type="button" onClick={handleSave} loading={isSaving}>
+          Save
+        </Button>
+      </div>
+    </Dialog>
+  )
+}
+
+export default PostingWindowsDialog
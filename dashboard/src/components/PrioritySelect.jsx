@@ -0,0 +1,26 @@
+// posts.priority levels, highest first. When several posts are due the bot
+// takes higher priorities first, then the manual queue order.
+export const PRIORITY_LEVELS = [
+  { value: 2, key: 'urgent', label: 'Urgent', variant: 'error' },
+  { value: 1, key: 'high', label: 'High', variant: 'warning' },
+  { value: 0, key: 'normal', label: 'Normal', variant: 'default' },
+  { value: -1, key: 'low', label: 'Low', variant: 'default' },
+]
+
+export const getPriorityLevel = (value) =>
+  PRIORITY_LEVELS.find((level) => level.value === (value ?? 0)) || PRIORITY_LEVELS[2]
+
+const PrioritySelect = ({ value, onChange, className = 'px-3 py-2', ...props }) => (
+  <select
+    value={value ?? 0}
+    onChange={(e) => onChange(getPriorityLevel(Number(e.target.value)))}
+    className={`border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600 focus:border-transparent ${className}`}
+    {...props}
+  >
+    {PRIORITY_LEVELS.map((level) => (
+      <option key={level.key} value={level.value}>{level.label}</option>
+    ))}
+  </select>
+)
+
+export default PrioritySelect
@@ -0,0 +1,118 @@
+import { useState, useEffect } from 'react'
+import { Repeat, Pause, Play, Trash2 } from 'lucide-react'
+import { Card, CardContent } from './ui/Card'
+import { Badge } from './ui/Badge'
+import { Button } from './ui/Button'
+import { api } from '../lib/api'
+import { useToast } from '../contexts/ToastContext'
+
+/**
+ * Recurring schedules with their next occurrence. Pausing or deleting one
+ * removes its upcoming posts from the queue; onChange refetches the queue.
+ */
+const RecurringSchedules = ({ onChange }) => {
+  const [schedules, setSchedules] = useState([])
+  const [busyId, setBusyId] = useState(null)
+  const toast = useToast()
+
+  const fetchSchedules = async () => {
+    const { data, error } = await api.get('/schedules')
+    if (!error) setSchedules(data?.schedules || [])
+  }
+
+  useEffect(() => {
+    fetchSchedules()
+  }, [])
+
+  const handleToggle = async (schedule) => {
+    setBusyId(schedule.id)
+    const { error } = await api.request(`/schedules/${schedule.id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ active: !schedule.active }),
+    })
+    setBusyId(null)
+    if (error) {
+      toast.error('Error', error)
+      return
+    }
+    toast.success('Success', schedule.active ? 'Schedule paused' : 'Schedule resumed')
+    await fetchSchedules()
+    onChange?.()
+  }
+
+  const handleDelete = async (schedule) => {
+    if (!confirm('Delete this recurring schedule? Its upcoming posts are removed from the queue.')) return
+    setBusyId(schedule.id)
+    const { error } = await api.delete(`/schedules/${schedule.id}`)
+    setBusyId(null)
+    if (error) {
+      toast.error('Error', error)
+      return
+    }
+    toast.success('Success', 'Schedule deleted')
+    await fetchSchedules()
+    onChange?.()
+  }
+
+  if (schedules.length === 0) return null
+
+  return (
+    <Card>
+      <CardContent className="p-4 space-y-3">
+        <h3 className="flex items-center space-x-2 text-sm font-semibold text-gray-900">
+          <Repeat className="w-4 h-4" />
+          <span>Recurring schedules</span>
+        </h3>
+        <ul className="divide-y divide-gray-100">
+          {schedules.map((schedule) => (
+            <li key={schedule.id} className="flex items-center justify-between py-2 gap-4">
+              <div className="min-w-0">
+                <p className="text-sm text-gray-900 truncate">
+                  {schedule.post_template?.caption || 'Story'}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {schedule.description} at {schedule.starts_at_local.slice(11, 16)} ({schedule.timezone})
+                  {' · '}{schedule.account_ids.length} account(s)
+                  {schedule.active && schedule.next_occurrence_at && (
+                    <> · next {new Date(schedule.next_occurrence_at).toLocaleString()}</>
+                  )}
+                </p>
+              </div>
+              <div className="flex items-center space-x-2 flex-shrink-0">
+                {schedule.ended_at ? (
+                  <Badge>Ended</Badge>
+                ) : !schedule.active ? (
+                  <Badge variant="warning">Paused</Badge>
+                ) : (
+                  <Badge variant="success">Active</Badge>
+                )}
+                {!schedule.ended_at && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleToggle(schedule)}
+                    disabled={busyId === schedule.id}
+                    title={schedule.active ? 'Pause' : 'Resume'}
+                  >
+                    {schedule.active ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                  </Button>
+                )}
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleDelete(schedule)}
+                  disabled={busyId === schedule.id}
+                  title="Delete"
+                >
+                  <Trash2 className="w-4 h-4 text-red-600" />
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default RecurringSchedules
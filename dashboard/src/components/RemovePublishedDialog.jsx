@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react'
+import { Archive, Trash2 } from 'lucide-react'
+import { Dialog } from './ui/Dialog'
+import { Button } from './ui/Button'
+
+// Accounts where the post is live and not already being taken down
+export const getRemovableAccounts = (post) =>
+  (post?.post_accounts || []).filter((pa) =>
+    pa.status === 'completed' &&
+    pa.instagram_post_url &&
+    pa.removal_status !== 'pending' &&
+    pa.removal_status !== 'processing' &&
+    !(pa.removal_status === 'completed' && pa.removal_action === 'delete')
+  )
+
+const ACTIONS = [
+  { value: 'delete', label: 'Delete', description: 'Permanently removes the post', icon: Trash2 },
+  { value: 'archive', label: 'Archive', description: 'Hides the post; it can be restored from the archive', icon: Archive },
+]
+
+/**
+ * Pick delete or archive and the accounts to take a published post down from.
+ * The bot does the removal on its next cycle.
+ */
+const RemovePublishedDialog = ({ post, accounts, open, onOpenChange, onConfirm }) => {
+  const [action, setAction] = useState('delete')
+  const [selectedIds, setSelectedIds] = useState([])
+  const [submitting, setSubmitting] = useState(false)
+
+  const removable = getRemovableAccounts(post)
+
+  useEffect(() => {
+    if (open) {
+      setAction('delete')
+      setSelectedIds(getRemovableAccounts(post).map((pa) => pa.account_id))
+    }
+  }, [open, post])
+
+  const toggleAccount = (accountId) => {
+    setSelectedIds((prev) =>
+      prev.includes(accountId) ? prev.filter((id) => id !== accountId) : [...prev, accountId]
+    )
+  }
+
+  const handleConfirm = async () => {
+    setSubmitting(true)
+    try {
+      await onConfirm({ action, accountIds: selectedIds })
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={onOpenChange}
+      title="Remove from Instagram"
+      description="The bot opens each post and removes it through the post menu"
+    >
+      <div className="space-y-5">
+        <div className="space-y-2">
+          {ACTIONS.map(({ value, label, description, icon: Icon }) => (
+            <label
+              key={value}
+              className={`flex items-start space-x-3 p-3 border rounded-lg cursor-pointer ${
+                action === value ? 'border-purple-600 bg-purple-50' : 'border-gray-200 hover:border-purple-300'
+              }`}
+            >
+              <input
+                type="radio"
+                name="removal-action"
+                value={value}
+                checked={action === value}
+                onChange={() => setAction(value)}
+                className="mt-1 text-purple-600 focus:ring-purple-600"
+              />
+              <div>
+                <p className="flex items-center space-x-2 text-sm font-medium text-gray-900">
+                  <Icon className="w-4 h-4 text-gray-500" />
+                  <span>{label}</span>
+                </p>
+                <p className="text-xs text-gray-500">{description}</p>
+              </div>
+            </label>
+          ))}
+        </div>
+
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">Accounts</p>
+          <div className="space-y-2">
+            {removable.map((pa) => {
+              const account = accounts.find((acc) => acc.id === pa.account_id)
+              return (
+                <label key={pa.account_id} className="flex items-center space-x-2 text-sm text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.includes(pa.account_id)}
+                    onChange={() => toggleAccount(pa.account_id)}
+                    className="w-4 h-4 text-purple-600 border-gray-300 rounded focus:ring-purple-600"
+                  />
+                  <span>@{account?.instagram_username || pa.account_id}</span>
+                </label>
+              )
+            })}
+          </div>
+        </div>
+
+        <div className="flex justify-end space-x-2">
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button
+            variant="danger"
+            onClick={handleConfirm}
+            loading={submitting}
+            disabled={submitting || selectedIds.length === 0}
+          >
+            {action === 'delete' ? 'Delete' : 'Archive'} on {selectedIds.length} account(s)
+          </Button>
+        </div>
+      </div>
+    </Dialog>
+  )
+}
+
+export default RemovePublishedDialog
@@ -0,0 +1,78 @@
+import { useState, useEffect } from 'react'
+import { Dialog } from './ui/Dialog'
+import { Button } from './ui/Button'
+
+const MAX_COMMENT_LENGTH = 1000
+
+/**
+ * Approve or reject a post awaiting approval. Rejections need a comment so the
+ * author knows what to change; the post goes back to their drafts. With
+ * `captionEdit` the decision is on a new caption for a published post instead.
+ */
+const ReviewDecisionDialog = ({ post, decision, captionEdit = false, open, onOpenChange, onConfirm }) => {
+  const [comment, setComment] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const isReject = decision === 'rejected'
+
+  useEffect(() => {
+    if (open) setComment('')
+  }, [open, post])
+
+  const handleConfirm = async () => {
+    setSubmitting(true)
+    try {
+      await onConfirm(comment.trim())
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={onOpenChange}
+      title={captionEdit
+        ? (isReject ? 'Reject caption edit' : 'Approve caption edit')
+        : (isReject ? 'Reject post' : 'Approve post')}
+      description={captionEdit
+        ? (isReject
+          ? 'The published caption stays as it is; the author sees your comment.'
+          : 'The bot updates the caption on every account the post is published on.')
+        : (isReject
+          ? 'The post goes back to drafts with your comment.'
+          : 'The post joins the queue and is published at its scheduled time.')}
+    >
+      <div className="space-y-5">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Comment{isReject ? '' : ' (optional)'}
+          </label>
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            maxLength={MAX_COMMENT_LENGTH}
+            rows={4}
+            placeholder={isReject ? 'What needs to change?' : 'Anything the author should know'}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600 focus:border-transparent"
+          />
+        </div>
+
+        <div className="flex justify-end space-x-2">
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button
+            variant={isReject ? 'danger' : 'primary'}
+            onClick={handleConfirm}
+            loading={submitting}
+            disabled={submitting || (isReject && !comment.trim())}
+          >
+            {isReject ? 'Reject' : 'Approve'}
+          </Button>
+        </div>
+      </div>
+    </Dialog>
+  )
+}
+
+export default ReviewDecisionDialog
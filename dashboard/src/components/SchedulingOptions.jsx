@@ -1,23 +1,114 @@
-import { useState } from 'react'
-import { Calendar, Clock } from 'lucide-react'
+import { useState, useEffect } from 'react'
+import { Calendar, Clock, Repeat, Sparkles } from 'lucide-react'
+import { api } from '../lib/api'
+import { getBrowserTimezone, getAccountTimezone, toLocalDateTime, localDateTimeToIso, formatInTimezone } from '../lib/timezone'
 
-const SchedulingOptions = ({ scheduleType, onScheduleTypeChange, scheduledAt, onScheduledAtChange }) => {
-  const getTimezone = () => {
-    return Intl.DateTimeFormat().resolvedOptions().timeZone
-  }
+export const WEEKDAYS = [
+  { value: 'MO', label: 'Mon' },
+  { value: 'TU', label: 'Tue' },
+  { value: 'WE', label: 'Wed' },
+  { value: 'TH', label: 'Thu' },
+  { value: 'FR', label: 'Fri' },
+  { value: 'SA', label: 'Sat' },
+  { value: 'SU', label: 'Sun' },
+]
+
+export const DEFAULT_RECURRENCE = {
+  frequency: 'weekly',
+  interval: 1,
+  weekdays: [],
+  rrule: '',
+  endType: 'never',
+  until: '',
+  count: 10,
+}
+
+const UNIT_LABELS = { daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)' }
+
+// Body for /schedules and /schedules/preview from the form's recurrence state
+export const toRecurrencePayload = (recurrence) => ({
+  frequency: recurrence.frequency,
+  interval: Number(recurrence.interval) || 1,
+  weekdays: recurrence.frequency === 'weekly' ? recurrence.weekdays : [],
+  rrule: recurrence.frequency === 'custom' ? recurrence.rrule.trim() : undefined,
+  until: recurrence.frequency !== 'custom' && recurrence.endType === 'until' ? recurrence.until || null : null,
+  count: recurrence.frequency !== 'custom' && recurrence.endType === 'count' ? Number(recurrence.count) || null : null,
+})
+
+const inputClassName = 'px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600 focus:border-transparent'
+
+const SchedulingOptions = ({
+  scheduleType,
+  onScheduleTypeChange,
+  scheduledAt,
+  onScheduledAtChange,
+  recurrence = DEFAULT_RECURRENCE,
+  onRecurrenceChange,
+  accountIds = [],
+  // Zone scheduledAt is entered in; the selected accounts' zone when they share one
+  timezone = getBrowserTimezone(),
+  timezoneShared = false,
+  selectedAccounts = [],
+}) => {
+  const [preview, setPreview] = useState(null)
+  const [bestTime, setBestTime] = useState(null)
+
+  const updateRecurrence = (changes) => onRecurrenceChange?.({ ...recurrence, ...changes })
 
-  const getMinDateTime = () => {
-    const now = new Date()
-    now.setMinutes(now.getMinutes() + 1) // At least 1 minute from now
-    // Format for datetime-local input (YYYY-MM-DDTHH:mm)
-    const year = now.getFullYear()
-    const month = String(now.getMonth() + 1).padStart(2, '0')
-    const day = String(now.getDate()).padStart(2, '0')
-    const hours = String(now.getHours()).padStart(2, '0')
-    const minutes = String(now.getMinutes()).padStart(2, '0')
-    return `${year}-${month}-${day}T${hours}:${minutes}`
+  const toggleWeekday = (day) => {
+    const weekdays = recurrence.weekdays.includes(day)
+      ? recurrence.weekdays.filter((value) => value !== day)
+      : [...recurrence.weekdays, day]
+    updateRecurrence({ weekdays })
   }
 
+  const getMinDateTime = () => toLocalDateTime(new Date(Date.now() + 60 * 1000), timezone) // At least 1 minute from now
+
+  // With accounts in different zones, show when the post goes out in each
+  const otherZoneAccounts = timezoneShared || !scheduledAt
+    ? []
+    : selectedAccounts.filter((account) => account.timezone && account.timezone !== timezone)
+
+  // Ask the backend how it reads the rule, so custom RRULEs are checked as typed
+  useEffect(() => {
+    if (scheduleType !== 'recurring' || !scheduledAt) {
+      setPreview(null)
+      return
+    }
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      const { data, error } = await api.post('/schedules/preview', {
+        recurrence: toRecurrencePayload(recurrence),
+        starts_at: scheduledAt,
+        timezone,
+      }, { retries: 0 })
+      if (!cancelled) setPreview(error ? { error } : data)
+    }, 400)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [scheduleType, scheduledAt, recurrence, timezone])
+
+  // Best weekday/hour for the selected accounts, from their reviewed posts
+  const accountKey = accountIds.join(',')
+  useEffect(() => {
+    if (scheduleType === 'now') return
+    let cancelled = false
+    api.get(`/reviewer/best-times?${new URLSearchParams({ account_ids: accountKey, timezone })}`, { retries: 0 })
+      .then(({ data, error }) => {
+        if (!cancelled) setBestTime(error ? null : data)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [scheduleType, accountKey, timezone])
+
+  const recommendation = bestTime?.recommendation
+  const recommendedLocal = recommendation?.next_local
+  const formatSlot = ({ weekday, hour }) =>
+    `${WEEKDAYS[weekday].label} ${String(hour).padStart(2, '0')}:00`
+
   return (
     <div className="space-y-4">
       <label className="block text-sm font-medium text-gray-700">
@@ -56,20 +147,218 @@ const SchedulingOptions = ({ scheduleType, onScheduleTypeChange, scheduledAt, on
             <p className="text-sm text-gray-500">Choose date and time</p>
           </div>
         </label>
+
+        <label className="flex items-center space-x-3 p-4 border border-gray-200 rounded-lg cursor-pointer hover:bg-gray-50 transition-colors">
+          <input
+            type="radio"
+            name="scheduleType"
+            value="recurring"
+            checked={scheduleType === 'recurring'}
+            onChange={(e) => onScheduleTypeChange(e.target.value)}
+            className="w-4 h-4 text-purple-600 focus:ring-purple-500"
+          />
+          <Repeat className="w-5 h-5 text-gray-400" />
+          <div>
+            <span className="font-medium text-gray-900">Repeat</span>
+            <p className="text-sm text-gray-500">Post again daily, weekly or monthly</p>
+          </div>
+        </label>
       </div>
 
-      {scheduleType === 'later' && (
+      {(scheduleType === 'later' || scheduleType === 'recurring') && (
         <div className="space-y-2">
+          {scheduleType === 'recurring' && (
+            <p className="text-xs font-medium text-gray-700">First post</p>
+          )}
           <input
             type="datetime-local"
             value={scheduledAt}
             onChange={(e) => onScheduledAtChange(e.target.value)}
             min={getMinDateTime()}
-            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600 focus:border-transparent"
+            className={`w-full ${inputClassName}`}
           />
           <p className="text-xs text-gray-500">
-            Timezone: {getTimezone()}
+            Timezone: {timezone} {timezoneShared ? "(the selected accounts' timezone)" : '(yours)'}
           </p>
+          {otherZoneAccounts.length > 0 && (
+            <ul className="text-xs text-gray-500 space-y-0.5">
+              {otherZoneAccounts.map((account) => (
+                <li key={account.id}>
+                  @{account.instagram_username}: {formatInTimezone(localDateTimeToIso(scheduledAt, timezone), getAccountTimezone(account))} ({account.timezone})
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {bestTime && (
+            <div className="p-3 rounded-lg bg-purple-50 border border-purple-100 space-y-2">
+              <div className="flex items-center justify-between gap-2">
+                <p className="flex items-center space-x-1 text-sm font-medium text-purple-900">
+                  <Sparkles className="w-4 h-4" />
+                  <span>
+                    {recommendation ? `Recommended: ${formatSlot(recommendation)}` : 'No recommendation yet'}
+                  </span>
+                </p>
+                {recommendedLocal && (
+                  <button
+                    type="button"
+                    onClick={() => onScheduledAtChange(recommendedLocal)}
+                    disabled={scheduledAt === recommendedLocal}
+                    className="px-3 py-1.5 text-xs font-medium rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50"
+                  >
+                    {scheduledAt === recommendedLocal ? 'Using recommended slot' : 'Use recommended slot'}
+                  </button>
+                )}
+              </div>
+              <ul className="space-y-1 text-xs text-purple-800">
+                {bestTime.reasoning.map((reason) => (
+                  <li key={reason}>{reason}</li>
+                ))}
+              </ul>
+              {recommendation?.alternatives?.length > 0 && (
+                <p className="text-xs text-purple-700">
+                  Also good: {recommendation.alternatives.map(formatSlot).join(', ')}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {scheduleType === 'recurring' && (
+        <div className="space-y-4 p-4 border border-gray-200 rounded-lg">
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+            <span>Repeat</span>
+            <select
+              value={recurrence.frequency}
+              onChange={(e) => updateRecurrence({ frequency: e.target.value })}
+              className={inputClassName}
+            >
+              <option value="daily">Daily</option>
+              <option value="weekly">Weekly</option>
+              <option value="monthly">Monthly</option>
+              <option value="custom">Custom rule (RRULE)</option>
+            </select>
+            {recurrence.frequency !== 'custom' && (
+              <>
+                <span>every</span>
+                <input
+                  type="number"
+                  min="1"
+                  max="365"
+                  value={recurrence.interval}
+                  onChange={(e) => updateRecurrence({ interval: e.target.value })}
+                  className={`w-20 ${inputClassName}`}
+                />
+                <span>{UNIT_LABELS[recurrence.frequency]}</span>
+              </>
+            )}
+          </div>
+
+          {recurrence.frequency === 'weekly' && (
+            <div>
+              <p className="text-xs text-gray-500 mb-2">On (defaults to the first post's weekday)</p>
+              <div className="flex flex-wrap gap-2">
+                {WEEKDAYS.map((day) => (
+                  <button
+                    key={day.value}
+                    type="button"
+                    onClick={() => toggleWeekday(day.value)}
+                    className={`px-3 py-1.5 text-xs font-medium rounded-lg transition-colors ${
+                      recurrence.weekdays.includes(day.value)
+                        ? 'bg-purple-600 text-white'
+                        : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                    }`}
+                  >
+                    {day.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {recurrence.frequency === 'custom' ? (
+            <div className="space-y-1">
+              <input
+                type="text"
+                value={recurrence.rrule}
+                onChange={(e) => updateRecurrence({ rrule: e.target.value })}
+                placeholder="FREQ=MONTHLY;BYDAY=1MO;COUNT=6"
+                className={`w-full font-mono text-sm ${inputClassName}`}
+              />
+              <p className="text-xs text-gray-500">
+                FREQ=DAILY, WEEKLY or MONTHLY with INTERVAL, BYDAY, BYMONTHDAY, COUNT or UNTIL
+              </p>
+            </div>
+          ) : (
+            <div className="space-y-2 text-sm text-gray-700">
+              <p className="text-xs font-medium text-gray-700">Ends</p>
+              <label className="flex items-center space-x-2">
+                <input
+                  type="radio"
+                  name="recurrenceEnd"
+                  checked={recurrence.endType === 'never'}
+                  onChange={() => updateRecurrence({ endType: 'never' })}
+                  className="w-4 h-4 text-purple-600 focus:ring-purple-500"
+                />
+                <span>Never</span>
+              </label>
+              <label className="flex items-center space-x-2">
+                <input
+                  type="radio"
+                  name="recurrenceEnd"
+                  checked={recurrence.endType === 'until'}
+                  onChange={() => updateRecurrence({ endType: 'until' })}
+                  className="w-4 h-4 text-purple-600 focus:ring-purple-500"
+                />
+                <span>On</span>
+                <input
+                  type="date"
+                  value={recurrence.until}
+                  min={(scheduledAt || '').slice(0, 10) || undefined}
+                  onChange={(e) => updateRecurrence({ endType: 'until', until: e.target.value })}
+                  className={inputClassName}
+                />
+              </label>
+              <label className="flex items-center space-x-2">
+                <input
+                  type="radio"
+                  name="recurrenceEnd"
+                  checked={recurrence.endType === 'count'}
+                  onChange={() => updateRecurrence({ endType: 'count' })}
+                  className="w-4 h-4 text-purple-600 focus:ring-purple-500"
+                />
+                <span>After</span>
+                <input
+                  type="number"
+                  min="1"
+                  max="1000"
+                  value={recurrence.count}
+                  onChange={(e) => updateRecurrence({ endType: 'count', count: e.target.value })}
+                  className={`w-24 ${inputClassName}`}
+                />
+                <span>posts</span>
+              </label>
+            </div>
+          )}
+
+          {preview?.error && (
+            <p className="text-sm text-red-600">{preview.error}</p>
+          )}
+          {preview?.description && (
+            <div className="text-xs text-gray-600 space-y-1">
+              <p className="font-medium text-gray-700">{preview.description}</p>
+              {preview.occurrences.length > 0 ? (
+                <ul className="space-y-0.5">
+                  {preview.occurrences.map((occurrence) => (
+                    <li key={occurrence}>{new Date(occurrence).toLocaleString()}</li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-red-600">No upcoming posts with this rule</p>
+              )}
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,133 @@
+import { useState, useEffect } from 'react'
+import { Shuffle } from 'lucide-react'
+import { api } from '../lib/api'
+import { getAccountTimezone, formatInTimezone } from '../lib/timezone'
+
+// posts.stagger strategies; the backend turns them into a time per account
+export const STAGGER_STRATEGIES = [
+  { value: 'none', label: 'All at once', help: 'Every account posts at the scheduled time' },
+  { value: 'even', label: 'Spread evenly', help: 'First account at the scheduled time, the last one this many hours later' },
+  { value: 'offset', label: 'Fixed offset', help: 'Each account this many minutes after the previous one' },
+  { value: 'random', label: 'Random spread', help: 'Each account at a random time within this many hours' },
+]
+
+export const DEFAULT_STAGGER = { strategy: 'none', hours: 4, minutes: 30 }
+
+// Body's stagger for /posts and /posts/stagger; null posts to all accounts at once
+export const toStaggerPayload = (stagger) => {
+  if (!stagger || stagger.strategy === 'none') return null
+  return stagger.strategy === 'offset'
+    ? { strategy: 'offset', minutes: Number(stagger.minutes) || 0 }
+    : { strategy: stagger.strategy, hours: Number(stagger.hours) || 0 }
+}
+
+const inputClassName = 'px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600 focus:border-transparent'
+
+const StaggerOptions = ({
+  stagger = DEFAULT_STAGGER,
+  onChange,
+  // ISO time of the first account; empty for now
+  scheduledAt,
+  // In the order they were picked, which the fixed offset follows
+  accountIds = [],
+  accounts = [],
+}) => {
+  const [preview, setPreview] = useState(null)
+  const { strategy, hours, minutes } = stagger
+  const help = (STAGGER_STRATEGIES.find((option) => option.value === strategy) || STAGGER_STRATEGIES[0]).help
+  const accountKey = accountIds.join(',')
+
+  // Ask the backend when each account would post, as it will plan it
+  useEffect(() => {
+    const payload = toStaggerPayload({ strategy, hours, minutes })
+    if (!payload || !accountKey) {
+      setPreview(null)
+      return
+    }
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      const { data, error } = await api.post('/posts/stagger', {
+        scheduled_at: scheduledAt || undefined,
+        account_ids: accountKey.split(','),
+        stagger: payload,
+      }, { retries: 0 })
+      if (!cancelled) setPreview(error ? { error } : data)
+    }, 400)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [strategy, hours, minutes, scheduledAt, accountKey])
+
+  const accountsById = new Map(accounts.map((account) => [account.id, account]))
+
+  return (
+    <div className="space-y-3">
+      <label className="flex items-center space-x-1 text-sm font-medium text-gray-700">
+        <Shuffle className="w-4 h-4" />
+        <span>Stagger accounts</span>
+      </label>
+      <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+        <select
+          value={strategy}
+          onChange={(e) => onChange({ ...stagger, strategy: e.target.value })}
+          className={inputClassName}
+        >
+          {STAGGER_STRATEGIES.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        {(strategy === 'even' || strategy === 'random') && (
+          <>
+            <span>{strategy === 'even' ? 'over' : 'within'}</span>
+            <input
+              type="number"
+              min="0.5"
+              max="72"
+              step="0.5"
+              value={hours}
+              onChange={(e) => onChange({ ...stagger, hours: e.target.value })}
+              className={`w-20 ${inputClassName}`}
+            />
+            <span>hour(s)</span>
+          </>
+        )}
+        {strategy === 'offset' && (
+          <>
+            <input
+              type="number"
+              min="1"
+              max="1440"
+              value={minutes}
+              onChange={(e) => onChange({ ...stagger, minutes: e.target.value })}
+              className={`w-24 ${inputClassName}`}
+            />
+            <span>minute(s) apart</span>
+          </>
+        )}
+      </div>
+      <p className="text-xs text-gray-500">{help}</p>
+
+      {preview?.error && (
+        <p className="text-sm text-red-600">{preview.error}</p>
+      )}
+      {preview?.accounts && (
+        <ul className="text-xs text-gray-600 space-y-0.5">
+          {preview.accounts.map(({ account_id, scheduled_at }) => {
+            const account = accountsById.get(account_id)
+            return (
+              <li key={account_id}>
+                @{account?.instagram_username || account_id}: {formatInTimezone(scheduled_at, getAccountTimezone(account))}
+              </li>
+            )
+          })}
+        </ul>
+      )}
+      {strategy === 'random' && preview?.accounts && (
+        <p className="text-xs text-gray-500">Random times are drawn again when the post is created.</p>
+      )}
+    </div>
+  )
+}
+
+export default StaggerOptions
@@ -0,0 +1,44 @@
+import { Instagram } from 'lucide-react'
+
+// Instagram stories are shown full-screen at 9:16
+export const STORY_ASPECT_RATIO = 9 / 16
+const ASPECT_TOLERANCE = 0.02
+
+export const isStoryAspectRatio = (width, height) =>
+  Boolean(width && height) && Math.abs(width / height - STORY_ASPECT_RATIO) <= ASPECT_TOLERANCE
+
+/**
+ * Phone-style 9:16 frame showing how an image will be cropped as a story.
+ */
+const StoryPreview = ({ image }) => {
+  if (!image) return null
+
+  const fits = isStoryAspectRatio(image.width, image.height)
+
+  return (
+    <div className="flex flex-col items-center space-y-2">
+      <div className="relative w-48 aspect-[9/16] rounded-2xl overflow-hidden bg-gray-900 border-4 border-gray-900 shadow-lg">
+        <img
+          src={image.url}
+          alt="Story preview"
+          className="w-full h-full object-cover"
+        />
+        <div className="absolute top-0 inset-x-0 p-2 bg-gradient-to-b from-black/50 to-transparent">
+          <div className="h-0.5 w-full bg-white/70 rounded-full" />
+          <div className="flex items-center space-x-1.5 mt-2">
+            <div className="w-5 h-5 rounded-full bg-gradient-to-br from-purple-600 to-pink-600 flex items-center justify-center">
+              <Instagram className="w-3 h-3 text-white" />
+            </div>
+            <span className="text-[10px] font-medium text-white">Your story</span>
+          </div>
+        </div>
+      </div>
+      <p className={`text-xs ${fits ? 'text-gray-500' : 'text-red-600'}`}>
+        {image.width && image.height ? `${image.width} × ${image.height}` : 'Unknown size'}
+        {fits ? ' · 9:16' : ' · not 9:16'}
+      </p>
+    </div>
+  )
+}
+
+export default StoryPreview
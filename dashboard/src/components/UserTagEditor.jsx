@@ -0,0 +1,196 @@
+import { useState } from 'react'
+import { AtSign, MapPin, X } from 'lucide-react'
+
+export const MAX_USER_TAGS = 20
+const MAX_LOCATION_LENGTH = 100
+const USERNAME_PATTERN = /^[A-Za-z0-9._]{1,30}$/
+
+/**
+ * Location field plus click-to-tag on the post images. Tags are
+ * { username, x, y, imageUrl } with x/y as 0-1 fractions; they follow the
+ * image rather than the slide index so reordering slides keeps them in place.
+ */
+const UserTagEditor = ({ images, tags, onTagsChange, location, onLocationChange, allowTags = true }) => {
+  const [activeIndex, setActiveIndex] = useState(0)
+  const [pending, setPending] = useState(null)
+  const [username, setUsername] = useState('')
+  const [error, setError] = useState('')
+
+  const slideIndex = Math.min(activeIndex, Math.max(images.length - 1, 0))
+  const activeImage = images[slideIndex]
+  const visibleTags = tags.filter((tag) => tag.imageUrl === activeImage?.url)
+
+  const handleImageClick = (e) => {
+    if (tags.length >= MAX_USER_TAGS) {
+      setError(`You can tag up to ${MAX_USER_TAGS} accounts`)
+      return
+    }
+    const rect = e.currentTarget.getBoundingClientRect()
+    const x = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1)
+    const y = Math.min(Math.max((e.clientY - rect.top) / rect.height, 0), 1)
+    setPending({ x: Number(x.toFixed(3)), y: Number(y.toFixed(3)) })
+    setUsername('')
+    setError('')
+  }
+
+  const handleAddTag = () => {
+    const cleaned = username.trim().replace(/^@/, '')
+    if (!USERNAME_PATTERN.test(cleaned)) {
+      setError('Enter a valid Instagram username')
+      return
+    }
+    if (tags.some((tag) => tag.imageUrl === activeImage.url && tag.username.toLowerCase() === cleaned.toLowerCase())) {
+      setError(`@${cleaned} is already tagged on this image`)
+      return
+    }
+    onTagsChange([...tags, { username: cleaned, x: pending.x, y: pending.y, imageUrl: activeImage.url }])
+    setPending(null)
+    setUsername('')
+    setError('')
+  }
+
+  const handleRemoveTag = (tagToRemove) => {
+    onTagsChange(tags.filter((tag) => tag !== tagToRemove))
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="flex items-center space-x-2 text-sm font-medium text-gray-700 mb-2">
+          <MapPin className="w-4 h-4 text-gray-500" />
+          <span>Location</span>
+        </label>
+        <input
+          type="text"
+          value={location}
+          onChange={(e) => onLocationChange(e.target.value.slice(0, MAX_LOCATION_LENGTH))}
+          placeholder="e.g. Jakarta, Indonesia"
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600 text-sm"
+        />
+        <p className="mt-1 text-xs text-gray-500">The first matching Instagram location is used</p>
+      </div>
+
+      {allowTags && (
+        <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+              <AtSign className="w-4 h-4 text-gray-500" />
+              <span>Tag people</span>
+            </label>
+            <span className="text-xs text-gray-500">{tags.length}/{MAX_USER_TAGS}</span>
+          </div>
+
+          {!activeImage ? (
+            <p className="text-sm text-gray-500">Upload an image to tag accounts on it</p>
+          ) : (
+            <>
+              {images.length > 1 && (
+                <div className="flex flex-wrap gap-2">
+                  {images.map((image, index) => (
+                    <button
+                      key={image.url}
+                      type="button"
+                      onClick={() => {
+                        setActiveIndex(index)
+                        setPending(null)
+                      }}
+                      className={`px-3 py-1 text-xs rounded-full border ${
+                        index === slideIndex
+                          ? 'border-purple-600 bg-purple-50 text-purple-700'
+                          : 'border-gray-300 text-gray-600 hover:border-purple-300'
+                      }`}
+                    >
+                      Slide {index + 1}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              <div
+                onClick={handleImageClick}
+                className="relative inline-block max-w-full cursor-crosshair select-none"
+              >
+                <img src={activeImage.url} alt={`Slide ${slideIndex + 1}`} className="max-h-80 rounded-lg" draggable={false} />
+                {visibleTags.map((tag) => (
+                  <span
+                    key={`${tag.username}-${tag.x}-${tag.y}`}
+                    className="absolute -translate-x-1/2 -translate-y-1/2 px-2 py-0.5 text-xs text-white bg-black/75 rounded"
+                    style={{ left: `${tag.x * 100}%`, top: `${tag.y * 100}%` }}
+                  >
+                    @{tag.username}
+                  </span>
+                ))}
+                {pending && (
+                  <span
+                    className="absolute w-3 h-3 -translate-x-1/2 -translate-y-1/2 bg-purple-600 border-2 border-white rounded-full"
+                    style={{ left: `${pending.x * 100}%`, top: `${pending.y * 100}%` }}
+                  />
+                )}
+              </div>
+              <p className="text-xs text-gray-500">Click on the image where the tag should appear</p>
+
+              {pending && (
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    value={username}
+                    autoFocus
+                    onChange={(e) => setUsername(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') {
+                        e.preventDefault()
+                        handleAddTag()
+                      }
+                    }}
+                    placeholder="@username"
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-600 text-sm"
+                  />
+                  <button
+                    type="button"
+                    onClick={handleAddTag}
+                    className="px-3 py-2 text-sm text-white bg-purple-600 rounded-lg hover:bg-purple-700"
+                  >
+                    Add tag
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setPending(null)}
+                    className="px-3 py-2 text-sm text-gray-600 hover:text-gray-800"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+
+          {tags.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {tags.map((tag) => {
+                const index = images.findIndex((image) => image.url === tag.imageUrl)
+                return (
+                  <span
+                    key={`${tag.imageUrl}-${tag.username}-${tag.x}-${tag.y}`}
+                    className="inline-flex items-center space-x-1 px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded-full"
+                  >
+                    <span>@{tag.username}</span>
+                    {images.length > 1 && <span className="text-gray-400">· slide {index + 1}</span>}
+                    <button type="button" onClick={() => handleRemoveTag(tag)} className="text-gray-400 hover:text-gray-600">
+                      <X className="w-3 h-3" />
+                    </button>
+                  </span>
+                )
+              })}
+            </div>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <p className="text-sm text-red-600">{error}</p>
+      )}
+    </div>
+  )
+}
+
+export default UserTagEditor
@@ -0,0 +1,357 @@
+import { useState, useRef } from 'react'
+import { Upload, X, Film, Loader2 } from 'lucide-react'
+import { supabase } from '../lib/supabase'
+import { api } from '../lib/api'
+
+// Instagram accepts reels between 3 seconds and 15 minutes
+export const REEL_MIN_DURATION_SECONDS = 3
+export const REEL_MAX_DURATION_SECONDS = 15 * 60
+
+const formatDuration = (seconds) => {
+  if (!seconds && seconds !== 0) return '-'
+  const mins = Math.floor(seconds / 60)
+  const secs = Math.round(seconds % 60)
+  return `${mins}:${String(secs).padStart(2, '0')}`
+}
+
+// Read duration locally so obviously invalid reels are rejected before uploading
+const readVideoDuration = (file) =>
+  new Promise((resolve) => {
+    const video = document.createElement('video')
+    video.preload = 'metadata'
+    video.onloadedmetadata = () => {
+      URL.revokeObjectURL(video.src)
+      resolve(video.duration)
+    }
+    video.onerror = () => resolve(null)
+    video.src = URL.createObjectURL(file)
+  })
+
+/**
+ * Reel video uploader with cover frame picker. `video` is
+ * { url, publicId, duration, width, height, aspectRatio, coverUrl, coverOffset }.
+ */
+const VideoUpload = ({ video, onVideoChange }) => {
+  const [dragging, setDragging] = useState(false)
+  const [uploading, setUploading] = useState(false)
+  const [uploadProgress, setUploadProgress] = useState(0)
+  const [error, setError] = useState('')
+  const [coverOffset, setCoverOffset] = useState(video?.coverOffset || 0)
+  const [loadingCover, setLoadingCover] = useState(false)
+  const fileInputRef = useRef(null)
+  const previewRef = useRef(null)
+
+  const validateFile = (file) => {
+    const validTypes = ['video/mp4', 'video/quicktime']
+    const maxSize = 100 * 1024 * 1024 // 100MB
+
+    if (!validTypes.includes(file.type)) {
+      return { valid: false, error: 'Only MP4 and MOV videos are allowed' }
+    }
+
+    if (file.size > maxSize) {
+      return { valid: false, error: 'Video size must be less than 100MB' }
+    }
+
+    return { valid: true }
+  }
+
+  const handleFile = async (file) => {
+    setError('')
+    const validation = validateFile(file)
+
+    if (!validation.valid) {
+      setError(validation.error)
+      return
+    }
+
+    const localDuration = await readVideoDuration(file)
+    if (localDuration !== null && (localDuration < REEL_MIN_DURATION_SECONDS || localDuration > REEL_MAX_DURATION_SECONDS)) {
+      setError(`Reels must be between ${REEL_MIN_DURATION_SECONDS} seconds and ${REEL_MAX_DURATION_SECONDS / 60} minutes (this video is ${formatDuration(localDuration)})`)
+      return
+    }
+
+    setUploading(true)
+    setUploadProgress(0)
+
+    try {
+      const formData = new FormData()
+      formData.append('image', file)
+
+      // Get session token for authentication
+      const { data: { session } } = await supabase.auth.getSession()
+      if (!session) {
+        throw new Error('You must be logged in to upload videos')
+      }
+
+      // Get CSRF token
+      const csrfResponse = await fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:3001/api'}/csrf-token`, {
+        method: 'GET',
+        credentials: 'include',
+      })
+      const csrfData = await csrfResponse.json()
+      const csrfToken = csrfData.csrfToken
+
+      // Upload to backend Cloudinary endpoint
+      setUploadProgress(30)
+      const response = await fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:3001/api'}/upload`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+          'x-csrf-token': csrfToken,
+        },
+        body: formData,
+      })
+
+      setUploadProgress(70)
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ message: 'Upload failed' }))
+        throw new Error(errorData.message || errorData.error || 'Failed to upload video')
+      }
+
+      const result = await response.json()
+
+      if (!result.success || !result.data?.url || result.data.resource_type !== 'video') {
+        throw new Error(result.message || 'Upload failed - no video URL returned')
+      }
+
+      setUploadProgress(100)
+      setCoverOffset(0)
+      onVideoChange({
+        url: result.data.url,
+        publicId: result.data.public_id,
+        duration: result.data.duration ?? localDuration,
+        width: result.data.width,
+        height: result.data.height,
+        aspectRatio: result.data.aspectRatio,
+        coverUrl: result.data.cover_url,
+        coverOffset: 0,
+        name: file.name,
+      })
+    } catch (err) {
+      console.error('Upload error:', err)
+      setError(err.message || 'Failed to upload video')
+    } finally {
+      setUploading(false)
+      setUploadProgress(0)
+      if (fileInputRef.current) {
+        fileInputRef.current.value = ''
+      }
+    }
+  }
+
+  const handleCoverScrub = (e) => {
+    const offset = parseFloat(e.target.value)
+    setCoverOffset(offset)
+    if (previewRef.current) {
+      previewRef.current.currentTime = offset
+    }
+  }
+
+  // Resolve the cover frame URL once the user settles on a position
+  const commitCoverOffset = async () => {
+    if (!video || coverOffset === video.coverOffset) return
+
+    setLoadingCover(true)
+    try {
+      const query = new URLSearchParams({ public_id: video.publicId, offset: String(coverOffset) })
+      const { data, error: coverError } = await api.get(`/upload/video-cover?${query.toString()}`)
+      if (coverError) throw new Error(coverError)
+      onVideoChange({ ...video, coverOffset, coverUrl: data.data.cover_url })
+    } catch (err) {
+      console.error('Cover frame error:', err)
+      setError(err.message || 'Failed to select cover frame')
+    } finally {
+      setLoadingCover(false)
+    }
+  }
+
+  const handleDrop = (e) => {
+    e.preventDefault()
+    setDragging(false)
+    if (uploading) return
+    const file = e.dataTransfer.files[0]
+    if (file) {
+      handleFile(file)
+    }
+  }
+
+  const handleDragOver = (e) => {
+    e.preventDefault()
+    setDragging(true)
+  }
+
+  const handleDragLeave = (e) => {
+    e.preventDefault()
+    setDragging(false)
+  }
+
+  const handleFileInput = (e) => {
+    const file = e.target.files[0]
+    if (file) {
+      handleFile(file)
+    }
+  }
+
+  const handleRemove = () => {
+    setError('')
+    setCoverOffset(0)
+    onVideoChange(null)
+  }
+
+  const isVertical = video?.width && video?.height && Math.abs(video.width / video.height - 9 / 16) < 0.02
+
+  return (
+    <div className="space-y-4">
+      <label className="block text-sm font-medium text-gray-700">
+        Video
+      </label>
+
+      {!video ? (
+        <div
+          onDrop={handleDrop}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onClick={() => !uploading && fileInputRef.current?.click()}
+          className={`
+            border-2 border-dashed rounded-lg p-12 text-center cursor-pointer
+            transition-all duration-200
+            ${
+              dragging
+                ? 'border-purple-500 bg-purple-50'
+                : 'border-gray-300 hover:border-purple-400 hover:bg-gray-50'
+            }
+            ${uploading ? 'opacity-50 cursor-not-allowed' : ''}
+          `}
+        >
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="video/mp4,video/quicktime"
+            onChange={handleFileInput}
+            className="hidden"
+            disabled={uploading}
+          />
+
+          {uploading ? (
+            <div className="space-y-3">
+              <Loader2 className="w-12 h-12 mx-auto text-purple-600 animate-spin" />
+              <div>
+                <p className="text-sm text-gray-600">Uploading...</p>
+                <div className="mt-2 w-full bg-gray-200 rounded-full h-2">
+                  <div
+                    className="bg-purple-600 h-2 rounded-full transition-all duration-300"
+                    style={{ width: `${uploadProgress}%` }}
+                  />
+                </div>
+                <p className="text-xs text-gray-500 mt-1">{uploadProgress}%</p>
+              </div>
+            </div>
+          ) : (
+            <>
+              <Upload className="w-12 h-12 mx-auto text-gray-400 mb-4" />
+              <p className="text-sm text-gray-600">
+                Click to upload or drag and drop
+              </p>
+              <p className="text-xs text-gray-500 mt-1">
+                MP4, MOV up to 100MB · 3 seconds to 15 minutes
+              </p>
+            </>
+          )}
+        </div>
+      ) : (
+        <div className="border border-gray-200 rounded-lg overflow-hidden bg-gray-50">
+          <div className="grid grid-cols-1 gap-4 p-4 md:grid-cols-2">
+            <div className="relative bg-black rounded-lg overflow-hidden">
+              <video
+                ref={previewRef}
+                src={video.url}
+                controls
+                muted
+                className="w-full max-h-96 object-contain"
+              />
+              <button
+                type="button"
+                onClick={handleRemove}
+                className="absolute top-2 right-2 p-2 bg-white rounded-full shadow-lg hover:bg-gray-100 transition-colors"
+              >
+                <X className="w-4 h-4 text-gray-600" />
+              </button>
+            </div>
+
+            <div className="space-y-3">
+              <div>
+                <p className="text-sm font-medium text-gray-700">Cover frame</p>
+                <p className="text-xs text-gray-500">Drag to choose the frame shown in the profile grid</p>
+              </div>
+              <div className="relative w-32 aspect-[9/16] rounded-lg overflow-hidden bg-gray-200">
+                {video.coverUrl ? (
+                  <img src={video.coverUrl} alt="Reel cover" className="w-full h-full object-cover" />
+                ) : (
+                  <div className="w-full h-full flex items-center justify-center">
+                    <Film className="w-8 h-8 text-gray-400" />
+                  </div>
+                )}
+                {loadingCover && (
+                  <div className="absolute inset-0 flex items-center justify-center bg-white/60">
+                    <Loader2 className="w-6 h-6 text-purple-600 animate-spin" />
+                  </div>
+                )}
+              </div>
+              <input
+                type="range"
+                min={0}
+                max={Math.max(0, Math.floor((video.duration || 0) * 10) / 10)}
+                step={0.1}
+                value={coverOffset}
+                onChange={handleCoverScrub}
+                onPointerUp={commitCoverOffset}
+                onKeyUp={commitCoverOffset}
+                className="w-full accent-purple-600"
+              />
+              <p className="text-xs text-gray-500">
+                Frame at {formatDuration(coverOffset)} of {formatDuration(video.duration)}
+              </p>
+            </div>
+          </div>
+
+          <div className="px-4 py-3 bg-white border-t border-gray-200">
+            <div className="grid grid-cols-2 gap-4 text-sm">
+              <div>
+                <p className="text-gray-500">Duration</p>
+                <p className="font-medium text-gray-900">{formatDuration(video.duration)}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">Dimensions</p>
+                <p className="font-medium text-gray-900">{video.width} × {video.height}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">Aspect Ratio</p>
+                <p className="font-medium text-gray-900">{video.aspectRatio}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">File</p>
+                <p className="font-medium text-gray-900 truncate">{video.name}</p>
+              </div>
+            </div>
+            {!isVertical && (
+              <p className="mt-3 text-xs text-yellow-700">
+                Reels display best at 9:16 (e.g. 1080 × 1920); Instagram will crop other ratios.
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default VideoUpload
@@ -166,6 +166,38 @@ export const api = {
     return this.request(endpoint, { ...options, method: 'DELETE' })
   },
 
+  // Fetch an authenticated file as a Blob
+  async fetchFile(endpoint) {
+    const { data: { session } } = await supabase.auth.getSession()
+    try {
+      const response = await fetch(`${API_URL}${endpoint}`, {
+        credentials: 'include',
+        headers: session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {},
+      })
+      if (!response.ok) {
+        let data
+        try { data = await response.json() } catch { data = null }
+        return { data: null, error: data?.message || data?.error || response.statusText || 'Download failed' }
+      }
+      return { data: await response.blob(), error: null }
+    } catch (error) {
+      return { data: null, error: error.message || 'Network error' }
+    }
+  },
+
+  // Fetch an authenticated file and hand it to the browser as a download
+  async download(endpoint, fileName) {
+    const { data, error } = await this.fetchFile(endpoint)
+    if (error) return { error }
+    const url = URL.createObjectURL(data)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = fileName
+    link.click()
+    URL.revokeObjectURL(url)
+    return { error: null }
+  },
+
   // Clear CSRF token cache (call this on logout)
   clearCsrfToken,
 }
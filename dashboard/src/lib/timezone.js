@@ -0,0 +1,101 @@
+// Dates in an Instagram account's timezone (accounts.timezone, NULL = UTC).
+// The bot reads posting windows and daily limits in that zone too.
+
+export const DEFAULT_ACCOUNT_TIMEZONE = 'UTC'
+
+const formatters = new Map()
+
+const getPartsFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }))
+  }
+  return formatters.get(timezone)
+}
+
+export const getBrowserTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone
+
+export const getAccountTimezone = (account) => account?.timezone || DEFAULT_ACCOUNT_TIMEZONE
+
+/**
+ * Zone to enter schedule times in: the selected accounts' zone when they all
+ * have the same one set, otherwise the browser's
+ * @param {Array<{ timezone?: string }>} accounts
+ * @returns {{ timezone: string, shared: boolean }}
+ */
+export const getScheduleTimezone = (accounts) => {
+  const zones = [...new Set(accounts.map((account) => account.timezone || null))]
+  return zones.length === 1 && zones[0]
+    ? { timezone: zones[0], shared: true }
+    : { timezone: getBrowserTimezone(), shared: false }
+}
+
+const getParts = (date, timezone) => Object.fromEntries(
+  getPartsFormatter(timezone).formatToParts(date).map(({ type, value }) => [type, value])
+)
+
+/**
+ * 'YYYY-MM-DDTHH:mm' wall-clock time of an instant in a zone, as a datetime-local input expects
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {string}
+ */
+export const toLocalDateTime = (date, timezone) => {
+  const { year, month, day, hour, minute } = getParts(date, timezone)
+  return `${year}-${month}-${day}T${hour}:${minute}`
+}
+
+// Offset of a zone from UTC at an instant, in ms
+const zoneOffset = (timestamp, timezone) => {
+  const { year, month, day, hour, minute, second } = getParts(new Date(timestamp), timezone)
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(timestamp / 1000) * 1000
+}
+
+/**
+ * ISO instant of a 'YYYY-MM-DDTHH:mm' wall-clock time in a zone
+ * @param {string} value
+ * @param {string} timezone
+ * @returns {string}
+ */
+export const localDateTimeToIso = (value, timezone) => {
+  const [datePart, timePart] = value.split('T')
+  const [year, month, day] = datePart.split('-').map(Number)
+  const [hour, minute] = timePart.split(':').map(Number)
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute)
+  const first = wallClock - zoneOffset(wallClock, timezone)
+  const second = wallClock - zoneOffset(first, timezone)
+  return new Date(first === second ? first : Math.max(first, second)).toISOString()
+}
+
+/**
+ * @param {string|Date} value
+ * @param {string} timezone
+ * @returns {string} e.g. "Oct 20, 2026, 09:00"
+ */
+export const formatInTimezone = (value, timezone) =>
+  new Date(value).toLocaleString(undefined, {
+    timeZone: timezone,
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  })
+
+/**
+ * posts_today for the account's current local day; the bot only resets the
+ * counter when it next posts, so a count from an earlier day reads as 0
+ * @param {{ posts_today?: number, last_post_at?: string, timezone?: string }} account
+ * @returns {number}
+ */
+export const getPostsToday = (account) => {
+  if (!account?.posts_today || !account.last_post_at) return 0
+  const timezone = getAccountTimezone(account)
+  const dayOf = (date) => toLocalDateTime(date, timezone).slice(0, 10)
+  return dayOf(new Date(account.last_post_at)) === dayOf(new Date()) ? account.posts_today : 0
+}
@@ -8,6 +8,8 @@ import { Button } from '../components/ui/Button'
 import { Dialog } from '../components/ui/Dialog'
 import { Input } from '../components/ui/Input'
 import { Badge } from '../components/ui/Badge'
+import PostingWindowsDialog, { describePostingWindows } from '../components/PostingWindowsDialog'
+import { getBrowserTimezone, getPostsToday } from '../lib/timezone'
 import {
   Plus,
   Instagram,
@@ -17,6 +19,10 @@ import {
   User,
   Calendar,
   FileText,
+  Languages,
+  Clock,
+  Globe,
+  ClipboardCheck,
 } from 'lucide-react'
 import { formatDistanceToNow } from 'date-fns'
 
@@ -30,6 +36,7 @@ const AccountManager = () => {
     password: '',
   })
   const [formErrors, setFormErrors] = useState({})
+  const [windowsAccount, setWindowsAccount] = useState(null)
   const { user } = useAuth()
   const toast = useToast()
 
@@ -112,6 +119,7 @@ const AccountManager = () => {
       const { data, error } = await api.post('/accounts', {
         instagram_username: formData.instagram_username.trim(),
         password: formData.password,
+        timezone: getBrowserTimezone(),
       })
 
       if (error) {
@@ -157,6 +165,19 @@ const AccountManager = () => {
   }
 
   // Handle account edit (placeholder for now)
+  // Posts to accounts that require approval wait for a reviewer on the Approvals page
+  const handleToggleApproval = async (account) => {
+    const { error } = await api.put(`/accounts/${account.id}`, { requires_approval: !account.requires_approval })
+    if (error) {
+      toast.error('Error', error)
+      return
+    }
+    toast.success('Success', account.requires_approval
+      ? `Posts to @${account.instagram_username} no longer need approval`
+      : `New posts to @${account.instagram_username} need a reviewer's approval`)
+    fetchAccounts()
+  }
+
   const handleEdit = (account) => {
     toast.info('Coming Soon', 'Edit functionality will be available soon.')
   }
@@ -256,7 +277,7 @@ const AccountManager = () => {
                       <span>Posts Today</span>
                     </div>
                     <span className="font-semibold text-gray-900">
-                      {account.posts_today || 0}/25
+                      {getPostsToday(account)}/25
                     </span>
                   </div>
                   <div className="flex items-center justify-between text-sm">
@@ -268,6 +289,57 @@ const AccountManager = () => {
                       {formatLastPost(account.last_post_at)}
                     </span>
                   </div>
+                  <div className="flex items-center justify-between text-sm">
+                    <div className="flex items-center text-gray-600">
+                      <Languages className="w-4 h-4 mr-2" />
+                      <span>Instagram Language</span>
+                    </div>
+                    <span className="font-medium text-gray-900" title="Detected by the bot at login">
+                      {account.ui_locale ? account.ui_locale.toUpperCase() : 'Not detected yet'}
+                    </span>
+                  </div>
+                  <div className="flex items-center justify-between text-sm">
+                    <div className="flex items-center text-gray-600">
+                      <Globe className="w-4 h-4 mr-2" />
+                      <span>Timezone</span>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => setWindowsAccount(account)}
+                      className="font-medium text-purple-600 hover:text-purple-700"
+                      title="Daily limits reset at midnight and posting hours apply in this timezone"
+                    >
+                      {account.timezone || 'UTC (not set)'}
+                    </button>
+                  </div>
+                  <div className="flex items-start justify-between text-sm gap-4">
+                    <div className="flex items-center text-gray-600 flex-shrink-0">
+                      <Clock className="w-4 h-4 mr-2" />
+                      <span>Posting Hours</span>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => setWindowsAccount(account)}
+                      className="font-medium text-right text-purple-600 hover:text-purple-700"
+                      title={account.posting_blackouts?.length ? `${account.posting_blackouts.length} blackout period(s)` : undefined}
+                    >
+                      {describePostingWindows(account)}
+                    </button>
+                  </div>
+                  <div className="flex items-center justify-between text-sm">
+                    <div className="flex items-center text-gray-600">
+                      <ClipboardCheck className="w-4 h-4 mr-2" />
+                      <span>Approval</span>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => handleToggleApproval(account)}
+                      className="font-medium text-purple-600 hover:text-purple-700"
+                      title="Posts to accounts that require approval are only published after a reviewer approves them; only a reviewer can turn it off again"
+                    >
+                      {account.requires_approval ? 'Required' : 'Not required'}
+                    </button>
+                  </div>
                 </div>
 
                 {/* Actions */}
@@ -297,6 +369,13 @@ const AccountManager = () => {
         </div>
       )}
 
+      <PostingWindowsDialog
+        account={windowsAccount}
+        open={Boolean(windowsAccount)}
+        onOpenChange={(open) => !open && setWindowsAccount(null)}
+        onSaved={fetchAccounts}
+      />
+
       {/* Add Account Dialog */}
       <Dialog
         open={isDialogOpen}
@@ -0,0 +1,338 @@
+import { useState, useEffect } from 'react'
+import { Check, X, Trash2, UserPlus, Loader2, Instagram, ClipboardCheck, Calendar, Unlock } from 'lucide-react'
+import { api } from '../lib/api'
+import { useAuth } from '../contexts/AuthContext'
+import { useToast } from '../contexts/ToastContext'
+import ReviewDecisionDialog from '../components/ReviewDecisionDialog'
+import { getPriorityLevel } from '../components/PrioritySelect'
+import { Button } from '../components/ui/Button'
+import { Input } from '../components/ui/Input'
+import { Badge } from '../components/ui/Badge'
+import { Card, CardContent } from '../components/ui/Card'
+import { formatInTimezone, getAccountTimezone } from '../lib/timezone'
+
+const Approvals = () => {
+  const [posts, setPosts] = useState([])
+  const [captionEdits, setCaptionEdits] = useState([])
+  const [accounts, setAccounts] = useState([])
+  const [isReviewer, setIsReviewer] = useState(false)
+  const [reviewers, setReviewers] = useState([])
+  const [reviewerEmail, setReviewerEmail] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [addingReviewer, setAddingReviewer] = useState(false)
+  const [decision, setDecision] = useState(null)
+  const { user } = useAuth()
+  const toast = useToast()
+
+  const fetchApprovals = async () => {
+    const { data, error } = await api.get('/approvals')
+    if (error) {
+      toast.error('Error', error)
+    } else {
+      setPosts(data.posts || [])
+      setCaptionEdits(data.caption_edits || [])
+      setAccounts(data.accounts || [])
+      setIsReviewer(data.reviewer)
+    }
+    setLoading(false)
+  }
+
+  const fetchReviewers = async () => {
+    const { data, error } = await api.get('/approvals/reviewers')
+    if (!error) setReviewers(data.reviewers || [])
+  }
+
+  useEffect(() => {
+    if (!user) return
+    fetchApprovals()
+    fetchReviewers()
+  }, [user])
+
+  const handleDecision = async (comment) => {
+    const { post, captionEdit, decision: choice } = decision
+    const path = captionEdit ? `/approvals/caption-edits/${captionEdit.id}` : `/approvals/${post.id}`
+    const { data, error } = await api.post(`${path}/${choice === 'approved' ? 'approve' : 'reject'}`, {
+      comment: comment || null,
+    })
+
+    if (error) {
+      toast.error('Error', error)
+      return
+    }
+
+    toast.success('Success', data.message)
+    setDecision(null)
+    fetchApprovals()
+  }
+
+  const handleAddReviewer = async (e) => {
+    e.preventDefault()
+    if (!reviewerEmail.trim()) return
+
+    setAddingReviewer(true)
+    const { error } = await api.post('/approvals/reviewers', { email: reviewerEmail.trim() })
+    setAddingReviewer(false)
+
+    if (error) {
+      toast.error('Error', error)
+      return
+    }
+    toast.success('Success', `${reviewerEmail.trim()} can now review your posts`)
+    setReviewerEmail('')
+    fetchReviewers()
+  }
+
+  // Owners can't turn approval off for their own accounts, their reviewers can
+  const handleLiftApproval = async (account) => {
+    if (!confirm(`Let posts to @${account.instagram_username} be published without approval?`)) return
+
+    const { data, error } = await api.post(`/approvals/accounts/${account.id}/lift`)
+    if (error) {
+      toast.error('Error', error)
+      return
+    }
+    toast.success('Success', data.message)
+    fetchApprovals()
+  }
+
+  const handleRemoveReviewer = async (reviewer) => {
+    if (!confirm(`Remove ${reviewer.reviewer_email} as a reviewer?`)) return
+
+    const { error } = await api.delete(`/approvals/reviewers/${reviewer.id}`)
+    if (error) {
+      toast.error('Error', error)
+      return
+    }
+    toast.success('Success', 'Reviewer removed')
+    fetchReviewers()
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Approvals</h1>
+        <p className="mt-2 text-gray-600">
+          Review posts before they are published. Accounts set to require approval only get posts a reviewer has approved.
+        </p>
+      </div>
+
+      {/* Posts to review */}
+      {loading ? (
+        <Card>
+          <CardContent className="py-12">
+            <div className="flex flex-col items-center justify-center">
+              <Loader2 className="w-8 h-8 text-purple-600 animate-spin mb-4" />
+              <p className="text-gray-600">Loading approvals...</p>
+            </div>
+          </CardContent>
+        </Card>
+      ) : posts.length === 0 && captionEdits.length === 0 ? (
+        <Card>
+          <CardContent className="py-12">
+            <div className="text-center">
+              <ClipboardCheck className="w-12 h-12 mx-auto text-gray-400 mb-4" />
+              <p className="text-lg font-medium text-gray-900">Nothing to review</p>
+              <p className="text-sm text-gray-500 mt-2">
+                {isReviewer
+                  ? 'Posts submitted for approval will show up here.'
+                  : 'You are not a reviewer for anyone yet. Reviewers are added by email below.'}
+              </p>
+            </div>
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="grid grid-cols-1 gap-6">
+          {posts.map((post) => {
+            const priority = getPriorityLevel(post.priority)
+            const lastRejection = [...(post.post_approvals || [])]
+              .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+              .find((approval) => approval.decision === 'rejected')
+            return (
+              <Card key={post.id}>
+                <CardContent className="p-6 space-y-4">
+                  <div className="flex items-start space-x-4">
+                    <div className="w-24 h-24 rounded-lg overflow-hidden bg-gray-100 flex-shrink-0">
+                      {post.image_url ? (
+                        <img src={post.image_url} alt="Post" className="w-full h-full object-cover" />
+                      ) : (
+                        <div className="w-full h-full flex items-center justify-center">
+                          <Instagram className="w-8 h-8 text-gray-400" />
+                        </div>
+                      )}
+                    </div>
+                    <div className="flex-1 min-w-0 space-y-2">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <Badge variant="purple">
+                          {post.post_type === 'story' ? 'Story' : post.media_type === 'reel' ? 'Reel' : post.media_type === 'carousel' ? 'Carousel' : 'Post'}
+                        </Badge>
+                        {priority.value !== 0 && (
+                          <Badge variant={priority.variant}>{priority.label} priority</Badge>
+                        )}
+                      </div>
+                      <p className="text-sm text-gray-900 whitespace-pre-wrap break-words">
+                        {post.caption || <span className="text-gray-400 italic">No caption</span>}
+                      </p>
+                      {post.first_comment && (
+                        <p className="text-xs text-gray-600">First comment: {post.first_comment}</p>
+                      )}
+                    </div>
+                  </div>
+
+                  <div className="space-y-1 text-xs text-gray-600">
+                    {(post.post_accounts || []).map((postAccount) => postAccount.account && (
+                      <p key={postAccount.id} className="flex items-center space-x-1">
+                        <Calendar className="w-3 h-3" />
+                        <span>
+                          @{postAccount.account.instagram_username}
+                          {' · '}
+                          {formatInTimezone(post.scheduled_at, getAccountTimezone(postAccount.account))}
+                          {' '}({getAccountTimezone(postAccount.account)})
+                        </span>
+                      </p>
+                    ))}
+                    {post.submitted_at && (
+                      <p>Submitted {new Date(post.submitted_at).toLocaleString()}</p>
+                    )}
+                    {lastRejection && (
+                      <p className="text-red-600">
+                        Previously rejected by {lastRejection.reviewer_email}: {lastRejection.comment}
+                      </p>
+                    )}
+                  </div>
+
+                  <div className="flex justify-end space-x-2 pt-4 border-t border-gray-200">
+                    <Button variant="outline" size="sm" onClick={() => setDecision({ post, decision: 'rejected' })}>
+                      <X className="w-4 h-4 mr-1" />
+                      Reject
+                    </Button>
+                    <Button size="sm" onClick={() => setDecision({ post, decision: 'approved' })}>
+                      <Check className="w-4 h-4 mr-1" />
+                      Approve
+                    </Button>
+                  </div>
+                </CardContent>
+              </Card>
+            )
+          })}
+        </div>
+      )}
+
+      {/* Caption edits of published posts */}
+      {captionEdits.length > 0 && (
+        <div className="grid grid-cols-1 gap-6">
+          {captionEdits.map((captionEdit) => (
+            <Card key={captionEdit.id}>
+              <CardContent className="p-6 space-y-4">
+                <div className="flex flex-wrap items-center gap-2">
+                  <Badge variant="purple">Caption edit</Badge>
+                  <span className="text-xs text-gray-600">
+                    {(captionEdit.post?.post_accounts || [])
+                      .filter((postAccount) => postAccount.account)
+                      .map((postAccount) => `@${postAccount.account.instagram_username}`)
+                      .join(', ')}
+                  </span>
+                </div>
+                <div className="space-y-2 text-sm">
+                  <p className="text-gray-500 whitespace-pre-wrap break-words">
+                    <span className="font-medium">Published: </span>
+                    {captionEdit.previous_caption || <span className="italic">No caption</span>}
+                  </p>
+                  <p className="text-gray-900 whitespace-pre-wrap break-words">
+                    <span className="font-medium">New: </span>
+                    {captionEdit.caption}
+                  </p>
+                  <p className="text-xs text-gray-600">Submitted {new Date(captionEdit.created_at).toLocaleString()}</p>
+                </div>
+                <div className="flex justify-end space-x-2 pt-4 border-t border-gray-200">
+                  <Button variant="outline" size="sm" onClick={() => setDecision({ captionEdit, decision: 'rejected' })}>
+                    <X className="w-4 h-4 mr-1" />
+                    Reject
+                  </Button>
+                  <Button size="sm" onClick={() => setDecision({ captionEdit, decision: 'approved' })}>
+                    <Check className="w-4 h-4 mr-1" />
+                    Approve
+                  </Button>
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      {/* Accounts of reviewed users that require approval */}
+      {accounts.length > 0 && (
+        <Card>
+          <CardContent className="p-6 space-y-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Accounts you review</h2>
+              <p className="text-sm text-gray-500">
+                Posts to these accounts need your approval. Only a reviewer can turn that off.
+              </p>
+            </div>
+            <ul className="divide-y divide-gray-100">
+              {accounts.map((account) => (
+                <li key={account.id} className="flex items-center justify-between py-2">
+                  <span className="text-sm text-gray-900">@{account.instagram_username}</span>
+                  <Button variant="outline" size="sm" onClick={() => handleLiftApproval(account)}>
+                    <Unlock className="w-4 h-4 mr-1" />
+                    Turn off approval
+                  </Button>
+                </li>
+              ))}
+            </ul>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Reviewers of the signed-in user's posts */}
+      <Card>
+        <CardContent className="p-6 space-y-4">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Your reviewers</h2>
+            <p className="text-sm text-gray-500">
+              People who may approve or reject your posts. They sign in with this email; you can't review your own posts.
+            </p>
+          </div>
+
+          {reviewers.length > 0 && (
+            <ul className="divide-y divide-gray-100">
+              {reviewers.map((reviewer) => (
+                <li key={reviewer.id} className="flex items-center justify-between py-2">
+                  <span className="text-sm text-gray-900">{reviewer.reviewer_email}</span>
+                  <Button variant="ghost" size="sm" onClick={() => handleRemoveReviewer(reviewer)} title="Remove reviewer">
+                    <Trash2 className="w-4 h-4 text-red-600" />
+                  </Button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form onSubmit={handleAddReviewer} className="flex items-center space-x-2">
+            <Input
+              type="email"
+              placeholder="reviewer@example.com"
+              value={reviewerEmail}
+              onChange={(e) => setReviewerEmail(e.target.value)}
+            />
+            <Button type="submit" loading={addingReviewer} disabled={addingReviewer || !reviewerEmail.trim()}>
+              <UserPlus className="w-4 h-4 mr-1" />
+              Add
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      <ReviewDecisionDialog
+        post={decision?.post || decision?.captionEdit}
+        decision={decision?.decision}
+        captionEdit={Boolean(decision?.captionEdit)}
+        open={Boolean(decision)}
+        onOpenChange={(open) => !open && setDecision(null)}
+        onConfirm={handleDecision}
+      />
+    </div>
+  )
+}
+
+export default Approvals
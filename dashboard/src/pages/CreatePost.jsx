@@ -1,66 +1,136 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { supabase } from '../lib/supabase'
 import { useAuth } from '../contexts/AuthContext'
 import { useToast } from '../contexts/ToastContext'
-import ImageUpload from '../components/ImageUpload'
+import ImageUpload, { MAX_IMAGES } from '../components/ImageUpload'
+import VideoUpload from '../components/VideoUpload'
+import StoryPreview, { isStoryAspectRatio } from '../components/StoryPreview'
+import FirstCommentInput from '../components/FirstCommentInput'
+import UserTagEditor from '../components/UserTagEditor'
+import PostSettings from '../components/PostSettings'
+import CropModeSelector from '../components/CropModeSelector'
 import CaptionEditor from '../components/CaptionEditor'
 import AccountSelector from '../components/AccountSelector'
-import SchedulingOptions from '../components/SchedulingOptions'
+import SchedulingOptions, { DEFAULT_RECURRENCE, toRecurrencePayload } from '../components/SchedulingOptions'
+import PrioritySelect, { getPriorityLevel } from '../components/PrioritySelect'
+import StaggerOptions, { DEFAULT_STAGGER, toStaggerPayload } from '../components/StaggerOptions'
 import { Button } from '../components/ui/Button'
 import { Card, CardContent } from '../components/ui/Card'
 import { Dialog } from '../components/ui/Dialog'
-import { Loader2, AlertCircle, LogIn } from 'lucide-react'
+import { Loader2, AlertCircle, LogIn, Image as ImageIcon, Film, Smartphone } from 'lucide-react'
 import { api } from '../lib/api'
+import { getScheduleTimezone, localDateTimeToIso } from '../lib/timezone'
 
 const CreatePost = () => {
   const [formData, setFormData] = useState({
-    imageUrl: '',
-    imagePath: '',
+    postType: 'post',
+    images: [],
+    cropMode: 'original',
+    video: null,
     caption: '',
+    firstCommentEnabled: false,
+    firstComment: '',
+    location: '',
+    userTags: [],
+    altTexts: {},
+    hideLikeCounts: false,
+    disableComments: false,
     selectedAccounts: [],
     scheduleType: 'now',
     scheduledAt: '',
+    recurrence: DEFAULT_RECURRENCE,
+    stagger: DEFAULT_STAGGER,
+    priority: 0,
   })
   const [errors, setErrors] = useState({})
   const [submitting, setSubmitting] = useState(false)
   const [checkingLogin, setCheckingLogin] = useState(false)
   const [showReloginDialog, setShowReloginDialog] = useState(false)
   const [accountsNeedingRelogin, setAccountsNeedingRelogin] = useState([])
+  const [accountZones, setAccountZones] = useState([])
   const { user } = useAuth()
   const toast = useToast()
   const navigate = useNavigate()
 
+  // Timezones of the user's accounts; times are entered in the selected accounts' zone
+  useEffect(() => {
+    if (!user) return
+    supabase
+      .from('accounts')
+      .select('id, instagram_username, timezone, requires_approval')
+      .eq('user_id', user.id)
+      .then(({ data }) => setAccountZones(data || []))
+  }, [user])
+
+  const selectedAccountZones = accountZones.filter((account) => formData.selectedAccounts.includes(account.id))
+  const scheduleZone = getScheduleTimezone(selectedAccountZones)
+  // Posts to these accounts go to a reviewer instead of straight into the queue
+  const needsApproval = selectedAccountZones.some((account) => account.requires_approval)
+
   const validateForm = () => {
     const newErrors = {}
 
-    if (!formData.imageUrl) {
-      newErrors.imageUrl = 'Please upload an image'
+    if (formData.postType === 'reel') {
+      if (!formData.video) {
+        newErrors.video = 'Please upload a video'
+      }
+    } else if (formData.postType === 'story') {
+      const [storyImage] = formData.images
+      if (!storyImage) {
+        newErrors.images = 'Please upload an image'
+      } else if (formData.images.length > 1) {
+        newErrors.images = 'Stories take a single image'
+      } else if (!isStoryAspectRatio(storyImage.width, storyImage.height)) {
+        newErrors.images = 'Story images must be 9:16 (e.g. 1080 × 1920)'
+      }
+    } else if (formData.images.length === 0) {
+      newErrors.images = 'Please upload at least one image'
+    } else if (formData.images.length > MAX_IMAGES) {
+      newErrors.images = `A carousel can contain at most ${MAX_IMAGES} images`
     }
 
-    if (!formData.caption.trim()) {
+    if (formData.postType !== 'story' && !formData.caption.trim()) {
       newErrors.caption = 'Please enter a caption'
     }
 
+    if (formData.postType !== 'story' && formData.firstCommentEnabled && !formData.firstComment.trim()) {
+      newErrors.firstComment = 'Please enter the first comment or turn it off'
+    } else if (formData.postType !== 'story' && formData.firstCommentEnabled && formData.disableComments) {
+      newErrors.firstComment = 'A first comment cannot be posted when commenting is turned off'
+    }
+
     if (formData.selectedAccounts.length === 0) {
       newErrors.selectedAccounts = 'Please select at least one account'
     }
 
-    if (formData.scheduleType === 'later' && !formData.scheduledAt) {
+    if (formData.scheduleType !== 'now' && !formData.scheduledAt) {
       newErrors.scheduledAt = 'Please select a date and time'
     }
 
+    if (formData.scheduleType === 'recurring') {
+      const { frequency, rrule, endType, until } = formData.recurrence
+      if (frequency === 'custom' && !rrule.trim()) {
+        newErrors.scheduledAt = 'Please enter a recurrence rule'
+      } else if (frequency !== 'custom' && endType === 'until' && !until) {
+        newErrors.scheduledAt = 'Please select when the repetition ends'
+      }
+    }
+
     setErrors(newErrors)
     return Object.keys(newErrors).length === 0
   }
 
-  const handleImageUploaded = (url, path) => {
-    setFormData({ ...formData, imageUrl: url, imagePath: path })
-    setErrors({ ...errors, imageUrl: '' })
+  const handleImagesChange = (images) => {
+    // Drop tags that pointed at a removed image
+    const userTags = formData.userTags.filter((tag) => images.some((image) => image.url === tag.imageUrl))
+    setFormData({ ...formData, images, userTags })
+    setErrors({ ...errors, images: '' })
   }
 
-  const handleImageRemoved = () => {
-    setFormData({ ...formData, imageUrl: '', imagePath: '' })
+  const handleVideoChange = (video) => {
+    setFormData({ ...formData, video })
+    setErrors({ ...errors, video: '' })
   }
 
   // Check if selected accounts are logged in
@@ -125,36 +195,175 @@ const CreatePost = () => {
     await proceedWithPost()
   }
 
-  const proceedWithPost = async () => {
+  // Drafts aren't posted, so the login check waits until they are submitted
+  const handleSaveDraft = async () => {
+    if (!validateForm()) {
+      toast.error('Validation Error', 'Please fix the errors in the form')
+      return
+    }
+    await proceedWithPost('draft')
+  }
+
+  const resetForm = () => {
+    setFormData({
+      postType: 'post',
+      images: [],
+      cropMode: 'original',
+      video: null,
+      caption: '',
+      firstCommentEnabled: false,
+      firstComment: '',
+      location: '',
+      userTags: [],
+      altTexts: {},
+      hideLikeCounts: false,
+      disableComments: false,
+      selectedAccounts: [],
+      scheduleType: 'now',
+      scheduledAt: '',
+      recurrence: DEFAULT_RECURRENCE,
+      stagger: DEFAULT_STAGGER,
+      priority: 0,
+    })
+    setErrors({})
+  }
+
+  const proceedWithPost = async (requestedStatus = 'pending') => {
     setSubmitting(true)
 
     try {
       // Calculate scheduled_at timestamp
       let scheduledAt = new Date().toISOString()
       if (formData.scheduleType === 'later' && formData.scheduledAt) {
-        scheduledAt = new Date(formData.scheduledAt).toISOString()
+        scheduledAt = localDateTimeToIso(formData.scheduledAt, scheduleZone.timezone)
+      }
+
+      // Create post - image_url is the cover, image_urls keeps the carousel order
+      let media
+      if (formData.postType === 'reel') {
+        const { video } = formData
+        media = {
+          image_url: video.coverUrl,
+          media_type: 'reel',
+          video_url: video.url,
+          video_duration_seconds: video.duration,
+          video_width: video.width,
+          video_height: video.height,
+          video_aspect_ratio: video.width && video.height ? Number((video.width / video.height).toFixed(3)) : null,
+          cover_offset_seconds: video.coverOffset,
+        }
+      } else if (formData.postType === 'story') {
+        media = {
+          image_url: formData.images[0].url,
+          media_type: 'image',
+          post_type: 'story',
+        }
+      } else {
+        const imageUrls = formData.images.map((image) => image.url)
+        const isCarousel = imageUrls.length > 1
+        media = {
+          image_url: imageUrls[0],
+          image_urls: isCarousel ? imageUrls : null,
+          media_type: isCarousel ? 'carousel' : 'image',
+          crop_mode: formData.cropMode,
+          // The image checker compares against this instead of the uncropped original
+          comparison_image_url: formData.images[0].crops?.[formData.cropMode] || null,
+        }
+      }
+
+      const firstComment = formData.postType !== 'story' && formData.firstCommentEnabled
+        ? formData.firstComment.trim() || null
+        : null
+
+      // Tags are stored by slide index in the order the images will be uploaded
+      const userTags = formData.postType === 'post'
+        ? formData.userTags.map(({ username, x, y, imageUrl }) => ({
+            username,
+            x,
+            y,
+            slide: formData.images.findIndex((image) => image.url === imageUrl),
+          })).filter((tag) => tag.slide >= 0)
+        : []
+
+      // Alt text follows the final image order; stories have none of these settings
+      const altTexts = formData.postType === 'post'
+        ? formData.images.map((image) => (formData.altTexts[image.url] || '').trim())
+        : []
+      const advancedSettings = formData.postType === 'story'
+        ? {}
+        : {
+            alt_texts: altTexts.some(Boolean) ? altTexts : null,
+            hide_like_counts: formData.hideLikeCounts,
+            disable_comments: formData.disableComments,
+          }
+
+      const postFields = {
+        ...media,
+        caption: formData.postType === 'story' ? null : formData.caption.trim(),
+        first_comment: firstComment,
+        location: formData.postType !== 'story' ? formData.location.trim() || null : null,
+        user_tags: userTags,
+        priority: formData.priority,
+        ...advancedSettings,
+      }
+
+      if (formData.scheduleType === 'recurring') {
+        // The backend creates each occurrence as its own post ahead of time
+        const { data, error } = await api.post('/schedules', {
+          post: { ...postFields, priority: getPriorityLevel(formData.priority).key },
+          account_ids: formData.selectedAccounts,
+          recurrence: toRecurrencePayload(formData.recurrence),
+          starts_at: formData.scheduledAt,
+          timezone: scheduleZone.timezone,
+        })
+        if (error) throw new Error(error)
+        toast.success('Success', `Recurring post scheduled: ${data.schedule.description}`)
+        resetForm()
+        setTimeout(() => {
+          navigate('/queue')
+        }, 1500)
+        return
+      }
+
+      // A staggered post is due at its own time on each account, as planned by the backend
+      const stagger = formData.selectedAccounts.length > 1 ? toStaggerPayload(formData.stagger) : null
+      let accountSchedule = null
+      if (stagger) {
+        const { data, error } = await api.post('/posts/stagger', {
+          scheduled_at: scheduledAt,
+          account_ids: formData.selectedAccounts,
+          stagger,
+        })
+        if (error) throw new Error(error)
+        accountSchedule = data
       }
+      const accountTimes = new Map((accountSchedule?.accounts || []).map((row) => [row.account_id, row.scheduled_at]))
 
-      // Create post
+      const status = requestedStatus === 'pending' && needsApproval ? 'awaiting_approval' : requestedStatus
+      const now = new Date().toISOString()
       const { data: post, error: postError } = await supabase
         .from('posts')
         .insert({
           user_id: user.id,
-          image_url: formData.imageUrl,
-          caption: formData.caption.trim(),
-          status: 'pending',
+          ...postFields,
+          status,
+          submitted_at: status === 'awaiting_approval' ? now : null,
+          approved_at: status === 'pending' ? now : null,
           scheduled_at: scheduledAt,
+          stagger: accountSchedule?.stagger || null,
         })
         .select()
         .single()
 
       if (postError) throw postError
 
-      // Create post_accounts entries
+      // Create post_accounts entries; without a stagger they take the post's time
       const postAccounts = formData.selectedAccounts.map((accountId) => ({
         post_id: post.id,
         account_id: accountId,
+        scheduled_at: accountTimes.get(accountId),
         status: 'pending',
+        first_comment_status: firstComment ? 'pending' : null,
       }))
 
       const { error: postAccountsError } = await supabase
@@ -163,18 +372,13 @@ const CreatePost = () => {
 
       if (postAccountsError) throw postAccountsError
 
-      toast.success('Success', 'Post added to queue successfully!')
-      
-      // Reset form
-      setFormData({
-        imageUrl: '',
-        imagePath: '',
-        caption: '',
-        selectedAccounts: [],
-        scheduleType: 'now',
-        scheduledAt: '',
-      })
-      setErrors({})
+      const messages = {
+        draft: 'Draft saved',
+        awaiting_approval: 'Post submitted for approval',
+        pending: 'Post added to queue successfully!',
+      }
+      toast.success('Success', messages[status])
+      resetForm()
 
       // Navigate to queue after a short delay
       setTimeout(() => {
@@ -252,7 +456,7 @@ const CreatePost = () => {
       <div>
         <h1 className="text-3xl font-bold text-gray-900">Create Post</h1>
         <p className="mt-2 text-gray-600">
-          Upload an image and schedule it for your Instagram accounts
+          Upload an image, carousel, reel or story and schedule it for your Instagram accounts
         </p>
       </div>
 
@@ -260,32 +464,146 @@ const CreatePost = () => {
       <form onSubmit={handleSubmit} className="space-y-6">
         <Card>
           <CardContent className="p-6 space-y-6">
-            {/* Image Upload */}
+            {/* Post Type */}
             <div>
-              <ImageUpload
-                onImageUploaded={handleImageUploaded}
-                onImageRemoved={handleImageRemoved}
-                initialUrl={formData.imageUrl}
-              />
-              {errors.imageUrl && (
-                <p className="mt-2 text-sm text-red-600">{errors.imageUrl}</p>
-              )}
+              <label className="block text-sm font-medium text-gray-700 mb-3">
+                Post Type
+              </label>
+              <div className="grid grid-cols-1 gap-3 sm:grid-cols-3">
+                {[
+                  { value: 'post', label: 'Post', description: 'Single image or carousel', icon: ImageIcon },
+                  { value: 'reel', label: 'Reel', description: 'MP4 or MOV video', icon: Film },
+                  { value: 'story', label: 'Story', description: 'Single 9:16 image, 24h', icon: Smartphone },
+                ].map(({ value, label, description, icon: Icon }) => (
+                  <button
+                    key={value}
+                    type="button"
+                    onClick={() => {
+                      // Stories only take one image, drop extra carousel slides
+                      const images = value === 'story' ? formData.images.slice(0, 1) : formData.images
+                      setFormData({ ...formData, postType: value, images })
+                      setErrors({ ...errors, images: '', video: '', caption: '' })
+                    }}
+                    className={`flex items-center space-x-3 p-4 border-2 rounded-lg text-left transition-all ${
+                      formData.postType === value
+                        ? 'border-purple-600 bg-purple-50'
+                        : 'border-gray-200 hover:border-purple-300'
+                    }`}
+                  >
+                    <Icon className={`w-5 h-5 ${formData.postType === value ? 'text-purple-600' : 'text-gray-400'}`} />
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">{label}</p>
+                      <p className="text-xs text-gray-500">{description}</p>
+                    </div>
+                  </button>
+                ))}
+              </div>
             </div>
 
-            {/* Caption Editor */}
+            {/* Media Upload */}
             <div>
-              <CaptionEditor
-                value={formData.caption}
-                onChange={(value) => {
-                  setFormData({ ...formData, caption: value })
-                  setErrors({ ...errors, caption: '' })
-                }}
-              />
-              {errors.caption && (
-                <p className="mt-2 text-sm text-red-600">{errors.caption}</p>
+              {formData.postType === 'reel' ? (
+                <VideoUpload
+                  video={formData.video}
+                  onVideoChange={handleVideoChange}
+                />
+              ) : formData.postType === 'story' ? (
+                <div className="grid grid-cols-1 gap-6 md:grid-cols-[1fr_auto]">
+                  <ImageUpload
+                    images={formData.images}
+                    onImagesChange={handleImagesChange}
+                    maxImages={1}
+                  />
+                  <StoryPreview image={formData.images[0]} />
+                </div>
+              ) : (
+                <div className="space-y-6">
+                  <ImageUpload
+                    images={formData.images}
+                    onImagesChange={handleImagesChange}
+                  />
+                  {formData.images.length > 0 && (
+                    <CropModeSelector
+                      value={formData.cropMode}
+                      onChange={(cropMode) => setFormData((prev) => ({ ...prev, cropMode }))}
+                      image={formData.images[0]}
+                    />
+                  )}
+                </div>
+              )}
+              {(errors.images || errors.video) && (
+                <p className="mt-2 text-sm text-red-600">{errors.images || errors.video}</p>
               )}
             </div>
 
+            {/* Caption Editor - stories have no caption */}
+            {formData.postType !== 'story' && (
+              <div>
+                <CaptionEditor
+                  value={formData.caption}
+                  onChange={(value) => {
+                    setFormData({ ...formData, caption: value })
+                    setErrors({ ...errors, caption: '' })
+                  }}
+                />
+                {errors.caption && (
+                  <p className="mt-2 text-sm text-red-600">{errors.caption}</p>
+                )}
+              </div>
+            )}
+
+            {/* First Comment */}
+            {formData.postType !== 'story' && (
+              <div>
+                <FirstCommentInput
+                  enabled={formData.firstCommentEnabled}
+                  onEnabledChange={(enabled) => {
+                    setFormData({ ...formData, firstCommentEnabled: enabled })
+                    setErrors({ ...errors, firstComment: '' })
+                  }}
+                  value={formData.firstComment}
+                  onChange={(value) => {
+                    setFormData((prev) => ({ ...prev, firstComment: value }))
+                    setErrors((prev) => ({ ...prev, firstComment: '' }))
+                  }}
+                  caption={formData.caption}
+                  onCaptionChange={(caption) => setFormData((prev) => ({ ...prev, caption }))}
+                />
+                {errors.firstComment && (
+                  <p className="mt-2 text-sm text-red-600">{errors.firstComment}</p>
+                )}
+              </div>
+            )}
+
+            {/* Location and tags - stories can't carry either, reels only a location */}
+            {formData.postType !== 'story' && (
+              <UserTagEditor
+                images={formData.images}
+                tags={formData.userTags}
+                onTagsChange={(userTags) => setFormData((prev) => ({ ...prev, userTags }))}
+                location={formData.location}
+                onLocationChange={(location) => setFormData((prev) => ({ ...prev, location }))}
+                allowTags={formData.postType === 'post'}
+              />
+            )}
+
+            {/* Alt text and advanced settings */}
+            {formData.postType !== 'story' && (
+              <PostSettings
+                images={formData.images}
+                altTexts={formData.altTexts}
+                onAltTextsChange={(altTexts) => setFormData((prev) => ({ ...prev, altTexts }))}
+                hideLikeCounts={formData.hideLikeCounts}
+                onHideLikeCountsChange={(hideLikeCounts) => setFormData((prev) => ({ ...prev, hideLikeCounts }))}
+                disableComments={formData.disableComments}
+                onDisableCommentsChange={(disableComments) => {
+                  setFormData((prev) => ({ ...prev, disableComments }))
+                  setErrors((prev) => ({ ...prev, firstComment: '' }))
+                }}
+                allowAltText={formData.postType === 'post'}
+              />
+            )}
+
             {/* Account Selection */}
             <div>
               <AccountSelector
@@ -313,12 +631,53 @@ const CreatePost = () => {
                   setFormData({ ...formData, scheduledAt: datetime })
                   setErrors({ ...errors, scheduledAt: '' })
                 }}
+                accountIds={formData.selectedAccounts}
+                timezone={scheduleZone.timezone}
+                timezoneShared={scheduleZone.shared}
+                selectedAccounts={selectedAccountZones}
+                recurrence={formData.recurrence}
+                onRecurrenceChange={(recurrence) => {
+                  setFormData({ ...formData, recurrence })
+                  setErrors({ ...errors, scheduledAt: '' })
+                }}
               />
               {errors.scheduledAt && (
                 <p className="mt-2 text-sm text-red-600">{errors.scheduledAt}</p>
               )}
             </div>
 
+            {/* Stagger over several accounts */}
+            {formData.selectedAccounts.length > 1 && formData.scheduleType !== 'recurring' && (
+              <StaggerOptions
+                stagger={formData.stagger}
+                onChange={(stagger) => setFormData({ ...formData, stagger })}
+                scheduledAt={formData.scheduleType === 'later' && formData.scheduledAt
+                  ? localDateTimeToIso(formData.scheduledAt, scheduleZone.timezone)
+                  : ''}
+                accountIds={formData.selectedAccounts}
+                accounts={selectedAccountZones}
+              />
+            )}
+
+            {/* Priority */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Priority</label>
+              <PrioritySelect
+                value={formData.priority}
+                onChange={(level) => setFormData({ ...formData, priority: level.value })}
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                When several posts are due, higher priorities go out first.
+              </p>
+            </div>
+
+            {needsApproval && (
+              <p className="text-sm text-gray-600">
+                {selectedAccountZones.filter((account) => account.requires_approval).map((account) => `@${account.instagram_username}`).join(', ')}
+                {' '}require approval: a reviewer has to approve this post before it is published.
+              </p>
+            )}
+
             {/* Submit Button */}
             <div className="flex items-center justify-end space-x-3 pt-6 border-t border-gray-200">
               <Button
@@ -329,6 +688,16 @@ const CreatePost = () => {
               >
                 Cancel
               </Button>
+              {formData.scheduleType !== 'recurring' && (
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={handleSaveDraft}
+                  disabled={submitting || checkingLogin}
+                >
+                  Save as Draft
+                </Button>
+              )}
               <Button type="submit" loading={submitting || checkingLogin} disabled={submitting || checkingLogin}>
                 {checkingLogin ? (
                   <>
@@ -338,8 +707,10 @@ const CreatePost = () => {
                 ) : submitting ? (
                   <>
                     <Loader2 className="w-4 h-4 mr-2 animate-spin" />
-                    Adding to Queue...
+                    Saving...
                   </>
+                ) : needsApproval ? (
+                  'Submit for Approval'
                 ) : (
                   'Add to Queue'
                 )}
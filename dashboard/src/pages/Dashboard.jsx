@@ -97,7 +97,7 @@ const Dashboard = () => {
       // Fetch accounts for post display
       const { data: accountsList, error: accountsListError } = await supabase
         .from('accounts')
-        .select('id, instagram_username')
+        .select('id, instagram_username, timezone')
         .eq('user_id', user.id)
 
       if (accountsListError) throw accountsListError
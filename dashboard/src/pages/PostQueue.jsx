@@ -1,11 +1,16 @@
 import { useState, useEffect, useMemo } from 'react'
-import { Search, Trash2, Filter } from 'lucide-react'
+import { Search, Trash2, Filter, GripVertical } from 'lucide-react'
 import { supabase } from '../lib/supabase'
+import { api } from '../lib/api'
 import { useAuth } from '../contexts/AuthContext'
 import { useToast } from '../contexts/ToastContext'
 import QueueStats from '../components/QueueStats'
 import PostCard from '../components/PostCard'
+import { getPriorityLevel } from '../components/PrioritySelect'
 import PostDetailModal from '../components/PostDetailModal'
+import RemovePublishedDialog from '../components/RemovePublishedDialog'
+import EditCaptionDialog from '../components/EditCaptionDialog'
+import RecurringSchedules from '../components/RecurringSchedules'
 import { Button } from '../components/ui/Button'
 import { Input } from '../components/ui/Input'
 import { Card, CardContent } from '../components/ui/Card'
@@ -20,7 +25,11 @@ const PostQueue = () => {
   const [selectedPosts, setSelectedPosts] = useState([])
   const [selectedPost, setSelectedPost] = useState(null)
   const [isDetailModalOpen, setIsDetailModalOpen] = useState(false)
+  const [postToRemove, setPostToRemove] = useState(null)
+  const [postToEditCaption, setPostToEditCaption] = useState(null)
   const [page, setPage] = useState(1)
+  const [draggedPostId, setDraggedPostId] = useState(null)
+  const [dropTargetId, setDropTargetId] = useState(null)
   const [hasMore, setHasMore] = useState(true)
   const { user } = useAuth()
   const toast = useToast()
@@ -30,6 +39,8 @@ const PostQueue = () => {
   // Calculate stats
   const stats = useMemo(() => {
     return {
+      draft: posts.filter(p => p.status === 'draft').length,
+      awaiting_approval: posts.filter(p => p.status === 'awaiting_approval').length,
       pending: posts.filter(p => p.status === 'pending').length,
       processing: posts.filter(p => p.status === 'processing').length,
       posted: posts.filter(p => p.status === 'completed').length,
@@ -45,7 +56,7 @@ const PostQueue = () => {
       try {
         const { data, error } = await supabase
           .from('accounts')
-          .select('id, instagram_username')
+          .select('id, instagram_username, timezone')
           .eq('user_id', user.id)
 
         if (error) throw error
@@ -76,15 +87,39 @@ const PostQueue = () => {
             status,
             instagram_post_url,
             error_message,
-            posted_at
+            posted_at,
+            deferred_until,
+            scheduled_at,
+            removal_action,
+            removal_status,
+            removal_error,
+            removal_completed_at,
+            caption_edit_status,
+            caption_edit_error,
+            caption_edited_at
+          ),
+          post_approvals (
+            id,
+            decision,
+            comment,
+            reviewer_email,
+            created_at
           )
         `)
         .eq('user_id', user.id)
-        .order('created_at', { ascending: false })
-        .range(
-          (currentPage - 1) * POSTS_PER_PAGE,
-          currentPage * POSTS_PER_PAGE - 1
-        )
+
+      // Pending posts are listed in the order the bot will take them
+      query = activeTab === 'pending'
+        ? query
+          .order('priority', { ascending: false })
+          .order('queue_position', { ascending: true, nullsFirst: false })
+          .order('scheduled_at', { ascending: true })
+        : query.order('created_at', { ascending: false })
+
+      query = query.range(
+        (currentPage - 1) * POSTS_PER_PAGE,
+        currentPage * POSTS_PER_PAGE - 1
+      )
 
       // Apply status filter
       if (activeTab !== 'all') {
@@ -247,7 +282,14 @@ const PostQueue = () => {
       // Update post_accounts status back to pending
       const { error: paError } = await supabase
         .from('post_accounts')
-        .update({ status: 'pending', error_message: null })
+        .update({
+          status: 'pending',
+          error_message: null,
+          first_comment_status: post.first_comment ? 'pending' : null,
+          first_comment_error: null,
+          tagging_results: null,
+          settings_results: null,
+        })
         .eq('post_id', post.id)
         .eq('status', 'failed')
 
@@ -261,6 +303,109 @@ const PostQueue = () => {
     }
   }
 
+  // Handle removal from Instagram (for published posts)
+  const handleRemovePublished = async ({ action, accountIds }) => {
+    const { data, error } = await api.delete(`/posts/${postToRemove.id}/published`, {
+      body: JSON.stringify({ action, account_ids: accountIds }),
+    })
+
+    if (error) {
+      toast.error('Error', error)
+      return
+    }
+
+    toast.success('Queued', data.message)
+    setPostToRemove(null)
+    fetchPosts(true)
+  }
+
+  // Handle caption edit (for published posts)
+  const handleEditCaption = async (caption) => {
+    const { data, error } = await api.put(`/posts/${postToEditCaption.id}`, { caption })
+
+    if (error) {
+      toast.error('Error', error)
+      return
+    }
+
+    toast.success('Queued', data.message)
+    setPostToEditCaption(null)
+    fetchPosts(true)
+  }
+
+  // Handle submit (drafts): queued, or sent to a reviewer when an account requires approval
+  const handleSubmitDraft = async (post) => {
+    const { data, error } = await api.post(`/posts/${post.id}/submit`)
+
+    if (error) {
+      toast.error('Error', error)
+      return
+    }
+
+    toast.success('Success', data.message)
+    fetchPosts(true)
+  }
+
+  // Handle priority change (pending posts)
+  const handlePriorityChange = async (post, level) => {
+    const { error } = await api.request(`/queue/${post.id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ priority: level.key }),
+    })
+
+    if (error) {
+      toast.error('Error', error)
+      return
+    }
+
+    toast.success('Success', `Priority set to ${level.label.toLowerCase()}`)
+    fetchPosts(true)
+  }
+
+  // Drag-and-drop reordering, only on the unfiltered pending tab so the list
+  // matches the queue the bot works through
+  const canReorder = activeTab === 'pending' && !searchQuery.trim()
+
+  const handleDrop = async (targetPost) => {
+    const draggedPost = filteredPosts.find((post) => post.id === draggedPostId)
+    setDraggedPostId(null)
+    setDropTargetId(null)
+    if (!draggedPost || draggedPost.id === targetPost.id) return
+
+    const ordered = filteredPosts.filter((post) => post.id !== draggedPost.id)
+    const fromIndex = filteredPosts.indexOf(draggedPost)
+    const targetIndex = ordered.indexOf(targetPost)
+    ordered.splice(fromIndex > filteredPosts.indexOf(targetPost) ? targetIndex : targetIndex + 1, 0, draggedPost)
+
+    // Priority sorts ahead of the manual order, so a post dropped among
+    // posts of another priority takes theirs
+    const priority = targetPost.priority ?? 0
+    if ((draggedPost.priority ?? 0) !== priority) {
+      const level = getPriorityLevel(priority)
+      const { error } = await api.request(`/queue/${draggedPost.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ priority: level.key }),
+      })
+      if (error) {
+        toast.error('Error', error)
+        return
+      }
+    }
+
+    const reordered = ordered.map((post, index) => ({
+      ...post,
+      queue_position: index,
+      ...(post.id === draggedPost.id && { priority }),
+    }))
+    setPosts(reordered)
+
+    const { error } = await api.put('/queue/order', { post_ids: reordered.map((post) => post.id) })
+    if (error) {
+      toast.error('Error', error)
+    }
+    fetchPosts(true)
+  }
+
   // Handle edit (navigate to create page with post data)
   const handleEdit = (post) => {
     // TODO: Navigate to create page with post data pre-filled
@@ -276,6 +421,8 @@ const PostQueue = () => {
   // Tabs
   const tabs = [
     { id: 'all', label: 'All' },
+    { id: 'draft', label: 'Drafts' },
+    { id: 'awaiting_approval', label: 'Awaiting Approval' },
     { id: 'pending', label: 'Pending' },
     { id: 'processing', label: 'Processing' },
     { id: 'completed', label: 'Posted' },
@@ -306,6 +453,8 @@ const PostQueue = () => {
       {/* Stats */}
       <QueueStats stats={stats} />
 
+      <RecurringSchedules onChange={() => fetchPosts(true)} />
+
       {/* Filters and Search */}
       <Card>
         <CardContent className="p-4">
@@ -388,20 +537,49 @@ const PostQueue = () => {
         </Card>
       ) : filteredPosts.length === 0 ? (
         <EmptyState
-          message={`No ${activeTab === 'all' ? '' : activeTab} posts found`}
+          message={`No ${activeTab === 'all' ? '' : activeTab.replace('_', ' ')} posts found`}
           description={
             searchQuery
               ? 'Try adjusting your search query'
               : activeTab === 'all'
               ? 'Create your first post to get started'
-              : `No posts with status "${activeTab}"`
+              : `No posts with status "${activeTab.replace('_', ' ')}"`
           }
         />
       ) : (
         <>
           <div className="grid grid-cols-1 gap-6">
             {filteredPosts.map((post) => (
-              <div key={post.id} className="flex items-start space-x-3">
+              <div
+                key={post.id}
+                className={`flex items-start space-x-3 ${
+                  dropTargetId === post.id && draggedPostId !== post.id ? 'rounded-lg ring-2 ring-purple-400' : ''
+                } ${draggedPostId === post.id ? 'opacity-50' : ''}`}
+                draggable={canReorder}
+                onDragStart={(e) => {
+                  e.dataTransfer.effectAllowed = 'move'
+                  setDraggedPostId(post.id)
+                }}
+                onDragOver={(e) => {
+                  if (!draggedPostId) return
+                  e.preventDefault()
+                  setDropTargetId(post.id)
+                }}
+                onDragLeave={() => setDropTargetId((id) => (id === post.id ? null : id))}
+                onDrop={(e) => {
+                  e.preventDefault()
+                  handleDrop(post)
+                }}
+                onDragEnd={() => {
+                  setDraggedPostId(null)
+                  setDropTargetId(null)
+                }}
+              >
+                {canReorder && (
+                  <div className="mt-6 cursor-grab text-gray-400 hover:text-gray-600" title="Drag to reorder">
+                    <GripVertical className="w-5 h-5" />
+                  </div>
+                )}
                 {selectedPosts.length > 0 && (
                   <input
                     type="checkbox"
@@ -423,7 +601,11 @@ const PostQueue = () => {
                     onEdit={handleEdit}
                     onDelete={handleDelete}
                     onRetry={handleRetry}
+                    onRemovePublished={setPostToRemove}
+                    onEditCaption={setPostToEditCaption}
                     onViewDetails={handleViewDetails}
+                    onPriorityChange={handlePriorityChange}
+                    onSubmit={handleSubmitDraft}
                   />
                 </div>
               </div>
@@ -455,6 +637,21 @@ const PostQueue = () => {
         </>
       )}
 
+      <RemovePublishedDialog
+        post={postToRemove}
+        accounts={accounts}
+        open={Boolean(postToRemove)}
+        onOpenChange={(open) => !open && setPostToRemove(null)}
+        onConfirm={handleRemovePublished}
+      />
+
+      <EditCaptionDialog
+        post={postToEditCaption}
+        open={Boolean(postToEditCaption)}
+        onOpenChange={(open) => !open && setPostToEditCaption(null)}
+        onConfirm={handleEditCaption}
+      />
+
       {/* Post Detail Modal */}
       <PostDetailModal
         post={selectedPost}